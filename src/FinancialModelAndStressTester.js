@@ -24,13 +24,42 @@ import { DealBookExport } from "./components/DealBookExport.js";
 import { ValuationTab } from "./components/ValuationTab.jsx";
 import { SmartNumberField } from "./components/SmartFields";
 import { DebtTrancheManager } from "./components/DebtTrancheManager.jsx";
+import { BaseRateCurveEditor } from "./components/BaseRateCurveEditor.jsx";
+import { DriverOverridesGrid } from "./components/DriverOverridesGrid.jsx";
+import { RevenueSegmentsEditor } from "./components/RevenueSegmentsEditor.jsx";
+import { CapexScheduleEditor } from "./components/CapexScheduleEditor.jsx";
+import { LeaseManager } from "./components/LeaseManager.jsx";
+import { ReserveAccountsManager } from "./components/ReserveAccountsManager.jsx";
+import { TaxSettingsEditor } from "./components/TaxSettingsEditor.jsx";
+import { DistributionPolicyEditor } from "./components/DistributionPolicyEditor.jsx";
+import { CovenantLibraryEditor } from "./components/CovenantLibraryEditor.jsx";
+import { getDefaultDriverOverrides } from "./utils/driverOverrides";
+import { isCapexScheduleModel } from "./utils/capexSchedule";
+import { getDefaultTaxSettings } from "./utils/tax";
+import { getDefaultDistributionSettings } from "./utils/distributions";
+import { DEFAULT_WATERFALL_ORDER } from "./utils/cashWaterfall";
+import { getDefaultCovenants } from "./utils/covenants";
+import { HedgeManager } from "./components/HedgeManager.jsx";
+import { FxRateEditor } from "./components/FxRateEditor.jsx";
+import { getForeignCurrencies } from "./utils/fx";
+import { BUSINESS_DAY_CONVENTIONS } from "./utils/dayCount";
+import { getDefaultMonteCarloConfig } from "./utils/monteCarlo";
+import { getDefaultShockPaths, getActiveShockPaths, hasShockPaths } from "./utils/shockPaths";
+import { MonteCarloSimulation } from "./components/MonteCarloSimulation.jsx";
+import { GoalSeekPanel } from "./components/GoalSeekPanel.jsx";
+import { SensitivityAnalysis } from "./components/SensitivityAnalysis.jsx";
+import { ReverseStressTest } from "./components/ReverseStressTest.jsx";
+import { setPathValue } from "./utils/modelVariables";
 import { BlendedDebtMetrics } from "./components/BlendedDebtMetrics.jsx";
+import { PeriodProjectionTable } from "./components/PeriodProjectionTable.jsx";
+import { BalanceSheetTable } from "./components/BalanceSheetTable.jsx";
+import { CashWaterfall } from "./components/CashWaterfall.jsx";
 
 // Utility imports
 import { currencyFmtMM, numFmt, pctFmt } from "./utils/formatters.js";
 import { calculateHistoricalAssumptions } from "./utils/calculations.js";
 import { buildProjection } from "./utils/buildProjection.js";
-import { applyShocks } from "./utils/applyShocks.js";
+import { applyShocks, hasActiveShocks } from "./utils/applyShocks.js";
 import { getBenchmarksForIndustry } from "./utils/industryBenchmarks.js";
 // Centralized math utilities for consistency
 import {
@@ -686,9 +715,28 @@ const getDefaultParams = () => ({
   cogsPct: 0.40,
   opexPct: AUTO_CALC_CONSTANTS.DEFAULT_OPEX_PCT + 0.05, // 25% default
   capexPct: 0.05,
+  // Fixed costs in year 1 money, indexed each year; COGS % and OPEX % are the variable part
+  fixedCogs: 0,
+  fixedOpex: 0,
+  fixedCostInflation: 0.025,
+  // Per-year overrides of growth / COGS / opex / capex (null = use the value above)
+  driverOverrides: getDefaultDriverOverrides(),
+  // Revenue by segment (volume x price); replaces baseRevenue / growth / COGS % when on
+  useRevenueSegments: false,
+  revenueSegments: [],
+  // Capex by asset class with its own depreciation; replaces capex % and depreciation % when on
+  useCapexSchedule: false,
+  assetClasses: [],
   daPctOfPPE: AUTO_CALC_CONSTANTS.DEFAULT_DA_PCT_OF_PPE,
   wcPctOfRev: AUTO_CALC_CONSTANTS.DEFAULT_WC_PCT_OF_REV,
+  // Working capital driver: 'percent' (% of revenue) or 'days' (DSO / DIO / DPO)
+  workingCapitalMethod: 'percent',
+  receivableDays: 45,
+  inventoryDays: 30,
+  payableDays: 30,
   taxRate: AUTO_CALC_CONSTANTS.DEFAULT_TAX_RATE,
+  // Loss carryforwards, payment lag, holidays and capital allowances (see tax.js)
+  ...getDefaultTaxSettings(),
   wacc: AUTO_CALC_CONSTANTS.DEFAULT_WACC,
   terminalGrowth: AUTO_CALC_CONSTANTS.DEFAULT_TERMINAL_GROWTH,
   equityContribution: 0,
@@ -713,17 +761,34 @@ const getDefaultParams = () => ({
   existingDebtAmortizationType: 'amortizing',
 
   // OPENING BALANCE SHEET
+  // Opening equity is derived as the balancing item in buildProjection
   openingCash: 0,
+  openingPPE: 0,
+  openingWorkingCapital: 0,
+  openingReceivables: 0,
+  openingInventory: 0,
+  openingPayables: 0,
 
   // CASH MANAGEMENT
-  // Cash retention rate: portion of net income retained as cash (vs distributed as dividends)
+  // Cash retention rate: portion of net income retained as cash (vs distributed as dividends);
+  // the payout policy pays out only cash generated beyond it (see distributions.js)
   // Can be calculated from historicals or manually set (0.10 = 10%)
   cashRetentionRate: 0.10,
+  // Distribution policy and lender lock-up tests (see distributions.js)
+  ...getDefaultDistributionSettings(),
+  // Cash flow waterfall tier order, most senior first (see cashWaterfall.js)
+  waterfallOrder: [...DEFAULT_WATERFALL_ORDER],
 
   // COVENANTS
   minDSCR: 1.2,
   maxNDToEBITDA: 3.5,
   targetICR: 2.0,
+  // Senior-only covenants on senior secured + unsecured debt (0 = not tested; see trancheMetrics.js)
+  minSeniorDSCR: 0,
+  maxSeniorNDToEBITDA: 0,
+  // Covenant library: standard covenants linked to the thresholds above plus custom
+  // formula covenants, with step-downs and test frequency (see covenants.js)
+  covenants: getDefaultCovenants(),
 
   // LEGACY FIELDS (for backward compatibility)
   openingDebt: 0,
@@ -735,6 +800,7 @@ const getDefaultParams = () => ({
   facilityType: "Senior Secured Term Loan",
   useBalloonPayment: false,
   dayCountConvention: "Actual/365",
+  businessDayConvention: "modified-following", // Payment-date roll: none | following | modified-following
   openingDate: new Date().toISOString().split('T')[0],
   issueDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
   prepaymentNoticeDays: 30,
@@ -814,6 +880,32 @@ const getDefaultParams = () => ({
   // MULTI-TRANCHE SUPPORT
   hasMultipleTranches: false,
   debtTranches: [],
+  // Base-rate curve for floating tranches (one rate per projection year)
+  baseRateName: 'SOFR',
+  baseRateCurve: Array(5).fill(0.05),
+  // Interest rate swaps / caps linked to tranches (see utils/hedging.js)
+  hedges: [],
+  // IFRS 16 leases (see utils/leases.js); covenants measured 'post' or 'pre' IFRS 16
+  leases: [],
+  leaseCovenantBasis: 'post',
+  // DSRA, maintenance and capex reserve accounts (see utils/reserves.js)
+  reserveAccounts: [],
+  // Foreign-currency tranches: reporting currency follows the Currency selector;
+  // fxRates = { USD: { spot, curve: [per year] } } in reporting units per foreign unit
+  reportingCurrency: "JMD",
+  fxRates: {},
+
+  // PROJECTION GRANULARITY
+  // periodMode: 'annual' | 'quarterly' | 'monthly'
+  // seasonality: 12 monthly revenue indices (100 = average month)
+  periodMode: 'annual',
+  seasonality: Array(12).fill(100),
+
+  // MONTE CARLO SIMULATION (distributions and correlations; see utils/monteCarlo.js)
+  monteCarloConfig: getDefaultMonteCarloConfig(),
+
+  // MULTI-YEAR SHOCK PATHS (saved scenarios; the active one applies on top of custom stress)
+  shockPaths: getDefaultShockPaths(),
 
   // INTERNAL TRACKING
   _editedFields: [],
@@ -898,13 +990,15 @@ const FinancialModelAndStressTester = forwardRef(({ onDataUpdate, accessToken },
     rateDelta: 0, 
     waccDelta: 0, 
     termGDelta: 0,
+    dsoDelta: 0,
+    fxDepreciation: 0,
   });
 
   // Draft states for debounced updates
   const [draftParams, setDraftParams] = useState(params);
   const [draftCustomShocks, setDraftCustomShocks] = useState({
     growthDelta: 0, cogsDelta: 0, opexDelta: 0, capexDelta: 0,
-    rateDelta: 0, waccDelta: 0, termGDelta: 0,
+    rateDelta: 0, waccDelta: 0, termGDelta: 0, dsoDelta: 0, fxDepreciation: 0,
   });
 
   const [showInputs, setShowInputs] = useState(false);
@@ -1236,6 +1330,13 @@ const FinancialModelAndStressTester = forwardRef(({ onDataUpdate, accessToken },
     setCustomShocks(debouncedCustomShocks);
   }, [debouncedCustomShocks]);
 
+  // The display currency is the reporting currency foreign tranches translate into
+  useEffect(() => {
+    if (draftParams.reportingCurrency !== ccy) {
+      setDraftParams(prev => ({ ...prev, reportingCurrency: ccy }));
+    }
+  }, [ccy, draftParams.reportingCurrency]);
+
   // Initialize draft states when component mounts
   useEffect(() => {
     setDraftParams(params);
@@ -1283,9 +1384,18 @@ const FinancialModelAndStressTester = forwardRef(({ onDataUpdate, accessToken },
             opexPct: assumptions.opexPct,
             capexPct: assumptions.capexPct,
             wcPctOfRev: assumptions.wcPctOfRev,
+            receivableDays: assumptions.receivableDays,
+            inventoryDays: assumptions.inventoryDays,
+            payableDays: assumptions.payableDays,
             growth: assumptions.growth
           };
 
+          // Days default from historicals only where the balance was reported
+          const historicalDays = (field) =>
+            assumptions[field] !== null && !isFieldEdited(prev._editedFields, field)
+              ? assumptions[field]
+              : prev[field];
+
           return {
             ...prev,
 
@@ -1301,6 +1411,14 @@ const FinancialModelAndStressTester = forwardRef(({ onDataUpdate, accessToken },
             capexPct: !isFieldEdited(prev._editedFields, 'capexPct') ? assumptions.capexPct : prev.capexPct,
             wcPctOfRev: !isFieldEdited(prev._editedFields, 'wcPctOfRev') ? assumptions.wcPctOfRev : prev.wcPctOfRev,
             growth: !isFieldEdited(prev._editedFields, 'growth') ? assumptions.growth : prev.growth,
+            receivableDays: historicalDays('receivableDays'),
+            inventoryDays: historicalDays('inventoryDays'),
+            payableDays: historicalDays('payableDays'),
+
+            // Opening working capital balances from the latest reported year
+            openingReceivables: prev.openingReceivables === 0 ? assumptions.openingReceivables : prev.openingReceivables,
+            openingInventory: prev.openingInventory === 0 ? assumptions.openingInventory : prev.openingInventory,
+            openingPayables: prev.openingPayables === 0 ? assumptions.openingPayables : prev.openingPayables,
 
             // Optional auto-updates for debt
             openingDebt: prev.openingDebt === 0 ? totalHistoricalDebt : prev.openingDebt,
@@ -1349,6 +1467,9 @@ const FinancialModelAndStressTester = forwardRef(({ onDataUpdate, accessToken },
           opexPct:    prev.opexPct    === AUTO_CALC_CONSTANTS.DEFAULT_OPEX_PCT + 0.05 ? assumptions.opexPct : prev.opexPct,
           wcPctOfRev: prev.wcPctOfRev === AUTO_CALC_CONSTANTS.DEFAULT_WC_PCT_OF_REV ? assumptions.wcPctOfRev : prev.wcPctOfRev,
           capexPct:   prev.capexPct   === 0.05 ? assumptions.capexPct   : prev.capexPct,
+          receivableDays: prev.receivableDays === 45 && assumptions.receivableDays !== null ? assumptions.receivableDays : prev.receivableDays,
+          inventoryDays:  prev.inventoryDays  === 30 && assumptions.inventoryDays  !== null ? assumptions.inventoryDays  : prev.inventoryDays,
+          payableDays:    prev.payableDays    === 30 && assumptions.payableDays    !== null ? assumptions.payableDays    : prev.payableDays,
 
           // Apply cash retention rate from historicals if still at default
           cashRetentionRate: prev.cashRetentionRate === 0.10 && assumptions.cashRetentionRate !== undefined
@@ -1387,8 +1508,9 @@ const FinancialModelAndStressTester = forwardRef(({ onDataUpdate, accessToken },
         }
       });
       
-      if (Object.values(customShocks).some(v => v !== 0)) {
-        const shocked = applyShocks(params, customShocks);
+      const shockPaths = getActiveShockPaths(params);
+      if (hasActiveShocks(customShocks) || hasShockPaths(shockPaths)) {
+        const shocked = applyShocks(params, { ...customShocks, paths: shockPaths });
         result.custom = buildProjection(shocked);
       }
       
@@ -1428,7 +1550,7 @@ const FinancialModelAndStressTester = forwardRef(({ onDataUpdate, accessToken },
     minICR: projections?.base?.creditStats?.minICR || 0,
     maxLeverage: projections?.base?.creditStats?.maxLeverage || 0,
     avgDSCR: projections?.base?.creditStats?.avgDSCR || 0,
-    breaches: projections?.base?.breaches || { dscrBreaches: 0, icrBreaches: 0, ndBreaches: 0 },
+    breaches: projections?.base?.breaches || { dscrBreaches: 0, icrBreaches: 0, ndBreaches: 0, totalBreaches: 0 },
     enterpriseValue: projections?.base?.enterpriseValue || 0,
     equityValue: projections?.base?.equityValue || 0,
     irr: projections?.base?.irr || 0,
@@ -2148,6 +2270,15 @@ const FinancialModelAndStressTester = forwardRef(({ onDataUpdate, accessToken },
                   </select>
                 </div>
               </div>
+
+              {/* Revenue Segments */}
+              <div className="mt-6">
+                <RevenueSegmentsEditor
+                  params={draftParams}
+                  ccy={ccy}
+                  onChange={(changes) => setDraftParams({ ...draftParams, ...changes })}
+                />
+              </div>
               
               {/* Quick Preview */}
               {draftParams.baseRevenue > 0 && (
@@ -2572,7 +2703,8 @@ const FinancialModelAndStressTester = forwardRef(({ onDataUpdate, accessToken },
                                 amount: draftParams.requestedLoanAmount || 0,
                                 rate: draftParams.proposedPricing || draftParams.interestRate || 0.08,
                                 tenorYears: draftParams.proposedTenor || draftParams.debtTenorYears || 5,
-                                maturityDate: `${new Date().getFullYear() + (draftParams.proposedTenor || 5)}-12-31`,
+                                // Same maturity as the single facility: end of the tenor's last year
+                                maturityDate: `${draftParams.startYear + (draftParams.proposedTenor || draftParams.debtTenorYears || 5) - 1}-12-31`,
                                 amortizationType: draftParams.facilityAmortizationType || 'amortizing',
                                 paymentFrequency: draftParams.paymentFrequency || 'Quarterly',
                                 interestOnlyYears: draftParams.interestOnlyPeriod || 0,
@@ -2623,7 +2755,45 @@ const FinancialModelAndStressTester = forwardRef(({ onDataUpdate, accessToken },
                       tranches={draftParams.debtTranches || []}
                       onChange={(tranches) => setDraftParams({ ...draftParams, debtTranches: tranches })}
                       ccy={ccy}
+                      baseRates={draftParams}
                     />
+
+                    {draftParams.debtTranches?.some(t => t.rateType === 'floating') && (
+                      <div className="mt-4">
+                        <BaseRateCurveEditor
+                          name={draftParams.baseRateName}
+                          curve={draftParams.baseRateCurve}
+                          startYear={draftParams.startYear}
+                          years={draftParams.years}
+                          onChange={(curve) => setDraftParams({ ...draftParams, ...curve })}
+                        />
+                      </div>
+                    )}
+
+                    {getForeignCurrencies(draftParams.debtTranches, draftParams).length > 0 && (
+                      <div className="mt-4">
+                        <FxRateEditor
+                          currencies={getForeignCurrencies(draftParams.debtTranches, draftParams)}
+                          reportingCurrency={draftParams.reportingCurrency}
+                          fxRates={draftParams.fxRates || {}}
+                          startYear={draftParams.startYear}
+                          years={draftParams.years}
+                          onChange={(fxRates) => setDraftParams({ ...draftParams, fxRates })}
+                        />
+                      </div>
+                    )}
+
+                    {(draftParams.debtTranches?.some(t => t.rateType === 'floating') || draftParams.hedges?.length > 0) && (
+                      <div className="mt-4">
+                        <HedgeManager
+                          hedges={draftParams.hedges || []}
+                          tranches={draftParams.debtTranches || []}
+                          params={draftParams}
+                          ccy={ccy}
+                          onChange={(hedges) => setDraftParams({ ...draftParams, hedges })}
+                        />
+                      </div>
+                    )}
                     
                     {draftParams.debtTranches?.length > 0 && (
                       <div className="mt-4">
@@ -2632,6 +2802,7 @@ const FinancialModelAndStressTester = forwardRef(({ onDataUpdate, accessToken },
                           ccy={ccy}
                           startYear={draftParams.startYear}
                           projectionYears={draftParams.years}
+                          baseRates={draftParams}
                         />
                       </div>
                     )}
@@ -2669,6 +2840,49 @@ const FinancialModelAndStressTester = forwardRef(({ onDataUpdate, accessToken },
                   </div>
                 </div>
               </div>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mt-4">
+                <MoneyField
+                  label="Opening PPE (Net)"
+                  value={draftParams.openingPPE}
+                  onChange={(v) => setDraftParams({...draftParams, openingPPE: v})}
+                  ccy={ccy}
+                  disabled={isCapexScheduleModel(draftParams)}
+                  helpText={isCapexScheduleModel(draftParams) ? 'Set by the asset classes under Financial Parameters' : undefined}
+                />
+                {draftParams.workingCapitalMethod !== 'days' && (
+                  <MoneyField
+                    label="Opening Net Working Capital"
+                    value={draftParams.openingWorkingCapital}
+                    onChange={(v) => setDraftParams({...draftParams, openingWorkingCapital: v})}
+                    ccy={ccy}
+                  />
+                )}
+              </div>
+              {draftParams.workingCapitalMethod === 'days' && (
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mt-4">
+                  <MoneyField
+                    label="Opening Trade Receivables"
+                    value={draftParams.openingReceivables}
+                    onChange={(v) => setDraftParams({...draftParams, openingReceivables: v})}
+                    ccy={ccy}
+                  />
+                  <MoneyField
+                    label="Opening Inventory"
+                    value={draftParams.openingInventory}
+                    onChange={(v) => setDraftParams({...draftParams, openingInventory: v})}
+                    ccy={ccy}
+                  />
+                  <MoneyField
+                    label="Opening Trade Payables"
+                    value={draftParams.openingPayables}
+                    onChange={(v) => setDraftParams({...draftParams, openingPayables: v})}
+                    ccy={ccy}
+                  />
+                </div>
+              )}
+              <p className="text-xs text-slate-500 mt-2">
+                Opening equity is the balancing item: opening assets less opening debt.
+              </p>
               <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mt-4">
                 <PctField
                   label="Cash Retention Rate"
@@ -2688,6 +2902,24 @@ const FinancialModelAndStressTester = forwardRef(({ onDataUpdate, accessToken },
                   </div>
                 </div>
               </div>
+
+              {/* IFRS 16 Leases */}
+              <div className="mt-6">
+                <LeaseManager
+                  params={draftParams}
+                  ccy={ccy}
+                  onChange={(changes) => setDraftParams({ ...draftParams, ...changes })}
+                />
+              </div>
+
+              {/* Reserve Accounts */}
+              <div className="mt-6">
+                <ReserveAccountsManager
+                  params={draftParams}
+                  ccy={ccy}
+                  onChange={(changes) => setDraftParams({ ...draftParams, ...changes })}
+                />
+              </div>
             </CardContent>
           </Card>
 
@@ -2761,7 +2993,7 @@ const FinancialModelAndStressTester = forwardRef(({ onDataUpdate, accessToken },
                     }}
                     isAutoPop={true}
                     historicalValue={draftParams._historicalValues?.cogsPct}
-                    helper="Cost of Goods Sold as % of revenue"
+                    helper="Variable cost of goods sold as % of revenue"
                   />
                   <SmartPctField 
                     label="OPEX %"
@@ -2775,7 +3007,7 @@ const FinancialModelAndStressTester = forwardRef(({ onDataUpdate, accessToken },
                     }}
                     isAutoPop={true}
                     historicalValue={draftParams._historicalValues?.opexPct}
-                    helper="Operating expenses as % of revenue"
+                    helper="Variable operating expenses as % of revenue"
                   />
                   <SmartPctField 
                     label="CAPEX %"
@@ -2791,6 +3023,9 @@ const FinancialModelAndStressTester = forwardRef(({ onDataUpdate, accessToken },
                     historicalValue={draftParams._historicalValues?.capexPct}
                     helper="Capital expenditures as % of revenue"
                   />
+                  <MoneyField label="Fixed COGS (Year 1)" value={draftParams.fixedCogs || 0} onChange={(v) => setDraftParams({...draftParams, fixedCogs: v})} ccy={ccy} helpText="Cost of sales that does not move with revenue (e.g. plant overheads)"/>
+                  <MoneyField label="Fixed OPEX (Year 1)" value={draftParams.fixedOpex || 0} onChange={(v) => setDraftParams({...draftParams, fixedOpex: v})} ccy={ccy} helpText="Rent, salaried staff and other overheads"/>
+                  <PctField label="Fixed Cost Inflation" value={draftParams.fixedCostInflation || 0} onChange={(v) => setDraftParams({...draftParams, fixedCostInflation: v})} helpText="Annual indexation of fixed costs"/>
                   <PctField label="Depreciation % of PPE" value={draftParams.daPctOfPPE} onChange={(v) => setDraftParams({...draftParams, daPctOfPPE: v})}/>
                   <SmartPctField 
                     label="Working Capital % of Revenue"
@@ -2804,7 +3039,7 @@ const FinancialModelAndStressTester = forwardRef(({ onDataUpdate, accessToken },
                     }}
                     isAutoPop={true}
                     historicalValue={draftParams._historicalValues?.wcPctOfRev}
-                    helper="Working capital as % of revenue"
+                    helper="Working capital as % of revenue (used when the driver is % of Revenue)"
                   />
                   <PctField label="Tax Rate" value={draftParams.taxRate} onChange={(v) => setDraftParams({...draftParams, taxRate: v})}/>
                   <PctField label="WACC" value={draftParams.wacc} onChange={(v) => setDraftParams({...draftParams, wacc: v})}/>
@@ -2819,6 +3054,149 @@ const FinancialModelAndStressTester = forwardRef(({ onDataUpdate, accessToken },
                     step={1000}
                   />
                 </div>
+
+                {/* Year-by-Year Operating Drivers */}
+                <div className="mt-6">
+                  <DriverOverridesGrid
+                    params={draftParams}
+                    onChange={(driverOverrides) => setDraftParams({ ...draftParams, driverOverrides })}
+                  />
+                </div>
+
+                {/* Capex by Asset Class */}
+                <div className="mt-6">
+                  <CapexScheduleEditor
+                    params={draftParams}
+                    ccy={ccy}
+                    onChange={(changes) => setDraftParams({ ...draftParams, ...changes })}
+                  />
+                </div>
+
+                {/* Tax Losses, Holidays and Capital Allowances */}
+                <div className="mt-6">
+                  <TaxSettingsEditor
+                    params={draftParams}
+                    ccy={ccy}
+                    onChange={(changes) => setDraftParams({ ...draftParams, ...changes })}
+                  />
+                </div>
+
+                {/* Working Capital Drivers */}
+                <div className="mt-6 pt-6 border-t border-slate-200">
+                  <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+                    <div className="space-y-1">
+                      <Label className="text-xs font-semibold text-slate-700">Working Capital Driver</Label>
+                      <select
+                        value={draftParams.workingCapitalMethod || 'percent'}
+                        onChange={(e) => setDraftParams({...draftParams, workingCapitalMethod: e.target.value})}
+                        className="w-full h-10 text-sm border border-slate-300 rounded-md focus:border-blue-500 focus:ring-2 focus:ring-blue-200 transition-all duration-200"
+                      >
+                        <option value="percent">% of Revenue</option>
+                        <option value="days">Days (DSO / DIO / DPO)</option>
+                      </select>
+                      <div className="text-xs text-slate-500">
+                        Days split working capital into receivables, inventory and payables
+                      </div>
+                    </div>
+                    {draftParams.workingCapitalMethod === 'days' && (
+                      <>
+                        <NumberField
+                          label="Receivable Days (DSO)"
+                          value={draftParams.receivableDays}
+                          onChange={(v) => setDraftParams({
+                            ...draftParams,
+                            receivableDays: v,
+                            _editedFields: addEditedField(draftParams._editedFields, 'receivableDays')
+                          })}
+                          min={0}
+                          max={365}
+                        />
+                        <NumberField
+                          label="Inventory Days (DIO)"
+                          value={draftParams.inventoryDays}
+                          onChange={(v) => setDraftParams({
+                            ...draftParams,
+                            inventoryDays: v,
+                            _editedFields: addEditedField(draftParams._editedFields, 'inventoryDays')
+                          })}
+                          min={0}
+                          max={365}
+                        />
+                        <NumberField
+                          label="Payable Days (DPO)"
+                          value={draftParams.payableDays}
+                          onChange={(v) => setDraftParams({
+                            ...draftParams,
+                            payableDays: v,
+                            _editedFields: addEditedField(draftParams._editedFields, 'payableDays')
+                          })}
+                          min={0}
+                          max={365}
+                        />
+                      </>
+                    )}
+                  </div>
+                  {draftParams.workingCapitalMethod === 'days' && draftParams._historicalValues?.receivableDays != null && (
+                    <div className="text-xs text-slate-500 mt-2">
+                      Historical average: DSO {draftParams._historicalValues.receivableDays.toFixed(0)} days
+                      {draftParams._historicalValues.inventoryDays != null && `, DIO ${draftParams._historicalValues.inventoryDays.toFixed(0)} days`}
+                      {draftParams._historicalValues.payableDays != null && `, DPO ${draftParams._historicalValues.payableDays.toFixed(0)} days`}
+                    </div>
+                  )}
+                </div>
+
+                {/* Projection Granularity */}
+                <div className="mt-6 pt-6 border-t border-slate-200 space-y-4">
+                  <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+                    <div className="space-y-1">
+                      <Label className="text-xs font-semibold text-slate-700">Projection Periods</Label>
+                      <select
+                        value={draftParams.periodMode || 'annual'}
+                        onChange={(e) => setDraftParams({...draftParams, periodMode: e.target.value})}
+                        className="w-full h-10 text-sm border border-slate-300 rounded-md focus:border-blue-500 focus:ring-2 focus:ring-blue-200 transition-all duration-200"
+                      >
+                        <option value="annual">Annual</option>
+                        <option value="quarterly">Quarterly</option>
+                        <option value="monthly">Monthly</option>
+                      </select>
+                      <div className="text-xs text-slate-500">
+                        Quarterly/monthly adds period-level DSCR with an annual roll-up
+                      </div>
+                    </div>
+                  </div>
+
+                  {(draftParams.periodMode === 'quarterly' || draftParams.periodMode === 'monthly') && (
+                    <div className="space-y-2">
+                      <Label className="text-xs font-semibold text-slate-700">
+                        Revenue Seasonality (monthly index, 100 = average month)
+                      </Label>
+                      <div className="grid grid-cols-3 sm:grid-cols-6 lg:grid-cols-12 gap-2">
+                        {(draftParams.seasonality || Array(12).fill(100)).map((weight, month) => (
+                          <div key={month} className="space-y-1">
+                            <div className="text-[10px] text-slate-500 text-center">
+                              {new Date(2000, month, 1).toLocaleString('en-US', { month: 'short' })}
+                            </div>
+                            <Input
+                              type="number"
+                              value={weight}
+                              min={0}
+                              onChange={(e) => {
+                                const seasonality = [...(draftParams.seasonality || Array(12).fill(100))];
+                                seasonality[month] = e.target.value === "" ? 0 : Math.max(0, Number(e.target.value));
+                                setDraftParams({...draftParams, seasonality});
+                              }}
+                              className="h-9 text-xs text-center px-1"
+                            />
+                          </div>
+                        ))}
+                      </div>
+                      <div className="text-xs text-slate-500">
+                        Revenue and revenue-linked costs follow this profile; debt service falls on the payment dates and
+                        revolvers draw whenever cash drops below their minimum balance
+                      </div>
+                    </div>
+                  )}
+                </div>
               </CardContent>
             </Card>
           </CollapsibleCard>
@@ -2893,6 +3271,22 @@ const FinancialModelAndStressTester = forwardRef(({ onDataUpdate, accessToken },
                     max={10} 
                     step={0.1}
                   />
+                  <NumberField
+                    label="Min Senior DSCR (0 = not tested)"
+                    value={draftParams.minSeniorDSCR || 0}
+                    onChange={(v) => setDraftParams({ ...draftParams, minSeniorDSCR: v })}
+                    min={0}
+                    max={10}
+                    step={0.1}
+                  />
+                  <NumberField
+                    label="Max Senior ND/EBITDA (0 = not tested)"
+                    value={draftParams.maxSeniorNDToEBITDA || 0}
+                    onChange={(v) => setDraftParams({ ...draftParams, maxSeniorNDToEBITDA: v })}
+                    min={0}
+                    max={10}
+                    step={0.1}
+                  />
                   
                   {/* Credit Assessment Fields */}
                   <div className="space-y-2">
@@ -2927,6 +3321,24 @@ const FinancialModelAndStressTester = forwardRef(({ onDataUpdate, accessToken },
                     </select>
                   </div>
                 </div>
+
+                {/* Covenant Library */}
+                <div className="mt-6">
+                  <CovenantLibraryEditor
+                    params={draftParams}
+                    ccy={ccy}
+                    onChange={(changes) => setDraftParams({ ...draftParams, ...changes })}
+                  />
+                </div>
+
+                {/* Distribution Policy & Lock-Up */}
+                <div className="mt-6">
+                  <DistributionPolicyEditor
+                    params={draftParams}
+                    ccy={ccy}
+                    onChange={(changes) => setDraftParams({ ...draftParams, ...changes })}
+                  />
+                </div>
               </CardContent>
             </Card>
           </CollapsibleCard>
@@ -3091,7 +3503,19 @@ const FinancialModelAndStressTester = forwardRef(({ onDataUpdate, accessToken },
                         <option value="Actual/365">Actual/365</option>
                         <option value="Actual/360">Actual/360</option>
                         <option value="30/360">30/360</option>
-                        <option value="Actual/Actual">Actual/Actual</option>
+                        <option value="Actual/Actual">Actual/Actual (ISDA)</option>
+                      </select>
+                    </div>
+                    <div className="space-y-2">
+                      <Label className="text-sm font-semibold text-slate-700">Business Day Convention</Label>
+                      <select
+                        value={draftParams.businessDayConvention || "modified-following"}
+                        onChange={(e) => setDraftParams({...draftParams, businessDayConvention: e.target.value})}
+                        className="w-full h-12 px-4 text-base font-semibold border-2 rounded-md bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500 transition-all duration-200"
+                      >
+                        {Object.entries(BUSINESS_DAY_CONVENTIONS).map(([value, label]) => (
+                          <option key={value} value={value}>{label}</option>
+                        ))}
                       </select>
                     </div>
                   </div>
@@ -3293,7 +3717,7 @@ const FinancialModelAndStressTester = forwardRef(({ onDataUpdate, accessToken },
   onValueChange={setActiveTab}
   className="space-y-6"
 >
-        <TabsList className="flex overflow-x-auto lg:grid lg:grid-cols-8 w-full bg-slate-100 p-1 rounded-lg shadow-sm scrollbar-hide">
+        <TabsList className="flex overflow-x-auto lg:grid lg:grid-cols-9 w-full bg-slate-100 p-1 rounded-lg shadow-sm scrollbar-hide">
   <TabsTrigger value="capital-structure" className="flex-shrink-0 text-sm whitespace-nowrap">
     <TrendingUp className="w-4 h-4 mr-2" />
     <span className="hidden sm:inline">Capital Structure</span>
@@ -3324,6 +3748,11 @@ const FinancialModelAndStressTester = forwardRef(({ onDataUpdate, accessToken },
     <span className="hidden sm:inline">Loan Metrics</span>
     <span className="sm:hidden">Metrics</span>
   </TabsTrigger>
+  <TabsTrigger value="cash-waterfall" className="flex-shrink-0 text-sm whitespace-nowrap">
+    <Layers className="w-4 h-4 mr-2" />
+    <span className="hidden sm:inline">Cash Waterfall</span>
+    <span className="sm:hidden">Waterfall</span>
+  </TabsTrigger>
   <TabsTrigger value="valuation" className="flex-shrink-0 text-sm whitespace-nowrap">
     <TrendingUp className="w-4 h-4 mr-2" />
     <span className="hidden sm:inline">Valuation</span>
@@ -3357,6 +3786,15 @@ const FinancialModelAndStressTester = forwardRef(({ onDataUpdate, accessToken },
               ccy={ccy}
             />
           </div>
+          <PeriodProjectionTable
+            projection={projections.base}
+            params={params}
+            ccy={ccy}
+          />
+          <BalanceSheetTable
+            projection={projections.base}
+            ccy={ccy}
+          />
         </TabsContent>
 
         {/* Scenario Comparison */}
@@ -3368,6 +3806,7 @@ const FinancialModelAndStressTester = forwardRef(({ onDataUpdate, accessToken },
               facilityParams={facilityParams}
             />
           </div>
+          {projections?.base && <SensitivityAnalysis params={params} ccy={ccy} />}
         </TabsContent>
 
         {/* Stress Testing */}
@@ -3394,18 +3833,49 @@ const FinancialModelAndStressTester = forwardRef(({ onDataUpdate, accessToken },
               <p className="text-yellow-800 font-semibold">Loading stress testing data...</p>
             </div>
           )}
+          {projections?.base && (
+            <ReverseStressTest
+              params={params}
+              onApplyShocks={(shocks) => {
+                // Load the breaking point on its own, without leftover custom shocks
+                const breakingShocks = {
+                  growthDelta: 0, cogsDelta: 0, opexDelta: 0, capexDelta: 0,
+                  rateDelta: 0, waccDelta: 0, termGDelta: 0, dsoDelta: 0, fxDepreciation: 0,
+                  ...shocks
+                };
+                setCustomShocks(breakingShocks);
+                setDraftCustomShocks(breakingShocks);
+                setActiveTab('custom-stress');
+              }}
+            />
+          )}
         </TabsContent>
 
         {/* Custom Stress Testing */}
         <TabsContent value="custom-stress" className="space-y-6">
           {projections?.base ? (
-            <CustomStressTesting
-              projections={projections}
-              params={params}
-              customShocks={customShocks}
-              onShocksChange={setCustomShocks}
-              ccy={ccy}
-            />
+            <>
+              <CustomStressTesting
+                projections={projections}
+                params={params}
+                customShocks={customShocks}
+                onShocksChange={setCustomShocks}
+                shockPaths={draftParams.shockPaths}
+                onShockPathsChange={(shockPaths) => setDraftParams(prev => ({ ...prev, shockPaths }))}
+                ccy={ccy}
+              />
+              <GoalSeekPanel
+                params={params}
+                ccy={ccy}
+                onApply={(variable, value) => setDraftParams(prev => setPathValue(prev, variable, value))}
+              />
+              <MonteCarloSimulation
+                params={params}
+                config={draftParams.monteCarloConfig}
+                onConfigChange={(monteCarloConfig) => setDraftParams(prev => ({ ...prev, monteCarloConfig }))}
+                ccy={ccy}
+              />
+            </>
           ) : (
             <div className="p-4 bg-yellow-50 border border-yellow-200 rounded flex items-center gap-3">
               <div className="w-2 h-2 bg-yellow-500 rounded-full animate-pulse"></div>
@@ -3425,6 +3895,16 @@ const FinancialModelAndStressTester = forwardRef(({ onDataUpdate, accessToken },
           </div>
         </TabsContent>
 
+        {/* Cash Flow Waterfall */}
+        <TabsContent value="cash-waterfall" className="space-y-6">
+          <CashWaterfall
+            projection={projections.base}
+            order={draftParams.waterfallOrder}
+            onOrderChange={(waterfallOrder) => setDraftParams(prev => ({ ...prev, waterfallOrder }))}
+            ccy={ccy}
+          />
+        </TabsContent>
+
        <TabsContent value="valuation" className="space-y-6">
   <ValuationTab 
     projections={projections.base}
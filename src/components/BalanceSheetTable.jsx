@@ -0,0 +1,126 @@
+// src/components/BalanceSheetTable.jsx
+import React from 'react';
+import { Scale, AlertTriangle, CheckCircle } from 'lucide-react';
+import { Card, CardHeader, CardTitle, CardContent } from './Card';
+import { currencyFmtMM } from '../utils/formatters';
+
+// Line items in presentation order (IAS 1: Statement of Financial Position)
+const LINES = [
+  { section: 'Assets' },
+  { key: 'cash', label: 'Cash & Equivalents' },
+  { key: 'reserveBalance', label: 'Reserve Accounts (restricted cash)', optional: true },
+  { key: 'receivables', label: 'Trade Receivables', optional: true },
+  { key: 'inventory', label: 'Inventory', optional: true },
+  { key: 'otherWorkingCapital', label: 'Net Working Capital (% of revenue)', optional: true },
+  { key: 'netPPE', label: 'Property, Plant & Equipment (net)' },
+  { key: 'rouAsset', label: 'Right-of-Use Assets', optional: true },
+  { key: 'totalAssets', label: 'Total Assets', total: true },
+  { section: 'Liabilities & Equity' },
+  { key: 'payables', label: 'Trade Payables', optional: true },
+  { key: 'grossDebt', label: 'Borrowings' },
+  { key: 'leaseLiability', label: 'Lease Liabilities', optional: true },
+  { key: 'taxPayable', label: 'Income Tax Payable', optional: true },
+  { key: 'deferredTaxLiability', label: 'Deferred Tax (net)', optional: true },
+  { key: 'totalLiabilities', label: 'Total Liabilities', total: true },
+  { key: 'shareCapital', label: 'Opening Equity' },
+  { key: 'retainedEarnings', label: 'Retained Earnings' },
+  { key: 'totalEquity', label: 'Total Equity', total: true },
+  { key: 'totalLiabilitiesAndEquity', label: 'Total Liabilities & Equity', total: true },
+];
+
+export function BalanceSheetTable({ projection, ccy }) {
+  if (!projection?.rows?.length || !projection.openingBalanceSheet) return null;
+
+  const { rows, openingBalanceSheet, balanceSheetCheck } = projection;
+  const columns = [
+    { label: 'Opening', values: openingBalanceSheet, opening: true },
+    ...rows.map(r => ({ label: r.year, values: r }))
+  ];
+  // Hide lines the model does not use (working capital driver, leases, tax, reserves)
+  const lines = LINES.filter(line =>
+    !line.optional || columns.some(c => Math.abs(c.values[line.key] || 0) > 0)
+  );
+
+  return (
+    <Card className="border-l-4 border-l-slate-600 shadow-sm">
+      <CardHeader className="bg-gradient-to-r from-slate-50 to-slate-100 border-b">
+        <CardTitle className="flex items-center gap-2">
+          <Scale className="w-5 h-5 text-slate-600" />
+          Projected Balance Sheet
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="pt-6 space-y-4">
+        {balanceSheetCheck.balances ? (
+          <div className="p-3 bg-emerald-50 border border-emerald-200 rounded-md text-xs text-emerald-800 flex items-center gap-2">
+            <CheckCircle className="w-4 h-4" />
+            Balance sheet balances in every year (Assets = Liabilities + Equity)
+          </div>
+        ) : (
+          <div className="p-3 bg-red-50 border border-red-200 rounded-md text-xs text-red-800 flex items-start gap-2">
+            <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+            <div>
+              <strong>Balance sheet does not tie</strong> in {balanceSheetCheck.unbalancedYears.join(', ')}.
+              {' '}Largest difference: {currencyFmtMM(balanceSheetCheck.maxImbalance, ccy)}
+            </div>
+          </div>
+        )}
+
+        {openingBalanceSheet.totalEquity < 0 && (
+          <div className="p-3 bg-amber-50 border border-amber-200 rounded-md text-xs text-amber-800 flex items-start gap-2">
+            <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+            <div>
+              Opening equity is the balancing item and is negative. Enter opening PPE and working
+              capital to reflect the assets funded by existing and new debt.
+            </div>
+          </div>
+        )}
+
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-xs">
+            <thead className="bg-slate-100">
+              <tr>
+                <th className="px-2 py-1 text-left font-medium">{ccy}</th>
+                {columns.map(c => (
+                  <th key={c.label} className="px-2 py-1 text-right font-medium">{c.label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {lines.map(line => line.section ? (
+                <tr key={line.section} className="bg-slate-50">
+                  <td colSpan={columns.length + 1} className="px-2 py-1 font-semibold text-slate-700">
+                    {line.section}
+                  </td>
+                </tr>
+              ) : (
+                <tr key={line.key} className={line.total ? 'border-t border-slate-300 font-semibold' : ''}>
+                  <td className="px-2 py-1">{line.label}</td>
+                  {columns.map(c => (
+                    <td key={c.label} className="px-2 py-1 text-right">
+                      {currencyFmtMM(c.values[line.key] || 0, ccy)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+              <tr className="border-t-2 border-slate-400">
+                <td className="px-2 py-1 font-semibold">Balance Check</td>
+                {columns.map(c => {
+                  const check = c.values.balanceCheck || 0;
+                  const ties = c.opening ? true : c.values.balances;
+                  return (
+                    <td
+                      key={c.label}
+                      className={`px-2 py-1 text-right font-semibold ${ties ? 'text-emerald-600' : 'text-red-600 bg-red-50'}`}
+                    >
+                      {ties ? '✓ 0' : currencyFmtMM(check, ccy)}
+                    </td>
+                  );
+                })}
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,61 @@
+// src/components/BaseRateCurveEditor.jsx
+import React from 'react';
+import { TrendingUp } from 'lucide-react';
+import { Input } from './Input';
+import { Label } from './Label';
+import { decimalToPercent, percentToDecimal } from '../utils/mathUtils';
+import { DEFAULT_BASE_RATE } from '../utils/floatingRate';
+
+const BASE_RATE_PRESETS = ['SOFR', 'BOJ Policy Rate', 'SONIA', 'EURIBOR', 'Prime'];
+
+export function BaseRateCurveEditor({ name, curve, startYear, years, onChange }) {
+  // Show one input per projection year; missing years hold the last value
+  const values = Array.from({ length: years || 0 }, (_, i) => {
+    if (!Array.isArray(curve) || curve.length === 0) return DEFAULT_BASE_RATE;
+    return curve[Math.min(i, curve.length - 1)];
+  });
+
+  const updateYear = (idx, value) => {
+    const next = [...values];
+    next[idx] = value;
+    onChange({ baseRateName: name, baseRateCurve: next });
+  };
+
+  return (
+    <div className="p-4 bg-sky-50 border-2 border-sky-200 rounded-lg space-y-3">
+      <div className="flex flex-col gap-2 sm:flex-row sm:items-center sm:justify-between">
+        <div className="flex items-center gap-2 text-sm font-semibold text-sky-900">
+          <TrendingUp className="w-4 h-4" />
+          Base-Rate Curve (floating tranches)
+        </div>
+        <select
+          value={name || 'SOFR'}
+          onChange={(e) => onChange({ baseRateName: e.target.value, baseRateCurve: values })}
+          className="h-8 text-xs border border-sky-300 rounded-md bg-white"
+        >
+          {BASE_RATE_PRESETS.map(preset => (
+            <option key={preset} value={preset}>{preset}</option>
+          ))}
+        </select>
+      </div>
+      <div className="grid grid-cols-3 sm:grid-cols-5 lg:grid-cols-10 gap-2">
+        {values.map((rate, idx) => (
+          <div key={idx} className="space-y-1">
+            <Label className="text-[10px] text-center">{startYear + idx}</Label>
+            <Input
+              type="number"
+              step="0.05"
+              value={decimalToPercent(rate).toFixed(2)}
+              onChange={(e) => updateYear(idx, percentToDecimal(Number(e.target.value)))}
+              className="h-8 text-xs text-center px-1"
+            />
+          </div>
+        ))}
+      </div>
+      <p className="text-[10px] text-sky-700">
+        Forward path in % per year. Floating tranches pay this rate (after any floor or cap) plus their margin;
+        interest-rate stress shifts this curve only.
+      </p>
+    </div>
+  );
+}
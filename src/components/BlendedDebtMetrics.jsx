@@ -3,6 +3,8 @@ import React from 'react';
 import { DollarSign, Percent, Calendar, TrendingUp, AlertTriangle } from 'lucide-react';
 import { currencyFmtMM } from '../utils/formatters';
 import { safeDivide, decimalToPercent } from '../utils/mathUtils';
+import { getTrancheRate } from '../utils/floatingRate';
+import { getFxSpot } from '../utils/fx';
 
 // Calculate Year 1 principal accounting for interest-only periods
 const calculateYear1Principal = (tranches) => {
@@ -12,8 +14,8 @@ const calculateYear1Principal = (tranches) => {
     const interestOnlyYears = t.interestOnlyYears || 0;
     const amortizationType = t.amortizationType || 'amortizing';
 
-    // No principal for bullet/IO structures in Year 1
-    if (amortizationType === 'bullet' || amortizationType === 'interest-only') {
+    // No principal for bullet/IO structures or revolvers in Year 1
+    if (amortizationType === 'bullet' || amortizationType === 'interest-only' || t.trancheType === 'revolver') {
       return sum;
     }
 
@@ -30,20 +32,24 @@ const calculateYear1Principal = (tranches) => {
   }, 0);
 };
 
-export function BlendedDebtMetrics({ tranches, ccy, startYear, projectionYears }) {
+export function BlendedDebtMetrics({ tranches, ccy, startYear, projectionYears, baseRates = {} }) {
   if (!tranches || tranches.length === 0) return null;
 
-  const totalDebt = tranches.reduce((sum, t) => sum + t.amount, 0);
+  // Floating tranches are priced off the first year of the base-rate curve;
+  // foreign-currency amounts are translated at spot for the totals
+  const year1Rate = (t) => getTrancheRate(t, baseRates, 0);
+  const reportingAmount = (t) => (t.amount || 0) * getFxSpot(baseRates, t.currency);
+  const totalDebt = tranches.reduce((sum, t) => sum + reportingAmount(t), 0);
   const weightedRate = safeDivide(
-    tranches.reduce((sum, t) => sum + (t.amount * t.rate), 0),
+    tranches.reduce((sum, t) => sum + (reportingAmount(t) * year1Rate(t)), 0),
     totalDebt,
     0
   );
 
   // Calculate estimated annual debt service (interest + amortization if applicable)
-  const totalInterest = tranches.reduce((s, t) => s + (t.amount || 0) * (t.rate || 0), 0);
+  const totalInterest = tranches.reduce((s, t) => s + reportingAmount(t) * year1Rate(t), 0);
   // Use the new function that accounts for interest-only periods
-  const totalYear1Principal = calculateYear1Principal(tranches);
+  const totalYear1Principal = calculateYear1Principal(tranches.map(t => ({ ...t, amount: reportingAmount(t) })));
   const totalDebtService = totalInterest + totalYear1Principal;
 
   const maturities = tranches.map((t) => new Date(t.maturityDate).getFullYear());
@@ -116,9 +122,9 @@ export function BlendedDebtMetrics({ tranches, ccy, startYear, projectionYears }
             {tranches.map((t) => (
               <tr key={t.id} className="border-b border-purple-200">
                 <td className="py-2 font-medium text-purple-900">{t.name}</td>
-                <td className="text-right text-purple-800">{currencyFmtMM(t.amount, ccy)}</td>
+                <td className="text-right text-purple-800">{currencyFmtMM(t.amount, t.currency || ccy)}</td>
                 <td className="text-right text-purple-700">
-                  {decimalToPercent(safeDivide(t.amount, totalDebt, 0)).toFixed(1)}%
+                  {decimalToPercent(safeDivide(reportingAmount(t), totalDebt, 0)).toFixed(1)}%
                 </td>
                 <td className="text-right text-purple-800">{decimalToPercent(t.rate).toFixed(2)}%</td>
                 <td className="text-right text-purple-700">
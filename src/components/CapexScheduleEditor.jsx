@@ -0,0 +1,193 @@
+// src/components/CapexScheduleEditor.jsx
+import React from 'react';
+import { Factory, Plus, Trash2 } from 'lucide-react';
+import { Button } from './Button';
+import { Input } from './Input';
+import { Label } from './Label';
+import { currencyFmtMM } from '../utils/formatters';
+import { valueForYear } from '../utils/mathUtils';
+import { DEPRECIATION_METHODS, createAssetClass, getOpeningPPE, getPlannedCapex } from '../utils/capexSchedule';
+
+export function CapexScheduleEditor({ params, ccy, onChange }) {
+  const enabled = Boolean(params.useCapexSchedule);
+  const assetClasses = params.assetClasses || [];
+  const years = params.years || 0;
+
+  // Opening PPE follows the asset classes so the balance sheet input stays consistent
+  const commit = (nextClasses, nextEnabled = enabled) => {
+    onChange({
+      useCapexSchedule: nextEnabled,
+      assetClasses: nextClasses,
+      ...(nextEnabled && nextClasses.length > 0 && {
+        openingPPE: getOpeningPPE({ useCapexSchedule: true, assetClasses: nextClasses })
+      })
+    });
+  };
+
+  const toggle = (on) => {
+    // Start from one class that carries the opening PPE and today's capex %
+    const life = Math.min(50, Math.max(1, Math.round(1 / (params.daPctOfPPE || 0.1))));
+    let revenue = params.baseRevenue || 0;
+    const seeded = on && assetClasses.length === 0
+      ? [createAssetClass({
+          name: 'Existing Asset Base',
+          usefulLife: life,
+          openingNBV: params.openingPPE || 0,
+          openingRemainingLife: life,
+          maintenanceCapex: Array.from({ length: years }, (_, i) => {
+            if (i > 0) revenue *= 1 + valueForYear(params.growth, i);
+            return Math.round(revenue * valueForYear(params.capexPct, i));
+          })
+        })]
+      : assetClasses;
+    commit(seeded, on);
+  };
+
+  const updateClass = (id, changes) => {
+    commit(assetClasses.map(c => (c.id === id ? { ...c, ...changes } : c)));
+  };
+
+  const updateCapex = (assetClass, field, idx, value) => {
+    const next = Array.from({ length: years }, (_, i) => getPlannedCapex(assetClass, i)[field === 'maintenanceCapex' ? 'maintenance' : 'growth']);
+    next[idx] = Math.max(0, Number(value) || 0);
+    updateClass(assetClass.id, { [field]: next });
+  };
+
+  const capexRow = (assetClass, field, label) => (
+    <tr>
+      <td className="p-1 font-medium text-slate-700 whitespace-nowrap">{label}</td>
+      {Array.from({ length: years }, (_, idx) => (
+        <td key={idx} className="p-1">
+          <Input
+            type="number"
+            value={Number(assetClass[field]?.[idx]) || 0}
+            onChange={(e) => updateCapex(assetClass, field, idx, e.target.value)}
+            className="h-8 text-xs text-center px-1 min-w-[5rem]"
+          />
+        </td>
+      ))}
+    </tr>
+  );
+
+  return (
+    <div className="p-4 bg-amber-50 border-2 border-amber-200 rounded-lg space-y-3">
+      <div className="flex flex-col gap-2 sm:flex-row sm:items-center sm:justify-between">
+        <label className="flex items-center gap-2 text-sm font-semibold text-amber-900 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={enabled}
+            onChange={(e) => toggle(e.target.checked)}
+            className="w-4 h-4"
+          />
+          <Factory className="w-4 h-4" />
+          Capex &amp; Depreciation by Asset Class
+        </label>
+        {enabled && (
+          <Button
+            onClick={() => commit([...assetClasses, createAssetClass({ name: `Asset Class ${assetClasses.length + 1}` })])}
+            className="text-xs px-3 py-1 bg-amber-600 hover:bg-amber-700 text-white rounded-md flex items-center justify-center gap-1 w-full sm:w-auto"
+          >
+            <Plus className="w-3 h-3" /> Add Asset Class
+          </Button>
+        )}
+      </div>
+
+      {enabled && assetClasses.map(assetClass => (
+        <div key={assetClass.id} className="p-3 bg-white border border-amber-200 rounded-md space-y-2">
+          <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-2 items-end">
+            <div className="space-y-1">
+              <Label className="text-[10px]">Asset Class</Label>
+              <Input
+                value={assetClass.name || ''}
+                onChange={(e) => updateClass(assetClass.id, { name: e.target.value })}
+                className="h-8 text-xs"
+              />
+            </div>
+            <div className="space-y-1">
+              <Label className="text-[10px]">Useful Life (years)</Label>
+              <Input
+                type="number"
+                min={1}
+                value={assetClass.usefulLife || 1}
+                onChange={(e) => updateClass(assetClass.id, { usefulLife: Math.max(1, Math.round(Number(e.target.value))) })}
+                className="h-8 text-xs"
+              />
+            </div>
+            <div className="space-y-1">
+              <Label className="text-[10px]">Method</Label>
+              <select
+                value={assetClass.method || 'straightLine'}
+                onChange={(e) => updateClass(assetClass.id, { method: e.target.value })}
+                className="w-full h-8 text-xs border border-slate-300 rounded-md"
+              >
+                {Object.entries(DEPRECIATION_METHODS).map(([key, { label }]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="space-y-1">
+              <Label className="text-[10px]">Opening Net Book Value ({ccy})</Label>
+              <Input
+                type="number"
+                value={assetClass.openingNBV || 0}
+                onChange={(e) => updateClass(assetClass.id, { openingNBV: Math.max(0, Number(e.target.value)) })}
+                className="h-8 text-xs"
+              />
+            </div>
+            <div className="space-y-1">
+              <Label className="text-[10px]">Remaining Life (years)</Label>
+              <Input
+                type="number"
+                min={1}
+                value={assetClass.openingRemainingLife || 1}
+                onChange={(e) => updateClass(assetClass.id, { openingRemainingLife: Math.max(1, Math.round(Number(e.target.value))) })}
+                className="h-8 text-xs"
+              />
+            </div>
+            <div className="flex items-end justify-end">
+              <button
+                onClick={() => commit(assetClasses.filter(c => c.id !== assetClass.id))}
+                className="h-8 px-2 text-red-600 hover:bg-red-50 rounded-md"
+                title="Remove asset class"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="border-b border-amber-200">
+                  <th className="p-1 text-left font-semibold text-amber-900">Capex ({ccy})</th>
+                  {Array.from({ length: years }, (_, idx) => (
+                    <th key={idx} className="p-1 text-center font-semibold text-amber-900">{params.startYear + idx}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {capexRow(assetClass, 'maintenanceCapex', 'Maintenance')}
+                {capexRow(assetClass, 'growthCapex', 'Growth')}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      ))}
+
+      {enabled && assetClasses.length > 0 && (
+        <div className="flex flex-wrap gap-4 text-xs text-amber-900">
+          <span>Opening PPE: <strong>{currencyFmtMM(getOpeningPPE(params), ccy)}</strong></span>
+          <span>
+            Planned Capex: <strong>{currencyFmtMM(assetClasses.reduce((sum, c) =>
+              sum + Array.from({ length: years }, (_, i) => getPlannedCapex(c, i)).reduce((s, p) => s + p.maintenance + p.growth, 0), 0), ccy)}</strong>
+          </span>
+        </div>
+      )}
+
+      <p className="text-[10px] text-amber-700">
+        {enabled
+          ? 'Asset classes replace CAPEX % (including its year-by-year values), Depreciation % of PPE and Opening PPE. Opening book value runs off over the remaining life; each year\'s capex is depreciated over the useful life from the year it is spent. Capex stress shocks change growth capex only.'
+          : 'Capital-intensive borrowers can enter maintenance and growth capex per year by asset class, each with its own useful life and depreciation method, so depreciation, tax and EBIT-based ICR follow the actual asset base.'}
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,256 @@
+// src/components/CashWaterfall.jsx
+import React, { useMemo } from 'react';
+import { Layers, ChevronUp, ChevronDown, RotateCcw, AlertTriangle, CheckCircle } from 'lucide-react';
+import { Card, CardHeader, CardTitle, CardContent } from './Card';
+import { Button } from './Button';
+import { currencyFmtMM } from '../utils/formatters';
+import {
+  WATERFALL_TIERS,
+  DEFAULT_WATERFALL_ORDER,
+  getWaterfallOrder,
+  moveWaterfallTier,
+  buildCashWaterfall
+} from '../utils/cashWaterfall';
+
+const INFLOW_LINES = [
+  { key: 'revenue', label: 'Revenue' },
+  { key: 'revolverDraws', label: 'Revolver Draws' },
+  { key: 'reserveDraws', label: 'Reserve Draws & Releases' },
+  { key: 'other', label: 'Other Receipts (WC release, hedge receipts)' }
+];
+
+export function CashWaterfall({ projection, order: requestedOrder, onOrderChange, ccy }) {
+  const order = getWaterfallOrder({ waterfallOrder: requestedOrder });
+  const orderKey = order.join(',');
+  const waterfall = useMemo(() => buildCashWaterfall(projection, orderKey.split(',')), [projection, orderKey]);
+
+  if (!projection?.rows?.length) return null;
+
+  const { years, tranches, firstShortfall } = waterfall;
+  const inflowLines = INFLOW_LINES.filter(line => years.some(y => Math.abs(y.inflows[line.key]) > 0));
+  const tiers = order.map((key, index) => ({
+    key,
+    index,
+    ...WATERFALL_TIERS[key],
+    used: years.some(y => y.tiers[index].due > 0)
+  }));
+  const isDefaultOrder = orderKey === DEFAULT_WATERFALL_ORDER.join(',');
+  const fmt = (value) => currencyFmtMM(value || 0, ccy);
+
+  return (
+    <Card className="border-l-4 border-l-indigo-600 shadow-sm">
+      <CardHeader className="bg-gradient-to-r from-indigo-50 to-slate-50 border-b">
+        <CardTitle className="flex items-center gap-2">
+          <Layers className="w-5 h-5 text-indigo-600" />
+          Cash Flow Waterfall
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="pt-6 space-y-6">
+        {firstShortfall ? (
+          <div className="p-3 bg-red-50 border border-red-200 rounded-md text-xs text-red-800 flex items-start gap-2">
+            <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+            <div>
+              <strong>Cash runs short first at {firstShortfall.label}</strong> in {firstShortfall.year}
+              {' '}({fmt(firstShortfall.amount)} unpaid). Every tier below it goes unpaid in that year.
+            </div>
+          </div>
+        ) : (
+          <div className="p-3 bg-emerald-50 border border-emerald-200 rounded-md text-xs text-emerald-800 flex items-center gap-2">
+            <CheckCircle className="w-4 h-4" />
+            Every tier is paid in full in every year
+          </div>
+        )}
+
+        <div className="p-4 bg-indigo-50 border-2 border-indigo-200 rounded-lg space-y-3">
+          <div className="flex flex-col gap-2 sm:flex-row sm:items-center sm:justify-between">
+            <div className="text-sm font-semibold text-indigo-900">Priority of Payments</div>
+            <Button
+              onClick={() => onOrderChange([...DEFAULT_WATERFALL_ORDER])}
+              disabled={isDefaultOrder}
+              className="text-xs px-3 py-1 bg-white border border-indigo-300 text-indigo-700 hover:bg-indigo-100 rounded-md flex items-center justify-center gap-1 w-full sm:w-auto disabled:opacity-50"
+            >
+              <RotateCcw className="w-3 h-3" /> Reset Order
+            </Button>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+            {tiers.map(tier => (
+              <div
+                key={tier.key}
+                className={`flex items-center gap-2 p-2 bg-white border border-indigo-200 rounded-md ${tier.used ? '' : 'opacity-60'}`}
+              >
+                <span className="w-6 h-6 flex items-center justify-center rounded-full bg-indigo-600 text-white text-[10px] font-semibold flex-shrink-0">
+                  {tier.index + 1}
+                </span>
+                <div className="flex-1 min-w-0">
+                  <div className="text-xs font-semibold text-slate-800">{tier.label}</div>
+                  <div className="text-[10px] text-slate-500 truncate">{tier.description}</div>
+                </div>
+                <button
+                  onClick={() => onOrderChange(moveWaterfallTier(order, tier.key, -1))}
+                  disabled={tier.index === 0}
+                  className="h-7 px-1 text-indigo-700 hover:bg-indigo-50 rounded-md disabled:opacity-30"
+                  title="Pay earlier"
+                >
+                  <ChevronUp className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => onOrderChange(moveWaterfallTier(order, tier.key, 1))}
+                  disabled={tier.index === order.length - 1}
+                  className="h-7 px-1 text-indigo-700 hover:bg-indigo-50 rounded-md disabled:opacity-30"
+                  title="Pay later"
+                >
+                  <ChevronDown className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+          <p className="text-[10px] text-indigo-700">
+            Each year&apos;s cash is paid down the tiers in this order, and each tier is paid only from what the tiers
+            above leave over. The projection itself pays every obligation and records any gap as negative cash. This view
+            shows which tier would go unpaid first. Subordinated and mezzanine tranches are junior debt; all other
+            tranches and revolvers are senior.
+          </p>
+        </div>
+
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-xs">
+            <thead className="bg-slate-100">
+              <tr>
+                <th className="px-2 py-1 text-left font-medium">{ccy}</th>
+                {years.map(y => (
+                  <th key={y.year} className="px-2 py-1 text-right font-medium">{y.year}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              <tr>
+                <td className="px-2 py-1">Opening Cash</td>
+                {years.map(y => (
+                  <td key={y.year} className={`px-2 py-1 text-right ${y.openingCash < 0 ? 'text-red-600' : ''}`}>
+                    {fmt(y.openingCash)}
+                  </td>
+                ))}
+              </tr>
+              {inflowLines.map(line => (
+                <tr key={line.key}>
+                  <td className="px-2 py-1">+ {line.label}</td>
+                  {years.map(y => (
+                    <td key={y.year} className="px-2 py-1 text-right">{fmt(y.inflows[line.key])}</td>
+                  ))}
+                </tr>
+              ))}
+              <tr className="border-t border-slate-300 font-semibold">
+                <td className="px-2 py-1">Cash Available</td>
+                {years.map(y => (
+                  <td key={y.year} className="px-2 py-1 text-right">{fmt(y.cashAvailable)}</td>
+                ))}
+              </tr>
+
+              {tiers.filter(tier => tier.used).map(tier => (
+                <React.Fragment key={tier.key}>
+                  <tr className="bg-slate-50">
+                    <td colSpan={years.length + 1} className="px-2 py-1 font-semibold text-slate-700">
+                      {tier.index + 1}. {tier.label}
+                    </td>
+                  </tr>
+                  <tr>
+                    <td className="px-2 py-1 pl-4 text-slate-500">Cash available</td>
+                    {years.map(y => (
+                      <td key={y.year} className="px-2 py-1 text-right text-slate-500">{fmt(y.tiers[tier.index].available)}</td>
+                    ))}
+                  </tr>
+                  <tr>
+                    <td className="px-2 py-1 pl-4">Paid</td>
+                    {years.map(y => {
+                      const t = y.tiers[tier.index];
+                      const short = t.shortfall > 1e-6;
+                      return (
+                        <td
+                          key={y.year}
+                          className={`px-2 py-1 text-right ${short ? 'text-red-600 bg-red-50 font-semibold' : ''}`}
+                          title={short ? `Due ${fmt(t.due)}, unpaid ${fmt(t.shortfall)}` : undefined}
+                        >
+                          {fmt(t.paid)}
+                          {short && <div className="text-[10px] font-normal">short {fmt(t.shortfall)}</div>}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                </React.Fragment>
+              ))}
+
+              <tr className="border-t-2 border-slate-400 font-semibold">
+                <td className="px-2 py-1">Residual Cash</td>
+                {years.map(y => (
+                  <td key={y.year} className="px-2 py-1 text-right">{fmt(y.closingCash)}</td>
+                ))}
+              </tr>
+              <tr>
+                <td className="px-2 py-1 text-slate-500">Model Closing Cash</td>
+                {years.map(y => (
+                  <td key={y.year} className={`px-2 py-1 text-right ${y.modelClosingCash < 0 ? 'text-red-600' : 'text-slate-500'}`}>
+                    {fmt(y.modelClosingCash)}
+                  </td>
+                ))}
+              </tr>
+            </tbody>
+          </table>
+        </div>
+
+        {tranches.length > 0 && (
+          <div className="space-y-2">
+            <div className="text-sm font-semibold text-slate-800">Debt Service by Tranche</div>
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-xs">
+                <thead className="bg-slate-100">
+                  <tr>
+                    <th className="px-2 py-1 text-left font-medium">Tranche</th>
+                    <th className="px-2 py-1 text-left font-medium">Seniority</th>
+                    {years.map(y => (
+                      <th key={y.year} className="px-2 py-1 text-right font-medium">{y.year}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {tranches.map(tranche => (
+                    <tr key={tranche.key} className="border-t border-slate-200">
+                      <td className="px-2 py-1 font-medium">{tranche.name}</td>
+                      <td className="px-2 py-1">
+                        <span className={`px-2 py-0.5 rounded-full text-[10px] font-semibold ${
+                          tranche.rank === 'junior' ? 'bg-amber-100 text-amber-800' : 'bg-indigo-100 text-indigo-800'
+                        }`}>
+                          {tranche.seniority}
+                        </span>
+                      </td>
+                      {tranche.years.map((year, idx) => {
+                        if (!year || year.due <= 0) {
+                          return <td key={years[idx].year} className="px-2 py-1 text-right text-slate-400">—</td>;
+                        }
+                        const short = year.shortfall > 1e-6;
+                        return (
+                          <td key={years[idx].year} className={`px-2 py-1 text-right ${short ? 'text-red-600 bg-red-50' : ''}`}>
+                            {fmt(year.paid)}
+                            <div className="text-[10px] text-slate-500">
+                              {(year.coverage * 100).toFixed(0)}% of {fmt(year.due)}
+                            </div>
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        <p className="text-[10px] text-slate-500">
+          Each year starts from the model&apos;s opening cash, or nil where earlier shortfalls left it negative, so a
+          year&apos;s shortfall is the new gap arising in that year. Residual cash equals model closing cash whenever every
+          tier is paid and opening cash is positive. Tranche debt service includes interest, hedge settlements, scheduled
+          principal and sweep prepayments.
+        </p>
+      </CardContent>
+    </Card>
+  );
+}
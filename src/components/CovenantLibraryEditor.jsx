@@ -0,0 +1,227 @@
+// src/components/CovenantLibraryEditor.jsx
+import React, { useState } from 'react';
+import { Scale, Plus, Trash2, X } from 'lucide-react';
+import { Button } from './Button';
+import { Input } from './Input';
+import { Label } from './Label';
+import {
+  COVENANT_DIRECTIONS,
+  COVENANT_FREQUENCIES,
+  COVENANT_UNITS,
+  COVENANT_FIELDS,
+  COVENANT_PRESETS,
+  createCovenant,
+  getCovenantLibrary,
+  getBaseThreshold,
+  parseCovenantFormula,
+  formatCovenantValue
+} from '../utils/covenants';
+
+const FIELD_GROUPS = [...new Set(COVENANT_FIELDS.map(f => f.group))];
+
+export function CovenantLibraryEditor({ params, ccy, onChange }) {
+  const covenants = getCovenantLibrary(params);
+  const [preset, setPreset] = useState('fccr');
+
+  const updateCovenant = (id, changes) => {
+    onChange({ covenants: covenants.map(c => (c.id === id ? { ...c, ...changes } : c)) });
+  };
+
+  const updateStepDown = (covenant, index, changes) => {
+    updateCovenant(covenant.id, {
+      stepDowns: covenant.stepDowns.map((step, i) => (i === index ? { ...step, ...changes } : step))
+    });
+  };
+
+  const addStepDown = (covenant) => {
+    const steps = covenant.stepDowns || [];
+    const lastYear = steps.length > 0 ? Math.max(...steps.map(s => Number(s.year))) : (params.startYear || new Date().getFullYear());
+    const lastThreshold = steps.length > 0 ? steps[steps.length - 1].threshold : getBaseThreshold(covenant, params);
+    updateCovenant(covenant.id, { stepDowns: [...steps, { year: lastYear + 1, threshold: lastThreshold }] });
+  };
+
+  const selectField = (covenant, field, options, disabled = false) => (
+    <select
+      value={covenant[field] || Object.keys(options)[0]}
+      onChange={(e) => updateCovenant(covenant.id, { [field]: e.target.value })}
+      disabled={disabled}
+      className="w-full h-8 text-xs border border-slate-300 rounded-md bg-white disabled:bg-slate-100"
+    >
+      {Object.entries(options).map(([key, { label }]) => (
+        <option key={key} value={key}>{label}</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="p-4 bg-violet-50 border-2 border-violet-200 rounded-lg space-y-3">
+      <div className="flex flex-col gap-2 sm:flex-row sm:items-center sm:justify-between">
+        <div className="flex items-center gap-2 text-sm font-semibold text-violet-900">
+          <Scale className="w-4 h-4" />
+          Covenant Library
+        </div>
+        <div className="flex flex-col gap-2 sm:flex-row">
+          <select
+            value={preset}
+            onChange={(e) => setPreset(e.target.value)}
+            className="h-8 text-xs border border-slate-300 rounded-md bg-white"
+          >
+            {Object.entries(COVENANT_PRESETS).map(([key, { name }]) => (
+              <option key={key} value={key}>{name}</option>
+            ))}
+          </select>
+          <Button
+            onClick={() => onChange({ covenants: [...covenants, createCovenant(preset)] })}
+            className="text-xs px-3 py-1 bg-violet-600 hover:bg-violet-700 text-white rounded-md flex items-center justify-center gap-1 w-full sm:w-auto"
+          >
+            <Plus className="w-3 h-3" /> Add Covenant
+          </Button>
+        </div>
+      </div>
+
+      {covenants.map(covenant => {
+        const standard = Boolean(covenant.thresholdParam);
+        const parsed = parseCovenantFormula(covenant.formula);
+        const unit = covenant.unit || 'x';
+        return (
+          <div
+            key={covenant.id}
+            className={`p-3 bg-white border border-violet-200 rounded-md space-y-2 ${covenant.enabled === false ? 'opacity-60' : ''}`}
+          >
+            <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-8 gap-2 items-end">
+              <div className="space-y-1">
+                <Label className="text-[10px]">Covenant</Label>
+                <Input
+                  value={covenant.name || ''}
+                  onChange={(e) => updateCovenant(covenant.id, { name: e.target.value })}
+                  className="h-8 text-xs"
+                />
+              </div>
+              <div className="space-y-1 col-span-2 lg:col-span-3">
+                <Label className="text-[10px]">Formula</Label>
+                <Input
+                  value={covenant.formula || ''}
+                  onChange={(e) => updateCovenant(covenant.id, { formula: e.target.value })}
+                  disabled={standard}
+                  className={`h-8 text-xs font-mono ${parsed.valid ? '' : 'border-red-400'}`}
+                />
+              </div>
+              <div className="space-y-1">
+                <Label className="text-[10px]">Test</Label>
+                {selectField(covenant, 'direction', COVENANT_DIRECTIONS, standard)}
+              </div>
+              <div className="space-y-1">
+                <Label className="text-[10px]">Threshold</Label>
+                {standard ? (
+                  <div className="h-8 flex items-center text-xs text-slate-600" title="Set in the covenant fields above">
+                    {getBaseThreshold(covenant, params) > 0
+                      ? formatCovenantValue(getBaseThreshold(covenant, params), unit, ccy)
+                      : 'Not tested'}
+                  </div>
+                ) : (
+                  <Input
+                    type="number"
+                    step="0.05"
+                    value={covenant.threshold ?? ''}
+                    placeholder="Not tested"
+                    onChange={(e) => updateCovenant(covenant.id, { threshold: e.target.value === '' ? null : Number(e.target.value) })}
+                    className="h-8 text-xs"
+                  />
+                )}
+              </div>
+              <div className="space-y-1">
+                <Label className="text-[10px]">Unit</Label>
+                {selectField(covenant, 'unit', COVENANT_UNITS, standard)}
+              </div>
+              <div className="space-y-1">
+                <Label className="text-[10px]">Frequency</Label>
+                {selectField(covenant, 'frequency', COVENANT_FREQUENCIES)}
+              </div>
+            </div>
+
+            {!parsed.valid && (
+              <div className="text-[10px] text-red-600">{parsed.error}</div>
+            )}
+
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="text-[10px] text-slate-500">Step-downs:</span>
+              {(covenant.stepDowns || []).map((step, index) => (
+                <div key={index} className="flex items-center gap-1 px-1 py-0.5 bg-violet-50 border border-violet-200 rounded-md">
+                  <span className="text-[10px] text-slate-500">from</span>
+                  <Input
+                    type="number"
+                    value={step.year}
+                    onChange={(e) => updateStepDown(covenant, index, { year: Math.round(Number(e.target.value)) })}
+                    className="h-6 w-16 text-[10px]"
+                  />
+                  <Input
+                    type="number"
+                    step="0.05"
+                    value={step.threshold}
+                    onChange={(e) => updateStepDown(covenant, index, { threshold: Number(e.target.value) })}
+                    className="h-6 w-20 text-[10px]"
+                  />
+                  <button
+                    onClick={() => updateCovenant(covenant.id, { stepDowns: covenant.stepDowns.filter((_, i) => i !== index) })}
+                    className="text-slate-400 hover:text-red-600"
+                    title="Remove step-down"
+                  >
+                    <X className="w-3 h-3" />
+                  </button>
+                </div>
+              ))}
+              <button
+                onClick={() => addStepDown(covenant)}
+                className="text-[10px] px-2 py-0.5 text-violet-700 hover:bg-violet-100 rounded-md flex items-center gap-1"
+              >
+                <Plus className="w-3 h-3" /> Step
+              </button>
+              <div className="ml-auto flex items-center gap-2">
+                <label className="flex items-center gap-1 text-[10px] text-slate-600">
+                  <input
+                    type="checkbox"
+                    checked={covenant.enabled !== false}
+                    onChange={(e) => updateCovenant(covenant.id, { enabled: e.target.checked })}
+                  />
+                  Tested
+                </label>
+                {!standard && (
+                  <button
+                    onClick={() => onChange({ covenants: covenants.filter(c => c.id !== covenant.id) })}
+                    className="h-7 px-2 text-red-600 hover:bg-red-50 rounded-md"
+                    title="Remove covenant"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            </div>
+          </div>
+        );
+      })}
+
+      <details className="text-[10px] text-violet-800">
+        <summary className="cursor-pointer font-semibold">Formula fields</summary>
+        <div className="mt-2 grid grid-cols-1 md:grid-cols-3 gap-2">
+          {FIELD_GROUPS.map(group => (
+            <div key={group}>
+              <div className="font-semibold">{group}</div>
+              {COVENANT_FIELDS.filter(f => f.group === group).map(f => (
+                <div key={f.key}><span className="font-mono">{f.key}</span> – {f.label}</div>
+              ))}
+            </div>
+          ))}
+        </div>
+      </details>
+
+      <p className="text-[10px] text-violet-700">
+        Every breach count, warning and report runs off this library. Formulas combine row fields with + - * / and
+        brackets, plus min(), max() and abs(). A step-down replaces the threshold from its year onward. Semi-annual and
+        quarterly covenants are tested on trailing twelve months at each test date when the projection runs quarterly
+        or monthly, and on year-end figures otherwise. The DSCR, ICR and leverage thresholds come from the covenant
+        fields above, where 0 means not tested; other covenants are tested once a threshold is entered. A positive
+        amount divided by zero counts as unbounded.
+      </p>
+    </div>
+  );
+}
@@ -17,6 +17,8 @@ import {
 } from '../utils/debtCalculationService';
 // Import hook for memoized debt calculations
 import { useDebtCalculations } from '../hooks/useDebtCalculations';
+import { SENIORITY_CLASSES, hasSeniorCovenants } from '../utils/trancheMetrics';
+import { COVENANT_DIRECTIONS, COVENANT_FREQUENCIES, formatCovenantValue } from '../utils/covenants';
 
 import {
   CheckCircle,
@@ -230,6 +232,8 @@ function getCreditStats(projections, baseProj) {
       minLeverage: projections.creditStats.minLeverage || 0,
       maxLeverage: projections.creditStats.maxLeverage || 0,
       avgLeverage: projections.creditStats.avgLeverage || 0,
+      minSeniorDSCR: projections.creditStats.minSeniorDSCR || 0,
+      maxSeniorLeverage: projections.creditStats.maxSeniorLeverage || 0,
       source: 'From Projection'
     };
   }
@@ -241,6 +245,7 @@ function getCreditStats(projections, baseProj) {
       minDSCR: 0, maxDSCR: 0, avgDSCR: 0,
       minICR: 0, maxICR: 0, avgICR: 0,
       minLeverage: 0, maxLeverage: 0, avgLeverage: 0,
+      minSeniorDSCR: 0, maxSeniorLeverage: 0,
       source: 'No Data'
     };
   }
@@ -248,6 +253,8 @@ function getCreditStats(projections, baseProj) {
   const dscrValues = rows.map(r => safe(r.dscr)).filter(v => v > 0 && v < 999);
   const icrValues = rows.map(r => safe(r.icr)).filter(v => v > 0 && v < 999);
   const levValues = rows.map(r => safe(r.ndToEbitda)).filter(v => v > 0);
+  const seniorDscrValues = rows.map(r => safe(r.seniorDSCR)).filter(v => v > 0 && v < 99);
+  const seniorLevValues = rows.map(r => safe(r.seniorNDToEBITDA)).filter(v => v > 0);
 
   return {
     minDSCR: dscrValues.length ? Math.min(...dscrValues) : 0,
@@ -259,25 +266,45 @@ function getCreditStats(projections, baseProj) {
     minLeverage: levValues.length ? Math.min(...levValues) : 0,
     maxLeverage: levValues.length ? Math.max(...levValues) : 0,
     avgLeverage: levValues.length ? levValues.reduce((a, b) => a + b, 0) / levValues.length : 0,
+    minSeniorDSCR: seniorDscrValues.length ? Math.min(...seniorDscrValues) : 0,
+    maxSeniorLeverage: seniorLevValues.length ? Math.max(...seniorLevValues) : 0,
     source: 'Calculated from Rows'
   };
 }
 
+// Sanity check codes of the standard covenants
+const COVENANT_CHECK_CODES = {
+  dscr: 'DSCR_BREACH',
+  icr: 'ICR_BREACH',
+  leverage: 'LEVERAGE_BREACH',
+  seniorDscr: 'SENIOR_DSCR_BREACH',
+  seniorLeverage: 'SENIOR_LEVERAGE_BREACH'
+};
+
 /**
  * Run credit sanity checks and return warnings/errors
  */
-function runCreditSanityChecks(creditStats, debtInfo, params) {
+function runCreditSanityChecks(creditStats, debtInfo, params, covenantResults, ccy, rows = []) {
   const checks = [];
 
-  // Check 1: DSCR below minimum
-  if (creditStats.minDSCR > 0 && creditStats.minDSCR < safe(params?.minDSCR, 1.2)) {
+  // Check 1: Covenant library - every covenant (standard or custom) failing a test
+  const breached = (covenantResults || []).filter(c => c.breachYears.length > 0);
+  breached.forEach(covenant => {
+    const first = covenant.breaches[0];
+    const isMax = covenant.direction === 'max';
     checks.push({
       type: 'critical',
-      code: 'DSCR_BREACH',
-      title: 'DSCR Covenant Breach',
-      message: `Minimum DSCR of ${creditStats.minDSCR.toFixed(2)}x is below the ${safe(params?.minDSCR, 1.2).toFixed(2)}x covenant.`
+      code: COVENANT_CHECK_CODES[covenant.id] || 'COVENANT_BREACH',
+      title: `${covenant.name} Covenant Breach`,
+      message: `${covenant.name} of ${formatCovenantValue(first.value, covenant.unit, ccy)} in ${first.label} is ` +
+        `${isMax ? 'above' : 'below'} the ${formatCovenantValue(first.threshold, covenant.unit, ccy)} ` +
+        `${isMax ? 'limit' : 'covenant'} (${covenant.breachYears.length} year(s) in breach).`
     });
-  } else if (creditStats.minDSCR > 0 && creditStats.minDSCR < safe(params?.minDSCR, 1.2) * 1.1) {
+  });
+
+  // Check 2: DSCR close to its covenant
+  const minDSCRCovenant = safe(params?.minDSCR, 1.2);
+  if (!breached.some(c => c.id === 'dscr') && creditStats.minDSCR > 0 && creditStats.minDSCR < minDSCRCovenant * 1.1) {
     checks.push({
       type: 'warning',
       code: 'DSCR_TIGHT',
@@ -286,23 +313,15 @@ function runCreditSanityChecks(creditStats, debtInfo, params) {
     });
   }
 
-  // Check 2: ICR below target
-  if (creditStats.minICR > 0 && creditStats.minICR < safe(params?.targetICR, 2.0)) {
+  // Check 3: Revolver left outstanding at maturity because cash could not repay it
+  const shortfallRow = rows.find(r => (r.revolverMaturityShortfall || 0) > 0);
+  if (shortfallRow) {
     checks.push({
       type: 'critical',
-      code: 'ICR_BREACH',
-      title: 'ICR Covenant Breach',
-      message: `Minimum ICR of ${creditStats.minICR.toFixed(2)}x is below the ${safe(params?.targetICR, 2.0).toFixed(2)}x target.`
-    });
-  }
-
-  // Check 3: Leverage above maximum
-  if (creditStats.maxLeverage > safe(params?.maxNDToEBITDA, 3.5)) {
-    checks.push({
-      type: 'critical',
-      code: 'LEVERAGE_BREACH',
-      title: 'Leverage Covenant Breach',
-      message: `Maximum leverage of ${creditStats.maxLeverage.toFixed(2)}x exceeds the ${safe(params?.maxNDToEBITDA, 3.5).toFixed(2)}x limit.`
+      code: 'REVOLVER_REFINANCING_GAP',
+      title: 'Revolver Refinancing Gap',
+      message: `Cash cannot repay the revolver at maturity: ${currencyFmtMM(shortfallRow.revolverMaturityShortfall, ccy)} ` +
+        `remains outstanding in ${shortfallRow.year} and must be refinanced or funded.`
     });
   }
 
@@ -420,7 +439,7 @@ function buildRationale(params, proj, hasAnyDebt, creditStats) {
   return { bullets, summary: { minDSCR, minICR, maxLeverage, ebitdaCAGR } };
 }
 
-function buildCovenants(params, proj, hasAnyDebt, creditStats) {
+function buildCovenants(params, proj, hasAnyDebt, creditStats, ccy) {
   if (!hasAnyDebt) {
     return ["Covenant package will be established upon facility disbursement."];
   }
@@ -453,6 +472,20 @@ function buildCovenants(params, proj, hasAnyDebt, creditStats) {
   covs.push(
     `Interest Coverage Ratio ≥ ${numFmt(safe(params.targetICR, 2.0))}x (tested quarterly).`
   );
+  if (safe(params.minSeniorDSCR, 0) > 0) {
+    covs.push(`Senior DSCR ≥ ${numFmt(params.minSeniorDSCR)}x (senior debt service only).`);
+  }
+  if (safe(params.maxSeniorNDToEBITDA, 0) > 0) {
+    covs.push(`Senior Net Debt/EBITDA ≤ ${numFmt(params.maxSeniorNDToEBITDA)}x.`);
+  }
+  (proj?.breaches?.covenants || []).filter(c => !c.standard && c.active).forEach(c => {
+    const first = c.tests[0];
+    const steps = c.tests.some(t => t.threshold !== first.threshold) ? ', with step-downs' : '';
+    covs.push(
+      `${c.name} ${COVENANT_DIRECTIONS[c.direction].symbol} ${formatCovenantValue(first.threshold, c.unit, ccy)} ` +
+      `(${c.formula}; tested ${COVENANT_FREQUENCIES[c.frequency].label.toLowerCase()}${steps}).`
+    );
+  });
 
   if (maxLev > safe(params.maxNDToEBITDA, 3.5) - 0.3) {
     covs.push("Capital Expenditure limit subject to lender consent.");
@@ -724,8 +757,8 @@ export function CreditDashboard({ params, projections, ccy = "JMD" }) {
   // Sanity Checks
   // =========================================================================
   const sanityChecks = useMemo(() =>
-    runCreditSanityChecks(creditStats, debtInfo, params),
-    [creditStats, debtInfo, params]
+    runCreditSanityChecks(creditStats, debtInfo, params, baseProj?.breaches?.covenants, ccy, baseProj?.rows),
+    [creditStats, debtInfo, params, baseProj, ccy]
   );
 
   // Check if there's a new facility configured
@@ -775,7 +808,24 @@ export function CreditDashboard({ params, projections, ccy = "JMD" }) {
   };
 
   const rationale = buildRationale(params, baseProj, hasAnyDebt, creditStats);
-  const covenants = buildCovenants(params, baseProj, hasAnyDebt, creditStats);
+  const covenants = buildCovenants(params, baseProj, hasAnyDebt, creditStats, ccy);
+
+  // Coverage through each seniority class (see trancheMetrics.js)
+  const seniorityCoverage = SENIORITY_CLASSES.map(c => {
+    const years = baseProj.rows.map(r => (r.trancheCoverage || []).find(tc => tc.key === c.key)).filter(Boolean);
+    if (!years.length) return null;
+    const dscrs = years.map(y => y.cumulativeDSCR).filter(v => v !== null);
+    const detachments = years.map(y => y.detachment).filter(v => v !== null);
+    return {
+      ...c,
+      debt: years[0].debt,
+      attachment: years[0].attachment,
+      detachment: years[0].detachment,
+      minDSCR: dscrs.length ? Math.min(...dscrs) : null,
+      maxDetachment: detachments.length ? Math.max(...detachments) : null
+    };
+  }).filter(Boolean);
+  const showSeniorMetrics = seniorityCoverage.some(c => !c.senior) || hasSeniorCovenants(params);
   const chartData = buildChartData(baseProj);
 
   // CRITICAL FIX #4: Radar data uses correct debt figures
@@ -1454,6 +1504,84 @@ export function CreditDashboard({ params, projections, ccy = "JMD" }) {
         </Card>
       )}
 
+      {/* Senior vs Total Coverage */}
+      {showSeniorMetrics && (
+        <Card className="border-l-4 border-l-emerald-600 shadow-sm">
+          <CardHeader className="bg-gradient-to-r from-emerald-50 to-teal-50 border-b">
+            <CardTitle className="flex items-center gap-2">
+              <Shield className="w-5 h-5 text-emerald-600" />
+              Coverage by Seniority
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="pt-6">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+              <div className="p-4 bg-emerald-50 rounded-lg border border-emerald-200">
+                <div className="text-xs text-emerald-700 font-semibold mb-1">Min Senior DSCR</div>
+                <div className={`text-lg sm:text-xl md:text-2xl font-bold ${
+                  safe(params.minSeniorDSCR, 0) > 0 && creditStats.minSeniorDSCR < params.minSeniorDSCR ? 'text-red-700' : 'text-emerald-900'
+                }`}>
+                  {numFmt(creditStats.minSeniorDSCR)}x
+                </div>
+                <div className="text-xs text-slate-600 mt-1">
+                  Total: {numFmt(creditStats.minDSCR)}x
+                  {safe(params.minSeniorDSCR, 0) > 0 && ` • Covenant ≥${numFmt(params.minSeniorDSCR)}x`}
+                </div>
+              </div>
+              <div className="p-4 bg-amber-50 rounded-lg border border-amber-200">
+                <div className="text-xs text-amber-700 font-semibold mb-1">Max Senior Net Debt / EBITDA</div>
+                <div className={`text-lg sm:text-xl md:text-2xl font-bold ${
+                  safe(params.maxSeniorNDToEBITDA, 0) > 0 && creditStats.maxSeniorLeverage > params.maxSeniorNDToEBITDA ? 'text-red-700' : 'text-amber-900'
+                }`}>
+                  {numFmt(creditStats.maxSeniorLeverage)}x
+                </div>
+                <div className="text-xs text-slate-600 mt-1">
+                  Total: {numFmt(creditStats.maxLeverage)}x
+                  {safe(params.maxSeniorNDToEBITDA, 0) > 0 && ` • Covenant ≤${numFmt(params.maxSeniorNDToEBITDA)}x`}
+                </div>
+              </div>
+            </div>
+
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="bg-slate-50 border-b-2 border-slate-200">
+                  <tr>
+                    <th className="text-left p-3 font-semibold text-slate-700">Through Class</th>
+                    <th className="text-right p-3 font-semibold text-slate-700">Debt ({baseProj.rows[0].year})</th>
+                    <th className="text-right p-3 font-semibold text-slate-700">Attach → Detach ({baseProj.rows[0].year})</th>
+                    <th className="text-right p-3 font-semibold text-slate-700">Max Detachment</th>
+                    <th className="text-right p-3 font-semibold text-slate-700">Min Cumulative DSCR</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {seniorityCoverage.map(c => (
+                    <tr key={c.key} className="border-b border-slate-100 hover:bg-slate-50">
+                      <td className="p-3">
+                        <span className={`px-2 py-1 rounded text-xs font-semibold ${
+                          c.senior ? 'bg-emerald-100 text-emerald-800' : 'bg-amber-100 text-amber-800'
+                        }`}>
+                          {c.label}
+                        </span>
+                      </td>
+                      <td className="p-3 text-right font-semibold text-slate-800">{fmtM(c.debt)}</td>
+                      <td className="p-3 text-right text-slate-700">
+                        {c.attachment === null ? 'n/m' : `${numFmt(c.attachment)}x`} → {c.detachment === null ? 'n/m' : `${numFmt(c.detachment)}x`}
+                      </td>
+                      <td className="p-3 text-right text-slate-700">{c.maxDetachment === null ? 'n/m' : `${numFmt(c.maxDetachment)}x`}</td>
+                      <td className="p-3 text-right font-semibold text-slate-800">{c.minDSCR === null ? '—' : `${numFmt(c.minDSCR)}x`}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <p className="text-xs text-slate-500 mt-3">
+              Leverage multiples are net of cash, which covers the most senior debt first. Attachment is the net debt
+              ranking ahead of a class; detachment includes the class itself. Cumulative DSCR covers debt service on the
+              class and everything senior to it. Revolvers rank with senior secured debt.
+            </p>
+          </CardContent>
+        </Card>
+      )}
+
       {/* Debt Schedule Visualization - FIXED: uses correct guard */}
       {debtScheduleData.length > 0 && (
         <Card className="border-l-4 border-l-indigo-600 shadow-sm">
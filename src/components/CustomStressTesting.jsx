@@ -2,6 +2,12 @@ import React, { useState } from "react";
 import { Card, CardHeader, CardTitle, CardContent } from "./Card";
 import { currencyFmtMM, numFmt, pctFmt } from "../utils/formatters";
 import { getTotalDebt } from "../utils/debtHelpers";
+import { getForeignCurrencies } from "../utils/fx";
+import { getActiveShockPaths, hasShockPaths } from "../utils/shockPaths";
+import { ShockPathEditor } from "./ShockPathEditor";
+import { hasActiveShocks } from "../utils/applyShocks";
+import { formatCovenantValue } from "../utils/covenants";
+import { isSegmentModel } from "../utils/revenueSegments";
 import { AlertTriangle, TrendingUp, TrendingDown, CheckCircle, XCircle, Shield, Sliders, Info, ChevronDown, ChevronUp } from "lucide-react";
 
 // Metric explanations database
@@ -14,6 +20,14 @@ const METRIC_EXPLANATIONS = {
     criticalLevel: 1.0,
     warningLevel: 1.2
   },
+  unhedgedDscr: {
+    title: "DSCR Without Hedges",
+    description: "DSCR recomputed with swap and cap settlements removed from debt service. Formula: EBITDA / (Debt Service - Net Hedge Settlements)",
+    interpretation: "The gap to hedged DSCR shows how much protection the hedges give. Under a rate shock, unhedged DSCR falls further than hedged DSCR.",
+    benchmark: "Compare against the same DSCR covenant",
+    criticalLevel: 1.0,
+    warningLevel: 1.2
+  },
   icr: {
     title: "Interest Coverage Ratio (ICR)",
     description: "Shows how many times EBITDA can cover interest expense. Formula: EBITDA / Interest Expense",
@@ -53,6 +67,23 @@ const METRIC_EXPLANATIONS = {
     benchmark: "Aim for actual EBITDA 150-200% of breakeven level",
     inverse: true
   },
+  operatingLeverage: {
+    title: "Operating Leverage (DOL)",
+    description: "Contribution margin (revenue less variable costs) divided by EBITDA, in the weakest year. Formula: (Revenue - Variable Costs) / EBITDA",
+    interpretation: "A 1% fall in revenue cuts EBITDA by this many %. High fixed costs push it up, so a revenue shock hits EBITDA harder than a pure % of revenue model suggests.",
+    benchmark: "Above 3.0x means a small revenue decline erodes EBITDA quickly",
+    criticalLevel: 5.0,
+    warningLevel: 3.0,
+    inverse: true
+  },
+  breakevenHeadroom: {
+    title: "Revenue Headroom to Breakeven",
+    description: "How far revenue can fall, in the tightest year, before EBITDA only just covers debt service (DSCR 1.0x). Formula: 1 - (Fixed Costs + Debt Service) / (Revenue x Contribution Margin %)",
+    interpretation: "Higher is better. Negative means revenue is already below the debt service breakeven.",
+    benchmark: "Aim for at least 20-30% headroom",
+    criticalLevel: 0,
+    warningLevel: 0.2
+  },
   ltv: {
     title: "Loan-to-Value (LTV)",
     description: "Total debt as a percentage of collateral/asset value. Measures collateral coverage.",
@@ -107,8 +138,9 @@ function Tooltip({ content, children }) {
   );
 }
 
-function ShockSlider({ label, value, onChange, min = -0.2, max = 0.2, step = 0.005 }) {
-  const percentage = (value * 100).toFixed(1);
+function ShockSlider({ label, value, onChange, min = -0.2, max = 0.2, step = 0.005, unit = '%' }) {
+  // Percentage shocks are stored as decimals; day shocks as whole days
+  const fmt = (v, digits) => unit === '%' ? `${(v * 100).toFixed(digits)}%` : `${v.toFixed(0)} ${unit}`;
   const isNegative = value < 0;
   const isPositive = value > 0;
   
@@ -121,7 +153,7 @@ function ShockSlider({ label, value, onChange, min = -0.2, max = 0.2, step = 0.0
           isPositive ? 'bg-orange-100 text-orange-700' : 
           'bg-slate-100 text-slate-700'
         }`}>
-          {value >= 0 ? '+' : ''}{percentage}%
+          {value >= 0 ? '+' : ''}{fmt(value, 1)}
         </div>
       </div>
       <input
@@ -134,9 +166,9 @@ function ShockSlider({ label, value, onChange, min = -0.2, max = 0.2, step = 0.0
         className="w-full h-3 bg-slate-200 rounded-lg appearance-none cursor-pointer"
       />
       <div className="flex justify-between text-xs text-slate-500">
-        <span>{(min * 100).toFixed(0)}%</span>
-        <span>0%</span>
-        <span>+{(max * 100).toFixed(0)}%</span>
+        <span>{fmt(min, 0)}</span>
+        <span>{fmt(0, 0)}</span>
+        <span>+{fmt(max, 0)}</span>
       </div>
     </div>
   );
@@ -419,7 +451,7 @@ function StressInterpretation({ baseMetrics, stressedMetrics, params, stressedBr
   );
 }
 
-export function CustomStressTesting({ projections, params, customShocks, onShocksChange, ccy }) {
+export function CustomStressTesting({ projections, params, customShocks, onShocksChange, shockPaths, onShockPathsChange, ccy }) {
   const baseProjection = projections.base;
   const stressedProjection = projections.custom || baseProjection;
   
@@ -429,11 +461,14 @@ export function CustomStressTesting({ projections, params, customShocks, onShock
   // Calculate loan metrics with proper debt detection and division guards
   const baseMetrics = {
     minDSCR: baseProjection.creditStats.minDSCR,
+    minUnhedgedDSCR: baseProjection.creditStats.minUnhedgedDSCR,
     minICR: baseProjection.creditStats.minICR,
     maxLeverage: baseProjection.creditStats.maxLeverage,
     avgDebtService: baseProjection.rows.reduce((sum, r) => sum + r.debtService, 0) / baseProjection.rows.length,
     debtServicePctRevenue: (baseProjection.rows.reduce((sum, r) => sum + r.debtService, 0) / baseProjection.rows.length) / params.baseRevenue,
     breakEvenEBITDA: baseProjection.rows.reduce((sum, r) => sum + r.debtService, 0) / baseProjection.rows.length,
+    operatingLeverage: baseProjection.creditStats.maxOperatingLeverage,
+    breakevenHeadroom: baseProjection.creditStats.minBreakevenHeadroom,
     // FIXED: Use totalDebt and guard against division by zero
     loanToValue: (params.collateralValue || 0) > 0 ? totalDebt / params.collateralValue : 0,
     assetCoverage: totalDebt > 0 ? (params.totalAssets || 0) / totalDebt : Infinity,
@@ -444,21 +479,26 @@ export function CustomStressTesting({ projections, params, customShocks, onShock
 
   const stressedMetrics = {
     minDSCR: stressedProjection.creditStats.minDSCR,
+    minUnhedgedDSCR: stressedProjection.creditStats.minUnhedgedDSCR,
     minICR: stressedProjection.creditStats.minICR,
     maxLeverage: stressedProjection.creditStats.maxLeverage,
     avgDebtService: stressedProjection.rows.reduce((sum, r) => sum + r.debtService, 0) / stressedProjection.rows.length,
     debtServicePctRevenue: (stressedProjection.rows.reduce((sum, r) => sum + r.debtService, 0) / stressedProjection.rows.length) / (params.baseRevenue * (1 + customShocks.growthDelta)),
     breakEvenEBITDA: stressedProjection.rows.reduce((sum, r) => sum + r.debtService, 0) / stressedProjection.rows.length,
+    operatingLeverage: stressedProjection.creditStats.maxOperatingLeverage,
+    breakevenHeadroom: stressedProjection.creditStats.minBreakevenHeadroom,
     // FIXED: Use stressedTotalDebt and guard against division by zero
     loanToValue: (params.collateralValue || 0) > 0 ? stressedTotalDebt / params.collateralValue : 0,
     assetCoverage: stressedTotalDebt > 0 ? (params.totalAssets || 0) / stressedTotalDebt : Infinity,
   };
   
   // Count breaches
-  const baseBreaches = baseProjection.breaches.dscrBreaches + baseProjection.breaches.icrBreaches + baseProjection.breaches.ndBreaches;
-  const stressedBreaches = stressedProjection.breaches.dscrBreaches + stressedProjection.breaches.icrBreaches + stressedProjection.breaches.ndBreaches;
+  const baseBreaches = baseProjection.breaches.totalBreaches;
+  const stressedBreaches = stressedProjection.breaches.totalBreaches;
   
-  const hasShocks = Object.values(customShocks).some(v => v !== 0);
+  const hasShocks = hasActiveShocks(customShocks) || hasShockPaths(getActiveShockPaths(params));
+  const hasHedges = (params.hedges || []).length > 0;
+  const foreignCurrencies = params.hasMultipleTranches ? getForeignCurrencies(params.debtTranches, params) : [];
   
   return (
     <div className="space-y-6">
@@ -470,7 +510,7 @@ export function CustomStressTesting({ projections, params, customShocks, onShock
             Adjust Stress Parameters
           </CardTitle>
           <p className="text-sm text-slate-600 mt-2">
-            Move sliders to simulate adverse scenarios. Metrics update in real-time.
+            Move sliders to simulate adverse scenarios, or add a multi-year path below. Metrics update in real-time.
           </p>
         </CardHeader>
         <CardContent>
@@ -497,7 +537,7 @@ export function CustomStressTesting({ projections, params, customShocks, onShock
               max={0.15}
             />
             <ShockSlider 
-              label="Interest Rate Hike" 
+              label="Base Rate Hike" 
               value={customShocks.rateDelta} 
               onChange={(v) => onShocksChange({ ...customShocks, rateDelta: v })}
               min={0}
@@ -517,7 +557,75 @@ export function CustomStressTesting({ projections, params, customShocks, onShock
               min={-0.10}
               max={0.15}
             />
+            {params.workingCapitalMethod === 'days' && (
+              <ShockSlider
+                label="Collection Period (DSO)"
+                value={customShocks.dsoDelta || 0}
+                onChange={(v) => onShocksChange({ ...customShocks, dsoDelta: v })}
+                min={0}
+                max={90}
+                step={5}
+                unit="days"
+              />
+            )}
+            {foreignCurrencies.length > 0 && (
+              <ShockSlider
+                label={`${params.reportingCurrency} Depreciation vs ${foreignCurrencies.join('/')}`}
+                value={customShocks.fxDepreciation || 0}
+                onChange={(v) => onShocksChange({ ...customShocks, fxDepreciation: v })}
+                min={0}
+                max={0.5}
+                step={0.01}
+              />
+            )}
           </div>
+
+          {isSegmentModel(params) && (
+            <div className="mt-6 p-4 bg-indigo-50 border-2 border-indigo-200 rounded-lg space-y-4">
+              <div className="text-sm font-semibold text-indigo-900">Segment Shocks</div>
+              {params.revenueSegments.map(segment => {
+                const shock = customShocks.segmentShocks?.[segment.id] || {};
+                const setShock = (changes) => onShocksChange({
+                  ...customShocks,
+                  segmentShocks: { ...customShocks.segmentShocks, [segment.id]: { ...shock, ...changes } }
+                });
+                return (
+                  <div key={segment.id} className="grid grid-cols-1 md:grid-cols-3 gap-6 items-center">
+                    <div className="text-sm font-medium text-slate-800">{segment.name}</div>
+                    <ShockSlider
+                      label="Volume Hit"
+                      value={shock.volumeDelta || 0}
+                      onChange={(v) => setShock({ volumeDelta: v })}
+                      min={-0.5}
+                      max={0.1}
+                      step={0.01}
+                    />
+                    <ShockSlider
+                      label="Gross Margin Change"
+                      value={shock.marginDelta || 0}
+                      onChange={(v) => setShock({ marginDelta: v })}
+                      min={-0.2}
+                      max={0.05}
+                    />
+                  </div>
+                );
+              })}
+              <p className="text-[10px] text-indigo-700">
+                Applied to that segment only, from year 1, on top of the growth and COGS sliders.
+              </p>
+            </div>
+          )}
+
+          {onShockPathsChange && (
+            <div className="mt-6">
+              <ShockPathEditor
+                shockPaths={shockPaths}
+                startYear={params.startYear}
+                years={params.years}
+                onChange={onShockPathsChange}
+              />
+            </div>
+          )}
           
           {hasShocks && (
             <div className="mt-4 flex items-center justify-between p-3 bg-blue-50 rounded-lg border border-blue-200">
@@ -525,7 +633,11 @@ export function CustomStressTesting({ projections, params, customShocks, onShock
                 Active stress scenario applied. View metrics below.
               </div>
               <button
-                onClick={() => onShocksChange({ growthDelta: 0, cogsDelta: 0, opexDelta: 0, capexDelta: 0, rateDelta: 0, waccDelta: 0, termGDelta: 0 })}
+                onClick={() => {
+                  onShocksChange({ growthDelta: 0, cogsDelta: 0, opexDelta: 0, capexDelta: 0, rateDelta: 0, waccDelta: 0, termGDelta: 0, dsoDelta: 0, fxDepreciation: 0, segmentShocks: {} });
+                  // Saved paths are kept, just switched off
+                  if (onShockPathsChange) onShockPathsChange({ ...shockPaths, activeId: null });
+                }}
                 className="text-xs bg-blue-600 hover:bg-blue-700 text-white px-3 py-1 rounded font-semibold"
               >
                 Reset All
@@ -556,6 +668,17 @@ export function CustomStressTesting({ projections, params, customShocks, onShock
               covenant={params.minDSCR}
               unit="x"
             />
+
+            {hasHedges && (
+              <MetricCard
+                label="DSCR Without Hedges"
+                metricKey="unhedgedDscr"
+                baseValue={baseMetrics.minUnhedgedDSCR}
+                stressedValue={stressedMetrics.minUnhedgedDSCR}
+                covenant={params.minDSCR}
+                unit="x"
+              />
+            )}
             
             <MetricCard
               label="Interest Coverage Ratio (ICR)"
@@ -605,6 +728,25 @@ export function CustomStressTesting({ projections, params, customShocks, onShock
               inverse={true}
             />
             
+            <MetricCard
+              label="Operating Leverage (DOL)"
+              metricKey="operatingLeverage"
+              baseValue={baseMetrics.operatingLeverage}
+              stressedValue={stressedMetrics.operatingLeverage}
+              covenant={3}
+              unit="x"
+              inverse={true}
+            />
+            
+            <MetricCard
+              label="Revenue Headroom to Breakeven"
+              metricKey="breakevenHeadroom"
+              baseValue={baseMetrics.breakevenHeadroom}
+              stressedValue={stressedMetrics.breakevenHeadroom}
+              format="percent"
+              covenant={0.2}
+            />
+            
             <MetricCard
               label="Loan-to-Value (LTV)"
               metricKey="ltv"
@@ -656,46 +798,74 @@ export function CustomStressTesting({ projections, params, customShocks, onShock
           </CardHeader>
           <CardContent>
             <div className="space-y-2">
-              {stressedProjection.breaches.dscrBreaches > 0 && (
-                <div className="flex items-start gap-2 p-3 bg-white rounded border border-red-200">
-                  <XCircle className="w-4 h-4 text-red-600 mt-0.5 flex-shrink-0" />
-                  <div>
-                    <div className="font-semibold text-red-800">DSCR Covenant Breach</div>
-                    <div className="text-sm text-red-700">
-                      {stressedProjection.breaches.dscrBreaches} year(s) with DSCR below {numFmt(params.minDSCR)}x minimum
-                    </div>
-                  </div>
-                </div>
-              )}
-              
-              {stressedProjection.breaches.icrBreaches > 0 && (
-                <div className="flex items-start gap-2 p-3 bg-white rounded border border-red-200">
-                  <XCircle className="w-4 h-4 text-red-600 mt-0.5 flex-shrink-0" />
-                  <div>
-                    <div className="font-semibold text-red-800">ICR Covenant Breach</div>
-                    <div className="text-sm text-red-700">
-                      {stressedProjection.breaches.icrBreaches} year(s) with ICR below {numFmt(params.targetICR)}x minimum
-                    </div>
-                  </div>
-                </div>
-              )}
-              
-              {stressedProjection.breaches.ndBreaches > 0 && (
-                <div className="flex items-start gap-2 p-3 bg-white rounded border border-red-200">
-                  <XCircle className="w-4 h-4 text-red-600 mt-0.5 flex-shrink-0" />
-                  <div>
-                    <div className="font-semibold text-red-800">Leverage Covenant Breach</div>
-                    <div className="text-sm text-red-700">
-                      {stressedProjection.breaches.ndBreaches} year(s) with Net Debt/EBITDA above {numFmt(params.maxNDToEBITDA)}x maximum
+              {stressedProjection.breaches.covenants.filter(c => c.breachYears.length > 0).map(covenant => {
+                const first = covenant.breaches[0];
+                return (
+                  <div key={covenant.id} className="flex items-start gap-2 p-3 bg-white rounded border border-red-200">
+                    <XCircle className="w-4 h-4 text-red-600 mt-0.5 flex-shrink-0" />
+                    <div>
+                      <div className="font-semibold text-red-800">{covenant.name} Covenant Breach</div>
+                      <div className="text-sm text-red-700">
+                        {covenant.breachYears.length} year(s) {covenant.direction === 'max' ? 'above' : 'below'} the
+                        {' '}{covenant.direction === 'max' ? 'maximum' : 'minimum'}, first in {first.label}
+                        {' '}({formatCovenantValue(first.value, covenant.unit, ccy)} vs {formatCovenantValue(first.threshold, covenant.unit, ccy)})
+                      </div>
                     </div>
                   </div>
-                </div>
-              )}
+                );
+              })}
             </div>
           </CardContent>
         </Card>
       )}
 
+      {/* Cost Structure & Breakeven */}
+      <Card>
+        <CardHeader>
+          <CardTitle>Operating Leverage & Breakeven Revenue</CardTitle>
+          <p className="text-sm text-slate-600 mt-2">
+            Stressed case by year. Fixed costs do not fall with revenue, so EBITDA drops by the operating leverage multiple of any revenue decline.
+          </p>
+        </CardHeader>
+        <CardContent>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b bg-slate-50">
+                  <th className="text-left p-2 font-semibold text-slate-700">Year</th>
+                  <th className="text-right p-2 font-semibold text-slate-700">Revenue</th>
+                  <th className="text-right p-2 font-semibold text-slate-700">Fixed Costs</th>
+                  <th className="text-right p-2 font-semibold text-slate-700">Contribution %</th>
+                  <th className="text-right p-2 font-semibold text-slate-700">DOL</th>
+                  <th className="text-right p-2 font-semibold text-slate-700">Breakeven (EBITDA 0)</th>
+                  <th className="text-right p-2 font-semibold text-slate-700">Breakeven (DSCR 1.0x)</th>
+                </tr>
+              </thead>
+              <tbody>
+                {stressedProjection.rows.map(row => (
+                  <tr key={row.year} className="border-b">
+                    <td className="p-2 font-medium">{row.year}</td>
+                    <td className="p-2 text-right">{currencyFmtMM(row.revenue, ccy)}</td>
+                    <td className="p-2 text-right">{currencyFmtMM(row.fixedCosts, ccy)}</td>
+                    <td className="p-2 text-right">{pctFmt(row.contributionMarginPct)}</td>
+                    <td className="p-2 text-right">{row.operatingLeverage === null ? 'n/m' : `${numFmt(row.operatingLeverage)}x`}</td>
+                    <td className="p-2 text-right">{row.breakevenRevenue === null ? 'n/m' : currencyFmtMM(row.breakevenRevenue, ccy)}</td>
+                    <td className={`p-2 text-right font-semibold ${
+                      row.debtServiceBreakevenRevenue === null || row.debtServiceBreakevenRevenue > row.revenue ? 'text-red-600' : 'text-slate-800'
+                    }`}>
+                      {row.debtServiceBreakevenRevenue === null ? 'n/m' : currencyFmtMM(row.debtServiceBreakevenRevenue, ccy)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="text-xs text-slate-500 mt-2">
+            n/m: EBITDA or contribution margin is not positive. Set fixed costs under Financial Parameters; COGS % and OPEX % are the variable costs.
+          </p>
+        </CardContent>
+      </Card>
+
       {/* Valuation Impact */}
       <Card>
         <CardHeader>
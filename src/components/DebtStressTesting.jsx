@@ -3,6 +3,8 @@ import { Card, CardHeader, CardTitle, CardContent } from "./Card";
 import { Button } from "./Button";
 import { currencyFmtMM, numFmt, pctFmt } from "../utils/formatters";
 import { buildProjection } from "../utils/buildProjection";
+import { resolveDriverOverrides, mapDriverValue, hasDriverOverrides } from "../utils/driverOverrides";
+import { isSegmentModel, shockSegment } from "../utils/revenueSegments";
 import {
   getTotalDebt,
   getTotalDebtFromParams,
@@ -111,6 +113,12 @@ const DEBT_STRESS_SCENARIOS = {
     description: "Revenue -10%, COGS +8%, Rates +4%",
     adjustments: { revenueShock: -0.10, cogsShock: 0.08, rateShock: 0.04 },
     color: '#b91c1c'
+  },
+  fxDepreciation15: {
+    name: "Currency -15%",
+    description: "15% depreciation vs foreign-currency debt",
+    adjustments: { fxShock: 0.15 },
+    color: '#0d9488'
   }
 };
 
@@ -306,10 +314,10 @@ function calculateLiquidityRunway(projection, scenarioKey, adjustments, params)
     const firstYear = projection.rows[0];
     const currentCash = firstYear?.cash || 100000;
     
-    // Calculate stressed operating cash flow
-    const baseEBITDA = firstYear?.ebitda || 0;
+    // The projection already carries the scenario shocks, with fixed costs held
+    // while revenue falls, so its EBITDA is the stressed operating cash flow
     const stressedRevenue = params.baseRevenue * (1 + (adjustments.revenueShock || 0));
-    const stressedEBITDA = baseEBITDA * (1 + (adjustments.revenueShock || 0)) * (1 - (adjustments.cogsShock || 0));
+    const stressedEBITDA = firstYear?.ebitda || 0;
     
     // Account for increased debt service under rate shock
     // FIXED: Use getTotalDebtFromParams to avoid operator precedence bugs
@@ -478,6 +486,7 @@ export default function DebtStressTesting({
   }, [params]);
 
   const hasAnyDebt = hasExistingDebt || hasNewFacility;
+  const hasHedges = (params?.hedges || []).length > 0;
 
   const hasHistoricalData = useMemo(() => {
     return historicalData && historicalData.some(d => d.revenue > 0);
@@ -502,14 +511,24 @@ export default function DebtStressTesting({
         const scenario = DEBT_STRESS_SCENARIOS[scenarioKey];
         const adjustments = scenario.adjustments;
         
-        // Apply shocks to parameters
+        // Apply shocks to parameters (per-year driver overrides shocked year by year)
+        const planParams = resolveDriverOverrides(params);
         const adjustedParams = {
-          ...params,
+          ...planParams,
           baseRevenue: params.baseRevenue * (1 + (adjustments.revenueShock || 0)),
-          cogsPct: Math.min(0.95, params.cogsPct + (adjustments.cogsShock || 0)),
-          opexPct: Math.min(0.50, params.opexPct + (adjustments.opexShock || 0)),
-          interestRate: Math.max(0, params.interestRate + (adjustments.rateShock || 0)),
+          cogsPct: mapDriverValue(planParams.cogsPct, v => Math.min(0.95, v + (adjustments.cogsShock || 0))),
+          opexPct: mapDriverValue(planParams.opexPct, v => Math.min(0.50, v + (adjustments.opexShock || 0))),
+          // Only floating tranches and hedges reprice (off the shifted base-rate curve)
+          baseRateShift: (params.baseRateShift || 0) + (adjustments.rateShock || 0),
+          fxShock: (params.fxShock || 0) + (adjustments.fxShock || 0),
           wcPctOfRev: Math.max(0, params.wcPctOfRev + (adjustments.wcShock || 0)),
+          // Segmented revenue takes the revenue and COGS shocks segment by segment
+          revenueSegments: isSegmentModel(params)
+            ? params.revenueSegments.map(segment => shockSegment(segment, {
+                volumeDelta: adjustments.revenueShock || 0,
+                marginDelta: -(adjustments.cogsShock || 0)
+              }))
+            : params.revenueSegments,
         };
         
         // Build projection with stressed parameters
@@ -517,12 +536,11 @@ export default function DebtStressTesting({
         
         // Extract metrics
         const minDSCR = projection.creditStats?.minDSCR || 1.0;
+        const minUnhedgedDSCR = projection.creditStats?.minUnhedgedDSCR || minDSCR;
         const maxLeverage = projection.creditStats?.maxLeverage || 0;
         const minICR = projection.creditStats?.minICR || 1.0;
         
-        const totalBreaches = (projection.breaches?.dscrBreaches || 0) + 
-                            (projection.breaches?.icrBreaches || 0) + 
-                            (projection.breaches?.ndBreaches || 0);
+        const totalBreaches = (projection.breaches?.totalBreaches || 0);
         
         const dscrCushion = minDSCR - (params.minDSCR || 1.2);
         const leverageCushion = (params.maxNDToEBITDA || 3.5) - maxLeverage;
@@ -550,8 +568,9 @@ export default function DebtStressTesting({
           const marginImpact = adjustments.cogsShock ? `Margin compression (COGS +${(adjustments.cogsShock * 100).toFixed(0)}%)` : "";
           const rateImpact = adjustments.rateShock ? `Interest rates +${(adjustments.rateShock * 100).toFixed(0)}%` : "";
           const wcImpact = adjustments.wcShock ? `WC drain +${(adjustments.wcShock * 100).toFixed(0)}% of revenue` : "";
+          const fxImpact = adjustments.fxShock ? `Currency depreciates ${(adjustments.fxShock * 100).toFixed(0)}%` : "";
           
-          const impacts = [revenueImpact, marginImpact, rateImpact, wcImpact].filter(Boolean);
+          const impacts = [revenueImpact, marginImpact, rateImpact, wcImpact, fxImpact].filter(Boolean);
           failureReason = `WHY IT FAILS: ${impacts.join(", ")} → DSCR drops to ${numFmt(minDSCR)}x`;
         }
         
@@ -559,7 +578,7 @@ export default function DebtStressTesting({
           name: scenario.name,
           description: scenario.description,
           color: scenario.color,
-          minDSCR, maxLeverage, minICR, totalBreaches,
+          minDSCR, minUnhedgedDSCR, maxLeverage, minICR, totalBreaches,
           dscrCushion, leverageCushion, icrCushion,
           liquidityRunway, 
           riskLevel: riskAssessment.level,
@@ -571,7 +590,10 @@ export default function DebtStressTesting({
           equityMOIC: projection.moic || 0,
           irr: projection.irr || 0,
           failureReason,
-          ebitda: projection.rows?.[0]?.ebitda || 0
+          ebitda: projection.rows?.[0]?.ebitda || 0,
+          operatingLeverage: projection.creditStats?.maxOperatingLeverage || 0,
+          breakevenHeadroom: projection.creditStats?.minBreakevenHeadroom || 0,
+          breakevenRevenue: projection.rows?.[0]?.debtServiceBreakevenRevenue ?? null
         };
       });
       
@@ -836,6 +858,9 @@ const triggerAIAnalysis = async () => {
               <div className="p-4 bg-slate-50 rounded-lg border border-slate-200">
                 <div className="text-xs text-slate-500 font-semibold uppercase mb-1">Growth Rate</div>
                 <div className="text-lg sm:text-xl md:text-lg sm:text-xl md:text-2xl font-bold text-slate-800">{pctFmt(params.growth || 0)}</div>
+                {hasDriverOverrides(params, 'growth') && (
+                  <div className="text-xs text-slate-500 mt-1">Default; some years set individually</div>
+                )}
               </div>
               <div className="p-4 bg-slate-50 rounded-lg border border-slate-200">
                 <div className="text-xs text-slate-500 font-semibold uppercase mb-1">Industry</div>
@@ -1178,9 +1203,14 @@ const triggerAIAnalysis = async () => {
                   <th className="text-left p-3 font-semibold text-slate-700">Scenario</th>
                   <th className="text-center p-3 font-semibold text-slate-700">Risk</th>
                   <th className="text-right p-3 font-semibold text-slate-700">Min DSCR</th>
+                  {hasHedges && (
+                    <th className="text-right p-3 font-semibold text-slate-700">Unhedged DSCR</th>
+                  )}
                   <th className="text-right p-3 font-semibold text-slate-700">DSCR Cushion</th>
                   <th className="text-right p-3 font-semibold text-slate-700">Max Leverage</th>
                   <th className="text-right p-3 font-semibold text-slate-700">Min ICR</th>
+                  <th className="text-right p-3 font-semibold text-slate-700">Op. Leverage</th>
+                  <th className="text-right p-3 font-semibold text-slate-700">Breakeven Headroom</th>
                   <th className="text-right p-3 font-semibold text-slate-700">Liquidity</th>
                   <th className="text-right p-3 font-semibold text-slate-700">Breaches</th>
                 </tr>
@@ -1227,6 +1257,11 @@ const triggerAIAnalysis = async () => {
                       <td className={`text-right p-3 font-bold ${result?.minDSCR < params.minDSCR ? 'text-red-600' : 'text-slate-800'}`}>
                         {numFmt(result?.minDSCR || 0)}
                       </td>
+                      {hasHedges && (
+                        <td className={`text-right p-3 ${result?.minUnhedgedDSCR < params.minDSCR ? 'text-red-600' : 'text-slate-600'}`}>
+                          {numFmt(result?.minUnhedgedDSCR || 0)}
+                        </td>
+                      )}
                       <td className={`text-right p-3 font-semibold ${
                         result?.dscrCushion < 0 ? 'text-red-600' : 
                         result?.dscrCushion < 0.2 ? 'text-amber-600' : 'text-emerald-600'
@@ -1239,6 +1274,15 @@ const triggerAIAnalysis = async () => {
                       <td className={`text-right p-3 font-bold ${result?.minICR < params.targetICR ? 'text-red-600' : 'text-slate-800'}`}>
                         {numFmt(result?.minICR || 0)}
                       </td>
+                      <td className={`text-right p-3 ${result?.operatingLeverage > 3 ? 'text-amber-600 font-semibold' : 'text-slate-600'}`}>
+                        {result?.operatingLeverage >= 99 ? 'n/m' : `${numFmt(result?.operatingLeverage || 0)}x`}
+                      </td>
+                      <td
+                        className={`text-right p-3 font-semibold ${result?.breakevenHeadroom < 0 ? 'text-red-600' : 'text-slate-800'}`}
+                        title={result?.breakevenRevenue !== null ? `Year 1 revenue for DSCR 1.0x: ${currencyFmtMM(result?.breakevenRevenue, ccy)}` : undefined}
+                      >
+                        {pctFmt(result?.breakevenHeadroom || 0)}
+                      </td>
                       <td className="text-right p-3">
                         <div className="flex items-center justify-end gap-2">
                           <span className={`font-bold ${
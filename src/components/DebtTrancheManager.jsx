@@ -5,11 +5,36 @@ import { Button } from './Button';
 import { Input } from './Input';
 import { Label } from './Label';
 import { safeDivide, decimalToPercent, percentToDecimal } from '../utils/mathUtils';
+import { isRevolver, getRevolverDrawnRate } from '../utils/revolver';
+import { isFloatingRate, getTrancheRate } from '../utils/floatingRate';
+import { SUPPORTED_CURRENCIES } from '../utils/fx';
+
+// Revolver defaults applied when a tranche is switched to a revolving facility
+const REVOLVER_DEFAULTS = {
+  drawnMargin: 0.025,
+  commitmentFee: 0.005,
+  minCashBalance: 0,
+  seniority: 'Revolver',
+  amortizationType: 'bullet'
+};
+
+// Optional floor / cap input: blank means no bound
+const parseOptionalPct = (value) => (value === '' ? null : percentToDecimal(Number(value)));
+const formatOptionalPct = (value) => (value === null || value === undefined || value === '' ? '' : decimalToPercent(value).toFixed(2));
 
 // Account for interest-only periods in Year 1 preview
-const calculateYear1DebtService = (tranche) => {
+// Floating tranches use the first year of the base-rate curve
+const calculateYear1DebtService = (tranche, baseRates) => {
+  // Revolver: drawn interest on the opening balance plus fee on the undrawn commitment
+  if (isRevolver(tranche)) {
+    const drawn = Math.min(tranche.amount || 0, tranche.commitment || 0);
+    const interest = drawn * getRevolverDrawnRate(tranche, baseRates, 0) +
+      Math.max(0, (tranche.commitment || 0) - drawn) * (tranche.commitmentFee || 0);
+    return { principal: 0, interest, total: interest };
+  }
+
   const amount = tranche.amount || 0;
-  const rate = tranche.rate || 0;
+  const rate = getTrancheRate(tranche, baseRates, 0);
   const tenorYears = tranche.tenorYears || 1;
   const interestOnlyYears = tranche.interestOnlyYears || 0;
   const amortizationType = tranche.amortizationType || 'amortizing';
@@ -47,11 +72,24 @@ const validateTranche = (tranche) => {
     errors.push('Tranche name is required');
   }
 
-  if (!tranche.amount || tranche.amount <= 0) {
+  if (isRevolver(tranche)) {
+    if (!tranche.commitment || tranche.commitment <= 0) {
+      errors.push('Revolver commitment must be greater than zero');
+    }
+    if ((tranche.amount || 0) > (tranche.commitment || 0)) {
+      errors.push('Opening drawn balance cannot exceed the commitment');
+    }
+  } else if (!tranche.amount || tranche.amount <= 0) {
     errors.push('Tranche amount must be greater than zero');
   }
 
-  if (!tranche.rate || tranche.rate <= 0) {
+  if (isFloatingRate(tranche)) {
+    if (tranche.rateFloor !== null && tranche.rateCap !== null &&
+        tranche.rateFloor !== undefined && tranche.rateCap !== undefined &&
+        tranche.rateFloor > tranche.rateCap) {
+      errors.push('Base-rate floor cannot exceed the cap');
+    }
+  } else if (!tranche.rate || tranche.rate <= 0) {
     errors.push('Tranche interest rate must be greater than zero');
   }
 
@@ -69,7 +107,9 @@ const validateTranche = (tranche) => {
   };
 };
 
-export function DebtTrancheManager({ tranches, onChange, ccy }) {
+export function DebtTrancheManager({ tranches, onChange, ccy, baseRates = {} }) {
+  const baseRateName = baseRates.baseRateName || 'Base Rate';
+
   const addTranche = () => {
     const newTranche = {
       id: Date.now(),
@@ -88,6 +128,34 @@ export function DebtTrancheManager({ tranches, onChange, ccy }) {
     onChange(tranches.map(t => t.id === id ? { ...t, [field]: value } : t));
   };
 
+  const updateStepDown = (tranche, stepIdx, field, value) => {
+    const steps = (tranche.sweepStepDowns || []).map((step, i) => i === stepIdx ? { ...step, [field]: value } : step);
+    updateTranche(tranche.id, 'sweepStepDowns', steps);
+  };
+
+  const addStepDown = (tranche) => {
+    const steps = tranche.sweepStepDowns || [];
+    const lastLeverage = steps.length > 0 ? steps[steps.length - 1].maxLeverage : 4;
+    updateTranche(tranche.id, 'sweepStepDowns', [
+      ...steps,
+      { maxLeverage: Math.max(0, lastLeverage - 1), sweepPct: 0 }
+    ]);
+  };
+
+  const removeStepDown = (tranche, stepIdx) => {
+    updateTranche(tranche.id, 'sweepStepDowns', (tranche.sweepStepDowns || []).filter((_, i) => i !== stepIdx));
+  };
+
+  const changeTrancheType = (id, trancheType) => {
+    onChange(tranches.map(t => {
+      if (t.id !== id) return t;
+      if (trancheType === 'revolver') {
+        return { ...t, ...REVOLVER_DEFAULTS, trancheType, commitment: t.commitment || t.amount || 0, amount: 0 };
+      }
+      return { ...t, trancheType, seniority: 'Senior Secured', amortizationType: 'amortizing' };
+    }));
+  };
+
   const removeTranche = (id) => {
     if (tranches.length > 1) {
       onChange(tranches.filter(t => t.id !== id));
@@ -130,38 +198,207 @@ export function DebtTrancheManager({ tranches, onChange, ccy }) {
               )}
             </div>
 
-            {/* Row 1: Amount, Rate, Tenor */}
+            {/* Facility and Rate Type */}
             <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
               <div className="space-y-1">
-                <Label className="text-xs">Amount ({ccy})</Label>
-                <Input
-                  type="number"
-                  value={tranche.amount}
-                  onChange={(e) => updateTranche(tranche.id, 'amount', Number(e.target.value))}
-                  className="h-9 text-sm"
-                />
-              </div>
-              <div className="space-y-1">
-                <Label className="text-xs">Interest Rate (%)</Label>
-                <Input
-                  type="number"
-                  step="0.01"
-                  value={decimalToPercent(tranche.rate).toFixed(2)}
-                  onChange={(e) => updateTranche(tranche.id, 'rate', percentToDecimal(Number(e.target.value)))}
-                  className="h-9 text-sm"
-                />
+                <Label className="text-xs">Facility Type</Label>
+                <select
+                  value={tranche.trancheType || 'term'}
+                  onChange={(e) => changeTrancheType(tranche.id, e.target.value)}
+                  className="w-full h-9 text-sm border border-slate-300 rounded-md"
+                >
+                  <option value="term">Term Loan</option>
+                  <option value="revolver">Revolving Credit Facility</option>
+                </select>
               </div>
               <div className="space-y-1">
-                <Label className="text-xs">Tenor (Years)</Label>
-                <Input
-                  type="number"
-                  value={tranche.tenorYears}
-                  onChange={(e) => updateTranche(tranche.id, 'tenorYears', Number(e.target.value))}
-                  className="h-9 text-sm"
-                />
+                <Label className="text-xs">Rate Type</Label>
+                <select
+                  value={tranche.rateType || 'fixed'}
+                  onChange={(e) => updateTranche(tranche.id, 'rateType', e.target.value)}
+                  className="w-full h-9 text-sm border border-slate-300 rounded-md"
+                >
+                  <option value="fixed">Fixed</option>
+                  <option value="floating">Floating ({baseRateName} + margin)</option>
+                </select>
               </div>
+              {!isRevolver(tranche) && (
+                <div className="space-y-1">
+                  <Label className="text-xs">Currency</Label>
+                  <select
+                    value={tranche.currency || ccy}
+                    onChange={(e) => updateTranche(tranche.id, 'currency', e.target.value)}
+                    className="w-full h-9 text-sm border border-slate-300 rounded-md"
+                  >
+                    {Object.keys(SUPPORTED_CURRENCIES).map(code => (
+                      <option key={code} value={code}>{code}{code === ccy ? ' (reporting)' : ''}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
             </div>
 
+            {/* Floating: floor and cap on the base rate */}
+            {isFloatingRate(tranche) && (
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                {!isRevolver(tranche) && (
+                  <div className="space-y-1">
+                    <Label className="text-xs">Margin (%)</Label>
+                    <Input
+                      type="number"
+                      step="0.05"
+                      value={decimalToPercent(tranche.margin || 0).toFixed(2)}
+                      onChange={(e) => updateTranche(tranche.id, 'margin', percentToDecimal(Number(e.target.value)))}
+                      className="h-9 text-sm"
+                    />
+                  </div>
+                )}
+                <div className="space-y-1">
+                  <Label className="text-xs">{baseRateName} Floor (%)</Label>
+                  <Input
+                    type="number"
+                    step="0.05"
+                    placeholder="None"
+                    value={formatOptionalPct(tranche.rateFloor)}
+                    onChange={(e) => updateTranche(tranche.id, 'rateFloor', parseOptionalPct(e.target.value))}
+                    className="h-9 text-sm"
+                  />
+                </div>
+                <div className="space-y-1">
+                  <Label className="text-xs">{baseRateName} Cap (%)</Label>
+                  <Input
+                    type="number"
+                    step="0.05"
+                    placeholder="None"
+                    value={formatOptionalPct(tranche.rateCap)}
+                    onChange={(e) => updateTranche(tranche.id, 'rateCap', parseOptionalPct(e.target.value))}
+                    className="h-9 text-sm"
+                  />
+                </div>
+              </div>
+            )}
+
+            {isRevolver(tranche) && (
+              <>
+                {/* Revolver Row 1: Commitment, Opening Drawn, Base Rate */}
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                  <div className="space-y-1">
+                    <Label className="text-xs">Commitment ({ccy})</Label>
+                    <Input
+                      type="number"
+                      value={tranche.commitment || 0}
+                      onChange={(e) => updateTranche(tranche.id, 'commitment', Number(e.target.value))}
+                      className="h-9 text-sm"
+                    />
+                  </div>
+                  <div className="space-y-1">
+                    <Label className="text-xs">Opening Drawn ({ccy})</Label>
+                    <Input
+                      type="number"
+                      value={tranche.amount}
+                      onChange={(e) => updateTranche(tranche.id, 'amount', Number(e.target.value))}
+                      className="h-9 text-sm"
+                    />
+                  </div>
+                  {!isFloatingRate(tranche) && (
+                    <div className="space-y-1">
+                      <Label className="text-xs">Base Rate (%)</Label>
+                      <Input
+                        type="number"
+                        step="0.01"
+                        value={decimalToPercent(tranche.rate).toFixed(2)}
+                        onChange={(e) => updateTranche(tranche.id, 'rate', percentToDecimal(Number(e.target.value)))}
+                        className="h-9 text-sm"
+                      />
+                    </div>
+                  )}
+                </div>
+
+                {/* Revolver Row 2: Drawn Margin, Commitment Fee, Minimum Cash */}
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                  <div className="space-y-1">
+                    <Label className="text-xs">Drawn Margin (%)</Label>
+                    <Input
+                      type="number"
+                      step="0.01"
+                      value={decimalToPercent(tranche.drawnMargin || 0).toFixed(2)}
+                      onChange={(e) => updateTranche(tranche.id, 'drawnMargin', percentToDecimal(Number(e.target.value)))}
+                      className="h-9 text-sm"
+                    />
+                  </div>
+                  <div className="space-y-1">
+                    <Label className="text-xs">Undrawn Fee (%)</Label>
+                    <Input
+                      type="number"
+                      step="0.01"
+                      value={decimalToPercent(tranche.commitmentFee || 0).toFixed(2)}
+                      onChange={(e) => updateTranche(tranche.id, 'commitmentFee', percentToDecimal(Number(e.target.value)))}
+                      className="h-9 text-sm"
+                    />
+                  </div>
+                  <div className="space-y-1">
+                    <Label className="text-xs">Minimum Cash ({ccy})</Label>
+                    <Input
+                      type="number"
+                      value={tranche.minCashBalance || 0}
+                      onChange={(e) => updateTranche(tranche.id, 'minCashBalance', Number(e.target.value))}
+                      className="h-9 text-sm"
+                    />
+                  </div>
+                </div>
+                <p className="text-[10px] text-slate-500">
+                  Draws automatically when cash falls below the minimum and repays from surplus cash;
+                  interest accrues on the average drawn balance
+                </p>
+              </>
+            )}
+
+            {/* Row 1: Amount, Rate, Tenor */}
+            {!isRevolver(tranche) && (
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                <div className="space-y-1">
+                  <Label className="text-xs">Amount ({tranche.currency || ccy})</Label>
+                  <Input
+                    type="number"
+                    value={tranche.amount}
+                    onChange={(e) => updateTranche(tranche.id, 'amount', Number(e.target.value))}
+                    className="h-9 text-sm"
+                  />
+                </div>
+                {isFloatingRate(tranche) ? (
+                  <div className="space-y-1">
+                    <Label className="text-xs">Year 1 All-in Rate (%)</Label>
+                    <Input
+                      type="number"
+                      value={decimalToPercent(getTrancheRate(tranche, baseRates, 0)).toFixed(2)}
+                      disabled
+                      className="h-9 text-sm"
+                    />
+                  </div>
+                ) : (
+                  <div className="space-y-1">
+                    <Label className="text-xs">Interest Rate (%)</Label>
+                    <Input
+                      type="number"
+                      step="0.01"
+                      value={decimalToPercent(tranche.rate).toFixed(2)}
+                      onChange={(e) => updateTranche(tranche.id, 'rate', percentToDecimal(Number(e.target.value)))}
+                      className="h-9 text-sm"
+                    />
+                  </div>
+                )}
+                <div className="space-y-1">
+                  <Label className="text-xs">Tenor (Years)</Label>
+                  <Input
+                    type="number"
+                    value={tranche.tenorYears}
+                    onChange={(e) => updateTranche(tranche.id, 'tenorYears', Number(e.target.value))}
+                    className="h-9 text-sm"
+                  />
+                </div>
+              </div>
+            )}
+
             {/* Row 2: Maturity, Amortization Type, Seniority */}
             <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
               <div className="space-y-1">
@@ -173,18 +410,20 @@ export function DebtTrancheManager({ tranches, onChange, ccy }) {
                   className="h-9 text-sm"
                 />
               </div>
-              <div className="space-y-1">
-                <Label className="text-xs">Amortization</Label>
-                <select
-                  value={tranche.amortizationType}
-                  onChange={(e) => updateTranche(tranche.id, 'amortizationType', e.target.value)}
-                  className="w-full h-9 text-sm border border-slate-300 rounded-md"
-                >
-                  <option value="amortizing">Amortizing</option>
-                  <option value="interest-only">Interest-Only</option>
-                  <option value="bullet">Bullet</option>
-                </select>
-              </div>
+              {!isRevolver(tranche) && (
+                <div className="space-y-1">
+                  <Label className="text-xs">Amortization</Label>
+                  <select
+                    value={tranche.amortizationType}
+                    onChange={(e) => updateTranche(tranche.id, 'amortizationType', e.target.value)}
+                    className="w-full h-9 text-sm border border-slate-300 rounded-md"
+                  >
+                    <option value="amortizing">Amortizing</option>
+                    <option value="interest-only">Interest-Only</option>
+                    <option value="bullet">Bullet</option>
+                  </select>
+                </div>
+              )}
               <div className="space-y-1">
                 <Label className="text-xs">Seniority</Label>
                 <select
@@ -201,21 +440,96 @@ export function DebtTrancheManager({ tranches, onChange, ccy }) {
               </div>
             </div>
 
+            {/* Excess Cash Flow Sweep (term tranches only) */}
+            {!isRevolver(tranche) && (
+              <div className="pt-2 border-t border-slate-200 space-y-2">
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                  <div className="space-y-1">
+                    <Label className="text-xs">ECF Sweep (%)</Label>
+                    <Input
+                      type="number"
+                      step="5"
+                      min="0"
+                      max="100"
+                      value={decimalToPercent(tranche.sweepPct || 0).toFixed(0)}
+                      onChange={(e) => updateTranche(tranche.id, 'sweepPct', percentToDecimal(Number(e.target.value)))}
+                      className="h-9 text-sm"
+                    />
+                  </div>
+                  <div className="space-y-1">
+                    <Label className="text-xs">Sweep Priority</Label>
+                    <Input
+                      type="number"
+                      min="1"
+                      value={tranche.sweepPriority ?? index + 1}
+                      onChange={(e) => updateTranche(tranche.id, 'sweepPriority', Number(e.target.value))}
+                      className="h-9 text-sm"
+                    />
+                  </div>
+                  <div className="flex items-end">
+                    <button
+                      onClick={() => addStepDown(tranche)}
+                      className="text-xs text-purple-700 hover:text-purple-900 flex items-center gap-1 h-9"
+                    >
+                      <Plus className="w-3 h-3" /> Leverage step-down
+                    </button>
+                  </div>
+                </div>
+                {(tranche.sweepStepDowns || []).map((step, stepIdx) => (
+                  <div key={stepIdx} className="flex items-center gap-2 text-xs text-slate-600">
+                    <span>At or below</span>
+                    <Input
+                      type="number"
+                      step="0.25"
+                      value={step.maxLeverage}
+                      onChange={(e) => updateStepDown(tranche, stepIdx, 'maxLeverage', Number(e.target.value))}
+                      className="h-8 text-xs w-20"
+                    />
+                    <span>x net leverage, sweep</span>
+                    <Input
+                      type="number"
+                      step="5"
+                      value={decimalToPercent(step.sweepPct || 0).toFixed(0)}
+                      onChange={(e) => updateStepDown(tranche, stepIdx, 'sweepPct', percentToDecimal(Number(e.target.value)))}
+                      className="h-8 text-xs w-20"
+                    />
+                    <span>%</span>
+                    <button
+                      onClick={() => removeStepDown(tranche, stepIdx)}
+                      className="text-red-600 hover:text-red-800 p-1"
+                    >
+                      <Trash2 className="w-3 h-3" />
+                    </button>
+                  </div>
+                ))}
+                {(tranche.sweepPct > 0 || tranche.sweepStepDowns?.length > 0) && (
+                  <p className="text-[10px] text-slate-500">
+                    Excess cash flow after scheduled debt service prepays this tranche at year end,
+                    lower priority numbers first
+                  </p>
+                )}
+              </div>
+            )}
+
             {/* Annual Debt Service Preview */}
             <div className="pt-2 border-t border-slate-200">
               {(() => {
-                const year1DS = calculateYear1DebtService(tranche);
+                const year1DS = calculateYear1DebtService(tranche, baseRates);
+                // Term tranches are previewed in their own currency
+                const previewCcy = isRevolver(tranche) ? ccy : tranche.currency || ccy;
                 return (
                   <>
                     <div className="flex items-center justify-between text-xs">
-                      <span className="text-slate-600">Annual Debt Service (Year 1):</span>
+                      <span className="text-slate-600">
+                        {isRevolver(tranche) ? 'Interest & Fees (Year 1, opening drawn):' : 'Annual Debt Service (Year 1):'}
+                      </span>
                       <span className="font-bold text-purple-900">
-                        {ccy} {year1DS.total.toLocaleString('en-US', { maximumFractionDigits: 0 })}
+                        {previewCcy} {year1DS.total.toLocaleString('en-US', { maximumFractionDigits: 0 })}
                       </span>
                     </div>
                     <div className="flex items-center justify-between text-[10px] text-slate-500 mt-1">
-                      <span>Interest: {ccy} {year1DS.interest.toLocaleString('en-US', { maximumFractionDigits: 0 })}</span>
-                      <span>Principal: {ccy} {year1DS.principal.toLocaleString('en-US', { maximumFractionDigits: 0 })}</span>
+                      <span>Interest: {previewCcy} {year1DS.interest.toLocaleString('en-US', { maximumFractionDigits: 0 })}</span>
+                      <span>Principal: {previewCcy} {year1DS.principal.toLocaleString('en-US', { maximumFractionDigits: 0 })}</span>
                     </div>
                     {tranche.amortizationType === 'amortizing' && !tranche.interestOnlyYears && (
                       <p className="text-[10px] text-slate-500 mt-1">
@@ -0,0 +1,110 @@
+// src/components/DistributionPolicyEditor.jsx
+import React from 'react';
+import { Lock } from 'lucide-react';
+import { Input } from './Input';
+import { Label } from './Label';
+import { decimalToPercent } from '../utils/mathUtils';
+import {
+  DISTRIBUTION_POLICIES,
+  LOCKUP_TREATMENTS,
+  getDistributionPolicy,
+  getLockupTreatment
+} from '../utils/distributions';
+
+export function DistributionPolicyEditor({ params, ccy, onChange }) {
+  const policy = getDistributionPolicy(params);
+  const treatment = getLockupTreatment(params);
+
+  // Blank or 0 = test off
+  const thresholdInput = (field, covenantLevel) => (
+    <Input
+      type="number"
+      step="0.05"
+      min={0}
+      value={params[field] ?? ''}
+      placeholder={covenantLevel > 0 ? `Off (covenant ${covenantLevel.toFixed(2)})` : 'Off'}
+      onChange={(e) => onChange({ [field]: e.target.value === '' ? null : Math.max(0, Number(e.target.value)) })}
+      className="h-8 text-xs"
+    />
+  );
+
+  return (
+    <div className="p-4 bg-purple-50 border-2 border-purple-200 rounded-lg space-y-3">
+      <div className="flex items-center gap-2 text-sm font-semibold text-purple-900">
+        <Lock className="w-4 h-4" />
+        Distribution Policy &amp; Lock-Up
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-2 items-end">
+        <div className="space-y-1">
+          <Label className="text-[10px]">Policy</Label>
+          <select
+            value={policy}
+            onChange={(e) => onChange({ distributionPolicy: e.target.value })}
+            className="w-full h-8 text-xs border border-slate-300 rounded-md bg-white"
+          >
+            {Object.entries(DISTRIBUTION_POLICIES).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
+        {policy === 'payout' && (
+          <div className="text-xs">
+            <div className="text-[10px] text-slate-500">Payout Ratio</div>
+            <div className="font-semibold text-slate-800">
+              {decimalToPercent(1 - (params.cashRetentionRate ?? 0.10)).toFixed(1)}% of net income
+            </div>
+          </div>
+        )}
+        {policy === 'fixed' && (
+          <div className="space-y-1">
+            <Label className="text-[10px]">Amount per Year ({ccy})</Label>
+            <Input
+              type="number"
+              value={Array.isArray(params.distributionFixedAmount) ? params.distributionFixedAmount[0] || 0 : params.distributionFixedAmount || 0}
+              onChange={(e) => onChange({ distributionFixedAmount: Math.max(0, Number(e.target.value)) })}
+              className="h-8 text-xs"
+            />
+          </div>
+        )}
+        <div className="space-y-1">
+          <Label className="text-[10px]">Minimum Cash Retained ({ccy})</Label>
+          <Input
+            type="number"
+            value={params.distributionMinCash || 0}
+            onChange={(e) => onChange({ distributionMinCash: Math.max(0, Number(e.target.value)) })}
+            className="h-8 text-xs"
+          />
+        </div>
+        <div className="space-y-1">
+          <Label className="text-[10px]">Lock-Up DSCR (x)</Label>
+          {thresholdInput('distributionLockupDSCR', params.minDSCR)}
+        </div>
+        <div className="space-y-1">
+          <Label className="text-[10px]">Lock-Up ND/EBITDA (x)</Label>
+          {thresholdInput('distributionLockupNDToEBITDA', params.maxNDToEBITDA)}
+        </div>
+        <div className="space-y-1">
+          <Label className="text-[10px]">Blocked Cash</Label>
+          <select
+            value={treatment}
+            onChange={(e) => onChange({ lockupCashTreatment: e.target.value })}
+            className="w-full h-8 text-xs border border-slate-300 rounded-md bg-white"
+          >
+            {Object.entries(LOCKUP_TREATMENTS).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <p className="text-[10px] text-purple-700">
+        Distributions are paid only from cash above the minimum balance and are blocked in any year DSCR is below, or
+        ND/EBITDA above, the lock-up levels. Lock-up tests are off until you enter a level (blank or 0 = off); term
+        sheets usually set them inside the covenants, e.g. DSCR +0.10x and ND/EBITDA -0.50x. Residual cash pays out
+        everything above the minimum balance; the payout ratio follows the Cash Retention Rate, and cash keeps growing by
+        the retained share of net income where the year&apos;s cash flow allows.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,92 @@
+// src/components/DriverOverridesGrid.jsx
+import React from 'react';
+import { Table2 } from 'lucide-react';
+import { Input } from './Input';
+import { decimalToPercent, percentToDecimal } from '../utils/mathUtils';
+import { OVERRIDE_DRIVERS, getDefaultDriverOverrides, getDriverOverride, hasDriverOverrides } from '../utils/driverOverrides';
+
+export function DriverOverridesGrid({ params, onChange }) {
+  const years = params.years || 0;
+  const overrides = { ...getDefaultDriverOverrides(), ...params.driverOverrides };
+
+  const updateYear = (driver, idx, text) => {
+    const next = Array.from({ length: years }, (_, i) => getDriverOverride(params, driver, i));
+    const { min, max } = OVERRIDE_DRIVERS[driver];
+    // Blank falls back to the single-value assumption
+    next[idx] = text === '' ? null : Math.min(max, Math.max(min, percentToDecimal(Number(text))));
+    onChange({ ...overrides, [driver]: next });
+  };
+
+  const clearDriver = (driver) => onChange({ ...overrides, [driver]: [] });
+
+  return (
+    <div className="p-4 bg-emerald-50 border-2 border-emerald-200 rounded-lg space-y-3">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2 text-sm font-semibold text-emerald-900">
+          <Table2 className="w-4 h-4" />
+          Year-by-Year Drivers
+        </div>
+        {hasDriverOverrides(params) && (
+          <button
+            onClick={() => onChange(getDefaultDriverOverrides())}
+            className="text-xs text-emerald-800 hover:text-emerald-900 underline"
+          >
+            Clear all
+          </button>
+        )}
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="border-b border-emerald-200">
+              <th className="p-1 text-left font-semibold text-emerald-900">%</th>
+              {Array.from({ length: years }, (_, idx) => (
+                <th key={idx} className="p-1 text-center font-semibold text-emerald-900">{params.startYear + idx}</th>
+              ))}
+              <th className="p-1" />
+            </tr>
+          </thead>
+          <tbody>
+            {Object.entries(OVERRIDE_DRIVERS).map(([driver, { label }]) => (
+              <tr key={driver}>
+                <td className="p-1 font-medium text-slate-700 whitespace-nowrap">{label}</td>
+                {Array.from({ length: years }, (_, idx) => {
+                  const override = getDriverOverride(params, driver, idx);
+                  // Year 1 revenue is the base revenue, so it has no growth rate
+                  const isBaseYear = driver === 'growth' && idx === 0;
+                  return (
+                    <td key={idx} className="p-1">
+                      <Input
+                        type="number"
+                        step="0.5"
+                        value={override === null ? '' : Number(decimalToPercent(override).toFixed(4))}
+                        placeholder={isBaseYear ? '—' : decimalToPercent(params[driver] || 0).toFixed(1)}
+                        onChange={(e) => updateYear(driver, idx, e.target.value)}
+                        disabled={isBaseYear}
+                        className={`h-8 text-xs text-center px-1 min-w-[4rem] ${override !== null ? 'font-semibold bg-white' : ''}`}
+                      />
+                    </td>
+                  );
+                })}
+                <td className="p-1">
+                  {hasDriverOverrides(params, driver) && (
+                    <button
+                      onClick={() => clearDriver(driver)}
+                      className="text-[10px] text-slate-500 hover:text-slate-700 underline"
+                    >
+                      Clear
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-[10px] text-emerald-700">
+        Enter a business plan year by year in %. Blank years use the single value above (shown greyed out).
+        Stress scenarios shock these values year by year.
+      </p>
+    </div>
+  );
+}
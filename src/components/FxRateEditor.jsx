@@ -0,0 +1,80 @@
+// src/components/FxRateEditor.jsx
+import React from 'react';
+import { Globe } from 'lucide-react';
+import { Input } from './Input';
+import { Label } from './Label';
+
+export function FxRateEditor({ currencies, reportingCurrency, fxRates = {}, startYear, years, onChange }) {
+  const updateCurrency = (currency, changes) => {
+    onChange({ ...fxRates, [currency]: { ...(fxRates[currency] || {}), ...changes } });
+  };
+
+  return (
+    <div className="p-4 bg-amber-50 border-2 border-amber-200 rounded-lg space-y-4">
+      <div className="flex items-center gap-2 text-sm font-semibold text-amber-900">
+        <Globe className="w-4 h-4" />
+        FX Rate Path (foreign-currency tranches)
+      </div>
+
+      {currencies.map(currency => {
+        const entry = fxRates[currency] || {};
+        const spot = entry.spot || 0;
+        const curve = Array.isArray(entry.curve) ? entry.curve : [];
+        // One input per projection year; missing years hold the last value (or spot)
+        const values = Array.from({ length: years || 0 }, (_, i) =>
+          curve.length > 0 ? curve[Math.min(i, curve.length - 1)] : spot
+        );
+
+        const updateYear = (idx, value) => {
+          const next = [...values];
+          next[idx] = value;
+          updateCurrency(currency, { curve: next });
+        };
+
+        return (
+          <div key={currency} className="space-y-2">
+            <div className="flex flex-wrap items-end gap-3">
+              <div className="text-xs font-bold text-amber-900 w-full sm:w-auto">
+                {reportingCurrency} per 1 {currency}
+              </div>
+              <div className="space-y-1">
+                <Label className="text-[10px]">Spot (opening)</Label>
+                <Input
+                  type="number"
+                  step="0.01"
+                  value={spot}
+                  onChange={(e) => updateCurrency(currency, { spot: Math.max(0, Number(e.target.value)) })}
+                  className="h-8 w-28 text-xs"
+                />
+              </div>
+            </div>
+            <div className="grid grid-cols-3 sm:grid-cols-5 lg:grid-cols-10 gap-2">
+              {values.map((rate, idx) => (
+                <div key={idx} className="space-y-1">
+                  <Label className="text-[10px] text-center">{startYear + idx}</Label>
+                  <Input
+                    type="number"
+                    step="0.01"
+                    value={rate}
+                    onChange={(e) => updateYear(idx, Math.max(0, Number(e.target.value)))}
+                    className="h-8 text-xs text-center px-1"
+                  />
+                </div>
+              ))}
+            </div>
+            {!(spot > 0) && (
+              <p className="text-[10px] text-red-600">
+                Enter a spot rate - {currency} tranches are translated 1:1 until one is set.
+              </p>
+            )}
+          </div>
+        );
+      })}
+
+      <p className="text-[10px] text-amber-700">
+        Debt service on foreign tranches is translated at each year's rate; retranslating the balance is an
+        exchange loss or gain in profit. FX depreciation stress raises every projected rate by the shock.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,237 @@
+// src/components/GoalSeekPanel.jsx
+import React, { useState } from "react";
+import { Card, CardHeader, CardTitle, CardContent } from "./Card";
+import { Button } from "./Button";
+import { Input } from "./Input";
+import { Label } from "./Label";
+import { currencyFmtMM, numFmt, formatPercent } from "../utils/formatters";
+import { Crosshair, Play, CheckCircle, AlertTriangle } from "lucide-react";
+import { getDefaultBounds, goalSeek } from "../utils/goalSeek";
+import { MODEL_INPUTS, MODEL_OUTPUTS, getPathValue } from "../utils/modelVariables";
+
+const CUSTOM_VARIABLE = "__custom";
+
+// Percent fields are entered in %, everything else as the raw number
+const toDisplay = (value, format) => (format === "percent" ? value * 100 : value);
+const fromDisplay = (value, format) => (format === "percent" ? value / 100 : value);
+
+function formatValue(value, format, ccy) {
+  if (!Number.isFinite(value)) return "N/A";
+  if (format === "percent") return formatPercent(value, 2);
+  if (format === "currency") return currencyFmtMM(value, ccy);
+  if (format === "ratio") return `${numFmt(value)}x`;
+  return numFmt(value, 4);
+}
+
+export function GoalSeekPanel({ params, ccy, onApply }) {
+  const [variableKey, setVariableKey] = useState("growth");
+  const [customPath, setCustomPath] = useState("");
+  const [target, setTarget] = useState("minDSCR");
+  const [year, setYear] = useState(1);
+  const [targetValue, setTargetValue] = useState(params.minDSCR ?? 1.2);
+  const [bounds, setBounds] = useState({ lower: "", upper: "" });
+  const [solving, setSolving] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  const variable = variableKey === CUSTOM_VARIABLE ? customPath.trim() : variableKey;
+  const variableFormat = MODEL_INPUTS[variable]?.format;
+  const targetDefinition = MODEL_OUTPUTS[target];
+  const currentValue = getPathValue(params, variable);
+  const defaultBounds = Number.isFinite(currentValue) ? getDefaultBounds(variable, currentValue) : null;
+
+  const selectTarget = (key) => {
+    setTarget(key);
+    const covenant = MODEL_OUTPUTS[key]?.covenant;
+    if (covenant && Number.isFinite(params[covenant])) setTargetValue(params[covenant]);
+    setResult(null);
+  };
+
+  const selectVariable = (key) => {
+    setVariableKey(key);
+    setBounds({ lower: "", upper: "" });
+    setResult(null);
+  };
+
+  const solve = () => {
+    setSolving(true);
+    setError(null);
+    setResult(null);
+    // Let the button state render before the projection passes run
+    setTimeout(() => {
+      try {
+        setResult({
+          ...goalSeek(params, {
+            variable,
+            target,
+            year,
+            targetValue: Number(targetValue),
+            lowerBound: bounds.lower === "" ? undefined : fromDisplay(Number(bounds.lower), variableFormat),
+            upperBound: bounds.upper === "" ? undefined : fromDisplay(Number(bounds.upper), variableFormat)
+          }),
+          variable,
+          target
+        });
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setSolving(false);
+      }
+    }, 0);
+  };
+
+  const resultTargetFormat = result ? MODEL_OUTPUTS[result.target]?.format : undefined;
+  const resultVariableFormat = result ? MODEL_INPUTS[result.variable]?.format : undefined;
+
+  return (
+    <Card className="border-l-4 border-l-amber-600">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Crosshair className="w-5 h-5 text-amber-600" />
+          Goal Seek
+        </CardTitle>
+        <p className="text-sm text-slate-600 mt-1">
+          Find the input value that takes a model output to a target, e.g. the growth rate at which minimum DSCR hits the covenant
+        </p>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-3">
+          <div className="space-y-1">
+            <Label className="text-xs">Change this input</Label>
+            <select
+              value={variableKey}
+              onChange={(e) => selectVariable(e.target.value)}
+              className="w-full h-9 text-sm border border-slate-300 rounded-md bg-white px-2"
+            >
+              {Object.entries(MODEL_INPUTS).map(([key, input]) => (
+                <option key={key} value={key}>{input.label}</option>
+              ))}
+              <option value={CUSTOM_VARIABLE}>Other field...</option>
+            </select>
+            {variableKey === CUSTOM_VARIABLE && (
+              <Input
+                value={customPath}
+                placeholder="e.g. debtTranches.0.amount"
+                onChange={(e) => setCustomPath(e.target.value)}
+                className="h-8 text-xs"
+              />
+            )}
+            <p className="text-[10px] text-slate-500">
+              Current: {Number.isFinite(currentValue) ? formatValue(currentValue, variableFormat, ccy) : "not a numeric field"}
+            </p>
+          </div>
+
+          <div className="space-y-1">
+            <Label className="text-xs">So that this output</Label>
+            <select
+              value={target}
+              onChange={(e) => selectTarget(e.target.value)}
+              className="w-full h-9 text-sm border border-slate-300 rounded-md bg-white px-2"
+            >
+              {Object.entries(MODEL_OUTPUTS).map(([key, definition]) => (
+                <option key={key} value={key}>{definition.label}</option>
+              ))}
+            </select>
+            {targetDefinition?.byYear && (
+              <select
+                value={year}
+                onChange={(e) => setYear(Number(e.target.value))}
+                className="w-full h-8 text-xs border border-slate-300 rounded-md bg-white px-2"
+              >
+                {Array.from({ length: params.years || 0 }, (_, i) => (
+                  <option key={i} value={i + 1}>Year {i + 1} ({params.startYear + i})</option>
+                ))}
+              </select>
+            )}
+          </div>
+
+          <div className="space-y-1">
+            <Label className="text-xs">
+              Equals {targetDefinition?.format === "percent" ? "(%)" : targetDefinition?.format === "ratio" ? "(x)" : ""}
+            </Label>
+            <Input
+              type="number"
+              step="0.01"
+              value={toDisplay(Number(targetValue), targetDefinition?.format)}
+              onChange={(e) => setTargetValue(fromDisplay(Number(e.target.value), targetDefinition?.format))}
+              className="h-9 text-sm"
+            />
+            {targetDefinition?.covenant && (
+              <p className="text-[10px] text-slate-500">
+                Covenant: {numFmt(params[targetDefinition.covenant])}x
+              </p>
+            )}
+          </div>
+
+          <div className="space-y-1">
+            <Label className="text-xs">Search range {variableFormat === "percent" ? "(%)" : ""}</Label>
+            <div className="flex gap-2">
+              <Input
+                type="number"
+                value={bounds.lower}
+                placeholder={defaultBounds ? String(toDisplay(defaultBounds.lowerBound, variableFormat)) : "min"}
+                onChange={(e) => setBounds({ ...bounds, lower: e.target.value })}
+                className="h-9 text-sm"
+              />
+              <Input
+                type="number"
+                value={bounds.upper}
+                placeholder={defaultBounds ? String(toDisplay(defaultBounds.upperBound, variableFormat)) : "max"}
+                onChange={(e) => setBounds({ ...bounds, upper: e.target.value })}
+                className="h-9 text-sm"
+              />
+            </div>
+          </div>
+        </div>
+
+        <Button
+          onClick={solve}
+          disabled={solving || !variable}
+          className="h-9 px-4 text-sm bg-amber-600 hover:bg-amber-700 text-white rounded-md flex items-center gap-2"
+        >
+          <Play className="w-4 h-4" /> {solving ? "Solving..." : "Solve"}
+        </Button>
+
+        {error && (
+          <div className="p-3 bg-red-50 border border-red-200 rounded text-sm text-red-800 flex items-center gap-2">
+            <AlertTriangle className="w-4 h-4" /> {error}
+          </div>
+        )}
+
+        {result && (
+          <div className={`p-4 rounded-lg border-2 space-y-2 ${result.converged ? "bg-emerald-50 border-emerald-300" : "bg-yellow-50 border-yellow-300"}`}>
+            <div className="flex items-center gap-2 text-sm font-semibold text-slate-800">
+              {result.converged
+                ? <CheckCircle className="w-4 h-4 text-emerald-600" />
+                : <AlertTriangle className="w-4 h-4 text-yellow-600" />}
+              {result.message}
+            </div>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 text-sm">
+              <div>
+                <div className="text-xs text-slate-600">Solved Input</div>
+                <div className="font-bold text-slate-900">{formatValue(result.solution, resultVariableFormat, ccy)}</div>
+                <div className="text-[10px] text-slate-500">was {formatValue(result.currentValue, resultVariableFormat, ccy)}</div>
+              </div>
+              <div>
+                <div className="text-xs text-slate-600">Resulting Output</div>
+                <div className="font-bold text-slate-900">{formatValue(result.achievedValue, resultTargetFormat, ccy)}</div>
+                <div className="text-[10px] text-slate-500">was {formatValue(result.currentOutput, resultTargetFormat, ccy)}</div>
+              </div>
+              <div className="flex items-end">
+                {onApply && Number.isFinite(result.solution) && (
+                  <Button
+                    onClick={() => onApply(result.variable, result.solution)}
+                    className="h-8 px-3 text-xs bg-slate-800 hover:bg-slate-900 text-white rounded-md"
+                  >
+                    Apply to Model
+                  </Button>
+                )}
+              </div>
+            </div>
+            <p className="text-[10px] text-slate-500">{result.evaluations} projection runs</p>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,166 @@
+// src/components/HedgeManager.jsx
+import React from 'react';
+import { Shield, Plus, Trash2 } from 'lucide-react';
+import { Button } from './Button';
+import { Input } from './Input';
+import { Label } from './Label';
+import { decimalToPercent, percentToDecimal } from '../utils/mathUtils';
+import { currencyFmtMM } from '../utils/formatters';
+import { isRevolver } from '../utils/revolver';
+import { isFloatingRate, getBaseRate } from '../utils/floatingRate';
+import { HEDGE_TYPES, calculateHedgeSettlement } from '../utils/hedging';
+
+export function HedgeManager({ hedges = [], tranches = [], params = {}, ccy, onChange }) {
+  // Hedges cover term tranches; revolvers are settled against cash each year
+  const termTranches = tranches.filter(t => !isRevolver(t));
+  const baseRateName = params.baseRateName || 'Base Rate';
+  const year1BaseRate = getBaseRate(params, 0);
+
+  const addHedge = () => {
+    const tranche = termTranches.find(isFloatingRate) || termTranches[0];
+    onChange([
+      ...hedges,
+      {
+        id: Date.now(),
+        name: `Swap ${hedges.length + 1}`,
+        hedgeType: 'swap',
+        trancheId: tranche?.id ?? null,
+        trancheName: tranche?.name || '',
+        notional: tranche?.amount || 0,
+        fixedRate: year1BaseRate,
+        strike: year1BaseRate,
+        termYears: Math.min(tranche?.tenorYears || 3, params.years || 3)
+      }
+    ]);
+  };
+
+  const updateHedge = (id, changes) => {
+    onChange(hedges.map(h => h.id === id ? { ...h, ...changes } : h));
+  };
+
+  const linkTranche = (id, trancheId) => {
+    const tranche = termTranches.find(t => String(t.id) === trancheId);
+    updateHedge(id, { trancheId: tranche?.id ?? null, trancheName: tranche?.name || '' });
+  };
+
+  return (
+    <div className="p-4 bg-teal-50 border-2 border-teal-200 rounded-lg space-y-3">
+      <div className="flex flex-col gap-2 sm:flex-row sm:items-center sm:justify-between">
+        <div className="flex items-center gap-2 text-sm font-semibold text-teal-900">
+          <Shield className="w-4 h-4" />
+          Interest Rate Hedges
+        </div>
+        <Button
+          onClick={addHedge}
+          disabled={termTranches.length === 0}
+          className="text-xs px-3 py-1 bg-teal-600 hover:bg-teal-700 text-white rounded-md flex items-center justify-center gap-1 w-full sm:w-auto"
+        >
+          <Plus className="w-3 h-3" /> Add Hedge
+        </Button>
+      </div>
+
+      {hedges.length === 0 && (
+        <p className="text-xs text-teal-800">
+          No hedges. Add a swap or cap to fix or limit the {baseRateName} exposure on a floating tranche.
+        </p>
+      )}
+
+      {hedges.map(hedge => {
+        const isCap = hedge.hedgeType === 'cap';
+        const rateField = isCap ? 'strike' : 'fixedRate';
+        const year1Settlement = calculateHedgeSettlement(hedge, hedge.notional || 0, year1BaseRate);
+
+        return (
+          <div key={hedge.id} className="p-3 bg-white border border-teal-200 rounded-md space-y-2">
+            <div className="grid grid-cols-2 md:grid-cols-6 gap-2 items-end">
+              <div className="space-y-1">
+                <Label className="text-[10px]">Name</Label>
+                <Input
+                  value={hedge.name || ''}
+                  onChange={(e) => updateHedge(hedge.id, { name: e.target.value })}
+                  className="h-8 text-xs"
+                />
+              </div>
+              <div className="space-y-1">
+                <Label className="text-[10px]">Instrument</Label>
+                <select
+                  value={hedge.hedgeType || 'swap'}
+                  onChange={(e) => updateHedge(hedge.id, { hedgeType: e.target.value })}
+                  className="w-full h-8 text-xs border border-slate-300 rounded-md bg-white"
+                >
+                  {Object.entries(HEDGE_TYPES).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="space-y-1">
+                <Label className="text-[10px]">Hedged Tranche</Label>
+                <select
+                  value={hedge.trancheId === null || hedge.trancheId === undefined ? '' : String(hedge.trancheId)}
+                  onChange={(e) => linkTranche(hedge.id, e.target.value)}
+                  className="w-full h-8 text-xs border border-slate-300 rounded-md bg-white"
+                >
+                  <option value="">Not linked</option>
+                  {termTranches.map(t => (
+                    <option key={t.id} value={String(t.id)}>
+                      {t.name}{isFloatingRate(t) ? ' (floating)' : ' (fixed)'}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="space-y-1">
+                <Label className="text-[10px]">Notional ({ccy})</Label>
+                <Input
+                  type="number"
+                  value={hedge.notional || 0}
+                  onChange={(e) => updateHedge(hedge.id, { notional: Math.max(0, Number(e.target.value)) })}
+                  className="h-8 text-xs"
+                />
+              </div>
+              <div className="space-y-1">
+                <Label className="text-[10px]">{isCap ? 'Strike (%)' : 'Fixed Rate (%)'}</Label>
+                <Input
+                  type="number"
+                  step="0.05"
+                  value={decimalToPercent(hedge[rateField] || 0).toFixed(2)}
+                  onChange={(e) => updateHedge(hedge.id, { [rateField]: percentToDecimal(Number(e.target.value)) })}
+                  className="h-8 text-xs"
+                />
+              </div>
+              <div className="flex items-end gap-2">
+                <div className="space-y-1 flex-1">
+                  <Label className="text-[10px]">Term (years)</Label>
+                  <Input
+                    type="number"
+                    min="0"
+                    value={hedge.termYears || 0}
+                    onChange={(e) => updateHedge(hedge.id, { termYears: Math.max(0, Math.round(Number(e.target.value))) })}
+                    className="h-8 text-xs"
+                  />
+                </div>
+                <button
+                  onClick={() => onChange(hedges.filter(h => h.id !== hedge.id))}
+                  className="h-8 px-2 text-red-600 hover:bg-red-50 rounded-md"
+                  title="Remove hedge"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+            <p className="text-[10px] text-slate-600">
+              Year 1 net settlement at {baseRateName} {decimalToPercent(year1BaseRate).toFixed(2)}%:{' '}
+              <span className={year1Settlement > 0 ? 'text-red-600 font-semibold' : 'text-emerald-600 font-semibold'}>
+                {year1Settlement > 0 ? 'pays ' : 'receives '}{currencyFmtMM(Math.abs(year1Settlement), ccy)}
+              </span>
+            </p>
+          </div>
+        );
+      })}
+
+      <p className="text-[10px] text-teal-700">
+        Swaps pay the fixed rate and receive {baseRateName}; caps receive any excess of {baseRateName} over the strike.
+        Net settlements flow into interest expense, on a notional limited to the hedged tranche's outstanding balance.
+      </p>
+    </div>
+  );
+}
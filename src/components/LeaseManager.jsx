@@ -0,0 +1,138 @@
+// src/components/LeaseManager.jsx
+import React from 'react';
+import { Building2, Plus, Trash2 } from 'lucide-react';
+import { Button } from './Button';
+import { Input } from './Input';
+import { Label } from './Label';
+import { decimalToPercent, percentToDecimal } from '../utils/mathUtils';
+import { currencyFmtMM } from '../utils/formatters';
+import { LEASE_COVENANT_BASES, createLease, getLeaseCovenantBasis, getLeaseLiabilityAtCommencement } from '../utils/leases';
+
+export function LeaseManager({ params, ccy, onChange }) {
+  const leases = params.leases || [];
+  const basis = getLeaseCovenantBasis(params);
+
+  const updateLease = (id, changes) => {
+    onChange({ leases: leases.map(l => (l.id === id ? { ...l, ...changes } : l)) });
+  };
+
+  const pctInput = (lease, field) => (
+    <Input
+      type="number"
+      step="0.25"
+      value={Number(decimalToPercent(lease[field] || 0).toFixed(2))}
+      onChange={(e) => updateLease(lease.id, { [field]: percentToDecimal(Number(e.target.value)) })}
+      className="h-8 text-xs"
+    />
+  );
+
+  const totalLiability = leases.reduce((sum, l) => sum + getLeaseLiabilityAtCommencement(l), 0);
+
+  return (
+    <div className="p-4 bg-cyan-50 border-2 border-cyan-200 rounded-lg space-y-3">
+      <div className="flex flex-col gap-2 sm:flex-row sm:items-center sm:justify-between">
+        <div className="flex items-center gap-2 text-sm font-semibold text-cyan-900">
+          <Building2 className="w-4 h-4" />
+          Leases (IFRS 16)
+        </div>
+        <div className="flex flex-col gap-2 sm:flex-row sm:items-center">
+          <select
+            value={basis}
+            onChange={(e) => onChange({ leaseCovenantBasis: e.target.value })}
+            className="h-8 text-xs border border-cyan-300 rounded-md bg-white"
+            title="How covenants in the model treat leases"
+          >
+            {Object.entries(LEASE_COVENANT_BASES).map(([key, { label }]) => (
+              <option key={key} value={key}>Covenants: {label}</option>
+            ))}
+          </select>
+          <Button
+            onClick={() => onChange({ leases: [...leases, createLease({ name: `Lease ${leases.length + 1}` })] })}
+            className="text-xs px-3 py-1 bg-cyan-600 hover:bg-cyan-700 text-white rounded-md flex items-center justify-center gap-1 w-full sm:w-auto"
+          >
+            <Plus className="w-3 h-3" /> Add Lease
+          </Button>
+        </div>
+      </div>
+
+      {leases.map(lease => (
+        <div key={lease.id} className="p-3 bg-white border border-cyan-200 rounded-md">
+          <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-8 gap-2 items-end">
+            <div className="space-y-1">
+              <Label className="text-[10px]">Lease</Label>
+              <Input
+                value={lease.name || ''}
+                onChange={(e) => updateLease(lease.id, { name: e.target.value })}
+                className="h-8 text-xs"
+              />
+            </div>
+            <div className="space-y-1">
+              <Label className="text-[10px]">Annual Payment ({ccy})</Label>
+              <Input
+                type="number"
+                value={lease.annualPayment || 0}
+                onChange={(e) => updateLease(lease.id, { annualPayment: Math.max(0, Number(e.target.value)) })}
+                className="h-8 text-xs"
+              />
+            </div>
+            <div className="space-y-1">
+              <Label className="text-[10px]">Escalation (%)</Label>
+              {pctInput(lease, 'escalation')}
+            </div>
+            <div className="space-y-1">
+              <Label className="text-[10px]">Term (years)</Label>
+              <Input
+                type="number"
+                min={1}
+                value={lease.termYears || 1}
+                onChange={(e) => updateLease(lease.id, { termYears: Math.max(1, Math.round(Number(e.target.value))) })}
+                className="h-8 text-xs"
+              />
+            </div>
+            <div className="space-y-1">
+              <Label className="text-[10px]">Discount Rate (%)</Label>
+              {pctInput(lease, 'discountRate')}
+            </div>
+            <div className="space-y-1">
+              <Label className="text-[10px]">Start Year</Label>
+              <Input
+                type="number"
+                value={lease.startYear ?? ''}
+                placeholder={String(params.startYear)}
+                onChange={(e) => updateLease(lease.id, { startYear: e.target.value === '' ? null : Math.round(Number(e.target.value)) })}
+                className="h-8 text-xs"
+              />
+            </div>
+            <div className="text-xs">
+              <div className="text-[10px] text-slate-500">Liability at Start</div>
+              <div className="font-semibold text-slate-800">{currencyFmtMM(getLeaseLiabilityAtCommencement(lease), ccy)}</div>
+            </div>
+            <div className="flex items-end justify-end">
+              <button
+                onClick={() => onChange({ leases: leases.filter(l => l.id !== lease.id) })}
+                className="h-8 px-2 text-red-600 hover:bg-red-50 rounded-md"
+                title="Remove lease"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+        </div>
+      ))}
+
+      {leases.length > 0 && (
+        <div className="text-xs text-cyan-900">
+          Total lease liability at commencement: <strong>{currencyFmtMM(totalLiability, ccy)}</strong>
+        </div>
+      )}
+
+      <p className="text-[10px] text-cyan-700">
+        Payments are annual in arrears and rise by the escalation each year. Each lease is recognised as a right-of-use
+        asset and lease liability at the present value of its payments; leave rent out of OPEX % to avoid counting it twice.
+        {basis === 'post'
+          ? ' Covenants count lease liabilities in net debt and lease payments in debt service.'
+          : ' Covenants deduct lease payments from EBITDA and leave lease liabilities out of net debt.'}
+      </p>
+    </div>
+  );
+}
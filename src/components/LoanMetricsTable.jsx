@@ -14,13 +14,18 @@ import {
   MessageSquare,
   ChevronDown,
   ChevronUp,
-  Sparkles
+  Sparkles,
+  Download
 } from 'lucide-react';
 import { Card, CardHeader, CardTitle, CardContent } from './Card';
 import { Button } from './Button';
 import { currencyFmtMM, pctFmt, numFmt } from '../utils/formatters';
 import { MessageCircle as MessageCircleIcon } from "lucide-react";
 import { AITextRenderer } from './AITextRenderer';
+import { exportLoanMetricsCSV } from '../utils/exportLoanMetrics';
+import { BUSINESS_DAY_CONVENTIONS } from '../utils/dayCount';
+import { SENIORITY_CLASSES, hasSeniorCovenants } from '../utils/trancheMetrics';
+import { COVENANT_DIRECTIONS, getThresholdForYear, formatCovenantValue } from '../utils/covenants';
  
 /**
  * AI-Powered Financial Analysis Component
@@ -71,20 +76,17 @@ function generateTableSummary(projection, params, ccy) {
   summary += `• Maximum Leverage: ${creditStats.maxLeverage?.toFixed(2)}x\n`;
   summary += `• Average Cash Conversion: ${(creditStats.avgCashConversion * 100).toFixed(1)}%\n`;
   summary += `• Total FCF Generated: ${(creditStats.totalFCFGenerated / 1000000).toFixed(2)}M ${ccy}\n`;
+  if (rows.some(r => (r.trancheCoverage || []).some(c => !c.senior))) {
+    summary += `• Minimum Senior DSCR: ${creditStats.minSeniorDSCR?.toFixed(2)}x\n`;
+    summary += `• Maximum Senior Leverage: ${creditStats.maxSeniorLeverage?.toFixed(2)}x\n`;
+  }
   
   // Covenant breaches
-  const totalBreaches = (breaches.dscrBreaches || 0) + (breaches.icrBreaches || 0) + (breaches.ndBreaches || 0);
   summary += `\n\nCOVENANT BREACH SUMMARY:\n`;
-  summary += `• Total Breaches: ${totalBreaches}\n`;
-  if (breaches.dscrBreaches > 0) {
-    summary += `• DSCR Breaches: ${breaches.dscrBreaches} (Years: ${breaches.dscrBreachYears.join(', ')})\n`;
-  }
-  if (breaches.icrBreaches > 0) {
-    summary += `• ICR Breaches: ${breaches.icrBreaches} (Years: ${breaches.icrBreachYears.join(', ')})\n`;
-  }
-  if (breaches.ndBreaches > 0) {
-    summary += `• Leverage Breaches: ${breaches.ndBreaches} (Years: ${breaches.leverageBreachYears.join(', ')})\n`;
-  }
+  summary += `• Total Breaches: ${breaches.totalBreaches || 0}\n`;
+  (breaches.covenants || []).filter(c => c.breachYears.length > 0).forEach(c => {
+    summary += `• ${c.name} Breaches: ${c.breachYears.length} (Years: ${c.breachYears.join(', ')})\n`;
+  });
   
   // Multi-tranche info if available
   if (projection.hasMultipleTranches && projection.multiTrancheInfo) {
@@ -95,7 +97,7 @@ function generateTableSummary(projection, params, ccy) {
     projection.multiTrancheInfo.tranches.forEach((tranche, idx) => {
       summary += `\n  Tranche ${idx + 1}: ${tranche.name}\n`;
       summary += `    Seniority: ${tranche.seniority}\n`;
-      summary += `    Amount: ${(tranche.amount / 1000000).toFixed(2)}M ${ccy}\n`;
+      summary += `    Amount: ${(tranche.amount / 1000000).toFixed(2)}M ${tranche.currency || ccy}\n`;
       summary += `    Rate: ${(tranche.rate * 100).toFixed(2)}%\n`;
       summary += `    Type: ${tranche.amortizationType}\n`;
       summary += `    Maturity: ${new Date(tranche.maturityDate).toLocaleDateString()}\n`;
@@ -141,13 +143,9 @@ function AIInsightPanel({ projection, params, ccy }) {
     }
     
     // 2. COVENANT BREACH ANALYSIS
-    if (breaches.dscrBreaches > 0 || breaches.icrBreaches > 0 || breaches.ndBreaches > 0) {
-      const totalBreaches = breaches.dscrBreaches + breaches.icrBreaches + breaches.ndBreaches;
-      const breachYears = [...new Set([
-        ...breaches.dscrBreachYears,
-        ...breaches.icrBreachYears,
-        ...breaches.leverageBreachYears
-      ])].sort();
+    if (breaches.totalBreaches > 0) {
+      const totalBreaches = breaches.totalBreaches;
+      const breachYears = breaches.breachYears;
       
       analysis.push({
         type: 'critical',
@@ -453,6 +451,52 @@ function CovenantIndicator({ value, threshold, isInverse = false, debtBalance })
   );
 }
 
+/**
+ * Library threshold for a row's year, after step-downs (0 = not tested)
+ */
+function covenantThreshold(params, id, row) {
+  return getThresholdForYear(params, id, row.year) ?? 0;
+}
+
+/**
+ * Custom covenant from the library - the year-end test, flagged if any test in the year fails
+ */
+function CustomCovenantCell({ covenant, year, ccy }) {
+  const tests = covenant.tests.filter(t => t.year === year);
+  if (tests.length === 0) return <span className="font-mono text-sm text-slate-400">—</span>;
+  const last = tests[tests.length - 1];
+  const failed = tests.filter(t => t.breached);
+  return (
+    <div className="flex items-center justify-end gap-2" title={failed.map(t => t.label).join(', ') || undefined}>
+      <span className="font-mono text-sm font-bold">{formatCovenantValue(last.value, covenant.unit, ccy)}</span>
+      {last.value === null ? null : failed.length > 0 ? (
+        <div className="flex items-center gap-1 px-2 py-0.5 bg-red-100 text-red-800 rounded-full text-xs font-semibold">
+          <AlertTriangle className="w-3 h-3" />
+          <span>BREACH{tests.length > 1 ? ` ${failed.length}/${tests.length}` : ''}</span>
+        </div>
+      ) : (
+        <div className="flex items-center gap-1 px-2 py-0.5 bg-emerald-100 text-emerald-800 rounded-full text-xs font-semibold">
+          <CheckCircle2 className="w-3 h-3" />
+          <span>COMPLIANT</span>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Senior / through-tranche ratio - covenant badge only when a threshold is set
+ */
+function SeniorRatioCell({ value, threshold, isInverse = false, debtBalance }) {
+  if (value === null || value === undefined) {
+    return <span className="font-mono text-sm text-slate-400">{isInverse && debtBalance > 0 ? 'n/m' : '—'}</span>;
+  }
+  if (threshold > 0) {
+    return <CovenantIndicator value={value} threshold={threshold} isInverse={isInverse} debtBalance={debtBalance} />;
+  }
+  return <span className="font-mono text-sm font-bold">{numFmt(value)}x</span>;
+}
+
 /**
  * Main Loan Metrics Table Component
  */
@@ -632,6 +676,15 @@ export default function LoanMetricsTable({ projection, params, ccy }) {
                   Tranche Detail
                 </Button>
               )}
+              {projection.paymentSchedules?.some(s => s.payments.length > 0) && (
+                <Button
+                  onClick={() => setActiveView('calendar')}
+                  variant={activeView === 'calendar' ? 'primary' : 'secondary'}
+                  size="sm"
+                >
+                  Payment Calendar
+                </Button>
+              )}
             </div>
           </div>
         </CardHeader>
@@ -647,6 +700,9 @@ export default function LoanMetricsTable({ projection, params, ccy }) {
             {activeView === 'tranches' && projection.hasMultipleTranches && (
               <TrancheView projection={projection} params={params} ccy={ccy} />
             )}
+            {activeView === 'calendar' && (
+              <PaymentCalendarView projection={projection} params={params} ccy={ccy} />
+            )}
           </div>
         </CardContent>
       </Card>
@@ -760,7 +816,7 @@ function SummaryView({ projection, params, ccy }) {
             <td key={i} className="text-right py-2 px-4">
               <CovenantIndicator 
                 value={row.dscr} 
-                threshold={params.minDSCR} 
+                threshold={covenantThreshold(params, 'dscr', row)} 
                 isInverse={false}
                 debtBalance={row.debtBalance}
               />
@@ -777,7 +833,7 @@ function SummaryView({ projection, params, ccy }) {
             <td key={i} className="text-right py-2 px-4">
               <CovenantIndicator 
                 value={row.icr} 
-                threshold={params.targetICR} 
+                threshold={covenantThreshold(params, 'icr', row)} 
                 isInverse={false}
                 debtBalance={row.debtBalance}
               />
@@ -794,7 +850,7 @@ function SummaryView({ projection, params, ccy }) {
             <td key={i} className="text-right py-2 px-4">
               <CovenantIndicator 
                 value={row.ndToEbitda} 
-                threshold={params.maxNDToEBITDA} 
+                threshold={covenantThreshold(params, 'leverage', row)} 
                 isInverse={true}
                 debtBalance={row.debtBalance}
               />
@@ -1002,6 +1058,15 @@ function DetailedView({ projection, params, ccy }) {
   ))}
 </tr>
 
+<tr className="hover:bg-slate-50">
+  <td className="py-2 px-4 font-semibold text-slate-700 sticky left-0 bg-white">Cash Tax Paid</td>
+  {projection.rows.map((row, i) => (
+    <td key={i} className="text-right font-mono text-slate-900 py-2 px-4">
+      ({currencyFmtMM(row.cashTax ?? row.tax, ccy)})
+    </td>
+  ))}
+</tr>
+
 <tr className="hover:bg-slate-50">
   <td className="py-2 px-4 font-semibold text-slate-700 sticky left-0 bg-white">Working Capital Change</td>
   {projection.rows.map((row, i) => (
@@ -1096,11 +1161,28 @@ function DetailedView({ projection, params, ccy }) {
   </td>
   {projection.rows.map((row, i) => (
     <td key={i} className="text-right py-2 px-4">
-     <CovenantIndicator value={row.dscr} threshold={params.minDSCR} debtBalance={row.debtBalance} />
+     <CovenantIndicator value={row.dscr} threshold={covenantThreshold(params, 'dscr', row)} debtBalance={row.debtBalance} />
     </td>
   ))}
 </tr>
 
+{(params.reserveAccounts || []).length > 0 && (
+  <tr className="bg-emerald-50 hover:bg-emerald-100">
+    <td className="py-2 px-4 font-semibold text-emerald-900 sticky left-0 bg-emerald-50">
+      DSCR incl. Reserve Draws
+      <div className="text-xs text-slate-600 font-normal">DSRA draws added to cash flow</div>
+    </td>
+    {projection.rows.map((row, i) => (
+      <td key={i} className="text-right py-2 px-4">
+        <CovenantIndicator value={row.dscrWithReserveDraws} threshold={covenantThreshold(params, 'dscr', row)} debtBalance={row.debtBalance} />
+        {(row.reserveBalance || 0) > 0 && (
+          <div className="text-xs text-slate-500">Reserves: {currencyFmtMM(row.reserveBalance, ccy)}</div>
+        )}
+      </td>
+    ))}
+  </tr>
+)}
+
 <tr className="bg-blue-50 hover:bg-blue-100">
   <td className="py-2 px-4 font-semibold text-blue-900 sticky left-0 bg-blue-50">
     ICR (Interest Coverage)
@@ -1108,7 +1190,7 @@ function DetailedView({ projection, params, ccy }) {
   </td>
   {projection.rows.map((row, i) => (
     <td key={i} className="text-right py-2 px-4">
-      <CovenantIndicator value={row.icr} threshold={params.targetICR} debtBalance={row.debtBalance} />
+      <CovenantIndicator value={row.icr} threshold={covenantThreshold(params, 'icr', row)} debtBalance={row.debtBalance} />
 
     </td>
   ))}
@@ -1123,7 +1205,7 @@ function DetailedView({ projection, params, ccy }) {
     <td key={i} className="text-right py-2 px-4">
       <CovenantIndicator
   value={row.ndToEbitda}
-  threshold={params.maxNDToEBITDA}
+  threshold={covenantThreshold(params, 'leverage', row)}
   isInverse
   debtBalance={row.debtBalance}
 />
@@ -1131,6 +1213,73 @@ function DetailedView({ projection, params, ccy }) {
   ))}
 </tr>
 
+{(hasSeniorCovenants(params) || projection.rows.some(row => (row.trancheCoverage || []).some(c => !c.senior))) && (
+  <>
+    <tr className="bg-emerald-50 hover:bg-emerald-100">
+      <td className="py-2 px-4 font-semibold text-emerald-900 sticky left-0 bg-emerald-50">
+        Senior DSCR
+        <div className="text-xs text-slate-600 font-normal">
+          {params.minSeniorDSCR > 0 ? `Covenant: ≥${numFmt(params.minSeniorDSCR)}x` : 'Senior debt service only'}
+        </div>
+      </td>
+      {projection.rows.map((row, i) => (
+        <td key={i} className="text-right py-2 px-4">
+          <SeniorRatioCell value={row.seniorDSCR} threshold={covenantThreshold(params, 'seniorDscr', row)} debtBalance={row.debtBalance} />
+        </td>
+      ))}
+    </tr>
+    <tr className="bg-amber-50 hover:bg-amber-100">
+      <td className="py-2 px-4 font-semibold text-amber-900 sticky left-0 bg-amber-50">
+        Senior Net Debt / EBITDA
+        <div className="text-xs text-slate-600 font-normal">
+          {params.maxSeniorNDToEBITDA > 0 ? `Covenant: ≤${numFmt(params.maxSeniorNDToEBITDA)}x` : 'Senior debt less cash'}
+        </div>
+      </td>
+      {projection.rows.map((row, i) => (
+        <td key={i} className="text-right py-2 px-4">
+          <SeniorRatioCell value={row.seniorNDToEBITDA} threshold={covenantThreshold(params, 'seniorLeverage', row)} isInverse debtBalance={row.seniorDebt} />
+        </td>
+      ))}
+    </tr>
+  </>
+)}
+
+{(projection.breaches?.covenants || []).filter(c => !c.standard && c.active).map(covenant => (
+  <tr key={covenant.id} className="bg-violet-50 hover:bg-violet-100">
+    <td className="py-2 px-4 font-semibold text-violet-900 sticky left-0 bg-violet-50">
+      {covenant.name}
+      <div className="text-xs text-slate-600 font-normal">
+        Covenant: {COVENANT_DIRECTIONS[covenant.direction].symbol}
+        {formatCovenantValue(covenant.tests[0]?.threshold ?? null, covenant.unit, ccy)} · {covenant.formula}
+      </div>
+    </td>
+    {projection.rows.map((row, i) => (
+      <td key={i} className="text-right py-2 px-4">
+        <CustomCovenantCell covenant={covenant} year={row.year} ccy={ccy} />
+      </td>
+    ))}
+  </tr>
+))}
+
+<tr className="hover:bg-slate-50">
+  <td className="py-2 px-4 font-semibold text-slate-700 sticky left-0 bg-white">
+    Distributions
+    <div className="text-xs text-slate-600 font-normal">Blocked while lock-up tests fail</div>
+  </td>
+  {projection.rows.map((row, i) => (
+    <td key={i} className="text-right font-mono py-2 px-4" title={(row.lockupReasons || []).join('; ')}>
+      {row.distributionLocked ? (
+        <span className="text-red-700 font-semibold">Locked up</span>
+      ) : (
+        <span className="text-slate-900">{currencyFmtMM(row.dividends, ccy)}</span>
+      )}
+      {(row.trappedCash || 0) > 0 && (
+        <div className="text-xs text-slate-500">Trapped: {currencyFmtMM(row.trappedCash, ccy)}</div>
+      )}
+    </td>
+  ))}
+</tr>
+
 {/* ===============================
    🏦 BALANCE SHEET SUMMARY
 ================================== */}
@@ -1247,8 +1396,10 @@ function TrancheView({ projection, params, ccy }) {
               <div>
                 <h4 className="text-lg font-bold">{tranche.name}</h4>
                 <p className="text-xs text-slate-300 mt-1">
-                  {tranche.seniority} • {currencyFmtMM(tranche.amount, ccy)} @ {pctFmt(tranche.rate)} •{" "}
-                  {tranche.amortizationType === "amortizing"
+                  {tranche.seniority} • {currencyFmtMM(tranche.amount, tranche.currency || ccy)} @ {pctFmt(tranche.rate)} •{" "}
+                  {tranche.trancheType === "revolver"
+                    ? `Revolver (${currencyFmtMM(tranche.commitment, ccy)} commitment)`
+                    : tranche.amortizationType === "amortizing"
                     ? "Amortizing"
                     : tranche.amortizationType === "interest-only"
                     ? "Interest-Only"
@@ -1301,6 +1452,20 @@ function TrancheView({ projection, params, ccy }) {
                   })}
                 </tr>
 
+                {projection.rows.some(row => row.trancheDetails[trancheIdx]?.prepayment > 0) && (
+                  <tr className="hover:bg-slate-50">
+                    <td className="py-2 px-4 font-semibold text-slate-700">Cash Sweep Prepayment</td>
+                    {projection.rows.map((row, i) => {
+                      const trancheData = row.trancheDetails[trancheIdx];
+                      return (
+                        <td key={i} className="text-right font-mono text-emerald-700 py-2 px-4">
+                          {trancheData ? currencyFmtMM(trancheData.prepayment || 0, ccy) : "—"}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                )}
+
                 <tr className="bg-purple-50 hover:bg-purple-100">
                   <td className="py-2 px-4 font-semibold text-purple-900">Total Payment</td>
                   {projection.rows.map((row, i) => {
@@ -1324,12 +1489,84 @@ function TrancheView({ projection, params, ccy }) {
                     );
                   })}
                 </tr>
+
+                {projection.rows.some(row => row.trancheDetails[trancheIdx]?.maturityShortfall > 0) && (
+                  <tr className="bg-red-50 hover:bg-red-100">
+                    <td className="py-2 px-4 font-semibold text-red-800">
+                      Unpaid at Maturity
+                      <div className="text-[10px] text-red-700 font-normal">Refinancing gap - cash could not repay</div>
+                    </td>
+                    {projection.rows.map((row, i) => {
+                      const trancheData = row.trancheDetails[trancheIdx];
+                      return (
+                        <td key={i} className="text-right font-mono text-red-700 font-semibold py-2 px-4">
+                          {trancheData ? currencyFmtMM(trancheData.maturityShortfall || 0, ccy) : "—"}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                )}
               </tbody>
             </table>
           </div>
         </div>
       ))}
 
+      {/* Coverage by Seniority */}
+      <div className="mt-6">
+        <div className="bg-gradient-to-r from-emerald-700 to-teal-800 text-white p-3 rounded-t-lg">
+          <h4 className="text-lg font-bold">Coverage by Seniority</h4>
+          <p className="text-xs text-slate-200 mt-1">
+            Cumulative DSCR and net leverage attachment → detachment through each class (cash nets against senior debt first)
+          </p>
+        </div>
+
+        <div className="overflow-x-auto border-2 border-t-0 border-emerald-300 rounded-b-lg">
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="bg-emerald-100 border-b border-emerald-300">
+                <th className="text-left py-2 px-4 font-bold text-emerald-900">Through</th>
+                {projection.rows.map((row) => (
+                  <th key={row.year} className="text-right py-2 px-4 font-bold text-emerald-900">
+                    {row.year}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-200">
+              {SENIORITY_CLASSES
+                .filter(c => projection.rows.some(row => (row.trancheCoverage || []).some(tc => tc.key === c.key)))
+                .map(c => (
+                  <tr key={c.key} className="hover:bg-slate-50">
+                    <td className="py-2 px-4 font-semibold text-slate-700">
+                      {c.label}
+                      <div className="text-xs text-slate-500 font-normal">{c.senior ? 'Senior' : 'Junior'}</div>
+                    </td>
+                    {projection.rows.map((row, i) => {
+                      const cls = (row.trancheCoverage || []).find(tc => tc.key === c.key);
+                      if (!cls) {
+                        return <td key={i} className="text-right font-mono text-slate-400 py-2 px-4">—</td>;
+                      }
+                      const lev = (v) => (v === null ? 'n/m' : `${numFmt(v)}x`);
+                      return (
+                        <td key={i} className="text-right py-2 px-4">
+                          <div className="font-mono font-bold text-slate-900">
+                            {cls.cumulativeDSCR === null ? '—' : `${numFmt(cls.cumulativeDSCR)}x`}
+                          </div>
+                          <div className="text-xs text-slate-500">
+                            {lev(cls.attachment)} → {lev(cls.detachment)}
+                          </div>
+                          <div className="text-xs text-slate-400">{currencyFmtMM(cls.debt, ccy)}</div>
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
       {/* Aggregated View */}
       <div className="mt-6">
         <div className="bg-gradient-to-r from-indigo-700 to-purple-800 text-white p-3 rounded-t-lg">
@@ -1398,7 +1635,7 @@ function TrancheView({ projection, params, ccy }) {
                 </td>
                 {projection.rows.map((row, i) => (
                   <td key={i} className="text-right py-2 px-4">
-                    <CovenantIndicator value={row.dscr} threshold={params.minDSCR} />
+                    <CovenantIndicator value={row.dscr} threshold={covenantThreshold(params, 'dscr', row)} />
                   </td>
                 ))}
               </tr>
@@ -1410,7 +1647,7 @@ function TrancheView({ projection, params, ccy }) {
                 </td>
                 {projection.rows.map((row, i) => (
                   <td key={i} className="text-right py-2 px-4">
-                    <CovenantIndicator value={row.icr} threshold={params.targetICR} />
+                    <CovenantIndicator value={row.icr} threshold={covenantThreshold(params, 'icr', row)} />
                   </td>
                 ))}
               </tr>
@@ -1421,3 +1658,83 @@ function TrancheView({ projection, params, ccy }) {
     </div>
   );
 }
+
+/**
+ * Payment Calendar View - Per-tranche repayment dates (business-day adjusted)
+ */
+function PaymentCalendarView({ projection, params, ccy }) {
+  const schedules = (projection.paymentSchedules || []).filter(s => s.payments.length > 0);
+
+  return (
+    <div className="p-4 space-y-6">
+      <div className="flex flex-col gap-2 sm:flex-row sm:items-center sm:justify-between">
+        <p className="text-xs text-slate-600 flex items-center gap-1">
+          <Calendar className="w-3 h-3" />
+          Payment dates rolled to business days; interest accrues per period on the stated day count.
+        </p>
+        <Button
+          onClick={() => exportLoanMetricsCSV(projection, params, 'Repayment Calendar', ccy)}
+          variant="secondary"
+          leftIcon={Download}
+          size="sm"
+        >
+          Export Repayment Calendar (CSV)
+        </Button>
+      </div>
+
+      {schedules.map(schedule => (
+        <div key={schedule.id ?? schedule.name} className="border border-slate-200 rounded-lg overflow-hidden">
+          <div className="px-4 py-2 bg-slate-50 border-b flex flex-wrap gap-x-4 gap-y-1 text-xs text-slate-600">
+            <span className="font-bold text-slate-900 text-sm">{schedule.name}</span>
+            <span>{schedule.currency || ccy}</span>
+            <span>{schedule.frequency}</span>
+            <span>{schedule.dayCountConvention}</span>
+            <span>{BUSINESS_DAY_CONVENTIONS[schedule.businessDayConvention]}</span>
+            <span>Maturity {schedule.maturityDate}</span>
+          </div>
+          {schedule.payments.some(p => p.beforeMaturity) && (
+            <div className="px-4 py-2 bg-amber-50 border-b border-amber-200 text-xs text-amber-800 flex items-center gap-1">
+              <AlertTriangle className="w-3 h-3" />
+              The projection repays this facility before its stated maturity ({schedule.maturityDate}); check the tenor and maturity date.
+            </div>
+          )}
+          <table className="w-full text-xs">
+            <thead className="bg-slate-100">
+              <tr>
+                <th className="px-2 py-1 text-left font-medium">Payment Date</th>
+                <th className="px-2 py-1 text-left font-medium">Accrual Period</th>
+                <th className="px-2 py-1 text-right font-medium">Days</th>
+                <th className="px-2 py-1 text-right font-medium">Rate</th>
+                <th className="px-2 py-1 text-right font-medium">Opening Balance</th>
+                <th className="px-2 py-1 text-right font-medium">Interest</th>
+                <th className="px-2 py-1 text-right font-medium">Principal</th>
+                <th className="px-2 py-1 text-right font-medium">Total Payment</th>
+                <th className="px-2 py-1 text-right font-medium">Closing Balance</th>
+              </tr>
+            </thead>
+            <tbody>
+              {schedule.payments.map(payment => (
+                <tr key={payment.period} className="border-t border-slate-100">
+                  <td className="px-2 py-1 font-semibold">
+                    {payment.paymentDate}
+                    {payment.paymentDate !== payment.unadjustedDate && (
+                      <span className="ml-1 text-[10px] text-slate-400">({payment.unadjustedDate})</span>
+                    )}
+                  </td>
+                  <td className="px-2 py-1 text-slate-600">{payment.accrualStart} → {payment.accrualEnd}</td>
+                  <td className="px-2 py-1 text-right">{payment.days}</td>
+                  <td className="px-2 py-1 text-right">{pctFmt(payment.rate)}</td>
+                  <td className="px-2 py-1 text-right">{currencyFmtMM(payment.openingBalance, schedule.currency || ccy)}</td>
+                  <td className="px-2 py-1 text-right">{currencyFmtMM(payment.interest, schedule.currency || ccy)}</td>
+                  <td className="px-2 py-1 text-right">{currencyFmtMM(payment.principal, schedule.currency || ccy)}</td>
+                  <td className="px-2 py-1 text-right font-semibold">{currencyFmtMM(payment.totalPayment, schedule.currency || ccy)}</td>
+                  <td className="px-2 py-1 text-right">{currencyFmtMM(payment.closingBalance, schedule.currency || ccy)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,420 @@
+// src/components/MonteCarloSimulation.jsx
+import React, { useState, useEffect, useRef } from "react";
+import { Card, CardHeader, CardTitle, CardContent } from "./Card";
+import { Button } from "./Button";
+import { Input } from "./Input";
+import { Label } from "./Label";
+import { ChartWrapper } from "./ChartWrapper";
+import { numFmt, pctFmt } from "../utils/formatters";
+import {
+  BarChart, CartesianGrid, XAxis, YAxis, Tooltip, Bar, ResponsiveContainer
+} from "recharts";
+import { Dices, Play, Square, AlertTriangle, Info } from "lucide-react";
+import {
+  DISTRIBUTION_TYPES,
+  SIMULATION_VARIABLES,
+  MAX_ITERATIONS,
+  correlationKey,
+  getDefaultMonteCarloConfig,
+  runMonteCarlo
+} from "../utils/monteCarlo";
+import { formatCovenantValue } from "../utils/covenants";
+
+const METRICS = {
+  minDSCR: { label: "Minimum DSCR", format: (v) => `${numFmt(v)}x` },
+  maxLeverage: { label: "Peak Net Debt / EBITDA", format: (v) => `${numFmt(v)}x` },
+  irr: { label: "Equity IRR", format: (v) => pctFmt(v) }
+};
+
+const PERCENTILE_COLUMNS = [
+  ["p5", "P5"], ["p25", "P25"], ["p50", "Median"], ["p75", "P75"], ["p95", "P95"]
+];
+
+// Fields shown for each distribution (all deltas in percentage points)
+const DISTRIBUTION_FIELDS = {
+  normal: [["mean", "Mean"], ["stdDev", "Std Dev"]],
+  uniform: [["min", "Min"], ["max", "Max"]],
+  triangular: [["min", "Min"], ["mode", "Mode"], ["max", "Max"]]
+};
+
+const breachCellClass = (p) =>
+  p >= 0.25 ? "bg-red-100 text-red-800 font-bold" :
+  p >= 0.1 ? "bg-orange-100 text-orange-800 font-semibold" :
+  p > 0 ? "bg-yellow-50 text-yellow-800" :
+  "text-slate-500";
+
+function createSimulationWorker() {
+  if (typeof Worker === "undefined") return null;
+  try {
+    return new Worker(new URL("../workers/monteCarlo.worker.js", import.meta.url));
+  } catch (error) {
+    console.warn("Monte Carlo worker unavailable, running on the main thread:", error);
+    return null;
+  }
+}
+
+export function MonteCarloSimulation({ params, config, onConfigChange, ccy }) {
+  const settings = { ...getDefaultMonteCarloConfig(), ...(config || {}) };
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState(null);
+  const [histogramMetric, setHistogramMetric] = useState("minDSCR");
+  const workerRef = useRef(null);
+  const runParamsRef = useRef(null);
+
+  // Stop any running simulation when the panel unmounts
+  useEffect(() => () => workerRef.current?.terminate(), []);
+
+  const updateVariable = (key, changes) => {
+    onConfigChange({
+      ...settings,
+      variables: { ...settings.variables, [key]: { ...settings.variables[key], ...changes } }
+    });
+  };
+
+  const updateCorrelation = (pair, value) => {
+    onConfigChange({
+      ...settings,
+      correlations: { ...settings.correlations, [pair]: Math.max(-1, Math.min(1, value)) }
+    });
+  };
+
+  const finishRun = (simulation) => {
+    setResults(simulation);
+    setRunning(false);
+    workerRef.current?.terminate();
+    workerRef.current = null;
+  };
+
+  const failRun = (message) => {
+    setError(message);
+    setRunning(false);
+    workerRef.current?.terminate();
+    workerRef.current = null;
+  };
+
+  const runSimulation = () => {
+    setRunning(true);
+    setProgress(0);
+    setError(null);
+    runParamsRef.current = params;
+
+    const worker = createSimulationWorker();
+    if (!worker) {
+      // No worker support: run on the main thread after the UI has updated
+      setTimeout(() => {
+        try {
+          finishRun(runMonteCarlo(params, settings));
+        } catch (err) {
+          failRun(err.message);
+        }
+      }, 0);
+      return;
+    }
+
+    workerRef.current = worker;
+    worker.onmessage = (event) => {
+      const { type } = event.data;
+      if (type === "progress") setProgress(event.data.completed / event.data.total);
+      if (type === "done") finishRun(event.data.results);
+      if (type === "error") failRun(event.data.message);
+    };
+    worker.onerror = (event) => failRun(event.message || "Simulation failed");
+    worker.postMessage({ params, config: settings });
+  };
+
+  const cancelSimulation = () => {
+    workerRef.current?.terminate();
+    workerRef.current = null;
+    setRunning(false);
+  };
+
+  const isStale = results && runParamsRef.current !== params;
+  const variableKeys = Object.keys(SIMULATION_VARIABLES);
+  const pairs = variableKeys.flatMap((a, i) => variableKeys.slice(i + 1).map(b => [a, b]));
+  const histogram = results?.metrics?.[histogramMetric]?.histogram || [];
+  const histogramData = histogram.map(bin => ({
+    label: METRICS[histogramMetric].format((bin.from + bin.to) / 2),
+    probability: bin.count / (results?.completedIterations || 1)
+  }));
+
+  return (
+    <div className="space-y-6">
+      <Card className="border-l-4 border-l-teal-600">
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <Dices className="w-5 h-5 text-teal-600" />
+            Monte Carlo Simulation
+          </CardTitle>
+          <p className="text-sm text-slate-600 mt-1">
+            Sample correlated shocks to growth, margin, rates and capex, and measure how often each covenant breaks
+          </p>
+        </CardHeader>
+        <CardContent className="space-y-6">
+          {/* Distributions */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {variableKeys.map(key => {
+              const spec = settings.variables[key] || {};
+              const distribution = spec.distribution || "normal";
+              return (
+                <div key={key} className="p-3 bg-slate-50 border border-slate-200 rounded-md space-y-2">
+                  <div className="flex items-center justify-between gap-2">
+                    <span className="text-sm font-semibold text-slate-800">{SIMULATION_VARIABLES[key].label}</span>
+                    <select
+                      value={distribution}
+                      onChange={(e) => updateVariable(key, { distribution: e.target.value })}
+                      className="h-8 text-xs border border-slate-300 rounded-md bg-white px-2"
+                    >
+                      {Object.entries(DISTRIBUTION_TYPES).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="grid grid-cols-3 gap-2">
+                    {DISTRIBUTION_FIELDS[distribution].map(([field, label]) => (
+                      <div key={field} className="space-y-1">
+                        <Label className="text-[10px]">{label} (pp)</Label>
+                        <Input
+                          type="number"
+                          step="0.1"
+                          value={Number(((spec[field] || 0) * 100).toFixed(2))}
+                          onChange={(e) => updateVariable(key, { [field]: Number(e.target.value) / 100 })}
+                          className="h-8 text-xs"
+                        />
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+
+          {/* Correlations */}
+          <div className="space-y-2">
+            <div className="text-sm font-semibold text-slate-800">Correlations</div>
+            <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-2">
+              {pairs.map(([a, b]) => {
+                const pair = correlationKey(a, b);
+                return (
+                  <div key={pair} className="space-y-1">
+                    <Label className="text-[10px]">
+                      {SIMULATION_VARIABLES[a].label} / {SIMULATION_VARIABLES[b].label}
+                    </Label>
+                    <Input
+                      type="number"
+                      step="0.1"
+                      min="-1"
+                      max="1"
+                      value={settings.correlations[pair] || 0}
+                      onChange={(e) => updateCorrelation(pair, Number(e.target.value))}
+                      className="h-8 text-xs"
+                    />
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+
+          {/* Run controls */}
+          <div className="flex flex-wrap items-end gap-3">
+            <div className="space-y-1">
+              <Label className="text-[10px]">Iterations</Label>
+              <Input
+                type="number"
+                min="100"
+                max={MAX_ITERATIONS}
+                step="100"
+                value={settings.iterations}
+                onChange={(e) => onConfigChange({
+                  ...settings,
+                  iterations: Math.max(1, Math.min(MAX_ITERATIONS, Math.round(Number(e.target.value))))
+                })}
+                className="h-8 w-28 text-xs"
+              />
+            </div>
+            <div className="space-y-1">
+              <Label className="text-[10px]">Seed</Label>
+              <Input
+                type="number"
+                value={settings.seed}
+                onChange={(e) => onConfigChange({ ...settings, seed: Math.round(Number(e.target.value)) })}
+                className="h-8 w-28 text-xs"
+              />
+            </div>
+            {running ? (
+              <Button
+                onClick={cancelSimulation}
+                className="h-8 px-4 text-xs bg-red-600 hover:bg-red-700 text-white rounded-md flex items-center gap-1"
+              >
+                <Square className="w-3 h-3" /> Cancel
+              </Button>
+            ) : (
+              <Button
+                onClick={runSimulation}
+                className="h-8 px-4 text-xs bg-teal-600 hover:bg-teal-700 text-white rounded-md flex items-center gap-1"
+              >
+                <Play className="w-3 h-3" /> Run Simulation
+              </Button>
+            )}
+            {running && (
+              <div className="flex-1 min-w-[160px]">
+                <div className="h-2 bg-slate-200 rounded-full overflow-hidden">
+                  <div className="h-full bg-teal-600 transition-all" style={{ width: `${progress * 100}%` }} />
+                </div>
+                <div className="text-[10px] text-slate-500 mt-1">{Math.round(progress * 100)}% complete</div>
+              </div>
+            )}
+          </div>
+
+          {error && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded text-sm text-red-800 flex items-center gap-2">
+              <AlertTriangle className="w-4 h-4" /> {error}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {results && (
+        <Card className="border-l-4 border-l-indigo-600">
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <Info className="w-5 h-5 text-indigo-600" />
+              Simulation Results
+            </CardTitle>
+            <p className="text-sm text-slate-600 mt-1">
+              {results.completedIterations.toLocaleString()} iterations, seed {results.seed}
+              {results.failedIterations > 0 && ` (${results.failedIterations} failed and excluded)`}
+            </p>
+          </CardHeader>
+          <CardContent className="space-y-6">
+            {isStale && (
+              <div className="p-3 bg-yellow-50 border border-yellow-200 rounded text-xs text-yellow-800">
+                Model assumptions have changed since this run. Run the simulation again to refresh the results.
+              </div>
+            )}
+            {results.correlationAdjusted && (
+              <div className="p-3 bg-yellow-50 border border-yellow-200 rounded text-xs text-yellow-800">
+                The correlations entered are not mutually consistent; they were scaled towards zero for this run.
+              </div>
+            )}
+
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+              <div className={`p-4 rounded-lg border-2 ${results.anyBreachProbability > 0.1 ? 'bg-red-50 border-red-300' : 'bg-emerald-50 border-emerald-300'}`}>
+                <div className="text-xs text-slate-600">Probability of Any Covenant Breach</div>
+                <div className="text-2xl font-bold text-slate-900">{pctFmt(results.anyBreachProbability)}</div>
+              </div>
+              <div className="p-4 rounded-lg border-2 bg-slate-50 border-slate-200">
+                <div className="text-xs text-slate-600">Min DSCR (P5 / Median)</div>
+                <div className="text-2xl font-bold text-slate-900">
+                  {results.metrics.minDSCR
+                    ? `${numFmt(results.metrics.minDSCR.percentiles.p5)}x / ${numFmt(results.metrics.minDSCR.percentiles.p50)}x`
+                    : 'N/A'}
+                </div>
+                {results.covenants.some(c => c.id === 'dscr') && (
+                  <div className="text-[10px] text-slate-500">
+                    Covenant {numFmt(results.covenants.find(c => c.id === 'dscr').threshold)}x
+                  </div>
+                )}
+              </div>
+              <div className="p-4 rounded-lg border-2 bg-slate-50 border-slate-200">
+                <div className="text-xs text-slate-600">Equity IRR (P5 / Median)</div>
+                <div className="text-2xl font-bold text-slate-900">
+                  {results.metrics.irr
+                    ? `${pctFmt(results.metrics.irr.percentiles.p5)} / ${pctFmt(results.metrics.irr.percentiles.p50)}`
+                    : 'N/A'}
+                </div>
+              </div>
+            </div>
+
+            {/* Percentiles */}
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b-2 border-slate-300 bg-slate-50">
+                    <th className="p-2 text-left font-semibold text-slate-700">Metric</th>
+                    {PERCENTILE_COLUMNS.map(([key, label]) => (
+                      <th key={key} className="p-2 text-right font-semibold text-slate-700">{label}</th>
+                    ))}
+                    <th className="p-2 text-right font-semibold text-slate-700">Mean</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {Object.entries(METRICS).map(([key, metric]) => {
+                    const summary = results.metrics[key];
+                    return (
+                      <tr key={key} className="border-b border-slate-200">
+                        <td className="p-2 font-medium text-slate-800">{metric.label}</td>
+                        {PERCENTILE_COLUMNS.map(([p]) => (
+                          <td key={p} className="p-2 text-right">{summary ? metric.format(summary.percentiles[p]) : 'N/A'}</td>
+                        ))}
+                        <td className="p-2 text-right">{summary ? metric.format(summary.mean) : 'N/A'}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+
+            {/* Histogram */}
+            <div className="space-y-2">
+              <div className="flex items-center justify-between">
+                <div className="text-sm font-semibold text-slate-800">Distribution</div>
+                <select
+                  value={histogramMetric}
+                  onChange={(e) => setHistogramMetric(e.target.value)}
+                  className="h-8 text-xs border border-slate-300 rounded-md bg-white px-2"
+                >
+                  {Object.entries(METRICS).map(([key, metric]) => (
+                    <option key={key} value={key}>{metric.label}</option>
+                  ))}
+                </select>
+              </div>
+              <ChartWrapper data={histogramData} height={260} ariaLabel={`${METRICS[histogramMetric].label} distribution`}>
+                <ResponsiveContainer width="100%" height="100%">
+                  <BarChart data={histogramData}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+                    <XAxis dataKey="label" tick={{ fontSize: 10 }} interval={1} />
+                    <YAxis tick={{ fontSize: 11 }} tickFormatter={(v) => pctFmt(v)} />
+                    <Tooltip formatter={(v) => [pctFmt(v), "Share of iterations"]} />
+                    <Bar dataKey="probability" fill="#0d9488" radius={[4, 4, 0, 0]} />
+                  </BarChart>
+                </ResponsiveContainer>
+              </ChartWrapper>
+            </div>
+
+            {/* Breach probability by year */}
+            <div className="overflow-x-auto">
+              <div className="text-sm font-semibold text-slate-800 mb-2">Breach Probability by Year</div>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b-2 border-slate-300 bg-slate-50">
+                    <th className="p-2 text-left font-semibold text-slate-700">Year</th>
+                    {results.covenants.map(c => (
+                      <th key={c.id} className="p-2 text-right font-semibold text-slate-700">
+                        {c.name} {c.direction === 'max' ? '>' : '<'} {formatCovenantValue(c.threshold, c.unit, ccy)}
+                        {c.hasStepDowns && <span className="font-normal text-slate-500"> (with step-downs)</span>}
+                      </th>
+                    ))}
+                    <th className="p-2 text-right font-semibold text-slate-700">Any Covenant</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {results.breachProbabilities.map(row => (
+                    <tr key={row.year} className="border-b border-slate-200">
+                      <td className="p-2 font-medium text-slate-800">{row.year}</td>
+                      {results.covenants.map(c => (
+                        <td key={c.id} className={`p-2 text-right ${breachCellClass(row.byCovenant[c.id])}`}>{pctFmt(row.byCovenant[c.id])}</td>
+                      ))}
+                      <td className={`p-2 text-right ${breachCellClass(row.any)}`}>{pctFmt(row.any)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+}
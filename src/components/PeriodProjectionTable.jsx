@@ -0,0 +1,152 @@
+// src/components/PeriodProjectionTable.jsx
+import React, { useState } from 'react';
+import { Calendar, AlertTriangle, CheckCircle } from 'lucide-react';
+import { Card, CardHeader, CardTitle, CardContent } from './Card';
+import { currencyFmtMM, numFmt } from '../utils/formatters';
+
+const fmtRatio = (v) => (v === null || v === undefined ? 'N/A' : `${numFmt(v)}x`);
+
+export function PeriodProjectionTable({ projection, params, ccy }) {
+  const [view, setView] = useState('periods');
+
+  if (!projection?.periodRows?.length) return null;
+
+  const { periodRows, periodBreaches, annualRollup, periodMode } = projection;
+  const minDSCR = params.minDSCR;
+  const hasBreaches = periodBreaches.dscrBreaches + periodBreaches.ltmDscrBreaches > 0;
+  const hasRevolver = periodRows.some(r => r.revolverBalance > 0 || r.revolverDraw > 0);
+
+  return (
+    <Card className="border-l-4 border-l-cyan-600 shadow-sm">
+      <CardHeader className="bg-gradient-to-r from-cyan-50 to-sky-50 border-b">
+        <div className="flex flex-col gap-2 sm:flex-row sm:items-center sm:justify-between">
+          <CardTitle className="flex items-center gap-2">
+            <Calendar className="w-5 h-5 text-cyan-600" />
+            {periodMode === 'monthly' ? 'Monthly' : 'Quarterly'} Covenant Profile
+          </CardTitle>
+          <div className="flex gap-1 bg-white border border-cyan-200 rounded-md p-1">
+            <button
+              onClick={() => setView('periods')}
+              className={`px-3 py-1 text-xs rounded ${view === 'periods' ? 'bg-cyan-600 text-white' : 'text-cyan-700'}`}
+            >
+              By Period
+            </button>
+            <button
+              onClick={() => setView('annual')}
+              className={`px-3 py-1 text-xs rounded ${view === 'annual' ? 'bg-cyan-600 text-white' : 'text-cyan-700'}`}
+            >
+              Annual Roll-up
+            </button>
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent className="pt-6 space-y-4">
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          <div className="rounded-lg border-2 border-slate-200 p-4 bg-slate-50">
+            <div className="text-[11px] text-slate-500 font-semibold mb-1">Lowest Period DSCR</div>
+            <div className="text-lg font-bold text-slate-800">{fmtRatio(periodBreaches.minPeriodDSCR)}</div>
+            <div className="text-[11px] text-slate-500">{periodBreaches.worstDSCRPeriod || '—'}</div>
+          </div>
+          <div className="rounded-lg border-2 border-slate-200 p-4 bg-slate-50">
+            <div className="text-[11px] text-slate-500 font-semibold mb-1">Periods Below {numFmt(minDSCR)}x</div>
+            <div className={`text-lg font-bold ${periodBreaches.dscrBreaches > 0 ? 'text-red-600' : 'text-emerald-600'}`}>
+              {periodBreaches.dscrBreaches}
+            </div>
+            <div className="text-[11px] text-slate-500">LTM basis: {periodBreaches.ltmDscrBreaches}</div>
+          </div>
+          <div className="rounded-lg border-2 border-slate-200 p-4 bg-slate-50">
+            <div className="text-[11px] text-slate-500 font-semibold mb-1">Lowest Cash Balance</div>
+            <div className={`text-lg font-bold ${periodBreaches.minCash < 0 ? 'text-red-600' : 'text-slate-800'}`}>
+              {currencyFmtMM(periodBreaches.minCash, ccy)}
+            </div>
+            <div className="text-[11px] text-slate-500">{periodBreaches.minCashPeriod || '—'}</div>
+          </div>
+          <div className="rounded-lg border-2 border-slate-200 p-4 bg-slate-50">
+            <div className="text-[11px] text-slate-500 font-semibold mb-1">Leverage Breaches (LTM)</div>
+            <div className={`text-lg font-bold ${periodBreaches.ndBreaches > 0 ? 'text-red-600' : 'text-emerald-600'}`}>
+              {periodBreaches.ndBreaches}
+            </div>
+          </div>
+        </div>
+
+        {hasBreaches ? (
+          <div className="p-3 bg-red-50 border border-red-200 rounded-md text-xs text-red-800 flex items-start gap-2">
+            <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+            <div>
+              <strong>Intra-year DSCR breaches:</strong>{' '}
+              {periodBreaches.dscrBreachPeriods.join(', ') || 'none on period basis'}
+              {periodBreaches.ltmDscrBreachPeriods.length > 0 && (
+                <span className="block mt-1">
+                  LTM basis: {periodBreaches.ltmDscrBreachPeriods.join(', ')}
+                </span>
+              )}
+            </div>
+          </div>
+        ) : (
+          <div className="p-3 bg-emerald-50 border border-emerald-200 rounded-md text-xs text-emerald-800 flex items-center gap-2">
+            <CheckCircle className="w-4 h-4" />
+            DSCR holds above {numFmt(minDSCR)}x in every period
+          </div>
+        )}
+
+        <div className="overflow-x-auto max-h-96 overflow-y-auto">
+          {view === 'periods' ? (
+            <table className="min-w-full text-xs">
+              <thead className="bg-slate-100 sticky top-0">
+                <tr>
+                  {['Period', 'Revenue', 'EBITDA', 'Debt Service', 'DSCR', 'LTM DSCR', ...(hasRevolver ? ['Revolver Drawn'] : []), 'Cash', 'ND/LTM EBITDA'].map(h => (
+                    <th key={h} className="px-2 py-1 text-left font-medium">{h}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {periodRows.map(r => {
+                  const breach = r.dscr !== null && r.dscr < minDSCR;
+                  return (
+                    <tr key={r.period} className={breach ? 'bg-red-50' : 'odd:bg-white even:bg-slate-50'}>
+                      <td className="px-2 py-1 font-medium">{r.label}</td>
+                      <td className="px-2 py-1">{currencyFmtMM(r.revenue, ccy)}</td>
+                      <td className="px-2 py-1">{currencyFmtMM(r.ebitda, ccy)}</td>
+                      <td className="px-2 py-1">{currencyFmtMM(r.debtService, ccy)}</td>
+                      <td className={`px-2 py-1 font-semibold ${breach ? 'text-red-600' : ''}`}>{fmtRatio(r.dscr)}</td>
+                      <td className="px-2 py-1">{fmtRatio(r.ltmDscr)}</td>
+                      {hasRevolver && <td className="px-2 py-1">{currencyFmtMM(r.revolverBalance, ccy)}</td>}
+                      <td className={`px-2 py-1 ${r.cash < 0 ? 'text-red-600 font-semibold' : ''}`}>{currencyFmtMM(r.cash, ccy)}</td>
+                      <td className="px-2 py-1">{numFmt(r.ndToEbitda)}x</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          ) : (
+            <table className="min-w-full text-xs">
+              <thead className="bg-slate-100 sticky top-0">
+                <tr>
+                  {['Year', 'Revenue', 'EBITDA', 'Debt Service', 'DSCR', 'Lowest Period DSCR', 'Lowest Cash', 'Year-end Cash'].map(h => (
+                    <th key={h} className="px-2 py-1 text-left font-medium">{h}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {annualRollup.map(r => (
+                  <tr key={r.year} className="odd:bg-white even:bg-slate-50">
+                    <td className="px-2 py-1 font-medium">{r.year}</td>
+                    <td className="px-2 py-1">{currencyFmtMM(r.revenue, ccy)}</td>
+                    <td className="px-2 py-1">{currencyFmtMM(r.ebitda, ccy)}</td>
+                    <td className="px-2 py-1">{currencyFmtMM(r.debtService, ccy)}</td>
+                    <td className="px-2 py-1">{fmtRatio(r.dscr)}</td>
+                    <td className={`px-2 py-1 ${r.minPeriodDSCR !== null && r.minPeriodDSCR < minDSCR ? 'text-red-600 font-semibold' : ''}`}>
+                      {fmtRatio(r.minPeriodDSCR)}
+                    </td>
+                    <td className={`px-2 py-1 ${r.minPeriodCash < 0 ? 'text-red-600 font-semibold' : ''}`}>{currencyFmtMM(r.minPeriodCash, ccy)}</td>
+                    <td className="px-2 py-1">{currencyFmtMM(r.cash, ccy)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
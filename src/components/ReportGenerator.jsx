@@ -445,10 +445,11 @@ COVENANT COMPLIANCE:
 - Leverage Cushion: ${numFmt((params.maxNDToEBITDA || 3.5) - maxLeverage)}x ${maxLeverage > (params.maxNDToEBITDA || 3.5) ? "⚠️ BREACH" : "✅"}
 - ICR Requirement: ${numFmt(params.targetICR || 2.0)}x
 - ICR Actual: ${numFmt(minICR)}x
-- Total Covenant Breaches: ${(base.breaches?.dscrBreaches || 0) + (base.breaches?.icrBreaches || 0) + (base.breaches?.ndBreaches || 0)}
+- Total Covenant Breaches: ${(base.breaches?.totalBreaches || 0)}
 ${base.breaches?.dscrBreachYears?.length > 0 ? `- DSCR Breach Years: ${base.breaches.dscrBreachYears.join(', ')}` : ''}
 ${base.breaches?.icrBreachYears?.length > 0 ? `- ICR Breach Years: ${base.breaches.icrBreachYears.join(', ')}` : ''}
 ${base.breaches?.leverageBreachYears?.length > 0 ? `- Leverage Breach Years: ${base.breaches.leverageBreachYears.join(', ')}` : ''}
+${(base.breaches?.covenants || []).filter(c => !c.standard && c.breachYears.length > 0).map(c => `- ${c.name} Breach Years: ${c.breachYears.join(', ')}`).join('\n')}
 
 COLLATERAL:
 - Collateral Value: ${currencyFmtMM(params.collateralValue || 0, ccy)}
@@ -467,7 +468,7 @@ STRESS SCENARIOS:
 ${Object.keys(projections).filter(k => k !== 'base').length > 0 ?
   Object.keys(projections).filter(k => k !== 'base').map(scenario => {
     const proj = projections[scenario];
-    const breaches = (proj.breaches?.dscrBreaches || 0) + (proj.breaches?.icrBreaches || 0) + (proj.breaches?.ndBreaches || 0);
+    const breaches = (proj.breaches?.totalBreaches || 0);
     return `- ${scenario}: IRR ${pctFmt(proj.irr || 0)}, Min DSCR ${numFmt(proj.creditStats?.minDSCR || 0)}x, Leverage ${numFmt(proj.creditStats?.maxLeverage || 0)}x, Breaches: ${breaches}`;
   }).join('\n')
   : "No stress scenarios configured"}
@@ -886,12 +887,12 @@ Maximum 600 words.`,
 
         scenarioAnalysis: `Provide scenario analysis for Credit Committee stress testing:
 
-BASE CASE: IRR ${pctFmt(projections.base?.irr || 0)}, Min DSCR ${numFmt(projections.base?.creditStats?.minDSCR || 0)}, Breaches: ${(projections.base?.breaches?.dscrBreaches || 0) + (projections.base?.breaches?.icrBreaches || 0)}
+BASE CASE: IRR ${pctFmt(projections.base?.irr || 0)}, Min DSCR ${numFmt(projections.base?.creditStats?.minDSCR || 0)}, Breaches: ${(projections.base?.breaches?.totalBreaches || 0)}
 
 STRESS SCENARIOS SUMMARY:
 ${Object.keys(projections).filter(k => k !== 'base').map(scenario => {
   const proj = projections[scenario];
-  return `${scenario}: IRR ${pctFmt(proj.irr || 0)}, Min DSCR ${numFmt(proj.creditStats?.minDSCR || 0)}, Breaches: ${(proj.breaches?.dscrBreaches || 0) + (proj.breaches?.icrBreaches || 0)}`;
+  return `${scenario}: IRR ${pctFmt(proj.irr || 0)}, Min DSCR ${numFmt(proj.creditStats?.minDSCR || 0)}, Breaches: ${(proj.breaches?.totalBreaches || 0)}`;
 }).join('\n')}
 
 ANALYSIS REQUIRED:
@@ -1843,7 +1844,7 @@ ${params.keyCustomers || "No customer concentration analysis provided."}`;
           ["DSCR Cushion", (projections?.base?.creditStats?.minDSCR || 0) - (params.minDSCR || 1.2)],
           ["Leverage Limit", params.maxNDToEBITDA || 3.5],
           ["Leverage Cushion", (params.maxNDToEBITDA || 3.5) - (projections?.base?.creditStats?.maxLeverage || 0)],
-          ["Total Breaches", (projections?.base?.breaches?.dscrBreaches || 0) + (projections?.base?.breaches?.icrBreaches || 0) + (projections?.base?.breaches?.ndBreaches || 0)],
+          ["Total Breaches", (projections?.base?.breaches?.totalBreaches || 0)],
         ];
 
         const ws = XLSX.utils.aoa_to_sheet(summaryData);
@@ -1889,7 +1890,7 @@ ${params.keyCustomers || "No customer concentration analysis provided."}`;
             proj.moic || 0,
             proj.creditStats?.minDSCR || 0,
             proj.creditStats?.maxLeverage || 0,
-            (proj.breaches?.dscrBreaches || 0) + (proj.breaches?.icrBreaches || 0) + (proj.breaches?.ndBreaches || 0)
+            (proj.breaches?.totalBreaches || 0)
           ]);
         });
         
@@ -1938,9 +1939,7 @@ ${params.keyCustomers || "No customer concentration analysis provided."}`;
 
     const minDSCR = projection.creditStats?.minDSCR || 0;
     const maxLeverage = projection.creditStats?.maxLeverage || 0;
-    const totalBreaches = (projection.breaches?.dscrBreaches || 0) +
-                         (projection.breaches?.icrBreaches || 0) +
-                         (projection.breaches?.ndBreaches || 0);
+    const totalBreaches = (projection.breaches?.totalBreaches || 0);
     const irr = projection.irr || 0;
     const moic = projection.moic || 0;
 
@@ -0,0 +1,137 @@
+// src/components/ReserveAccountsManager.jsx
+import React from 'react';
+import { PiggyBank, Plus, Trash2 } from 'lucide-react';
+import { Button } from './Button';
+import { Input } from './Input';
+import { Label } from './Label';
+import {
+  RESERVE_TYPES,
+  RESERVE_FUNDING_SOURCES,
+  RESERVE_RELEASE_RULES,
+  createReserve
+} from '../utils/reserves';
+
+export function ReserveAccountsManager({ params, ccy, onChange }) {
+  const reserves = params.reserveAccounts || [];
+
+  const updateReserve = (id, changes) => {
+    onChange({ reserveAccounts: reserves.map(r => (r.id === id ? { ...r, ...changes } : r)) });
+  };
+
+  const addReserve = () => {
+    const type = reserves.some(r => r.type === 'dsra') ? 'maintenance' : 'dsra';
+    onChange({
+      reserveAccounts: [...reserves, createReserve({
+        name: type === 'dsra' ? 'DSRA' : RESERVE_TYPES[type].label,
+        type,
+        priority: reserves.length + 1,
+        initialFunding: type === 'dsra' ? 'closing' : 'cashFlow'
+      })]
+    });
+  };
+
+  const selectField = (reserve, field, options) => (
+    <select
+      value={reserve[field]}
+      onChange={(e) => updateReserve(reserve.id, { [field]: e.target.value })}
+      className="w-full h-8 text-xs border border-slate-300 rounded-md bg-white"
+    >
+      {Object.entries(options).map(([key, { label }]) => (
+        <option key={key} value={key}>{label}</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="p-4 bg-emerald-50 border-2 border-emerald-200 rounded-lg space-y-3">
+      <div className="flex flex-col gap-2 sm:flex-row sm:items-center sm:justify-between">
+        <div className="flex items-center gap-2 text-sm font-semibold text-emerald-900">
+          <PiggyBank className="w-4 h-4" />
+          Reserve Accounts
+        </div>
+        <Button
+          onClick={addReserve}
+          className="text-xs px-3 py-1 bg-emerald-600 hover:bg-emerald-700 text-white rounded-md flex items-center justify-center gap-1 w-full sm:w-auto"
+        >
+          <Plus className="w-3 h-3" /> Add Reserve
+        </Button>
+      </div>
+
+      {reserves.map(reserve => (
+        <div key={reserve.id} className="p-3 bg-white border border-emerald-200 rounded-md">
+          <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-8 gap-2 items-end">
+            <div className="space-y-1">
+              <Label className="text-[10px]">Reserve</Label>
+              <Input
+                value={reserve.name || ''}
+                onChange={(e) => updateReserve(reserve.id, { name: e.target.value })}
+                className="h-8 text-xs"
+              />
+            </div>
+            <div className="space-y-1">
+              <Label className="text-[10px]">Type</Label>
+              {selectField(reserve, 'type', RESERVE_TYPES)}
+            </div>
+            {reserve.type === 'dsra' ? (
+              <div className="space-y-1">
+                <Label className="text-[10px]">Months of Debt Service</Label>
+                <Input
+                  type="number"
+                  min={0}
+                  max={24}
+                  value={reserve.targetMonths ?? 6}
+                  onChange={(e) => updateReserve(reserve.id, { targetMonths: Math.min(24, Math.max(0, Number(e.target.value))) })}
+                  className="h-8 text-xs"
+                />
+              </div>
+            ) : (
+              <div className="space-y-1">
+                <Label className="text-[10px]">Target Balance ({ccy})</Label>
+                <Input
+                  type="number"
+                  value={Array.isArray(reserve.targetAmount) ? reserve.targetAmount[0] || 0 : reserve.targetAmount || 0}
+                  onChange={(e) => updateReserve(reserve.id, { targetAmount: Math.max(0, Number(e.target.value)) })}
+                  className="h-8 text-xs"
+                />
+              </div>
+            )}
+            <div className="space-y-1">
+              <Label className="text-[10px]">Initial Funding</Label>
+              {selectField(reserve, 'initialFunding', RESERVE_FUNDING_SOURCES)}
+            </div>
+            <div className="space-y-1">
+              <Label className="text-[10px]">Top-Up Priority</Label>
+              <Input
+                type="number"
+                min={1}
+                value={reserve.priority ?? 1}
+                onChange={(e) => updateReserve(reserve.id, { priority: Math.max(1, Math.round(Number(e.target.value))) })}
+                className="h-8 text-xs"
+              />
+            </div>
+            <div className="space-y-1 lg:col-span-2">
+              <Label className="text-[10px]">Release</Label>
+              {selectField(reserve, 'releaseRule', RESERVE_RELEASE_RULES)}
+            </div>
+            <div className="flex items-end justify-end">
+              <button
+                onClick={() => onChange({ reserveAccounts: reserves.filter(r => r.id !== reserve.id) })}
+                className="h-8 px-2 text-red-600 hover:bg-red-50 rounded-md"
+                title="Remove reserve"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+        </div>
+      ))}
+
+      <p className="text-[10px] text-emerald-700">
+        Reserves are restricted cash held for lenders and are left out of cash and net debt. A DSRA targets the stated
+        months of next year&apos;s scheduled debt service and is drawn if cash runs short after debt service. Each year
+        reserves are topped up in priority order (1 first) before any cash sweep or distribution. Funding at close
+        comes from equity or loan proceeds outside opening cash.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,162 @@
+// src/components/RevenueSegmentsEditor.jsx
+import React from 'react';
+import { PieChart, Plus, Trash2 } from 'lucide-react';
+import { Button } from './Button';
+import { Input } from './Input';
+import { Label } from './Label';
+import { decimalToPercent, percentToDecimal } from '../utils/mathUtils';
+import { currencyFmtMM } from '../utils/formatters';
+import { createRevenueSegment, getSegmentBaseRevenue } from '../utils/revenueSegments';
+
+export function RevenueSegmentsEditor({ params, ccy, onChange }) {
+  const enabled = Boolean(params.useRevenueSegments);
+  const segments = params.revenueSegments || [];
+  const totalRevenue = getSegmentBaseRevenue(segments);
+  const blendedMargin = totalRevenue > 0
+    ? segments.reduce((sum, s) => sum + (s.volume || 0) * (s.price || 0) * (s.grossMargin || 0), 0) / totalRevenue
+    : 0;
+
+  // Year 1 revenue follows the segments so every revenue-based input stays consistent
+  const commit = (nextSegments, nextEnabled = enabled) => {
+    onChange({
+      useRevenueSegments: nextEnabled,
+      revenueSegments: nextSegments,
+      ...(nextEnabled && nextSegments.length > 0 && { baseRevenue: getSegmentBaseRevenue(nextSegments) })
+    });
+  };
+
+  const toggle = (on) => {
+    // Start from one segment that reproduces the single-line revenue
+    const seeded = on && segments.length === 0
+      ? [createRevenueSegment({
+          name: 'Core Business',
+          unit: 'year',
+          volume: 1,
+          price: params.baseRevenue || 0,
+          volumeGrowth: 0,
+          priceGrowth: params.growth || 0,
+          grossMargin: 1 - (params.cogsPct || 0)
+        })]
+      : segments;
+    commit(seeded, on);
+  };
+
+  const updateSegment = (id, changes) => {
+    commit(segments.map(s => (s.id === id ? { ...s, ...changes } : s)));
+  };
+
+  const pctInput = (segment, field) => (
+    <Input
+      type="number"
+      step="0.5"
+      value={Number(decimalToPercent(segment[field] || 0).toFixed(2))}
+      onChange={(e) => updateSegment(segment.id, { [field]: percentToDecimal(Number(e.target.value)) })}
+      className="h-8 text-xs"
+    />
+  );
+
+  return (
+    <div className="p-4 bg-indigo-50 border-2 border-indigo-200 rounded-lg space-y-3">
+      <div className="flex flex-col gap-2 sm:flex-row sm:items-center sm:justify-between">
+        <label className="flex items-center gap-2 text-sm font-semibold text-indigo-900 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={enabled}
+            onChange={(e) => toggle(e.target.checked)}
+            className="w-4 h-4"
+          />
+          <PieChart className="w-4 h-4" />
+          Build Revenue by Segment (volume x price)
+        </label>
+        {enabled && (
+          <Button
+            onClick={() => commit([...segments, createRevenueSegment({ name: `Segment ${segments.length + 1}` })])}
+            className="text-xs px-3 py-1 bg-indigo-600 hover:bg-indigo-700 text-white rounded-md flex items-center justify-center gap-1 w-full sm:w-auto"
+          >
+            <Plus className="w-3 h-3" /> Add Segment
+          </Button>
+        )}
+      </div>
+
+      {enabled && segments.map(segment => (
+        <div key={segment.id} className="p-3 bg-white border border-indigo-200 rounded-md">
+          <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-8 gap-2 items-end">
+            <div className="space-y-1">
+              <Label className="text-[10px]">Segment</Label>
+              <Input
+                value={segment.name || ''}
+                onChange={(e) => updateSegment(segment.id, { name: e.target.value })}
+                className="h-8 text-xs"
+              />
+            </div>
+            <div className="space-y-1">
+              <Label className="text-[10px]">Volume (Year 1)</Label>
+              <Input
+                type="number"
+                value={segment.volume || 0}
+                onChange={(e) => updateSegment(segment.id, { volume: Math.max(0, Number(e.target.value)) })}
+                className="h-8 text-xs"
+              />
+            </div>
+            <div className="space-y-1">
+              <Label className="text-[10px]">Unit</Label>
+              <Input
+                value={segment.unit || ''}
+                placeholder="e.g. room nights"
+                onChange={(e) => updateSegment(segment.id, { unit: e.target.value })}
+                className="h-8 text-xs"
+              />
+            </div>
+            <div className="space-y-1">
+              <Label className="text-[10px]">Price per Unit ({ccy})</Label>
+              <Input
+                type="number"
+                value={segment.price || 0}
+                onChange={(e) => updateSegment(segment.id, { price: Math.max(0, Number(e.target.value)) })}
+                className="h-8 text-xs"
+              />
+            </div>
+            <div className="space-y-1">
+              <Label className="text-[10px]">Volume Growth (%)</Label>
+              {pctInput(segment, 'volumeGrowth')}
+            </div>
+            <div className="space-y-1">
+              <Label className="text-[10px]">Price Growth (%)</Label>
+              {pctInput(segment, 'priceGrowth')}
+            </div>
+            <div className="space-y-1">
+              <Label className="text-[10px]">Gross Margin (%)</Label>
+              {pctInput(segment, 'grossMargin')}
+            </div>
+            <div className="flex items-end justify-between gap-2">
+              <div className="text-xs">
+                <div className="text-[10px] text-slate-500">Year 1 Revenue</div>
+                <div className="font-semibold text-slate-800">{currencyFmtMM((segment.volume || 0) * (segment.price || 0), ccy)}</div>
+              </div>
+              <button
+                onClick={() => commit(segments.filter(s => s.id !== segment.id))}
+                className="h-8 px-2 text-red-600 hover:bg-red-50 rounded-md"
+                title="Remove segment"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+        </div>
+      ))}
+
+      {enabled && segments.length > 0 && (
+        <div className="flex flex-wrap gap-4 text-xs text-indigo-900">
+          <span>Total Year 1 Revenue: <strong>{currencyFmtMM(totalRevenue, ccy)}</strong></span>
+          <span>Blended Gross Margin: <strong>{decimalToPercent(blendedMargin).toFixed(1)}%</strong></span>
+        </div>
+      )}
+
+      <p className="text-[10px] text-indigo-700">
+        {enabled
+          ? 'Segments replace Annual Revenue, Revenue Growth and COGS % (including their year-by-year values). OPEX and CAPEX stay a % of total revenue. Stress tests shock every segment, and Custom Stress can hit one segment on its own.'
+          : 'Hotels, distributors and other multi-line businesses can build revenue from separate streams, each with its own volume, price, growth and gross margin.'}
+      </p>
+    </div>
+  );
+}
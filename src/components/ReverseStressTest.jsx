@@ -0,0 +1,176 @@
+// src/components/ReverseStressTest.jsx
+import React, { useState, useRef } from "react";
+import { Card, CardHeader, CardTitle, CardContent } from "./Card";
+import { Button } from "./Button";
+import { numFmt } from "../utils/formatters";
+import { Undo2, Play, AlertTriangle, XCircle } from "lucide-react";
+import { REVERSE_STRESS_DRIVERS, runReverseStressTest } from "../utils/reverseStress";
+import { getCovenantLibrary, isCovenantActive } from "../utils/covenants";
+
+// Covenant and test date of a breach or tightest test, e.g. "DSCR in Q3 2027"
+function formatTest(covenantName, testLabel) {
+  return `${covenantName} in ${testLabel}`;
+}
+
+function formatShock(driver, shock) {
+  if (!Number.isFinite(shock)) return "—";
+  const sign = shock > 0 ? "+" : "";
+  return REVERSE_STRESS_DRIVERS[driver].format === "bps"
+    ? `${sign}${Math.round(shock * 10000)} bps`
+    : `${sign}${(shock * 100).toFixed(1)}pp`;
+}
+
+function formatUnit(driver) {
+  const { unit, format } = REVERSE_STRESS_DRIVERS[driver];
+  return format === "bps" ? `${Math.round(unit * 10000)} bps` : `${(unit * 100).toFixed(0)}pp`;
+}
+
+export function ReverseStressTest({ params, onApplyShocks }) {
+  const [results, setResults] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+  const runParamsRef = useRef(null);
+
+  const run = () => {
+    setRunning(true);
+    setError(null);
+    runParamsRef.current = params;
+    // Let the button state render before the projection passes run
+    setTimeout(() => {
+      try {
+        setResults(runReverseStressTest(params));
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setRunning(false);
+      }
+    }, 0);
+  };
+
+  const testedCovenants = getCovenantLibrary(params).filter(c => isCovenantActive(c, params));
+  const isStale = results && runParamsRef.current !== params;
+  const weakestDriver = results?.drivers
+    ?.filter(d => d.breaks)
+    .reduce((best, d) => (!best || d.severity < best.severity ? d : best), null);
+
+  return (
+    <Card className="border-l-4 border-l-red-600">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Undo2 className="w-5 h-5 text-red-600" />
+          Reverse Stress Test
+        </CardTitle>
+        <p className="text-sm text-slate-600 mt-1">
+          How far can each driver move, alone and together, before a covenant test fails?
+          Tested: {testedCovenants.length > 0 ? testedCovenants.map(c => c.name).join(", ") : "none"}.
+        </p>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <Button
+          onClick={run}
+          disabled={running}
+          className="h-9 px-4 text-sm bg-red-600 hover:bg-red-700 text-white rounded-md flex items-center gap-2"
+        >
+          <Play className="w-4 h-4" /> {running ? "Searching..." : "Find Breaking Points"}
+        </Button>
+
+        {error && (
+          <div className="p-3 bg-red-50 border border-red-200 rounded text-sm text-red-800 flex items-center gap-2">
+            <AlertTriangle className="w-4 h-4" /> {error}
+          </div>
+        )}
+
+        {isStale && (
+          <div className="p-3 bg-yellow-50 border border-yellow-200 rounded text-xs text-yellow-800">
+            Model assumptions have changed since this run. Run it again to refresh the breaking points.
+          </div>
+        )}
+
+        {results?.alreadyBreached && (
+          <div className="p-3 bg-red-50 border border-red-200 rounded text-sm text-red-800 flex items-center gap-2">
+            <XCircle className="w-4 h-4" />
+            The base case already breaches {formatTest(results.baseHeadroom.covenantName, results.baseHeadroom.label)};
+            no shock is needed.
+          </div>
+        )}
+
+        {results && !results.alreadyBreached && (
+          <>
+            <p className="text-xs text-slate-600">
+              Tightest base case headroom: {(results.baseHeadroom.headroom * 100).toFixed(1)}% on{" "}
+              {formatTest(results.baseHeadroom.covenantName, results.baseHeadroom.label)}.
+            </p>
+
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b-2 border-slate-300 bg-slate-50">
+                    <th className="p-2 text-left font-semibold text-slate-700">Driver (alone)</th>
+                    <th className="p-2 text-right font-semibold text-slate-700">Breaking Shock</th>
+                    <th className="p-2 text-right font-semibold text-slate-700">Severity (units)</th>
+                    <th className="p-2 text-left font-semibold text-slate-700">First Breach</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {results.drivers.map(d => (
+                    <tr
+                      key={d.driver}
+                      className={`border-b border-slate-200 ${weakestDriver?.driver === d.driver ? 'bg-red-50' : ''}`}
+                    >
+                      <td className="p-2 font-medium text-slate-800">
+                        {d.label}
+                        <span className="text-[10px] text-slate-500 ml-1">(1 unit = {formatUnit(d.driver)})</span>
+                      </td>
+                      <td className="p-2 text-right font-semibold">{d.breaks ? formatShock(d.driver, d.shock) : "No breach in range"}</td>
+                      <td className="p-2 text-right">{d.breaks ? numFmt(d.severity) : "—"}</td>
+                      <td className="p-2">{d.breaks ? formatTest(d.covenantName, d.testLabel) : "—"}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="p-4 bg-red-50 border-2 border-red-200 rounded-lg space-y-2">
+              <div className="text-sm font-semibold text-red-900">Joint Breaking Point (smallest combined shock)</div>
+              {results.joint?.breaks ? (
+                <>
+                  <div className="flex flex-wrap gap-2">
+                    {Object.entries(results.joint.shocks)
+                      .filter(([, shock]) => Math.abs(shock) > 1e-6)
+                      .map(([driver, shock]) => (
+                        <span key={driver} className="px-2 py-1 bg-white border border-red-200 rounded text-xs">
+                          {REVERSE_STRESS_DRIVERS[driver].label}: <strong>{formatShock(driver, shock)}</strong>
+                          {" "}({(results.joint.contributions[driver] * 100).toFixed(0)}%)
+                        </span>
+                      ))}
+                  </div>
+                  <p className="text-xs text-red-800">
+                    Combined severity {numFmt(results.joint.severity)} units
+                    {weakestDriver && ` vs ${numFmt(weakestDriver.severity)} for ${weakestDriver.label} alone`};
+                    first breach on {formatTest(results.joint.covenantName, results.joint.testLabel)}.
+                  </p>
+                  {onApplyShocks && (
+                    <Button
+                      onClick={() => onApplyShocks(results.joint.shocks)}
+                      className="h-8 px-3 text-xs bg-slate-800 hover:bg-slate-900 text-white rounded-md"
+                    >
+                      Open in Custom Stress
+                    </Button>
+                  )}
+                </>
+              ) : (
+                <p className="text-xs text-red-800">No combination of shocks within the search limits breaches a covenant.</p>
+              )}
+            </div>
+
+            <p className="text-[10px] text-slate-500">
+              Severity is measured in units of each driver's adverse move; a combined shock's severity is the length of its
+              shock vector in those units. The joint search follows the steepest loss of covenant headroom, so drivers that
+              do not affect the binding covenant stay at zero.
+            </p>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
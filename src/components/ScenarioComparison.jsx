@@ -475,9 +475,7 @@ function calculateEnhancedMetrics(facilityParams, projection, scenarioKey) {
     (rows.length > 0 ? rows.reduce((sum, r) => sum + (r.dscr || 0), 0) / rows.length : 0);
   
   // Covenant breaches
-  const totalBreaches = (breaches.dscrBreaches || 0) + 
-                       (breaches.icrBreaches || 0) + 
-                       (breaches.ndBreaches || 0);
+  const totalBreaches = breaches.totalBreaches || 0;
   
   // Cash flow metrics
   const annualCashFlow = rows.map(r => r.fcf || 0);
@@ -539,6 +537,9 @@ function calculateEnhancedMetrics(facilityParams, projection, scenarioKey) {
     dscrBreaches: breaches.dscrBreaches || 0,
     icrBreaches: breaches.icrBreaches || 0,
     leverageBreaches: breaches.ndBreaches || 0,
+    covenantBreaches: (breaches.covenants || [])
+      .filter(c => c.breachYears.length > 0)
+      .map(c => ({ id: c.id, name: c.name, years: c.breachYears.length })),
     
     // Cash flow analysis
     cashFlowVolatility,
@@ -1049,15 +1050,9 @@ export function ScenarioComparison({ projections, ccy, facilityParams }) {
                   <div className="p-3 bg-red-50 rounded-lg border border-red-200 text-xs">
                     <div className="font-semibold text-red-900 mb-1">Breach Details:</div>
                     <ul className="space-y-1 text-red-800">
-                      {selectedScenarioData.dscrBreaches > 0 && (
-                        <li>• DSCR breaches: {selectedScenarioData.dscrBreaches} year(s)</li>
-                      )}
-                      {selectedScenarioData.icrBreaches > 0 && (
-                        <li>• ICR breaches: {selectedScenarioData.icrBreaches} year(s)</li>
-                      )}
-                      {selectedScenarioData.leverageBreaches > 0 && (
-                        <li>• Leverage breaches: {selectedScenarioData.leverageBreaches} year(s)</li>
-                      )}
+                      {selectedScenarioData.covenantBreaches.map(c => (
+                        <li key={c.id}>• {c.name} breaches: {c.years} year(s)</li>
+                      ))}
                     </ul>
                   </div>
                 )}
@@ -0,0 +1,302 @@
+// src/components/SensitivityAnalysis.jsx
+import React, { useState, useMemo } from "react";
+import { Card, CardHeader, CardTitle, CardContent } from "./Card";
+import { Input } from "./Input";
+import { Label } from "./Label";
+import { ChartWrapper } from "./ChartWrapper";
+import { currencyFmtMM, numFmt, formatPercent } from "../utils/formatters";
+import {
+  BarChart, CartesianGrid, XAxis, YAxis, Tooltip, Legend, Bar, ReferenceLine, ResponsiveContainer
+} from "recharts";
+import { Grid3x3, BarChart3, AlertTriangle } from "lucide-react";
+import { MODEL_INPUTS, MODEL_OUTPUTS, getPathValue } from "../utils/modelVariables";
+import { buildDataTable, buildTornado, getAxisValues, getStepSize } from "../utils/sensitivity";
+
+function formatValue(value, format, ccy) {
+  if (!Number.isFinite(value)) return "N/A";
+  if (format === "percent") return formatPercent(value, 1);
+  if (format === "currency") return currencyFmtMM(value, ccy);
+  if (format === "ratio") return `${numFmt(value)}x`;
+  return numFmt(value);
+}
+
+// Covenant outputs: pass / tight / breach against the threshold
+function covenantCellClass(value, threshold, higherIsBetter) {
+  if (!Number.isFinite(value)) return "bg-slate-100 text-slate-400";
+  const headroom = higherIsBetter ? value / threshold - 1 : 1 - value / threshold;
+  if (headroom < 0) return "bg-red-100 text-red-800 font-semibold";
+  if (headroom < 0.1) return "bg-yellow-100 text-yellow-800";
+  return "bg-emerald-100 text-emerald-800";
+}
+
+// Other outputs: red (worst) to green (best) across the table
+function gradientCellStyle(value, min, max, higherIsBetter) {
+  if (!Number.isFinite(value) || max <= min) return undefined;
+  const position = (value - min) / (max - min);
+  const hue = Math.round((higherIsBetter ? position : 1 - position) * 120);
+  return { backgroundColor: `hsl(${hue}, 70%, 88%)` };
+}
+
+function AxisSelect({ label, value, onChange, exclude }) {
+  return (
+    <div className="space-y-1">
+      <Label className="text-xs">{label}</Label>
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className="w-full h-9 text-sm border border-slate-300 rounded-md bg-white px-2"
+      >
+        {Object.entries(MODEL_INPUTS)
+          .filter(([key]) => key !== exclude)
+          .map(([key, input]) => (
+            <option key={key} value={key}>{input.label}</option>
+          ))}
+      </select>
+    </div>
+  );
+}
+
+function StepInput({ variable, currentValue, value, onChange }) {
+  const isPercent = MODEL_INPUTS[variable]?.format === "percent";
+  // Percentage inputs step in pp; currency inputs in % of the current value
+  const display = value ?? (isPercent
+    ? getStepSize(variable, currentValue) * 100
+    : (MODEL_INPUTS[variable]?.step || 0.1) * 100);
+  return (
+    <div className="space-y-1">
+      <Label className="text-xs">Step ({isPercent ? "pp" : "% of current"})</Label>
+      <Input
+        type="number"
+        step="0.5"
+        min="0"
+        value={display}
+        onChange={(e) => onChange(Math.max(0, Number(e.target.value)))}
+        className="h-9 text-sm"
+      />
+    </div>
+  );
+}
+
+const sameValue = (a, b) => Math.abs(a - b) < 1e-9 * Math.max(1, Math.abs(b));
+
+const toIncrement = (variable, currentValue, display) => {
+  if (display === undefined) return undefined;
+  return MODEL_INPUTS[variable]?.format === "percent"
+    ? display / 100
+    : Math.abs(currentValue) * display / 100;
+};
+
+export function SensitivityAnalysis({ params, ccy }) {
+  const [output, setOutput] = useState("minDSCR");
+  const [year, setYear] = useState(1);
+  const [rowVariable, setRowVariable] = useState("growth");
+  const [columnVariable, setColumnVariable] = useState("cogsPct");
+  const [rowStep, setRowStep] = useState();
+  const [columnStep, setColumnStep] = useState();
+
+  const outputDefinition = MODEL_OUTPUTS[output];
+  const outputFormat = outputDefinition?.format;
+  const threshold = outputDefinition?.covenant ? params[outputDefinition.covenant] : null;
+  const higherIsBetter = outputDefinition?.higherIsBetter !== false;
+  const rowCurrent = getPathValue(params, rowVariable);
+  const columnCurrent = getPathValue(params, columnVariable);
+
+  const dataTable = useMemo(() => {
+    try {
+      return buildDataTable(params, {
+        rowVariable,
+        columnVariable,
+        output,
+        year,
+        rowValues: getAxisValues(rowVariable, rowCurrent, { step: toIncrement(rowVariable, rowCurrent, rowStep) }),
+        columnValues: getAxisValues(columnVariable, columnCurrent, { step: toIncrement(columnVariable, columnCurrent, columnStep) })
+      });
+    } catch (error) {
+      return { error: error.message };
+    }
+  }, [params, rowVariable, columnVariable, output, year, rowStep, columnStep, rowCurrent, columnCurrent]);
+
+  const tornado = useMemo(() => buildTornado(params, { output, year }), [params, output, year]);
+
+  const tornadoData = tornado.items.map(item => ({
+    label: item.label,
+    down: item.lowOutput - tornado.baseOutput,
+    up: item.highOutput - tornado.baseOutput,
+    item
+  }));
+
+  const cellValues = dataTable.cells ? dataTable.cells.flat().filter(Number.isFinite) : [];
+  const cellMin = cellValues.length ? Math.min(...cellValues) : 0;
+  const cellMax = cellValues.length ? Math.max(...cellValues) : 0;
+  const rowFormat = MODEL_INPUTS[rowVariable]?.format;
+  const columnFormat = MODEL_INPUTS[columnVariable]?.format;
+  const outputLabel = outputDefinition?.byYear
+    ? outputDefinition.label.replace("Year N", `${params.startYear + year - 1}`)
+    : outputDefinition?.label;
+
+  return (
+    <div className="space-y-6">
+      <Card className="border-l-4 border-l-indigo-600">
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <Grid3x3 className="w-5 h-5 text-indigo-600" />
+            Sensitivity Data Table
+          </CardTitle>
+          <p className="text-sm text-slate-600 mt-1">
+            Any output against any two inputs, each cell a full projection run
+          </p>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-6 gap-3">
+            <div className="space-y-1">
+              <Label className="text-xs">Output</Label>
+              <select
+                value={output}
+                onChange={(e) => setOutput(e.target.value)}
+                className="w-full h-9 text-sm border border-slate-300 rounded-md bg-white px-2"
+              >
+                {Object.entries(MODEL_OUTPUTS).map(([key, definition]) => (
+                  <option key={key} value={key}>{definition.label}</option>
+                ))}
+              </select>
+              {outputDefinition?.byYear && (
+                <select
+                  value={year}
+                  onChange={(e) => setYear(Number(e.target.value))}
+                  className="w-full h-8 text-xs border border-slate-300 rounded-md bg-white px-2"
+                >
+                  {Array.from({ length: params.years || 0 }, (_, i) => (
+                    <option key={i} value={i + 1}>{params.startYear + i}</option>
+                  ))}
+                </select>
+              )}
+            </div>
+            <AxisSelect
+              label="Rows"
+              value={rowVariable}
+              exclude={columnVariable}
+              onChange={(v) => { setRowVariable(v); setRowStep(undefined); }}
+            />
+            <StepInput variable={rowVariable} currentValue={rowCurrent} value={rowStep} onChange={setRowStep} />
+            <AxisSelect
+              label="Columns"
+              value={columnVariable}
+              exclude={rowVariable}
+              onChange={(v) => { setColumnVariable(v); setColumnStep(undefined); }}
+            />
+            <StepInput variable={columnVariable} currentValue={columnCurrent} value={columnStep} onChange={setColumnStep} />
+          </div>
+
+          {dataTable.error ? (
+            <div className="p-3 bg-red-50 border border-red-200 rounded text-sm text-red-800 flex items-center gap-2">
+              <AlertTriangle className="w-4 h-4" /> {dataTable.error}
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm border-collapse">
+                <thead>
+                  <tr>
+                    <th className="p-2 text-left text-xs text-slate-600 border border-slate-200 bg-slate-50">
+                      {MODEL_INPUTS[rowVariable]?.label} ↓ / {MODEL_INPUTS[columnVariable]?.label} →
+                    </th>
+                    {dataTable.columnValues.map(value => (
+                      <th
+                        key={value}
+                        className={`p-2 text-center text-xs border border-slate-200 ${sameValue(value, dataTable.baseColumnValue) ? 'bg-indigo-100 text-indigo-900' : 'bg-slate-50 text-slate-700'}`}
+                      >
+                        {formatValue(value, columnFormat, ccy)}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {dataTable.rowValues.map((rowValue, i) => (
+                    <tr key={rowValue}>
+                      <th
+                        className={`p-2 text-left text-xs border border-slate-200 ${sameValue(rowValue, dataTable.baseRowValue) ? 'bg-indigo-100 text-indigo-900' : 'bg-slate-50 text-slate-700'}`}
+                      >
+                        {formatValue(rowValue, rowFormat, ccy)}
+                      </th>
+                      {dataTable.cells[i].map((cell, j) => {
+                        const isBase = sameValue(rowValue, dataTable.baseRowValue) && sameValue(dataTable.columnValues[j], dataTable.baseColumnValue);
+                        return (
+                          <td
+                            key={j}
+                            className={`p-2 text-center border border-slate-200 ${Number.isFinite(threshold) ? covenantCellClass(cell, threshold, higherIsBetter) : ''} ${isBase ? 'ring-2 ring-inset ring-indigo-600 font-bold' : ''}`}
+                            style={Number.isFinite(threshold) ? undefined : gradientCellStyle(cell, cellMin, cellMax, higherIsBetter)}
+                          >
+                            {formatValue(cell, outputFormat, ccy)}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <p className="text-[10px] text-slate-500 mt-2">
+                Outlined cell is the current model.
+                {Number.isFinite(threshold) && ` Red breaches the ${numFmt(threshold)}x covenant; yellow is within 10% of it.`}
+              </p>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card className="border-l-4 border-l-purple-600">
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <BarChart3 className="w-5 h-5 text-purple-600" />
+            Tornado: {outputLabel}
+          </CardTitle>
+          <p className="text-sm text-slate-600 mt-1">
+            Change from the current {formatValue(tornado.baseOutput, outputFormat, ccy)} when each input moves one step down or up
+          </p>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <ChartWrapper data={tornadoData} height={Math.max(240, tornadoData.length * 36)} ariaLabel="Tornado chart">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={tornadoData} layout="vertical" stackOffset="sign" margin={{ left: 40 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+                <XAxis type="number" tick={{ fontSize: 11 }} tickFormatter={(v) => formatValue(v, outputFormat, ccy)} />
+                <YAxis type="category" dataKey="label" tick={{ fontSize: 11 }} width={140} />
+                <Tooltip formatter={(v, name) => [formatValue(v, outputFormat, ccy), name]} />
+                <Legend />
+                <ReferenceLine x={0} stroke="#475569" />
+                <Bar dataKey="down" stackId="swing" fill="#ef4444" name="Input one step down" />
+                <Bar dataKey="up" stackId="swing" fill="#10b981" name="Input one step up" />
+              </BarChart>
+            </ResponsiveContainer>
+          </ChartWrapper>
+
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b-2 border-slate-300 bg-slate-50">
+                  <th className="p-2 text-left font-semibold text-slate-700">Input</th>
+                  <th className="p-2 text-right font-semibold text-slate-700">Low</th>
+                  <th className="p-2 text-right font-semibold text-slate-700">{outputLabel} at Low</th>
+                  <th className="p-2 text-right font-semibold text-slate-700">High</th>
+                  <th className="p-2 text-right font-semibold text-slate-700">{outputLabel} at High</th>
+                </tr>
+              </thead>
+              <tbody>
+                {tornado.items.map(item => {
+                  const format = MODEL_INPUTS[item.variable]?.format;
+                  return (
+                    <tr key={item.variable} className="border-b border-slate-200">
+                      <td className="p-2 font-medium text-slate-800">{item.label}</td>
+                      <td className="p-2 text-right">{formatValue(item.lowValue, format, ccy)}</td>
+                      <td className="p-2 text-right">{formatValue(item.lowOutput, outputFormat, ccy)}</td>
+                      <td className="p-2 text-right">{formatValue(item.highValue, format, ccy)}</td>
+                      <td className="p-2 text-right">{formatValue(item.highOutput, outputFormat, ccy)}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,135 @@
+// src/components/ShockPathEditor.jsx
+import React from 'react';
+import { CalendarRange, Trash2 } from 'lucide-react';
+import { Input } from './Input';
+import { decimalToPercent, percentToDecimal } from '../utils/mathUtils';
+import {
+  SHOCK_PATH_DRIVERS,
+  SHOCK_PATH_SHAPES,
+  getDefaultShockPaths,
+  createShockPathScenario,
+  resizeShockPaths
+} from '../utils/shockPaths';
+
+export function ShockPathEditor({ shockPaths, startYear, years, onChange }) {
+  const { activeId, scenarios } = { ...getDefaultShockPaths(), ...shockPaths };
+  const active = scenarios.find(s => s.id === activeId);
+  const paths = active ? resizeShockPaths(active.paths, years) : null;
+
+  const updateActive = (changes) => {
+    onChange({
+      activeId,
+      scenarios: scenarios.map(s => (s.id === activeId ? { ...s, ...changes } : s))
+    });
+  };
+
+  const addPreset = (shape) => {
+    const scenario = createShockPathScenario(shape, years);
+    onChange({ activeId: scenario.id, scenarios: [...scenarios, scenario] });
+  };
+
+  const updateCell = (driver, idx, value) => {
+    const next = { ...paths, [driver]: [...paths[driver]] };
+    next[driver][idx] = value;
+    updateActive({ paths: next, shape: 'custom' });
+  };
+
+  const deleteActive = () => {
+    onChange({ activeId: null, scenarios: scenarios.filter(s => s.id !== activeId) });
+  };
+
+  return (
+    <div className="p-4 bg-purple-50 border-2 border-purple-200 rounded-lg space-y-3">
+      <div className="flex flex-col gap-2 lg:flex-row lg:items-center lg:justify-between">
+        <div className="flex items-center gap-2 text-sm font-semibold text-purple-900">
+          <CalendarRange className="w-4 h-4" />
+          Multi-Year Shock Path
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          {Object.entries(SHOCK_PATH_SHAPES).map(([key, shape]) => (
+            <button
+              key={key}
+              onClick={() => addPreset(key)}
+              title={shape.description}
+              className="text-xs bg-white hover:bg-purple-100 border border-purple-300 text-purple-800 px-2 py-1 rounded font-semibold"
+            >
+              + {shape.label}
+            </button>
+          ))}
+          <select
+            value={activeId || ''}
+            onChange={(e) => onChange({ activeId: e.target.value || null, scenarios })}
+            className="h-8 text-xs border border-purple-300 rounded-md bg-white"
+          >
+            <option value="">None (flat shocks only)</option>
+            {scenarios.map(s => (
+              <option key={s.id} value={s.id}>{s.name}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {active ? (
+        <>
+          <div className="flex items-center gap-2">
+            <Input
+              value={active.name}
+              onChange={(e) => updateActive({ name: e.target.value })}
+              className="h-8 text-xs max-w-xs"
+            />
+            <button
+              onClick={deleteActive}
+              className="p-1.5 text-red-600 hover:bg-red-50 rounded"
+              title="Delete this path"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="border-b border-purple-200">
+                  <th className="p-1 text-left font-semibold text-purple-900">Delta (%)</th>
+                  {Array.from({ length: years }, (_, idx) => (
+                    <th key={idx} className="p-1 text-center font-semibold text-purple-900">{startYear + idx}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {Object.entries(SHOCK_PATH_DRIVERS).map(([driver, { label }]) => (
+                  <tr key={driver}>
+                    <td className="p-1 font-medium text-slate-700 whitespace-nowrap">{label}</td>
+                    {paths[driver].map((value, idx) => (
+                      <td key={idx} className="p-1">
+                        <Input
+                          type="number"
+                          step="0.5"
+                          value={Number(decimalToPercent(value).toFixed(4))}
+                          onChange={(e) => updateCell(driver, idx, percentToDecimal(Number(e.target.value)))}
+                          // Year 1 revenue is the base year, so a growth shock has nothing to act on
+                          disabled={driver === 'growthDelta' && idx === 0}
+                          className={`h-8 text-xs text-center px-1 min-w-[4rem] ${value < 0 ? 'text-red-700' : value > 0 ? 'text-orange-700' : ''}`}
+                        />
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      ) : (
+        <p className="text-xs text-purple-800">
+          Add a V, U or L shaped preset to stress drivers year by year, then edit any year.
+        </p>
+      )}
+
+      <p className="text-[10px] text-purple-700">
+        Per-year deltas are added on top of the sliders above. Growth deltas change that year's growth rate, so revenue
+        stays below base unless a later year adds catch-up growth. Rate deltas shift the floating base curve. Paths are
+        saved with the model.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,185 @@
+// src/components/TaxSettingsEditor.jsx
+import React from 'react';
+import { Receipt, Plus, Trash2 } from 'lucide-react';
+import { Button } from './Button';
+import { Input } from './Input';
+import { Label } from './Label';
+import { decimalToPercent, percentToDecimal } from '../utils/mathUtils';
+import { getDefaultTaxSettings } from '../utils/tax';
+
+export function TaxSettingsEditor({ params, ccy, onChange }) {
+  const settings = { ...getDefaultTaxSettings(), ...params };
+  const holidays = settings.taxHolidays || [];
+  const lastYear = params.startYear + (params.years || 1) - 1;
+
+  const pctInput = (field, step = '0.5') => (
+    <Input
+      type="number"
+      step={step}
+      value={Number(decimalToPercent(settings[field] || 0).toFixed(2))}
+      onChange={(e) => onChange({ [field]: Math.max(0, percentToDecimal(Number(e.target.value))) })}
+      className="h-8 text-xs"
+    />
+  );
+
+  const updateHoliday = (id, changes) => {
+    onChange({ taxHolidays: holidays.map(h => (h.id === id ? { ...h, ...changes } : h)) });
+  };
+
+  return (
+    <div className="p-4 bg-rose-50 border-2 border-rose-200 rounded-lg space-y-3">
+      <div className="flex items-center gap-2 text-sm font-semibold text-rose-900">
+        <Receipt className="w-4 h-4" />
+        Tax Losses, Timing &amp; Incentives
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-2 items-end">
+        <div className="space-y-1">
+          <Label className="text-[10px]">Opening Tax Losses ({ccy})</Label>
+          <Input
+            type="number"
+            value={settings.openingTaxLosses || 0}
+            onChange={(e) => onChange({ openingTaxLosses: Math.max(0, Number(e.target.value)) })}
+            className="h-8 text-xs"
+          />
+        </div>
+        <div className="space-y-1">
+          <Label className="text-[10px]">Loss Expiry (years, 0 = none)</Label>
+          <Input
+            type="number"
+            min={0}
+            value={settings.taxLossExpiryYears || 0}
+            onChange={(e) => onChange({ taxLossExpiryYears: Math.max(0, Math.round(Number(e.target.value))) })}
+            className="h-8 text-xs"
+          />
+        </div>
+        <div className="space-y-1">
+          <Label className="text-[10px]">Loss Use Cap (% of profit)</Label>
+          {pctInput('taxLossUtilisationCap', '5')}
+        </div>
+        <div className="space-y-1">
+          <Label className="text-[10px]">Minimum Tax (% of revenue)</Label>
+          {pctInput('minimumTaxPctRevenue', '0.25')}
+        </div>
+        <div className="space-y-1">
+          <Label className="text-[10px]">Tax Paid</Label>
+          <select
+            value={Number(settings.taxPaymentLagYears) > 0 ? 1 : 0}
+            onChange={(e) => onChange({ taxPaymentLagYears: Number(e.target.value) })}
+            className="w-full h-8 text-xs border border-slate-300 rounded-md bg-white"
+          >
+            <option value={0}>In the year</option>
+            <option value={1}>Following year</option>
+          </select>
+        </div>
+        {Number(settings.taxPaymentLagYears) > 0 && (
+          <div className="space-y-1">
+            <Label className="text-[10px]">Opening Tax Payable ({ccy})</Label>
+            <Input
+              type="number"
+              value={settings.openingTaxPayable || 0}
+              onChange={(e) => onChange({ openingTaxPayable: Math.max(0, Number(e.target.value)) })}
+              className="h-8 text-xs"
+            />
+          </div>
+        )}
+      </div>
+
+      <div className="p-3 bg-white border border-rose-200 rounded-md space-y-2">
+        <label className="flex items-center gap-2 text-xs font-semibold text-rose-900 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={Boolean(settings.useCapitalAllowances)}
+            onChange={(e) => onChange({ useCapitalAllowances: e.target.checked })}
+            className="w-4 h-4"
+          />
+          Capital allowances instead of book depreciation
+        </label>
+        {settings.useCapitalAllowances && (
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-2 items-end">
+            <div className="space-y-1">
+              <Label className="text-[10px]">Initial Allowance (% of capex)</Label>
+              {pctInput('capitalAllowanceInitialPct', '5')}
+            </div>
+            <div className="space-y-1">
+              <Label className="text-[10px]">Annual Allowance (% of pool)</Label>
+              {pctInput('capitalAllowanceAnnualPct')}
+            </div>
+            <div className="space-y-1">
+              <Label className="text-[10px]">Opening Tax WDV ({ccy})</Label>
+              <Input
+                type="number"
+                value={settings.openingTaxWDV ?? ''}
+                placeholder="= Opening PPE"
+                onChange={(e) => onChange({ openingTaxWDV: e.target.value === '' ? null : Math.max(0, Number(e.target.value)) })}
+                className="h-8 text-xs"
+              />
+            </div>
+          </div>
+        )}
+      </div>
+
+      <div className="p-3 bg-white border border-rose-200 rounded-md space-y-2">
+        <div className="flex items-center justify-between">
+          <span className="text-xs font-semibold text-rose-900">Tax Holidays &amp; Incentives</span>
+          <Button
+            onClick={() => onChange({
+              taxHolidays: [...holidays, { id: Date.now(), fromYear: params.startYear, toYear: lastYear, reliefPct: 1 }]
+            })}
+            className="text-xs px-3 py-1 bg-rose-600 hover:bg-rose-700 text-white rounded-md flex items-center gap-1"
+          >
+            <Plus className="w-3 h-3" /> Add
+          </Button>
+        </div>
+        {holidays.map(holiday => (
+          <div key={holiday.id} className="grid grid-cols-4 gap-2 items-end">
+            <div className="space-y-1">
+              <Label className="text-[10px]">From Year</Label>
+              <Input
+                type="number"
+                value={holiday.fromYear}
+                onChange={(e) => updateHoliday(holiday.id, { fromYear: Math.round(Number(e.target.value)) })}
+                className="h-8 text-xs"
+              />
+            </div>
+            <div className="space-y-1">
+              <Label className="text-[10px]">To Year</Label>
+              <Input
+                type="number"
+                value={holiday.toYear}
+                onChange={(e) => updateHoliday(holiday.id, { toYear: Math.round(Number(e.target.value)) })}
+                className="h-8 text-xs"
+              />
+            </div>
+            <div className="space-y-1">
+              <Label className="text-[10px]">Tax Relief (%)</Label>
+              <Input
+                type="number"
+                step="5"
+                value={Number(decimalToPercent(holiday.reliefPct || 0).toFixed(2))}
+                onChange={(e) => updateHoliday(holiday.id, { reliefPct: Math.min(1, Math.max(0, percentToDecimal(Number(e.target.value)))) })}
+                className="h-8 text-xs"
+              />
+            </div>
+            <div className="flex items-end justify-end">
+              <button
+                onClick={() => onChange({ taxHolidays: holidays.filter(h => h.id !== holiday.id) })}
+                className="h-8 px-2 text-red-600 hover:bg-red-50 rounded-md"
+                title="Remove tax holiday"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <p className="text-[10px] text-rose-700">
+        Tax losses are carried forward and used oldest first against later taxable profit, up to the cap, and lapse after
+        the expiry period. Tax holidays (e.g. special economic zone relief) reduce tax in the years they cover; relief of
+        100% is a full holiday. Capital allowances create deferred tax against book depreciation. CFADS and DSCR use tax
+        actually paid, so a one-year lag moves each year&apos;s tax into the next year&apos;s cash flow.
+      </p>
+    </div>
+  );
+}
@@ -1,6 +1,12 @@
 // utils/ModelDataSummary.js
 
 import { currencyFmtMM, numFmt, pctFmt } from "./formatters";
+import { SHOCK_PATH_DRIVERS, getActiveShockPaths, hasShockPaths } from "./shockPaths";
+import { getDriverPath, hasDriverOverrides } from "./driverOverrides";
+import { hasActiveShocks } from "./applyShocks";
+import { LEASE_COVENANT_BASES, hasLeases, getLeaseCovenantBasis } from "./leases";
+import { RESERVE_TYPES } from "./reserves";
+import { DISTRIBUTION_POLICIES, LOCKUP_TREATMENTS, getDistributionPolicy, getLockupThresholds, getLockupTreatment } from "./distributions";
 
 /**
  * Get total debt from all sources
@@ -98,8 +104,9 @@ export function generateModelDataSummary(modelData) {
   }
 
   // === CUSTOM SHOCKS (NEW) ===
-  if (customShocks && Object.values(customShocks).some(v => v !== 0)) {
-    sections.push(generateCustomShocksSection(customShocks));
+  const activeShockPaths = params ? getActiveShockPaths(params) : null;
+  if (customShocks && (hasActiveShocks(customShocks) || hasShockPaths(activeShockPaths))) {
+    sections.push(generateCustomShocksSection(customShocks, activeShockPaths, params));
   }
 
   // === HISTORICAL CONTEXT ===
@@ -222,6 +229,42 @@ function generateBaseCase(projection, params) {
     fields[`Year ${lastYear.year} Revenue`] = currencyFmtMM(lastYear.revenue || 0, ccy);
     fields[`Year ${lastYear.year} EBITDA`] = currencyFmtMM(lastYear.ebitda || 0, ccy);
     fields["EBITDA CAGR"] = pctFmt((Math.pow(lastYear.ebitda / firstYear.ebitda, 1 / (years.length - 1)) - 1));
+
+    // Cost structure: fixed costs make EBITDA move faster than revenue
+    if ((firstYear.fixedCosts || 0) > 0) {
+      fields["Year 1 Fixed Costs"] = currencyFmtMM(firstYear.fixedCosts, ccy);
+      fields["Year 1 Contribution Margin"] = pctFmt(firstYear.contributionMarginPct || 0);
+      fields["Year 1 Operating Leverage"] = firstYear.operatingLeverage === null ? "N/M (EBITDA not positive)" : `${numFmt(firstYear.operatingLeverage)}x`;
+      fields["Year 1 Breakeven Revenue"] = firstYear.breakevenRevenue === null ? "N/M" : currencyFmtMM(firstYear.breakevenRevenue, ccy);
+    }
+    // Capex and depreciation by asset class
+    if (firstYear.assetClasses) {
+      fields["Asset Classes"] = (params.assetClasses || [])
+        .map(c => `${c.name} (${c.usefulLife}y, ${c.method === 'decliningBalance' ? 'declining balance' : 'straight-line'})`)
+        .join("; ");
+      fields["Total Capex (Maintenance / Growth)"] = `${currencyFmtMM(years.reduce((sum, r) => sum + (r.maintenanceCapex || 0), 0), ccy)} / ${currencyFmtMM(years.reduce((sum, r) => sum + (r.growthCapex || 0), 0), ccy)}`;
+      fields["Year 1 Depreciation"] = currencyFmtMM(firstYear.depreciation || 0, ccy);
+    }
+    // Tax paid differs from the tax charge with losses, lags, holidays or allowances
+    const totalTax = years.reduce((sum, r) => sum + (r.tax || 0), 0);
+    const totalCashTax = years.reduce((sum, r) => sum + (r.cashTax ?? r.tax ?? 0), 0);
+    if (Math.abs(totalTax - totalCashTax) > 1 || (params.openingTaxLosses || 0) > 0 || (params.taxHolidays || []).length > 0) {
+      fields["Total Tax Expense / Cash Tax Paid"] = `${currencyFmtMM(totalTax, ccy)} / ${currencyFmtMM(totalCashTax, ccy)}`;
+      fields["Tax Losses Used"] = currencyFmtMM(years.reduce((sum, r) => sum + (r.taxLossesUsed || 0), 0), ccy);
+      fields["Tax Losses Expired"] = currencyFmtMM(years.reduce((sum, r) => sum + (r.taxLossesExpired || 0), 0), ccy);
+      fields[`Tax Losses Remaining (${lastYear.year})`] = currencyFmtMM(lastYear.taxLossesCarriedForward || 0, ccy);
+      if ((params.taxHolidays || []).length > 0) {
+        fields["Tax Holidays"] = params.taxHolidays
+          .map(h => `${h.fromYear}-${h.toYear}: ${pctFmt(h.reliefPct || 0)} relief`)
+          .join("; ");
+      }
+      if (params.useCapitalAllowances) {
+        fields[`Deferred Tax Liability (${lastYear.year})`] = currencyFmtMM(lastYear.deferredTaxLiability || 0, ccy);
+      }
+    }
+    if (firstYear.debtServiceBreakevenRevenue !== null && firstYear.debtServiceBreakevenRevenue !== undefined) {
+      fields["Year 1 Revenue for DSCR 1.0x"] = currencyFmtMM(firstYear.debtServiceBreakevenRevenue, ccy);
+    }
   }
 
   return formatSection("BASE CASE PROJECTIONS", fields);
@@ -241,7 +284,7 @@ function generateScenarioComparison(projections, params) {
       "MOIC": `${numFmt(proj.moic || 0)}x`,
       "Min DSCR": numFmt(stats.minDSCR || 0),
       "Max Leverage": `${numFmt(stats.maxLeverage || 0)}x`,
-      "Breaches": ((proj.breaches?.dscrBreaches || 0) + (proj.breaches?.icrBreaches || 0) + (proj.breaches?.ndBreaches || 0)),
+      "Breaches": ((proj.breaches?.totalBreaches || 0)),
     });
   });
 
@@ -286,12 +329,50 @@ function generateCovenantAnalysis(projection, params) {
     "ICR Status": icrCushion >= 0.5 ? "STRONG" : icrCushion >= 0 ? "ADEQUATE" : "BREACH",
     "Max Leverage": `${numFmt(maxLeverage)}x (limit: ${numFmt(leverageLimit)}x, cushion: ${leverageCushion >= 0 ? '+' : ''}${numFmt(leverageCushion)})`,
     "Leverage Status": leverageCushion >= 0.5 ? "STRONG" : leverageCushion >= 0 ? "ADEQUATE" : "BREACH",
-    "Total Covenant Breaches": (breaches.dscrBreaches || 0) + (breaches.icrBreaches || 0) + (breaches.ndBreaches || 0),
+    "Total Covenant Breaches": (breaches.totalBreaches || 0),
     "DSCR Breaches": breaches.dscrBreaches || 0,
     "ICR Breaches": breaches.icrBreaches || 0,
     "Leverage Breaches": breaches.ndBreaches || 0,
   };
 
+  // Custom covenants from the covenant library
+  (breaches.covenants || []).filter(c => !c.standard && c.active).forEach(c => {
+    fields[`${c.name} Breaches`] = c.breachYears.length > 0
+      ? `${c.breachYears.length} (${c.breachYears.join(", ")}; ${c.formula})`
+      : `0 (${c.formula})`;
+  });
+
+  // Reserve accounts: DSCR on operating cash flow alone and with DSRA draws
+  if ((params.reserveAccounts || []).length > 0) {
+    const firstYear = projection.rows?.[0] || {};
+    fields["Reserve Accounts"] = params.reserveAccounts
+      .map(r => `${r.name} (${RESERVE_TYPES[r.type]?.label || r.type}${r.type === 'dsra' ? `, ${r.targetMonths} months` : ''})`)
+      .join("; ");
+    fields["Opening Reserve Balance"] = currencyFmtMM(projection.openingBalanceSheet?.reserveBalance || firstYear.reserveBalance || 0, params.currency || "USD");
+    fields["Min DSCR incl. Reserve Draws"] = `${numFmt(stats.minDSCRWithReserveDraws || 0)}x`;
+    fields["Total Reserve Draws"] = currencyFmtMM(stats.totalReserveDraws || 0, params.currency || "USD");
+  }
+
+  // Distribution lock-up: years in which cash could not leave the borrower
+  const lockup = getLockupThresholds(params);
+  fields["Distribution Policy"] = DISTRIBUTION_POLICIES[getDistributionPolicy(params)].label;
+  fields["Lock-Up Tests"] = [
+    lockup.minDSCR !== null ? `DSCR < ${numFmt(lockup.minDSCR)}x` : null,
+    lockup.maxNDToEBITDA !== null ? `ND/EBITDA > ${numFmt(lockup.maxNDToEBITDA)}x` : null
+  ].filter(Boolean).join(" or ") || "None";
+  fields["Lock-Up Years"] = breaches.lockupYears?.length > 0
+    ? `${breaches.lockupYears.join(", ")} (blocked cash ${LOCKUP_TREATMENTS[getLockupTreatment(params)].label.toLowerCase()})`
+    : "None";
+  fields["Total Distributions / Blocked"] = `${currencyFmtMM(stats.totalDistributions || 0, params.currency || "USD")} / ${currencyFmtMM(stats.totalDistributionsBlocked || 0, params.currency || "USD")}`;
+
+  // IFRS 16 leases change every covenant ratio, so state the basis used
+  if (hasLeases(params)) {
+    const firstYear = projection.rows?.[0] || {};
+    fields["Lease Covenant Basis"] = LEASE_COVENANT_BASES[getLeaseCovenantBasis(params)].label;
+    fields["Year 1 Lease Liability"] = currencyFmtMM(firstYear.leaseLiability || 0, params.currency || "USD");
+    fields["Year 1 Lease Payments"] = currencyFmtMM(firstYear.leasePayment || 0, params.currency || "USD");
+  }
+
   // Add specific breach year details (NEW)
   if (breaches.dscrBreachYears?.length > 0) {
     fields["DSCR Breach Years"] = breaches.dscrBreachYears.join(", ");
@@ -325,7 +406,7 @@ function generateCovenantAnalysis(projection, params) {
   }
 
   // Add overall credit assessment
-  const totalBreaches = (breaches.dscrBreaches || 0) + (breaches.icrBreaches || 0) + (breaches.ndBreaches || 0);
+  const totalBreaches = (breaches.totalBreaches || 0);
   if (totalBreaches === 0 && dscrCushion >= 0.3 && leverageCushion >= 0.5) {
     fields["Overall Credit Quality"] = "STRONG - Significant covenant cushion";
   } else if (totalBreaches === 0) {
@@ -365,6 +446,11 @@ function generateHistoricalContext(historicalData, params) {
     "Growth Delta": pctFmt((params.growth || 0) - avgGrowth),
   };
 
+  // Business plan growth entered year by year (year 1 is the base year)
+  if (hasDriverOverrides(params, 'growth')) {
+    fields["Projected Growth by Year"] = getDriverPath(params, 'growth').slice(1).map(g => pctFmt(g)).join(" / ");
+  }
+
   // Add margin analysis
   if (latest.ebitda && latest.revenue > 0) {
     fields["Latest EBITDA Margin"] = pctFmt(latest.ebitda / latest.revenue);
@@ -549,9 +635,7 @@ function generateStressTestSummary(projections, params) {
     .map(([key, proj]) => {
       const stats = proj.creditStats || {};
       const breaches = proj.breaches || {};
-      const totalBreaches = (breaches.dscrBreaches || 0) +
-                           (breaches.icrBreaches || 0) +
-                           (breaches.ndBreaches || 0);
+      const totalBreaches = (breaches.totalBreaches || 0);
 
       return {
         name: key,
@@ -591,7 +675,7 @@ function generateStressTestSummary(projections, params) {
 /**
  * Generate custom shocks section (NEW)
  */
-function generateCustomShocksSection(customShocks) {
+function generateCustomShocksSection(customShocks, shockPaths, params) {
   const fields = {};
 
   if (customShocks.growthDelta !== 0) {
@@ -616,6 +700,24 @@ function generateCustomShocksSection(customShocks) {
     fields["Terminal Growth Shock"] = pctFmt(customShocks.termGDelta);
   }
 
+  // Shocks aimed at a single revenue segment
+  (params?.revenueSegments || []).forEach(segment => {
+    const shock = customShocks.segmentShocks?.[segment.id];
+    if (shock?.volumeDelta) fields[`${segment.name} Volume Shock`] = pctFmt(shock.volumeDelta);
+    if (shock?.marginDelta) fields[`${segment.name} Gross Margin Shock`] = pctFmt(shock.marginDelta);
+  });
+
+  // Multi-year path: one delta per projection year for each moving driver
+  if (hasShockPaths(shockPaths)) {
+    const scenario = params.shockPaths.scenarios.find(sc => sc.id === params.shockPaths.activeId);
+    fields["Shock Path"] = `${scenario.name} (${params.startYear}-${params.startYear + params.years - 1})`;
+    Object.entries(shockPaths).forEach(([driver, path]) => {
+      if (path.some(v => v !== 0)) {
+        fields[`${SHOCK_PATH_DRIVERS[driver].label} Path`] = path.map(v => pctFmt(v)).join(" / ");
+      }
+    });
+  }
+
   if (Object.keys(fields).length === 0) return null;
 
   return formatSection("CUSTOM STRESS SCENARIO APPLIED", fields);
@@ -51,9 +51,7 @@ export async function generateAICapitalStructureRecommendations(projection, para
       // Covenants
       minDSCR: params.minDSCR || 1.25,
       maxLeverage: params.maxNDToEBITDA || 4.0,
-      breaches: (projection?.breaches?.dscrBreaches || 0) + 
-               (projection?.breaches?.icrBreaches || 0) + 
-               (projection?.breaches?.ndBreaches || 0),
+      breaches: (projection?.breaches?.totalBreaches || 0),
       
       // Alternatives
       alternatives: {
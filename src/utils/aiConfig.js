@@ -47,6 +47,43 @@ export const AI_TOOLS = [
       },
     },
   },
+  {
+    type: 'function',
+    function: {
+      name: 'goal_seek',
+      description: 'Goal seek: find the value of one model input that makes a projection output reach a target, by rerunning the full projection. Use when the user asks what growth rate, margin, rate or loan amount breaks a covenant or achieves a target (e.g. \'what growth rate takes DSCR to 1.2x?\').',
+      parameters: {
+        type: 'object',
+        properties: {
+          variable: {
+            type: 'string',
+            description: 'Model input to change. Common inputs: growth, cogsPct, opexPct, capexPct, interestRate, proposedPricing, baseRateShift, taxRate, baseRevenue, requestedLoanAmount, openingDebt, equityContribution. Nested fields use dotted paths (e.g. debtTranches.0.amount)',
+          },
+          target: {
+            type: 'string',
+            description: 'Output to hit: minDSCR, minICR, maxLeverage, dscr, icr, leverage (single year, see year), irr, moic, cumulativeFCF, equityValue, enterpriseValue',
+          },
+          targetValue: {
+            type: 'number',
+            description: 'Value the output should reach (decimals for percentages, e.g. 0.20 for 20% IRR). Defaults to the covenant level for DSCR, ICR and leverage targets',
+          },
+          year: {
+            type: 'number',
+            description: 'Projection year (1-based) for the dscr, icr and leverage targets',
+          },
+          lowerBound: {
+            type: 'number',
+            description: 'Optional lower end of the search range for the input',
+          },
+          upperBound: {
+            type: 'number',
+            description: 'Optional upper end of the search range for the input',
+          },
+        },
+        required: ['variable', 'target'],
+      },
+    },
+  },
   {
     type: 'function',
     function: {
@@ -275,7 +312,7 @@ export function getToolsForAnalysis(type = 'credit', options = {}) {
   if (type === 'capital_structure' || type === 'capital') {
     // For capital structure, include restructuring and covenant tools
     return AI_TOOLS.filter(t =>
-      ['analyze_covenant_headroom', 'restructure_deal', 'calculate_optimal_debt', 'fetch_economic_context'].includes(t.function.name)
+      ['analyze_covenant_headroom', 'restructure_deal', 'calculate_optimal_debt', 'goal_seek', 'fetch_economic_context'].includes(t.function.name)
     );
   }
 
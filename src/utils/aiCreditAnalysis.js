@@ -51,11 +51,11 @@ export async function generateCreditInsights(projection, params, accessToken) {
       dscrBreaches: projection.breaches?.dscrBreaches || 0,
       icrBreaches: projection.breaches?.icrBreaches || 0,
       leverageBreaches: projection.breaches?.ndBreaches || 0,
-      breachYears: [
-        ...(projection.breaches?.dscrBreachYears || []),
-        ...(projection.breaches?.icrBreachYears || []),
-        ...(projection.breaches?.leverageBreachYears || [])
-      ]
+      totalBreaches: projection.breaches?.totalBreaches || 0,
+      breachYears: projection.breaches?.breachYears || [],
+      byCovenant: (projection.breaches?.covenants || [])
+        .filter(c => c.breachYears.length > 0)
+        .map(c => ({ covenant: c.name, formula: c.formula, years: c.breachYears }))
     },
     covenants: {
       minDSCR: params.minDSCR || 1.2,
@@ -180,13 +180,13 @@ function getFallbackInsights(context) {
     });
   }
   
-  if (context.breaches.dscrBreaches > 0) {
+  context.breaches.byCovenant.forEach(breach => {
     insights.push({
       category: 'Covenant Breach',
-      content: `${context.breaches.dscrBreaches} DSCR breach(es) detected. Engage lenders for waivers.`,
+      content: `${breach.years.length} ${breach.covenant} breach(es) detected (${breach.years.join(', ')}). Engage lenders for waivers.`,
       severity: 'warning'
     });
-  }
+  });
   
   return {
     summary: 'AI analysis unavailable. Using rule-based assessment.',
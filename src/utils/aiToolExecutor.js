@@ -21,6 +21,8 @@ import {
   createEconomicContextResponse,
   CENTRAL_BANKS
 } from './economicDataFetcher';
+import { goalSeek } from './goalSeek';
+import { MODEL_INPUTS, MODEL_OUTPUTS } from './modelVariables';
 
 /**
  * Parse monetary value from various formats
@@ -104,6 +106,9 @@ export async function executeToolCall(toolName, params, context) {
       case 'calculate_optimal_debt':
         return calculateOptimalDebt(params, modelData, currency);
 
+      case 'goal_seek':
+        return runGoalSeek(params, modelData, currency);
+
       case 'run_stress_test':
         return runStressTest(params, onRunStressTest, modelData, currency);
 
@@ -228,6 +233,80 @@ function calculateOptimalDebt(params, modelData, currency) {
   };
 }
 
+/**
+ * Goal seek: solve a model input for a target projection output
+ */
+function runGoalSeek(params, modelData, currency) {
+  const { variable, target = 'minDSCR', year = 1, lowerBound, upperBound } = params;
+  const modelParams = modelData?.params;
+
+  if (!modelParams) {
+    return {
+      success: false,
+      message: 'No model parameters available for goal seek.',
+      data: null
+    };
+  }
+  if (!variable) {
+    return {
+      success: false,
+      message: `Please specify the input to solve for (e.g. ${Object.keys(MODEL_INPUTS).slice(0, 4).join(', ')}).`,
+      data: null
+    };
+  }
+
+  // Covenant targets default to the model's covenant level
+  const definition = MODEL_OUTPUTS[target];
+  const targetValue = Number.isFinite(params.targetValue)
+    ? params.targetValue
+    : modelParams[definition?.covenant];
+
+  if (!Number.isFinite(targetValue)) {
+    return {
+      success: false,
+      message: `Please provide a targetValue for ${definition?.label || target}.`,
+      data: null
+    };
+  }
+
+  const result = goalSeek(modelParams, { variable, target, targetValue, year, lowerBound, upperBound });
+
+  const ccy = currency || modelParams.currency || 'JMD';
+  const format = (value, fmt) => {
+    if (!Number.isFinite(value)) return 'N/A';
+    if (fmt === 'percent') return pctFmt(value);
+    if (fmt === 'currency') return currencyFmtMM(value, ccy);
+    if (fmt === 'ratio') return `${numFmt(value)}x`;
+    return numFmt(value, 4);
+  };
+  const inputFormat = MODEL_INPUTS[variable]?.format;
+  const targetFormat = definition?.format;
+  const variableLabel = MODEL_INPUTS[variable]?.label || variable;
+  const targetLabel = definition
+    ? definition.label.replace('Year N', `Year ${year}`)
+    : target;
+
+  return {
+    success: true,
+    message: `🎯 **Goal Seek: ${variableLabel} → ${targetLabel} = ${format(targetValue, targetFormat)}**
+
+**Result:** ${result.message}
+• ${variableLabel}: ${format(result.solution, inputFormat)} (currently ${format(result.currentValue, inputFormat)})
+• ${targetLabel}: ${format(result.achievedValue, targetFormat)} (currently ${format(result.currentOutput, targetFormat)})
+
+**Search Range:** ${format(result.lowerBound, inputFormat)} to ${format(result.upperBound, inputFormat)} (${result.evaluations} projection runs)`,
+    data: {
+      variable,
+      target,
+      year,
+      targetValue,
+      ...result
+    },
+    needsFollowThrough: true,
+    followThroughPrompt: `Goal seek is complete. Explain what the solved ${variableLabel} means for the deal: how much cushion it represents against the current assumption and whether that cushion is realistic.`
+  };
+}
+
 /**
  * Run a stress test with custom shocks
  */
@@ -313,7 +392,7 @@ function updateModelParameter(params, onParamUpdate) {
     'requestedLoanAmount', 'openingDebt', 'existingDebtAmount',
     'interestRate', 'debtTenorYears', 'revenueGrowth', 'growth', 'ebitdaMargin',
     'taxRate', 'wacc', 'terminalGrowth', 'openingCash', 'baseRevenue',
-    'cogsPct', 'opexPct', 'capexPct'
+    'cogsPct', 'opexPct', 'capexPct', 'fixedCogs', 'fixedOpex', 'fixedCostInflation'
   ];
 
   if (!validParams.includes(normalizedParamName)) {
@@ -325,8 +404,8 @@ function updateModelParameter(params, onParamUpdate) {
   }
 
   // Define parameter types for proper parsing
-  const percentageParams = ['interestRate', 'revenueGrowth', 'growth', 'ebitdaMargin', 'taxRate', 'wacc', 'terminalGrowth', 'cogsPct', 'opexPct', 'capexPct'];
-  const monetaryParams = ['requestedLoanAmount', 'openingDebt', 'existingDebtAmount', 'openingCash', 'baseRevenue'];
+  const percentageParams = ['interestRate', 'revenueGrowth', 'growth', 'ebitdaMargin', 'taxRate', 'wacc', 'terminalGrowth', 'cogsPct', 'opexPct', 'capexPct', 'fixedCostInflation'];
+  const monetaryParams = ['requestedLoanAmount', 'openingDebt', 'existingDebtAmount', 'openingCash', 'baseRevenue', 'fixedCogs', 'fixedOpex'];
 
   // Parse the value based on parameter type
   let parsedValue;
@@ -1,16 +1,70 @@
 // Place this file in your /utils directory
 
-import { clamp } from "./calculations.js";
+import { clamp, valueForYear } from "./mathUtils.js";
+import { resolveDriverOverrides } from "./driverOverrides.js";
+import { isSegmentModel, shockSegment, hasSegmentShocks } from "./revenueSegments.js";
+import { isCapexScheduleModel } from "./capexSchedule.js";
+
+// Flat delta plus an optional per-year path. Returns a per-year array when
+// either the base driver or the path varies by year, otherwise a single value.
+function shockDriver(baseValue, delta, path, years, bound = (v) => v) {
+  if (!Array.isArray(baseValue) && !Array.isArray(path)) {
+    return bound(baseValue + delta);
+  }
+  return Array.from({ length: years }, (_, i) =>
+    bound(valueForYear(baseValue, i) + delta + valueForYear(path, i))
+  );
+}
+
+// Segments take the global growth and COGS shocks on their own drivers, plus
+// any shock aimed at that segment alone (shocks.segmentShocks by segment id)
+function shockSegments(base, shocks, paths, years) {
+  if (!isSegmentModel(base)) return base.revenueSegments;
+  const marginPath = Array.isArray(paths.cogsDelta) ? paths.cogsDelta.map(v => -v) : undefined;
+  return base.revenueSegments.map(segment => {
+    const shocked = shockSegment(segment, shocks.segmentShocks?.[segment.id]);
+    return {
+      ...shocked,
+      volumeGrowth: shockDriver(shocked.volumeGrowth, shocks.growthDelta, paths.growthDelta, years),
+      grossMargin: shockDriver(shocked.grossMargin, -shocks.cogsDelta, marginPath, years, (v) => clamp(v, -1, 1)),
+    };
+  });
+}
+
+// True when a shock set moves anything (flat deltas or segment shocks)
+export function hasActiveShocks(shocks) {
+  return Object.entries(shocks || {}).some(([key, value]) =>
+    key === "segmentShocks" ? hasSegmentShocks(value) : typeof value === "number" && value !== 0
+  );
+}
+
+export function applyShocks(params, shocks) {
+  // Per-year driver overrides become per-year arrays, so shocks move the plan
+  const base = resolveDriverOverrides(params);
+  // shocks.paths: optional per-year deltas by driver (see shockPaths.js)
+  const paths = shocks.paths || {};
+  const years = base.years || 0;
+  const unit = (v) => clamp(v, 0, 1);
 
-export function applyShocks(base, shocks) {
   return {
     ...base,
-    growth: base.growth + shocks.growthDelta,
-    cogsPct: clamp(base.cogsPct + shocks.cogsDelta, 0, 1),
-    opexPct: clamp(base.opexPct + shocks.opexDelta, 0, 1),
-    capexPct: clamp(base.capexPct + shocks.capexDelta, 0, 1),
-    interestRate: clamp(base.interestRate + shocks.rateDelta, 0, 1),
+    growth: shockDriver(base.growth, shocks.growthDelta, paths.growthDelta, years),
+    cogsPct: shockDriver(base.cogsPct, shocks.cogsDelta, paths.cogsDelta, years, unit),
+    opexPct: shockDriver(base.opexPct, shocks.opexDelta, paths.opexDelta, years, unit),
+    capexPct: shockDriver(base.capexPct, shocks.capexDelta, paths.capexDelta, years, unit),
+    revenueSegments: shockSegments(base, shocks, paths, years),
+    // Scheduled capex moves by the same % of revenue, on growth capex only
+    capexShift: isCapexScheduleModel(base)
+      ? shockDriver(base.capexShift || 0, shocks.capexDelta || 0, paths.capexDelta, years)
+      : base.capexShift,
+    // Rate stress shifts the floating base-rate curve only; fixed-rate debt,
+    // including the single facility, keeps its rate
+    baseRateShift: shockDriver(base.baseRateShift || 0, shocks.rateDelta, paths.rateDelta, years),
     wacc: clamp(base.wacc + shocks.waccDelta, 0.01, 1),
     terminalGrowth: clamp(base.terminalGrowth + shocks.termGDelta, -0.2, 0.2),
+    // Collection period shock (days); only affects the days working capital driver
+    receivableDays: Math.max(0, (base.receivableDays || 0) + (shocks.dsoDelta || 0)),
+    // Reporting-currency depreciation against every foreign-currency tranche
+    fxShock: (base.fxShock || 0) + (shocks.fxDepreciation || 0),
   };
-}
\ No newline at end of file
+}
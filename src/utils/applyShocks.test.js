@@ -0,0 +1,56 @@
+import { applyShocks } from './applyShocks';
+import { buildProjection } from './buildProjection';
+
+const baseParams = {
+  startYear: 2025,
+  years: 3,
+  baseRevenue: 100e6,
+  growth: 0.05,
+  cogsPct: 0.4,
+  opexPct: 0.25,
+  capexPct: 0.05,
+  daPctOfPPE: 0.1,
+  wcPctOfRev: 0.15,
+  taxRate: 0.25,
+  wacc: 0.1,
+  terminalGrowth: 0.03,
+  interestRate: 0.08,
+  requestedLoanAmount: 0,
+  openingCash: 5e6,
+  baseRateCurve: [0.04, 0.04, 0.04]
+};
+
+const noShocks = { growthDelta: 0, cogsDelta: 0, opexDelta: 0, capexDelta: 0, rateDelta: 0, waccDelta: 0, termGDelta: 0 };
+
+const tranche = (id, changes) => ({
+  id, name: `T${id}`, amount: 20e6, rate: 0.08, tenorYears: 3, amortizationType: 'bullet',
+  paymentFrequency: 'Annually', maturityDate: '2027-12-31', seniority: 'Senior Secured', ...changes
+});
+
+describe('applyShocks rate stress', () => {
+  it('shifts the floating base rate and leaves fixed rates alone', () => {
+    const shocked = applyShocks(baseParams, { ...noShocks, rateDelta: 0.02 });
+    expect(shocked.interestRate).toBe(0.08);
+    expect(shocked.baseRateShift).toBe(0.02);
+  });
+
+  it('adds a shock path to the flat shift year by year', () => {
+    const shocked = applyShocks(baseParams, { ...noShocks, rateDelta: 0.01, paths: { rateDelta: [0.02, 0.01, 0] } });
+    expect(shocked.interestRate).toBe(0.08);
+    expect(shocked.baseRateShift).toEqual([0.03, 0.02, 0.01]);
+  });
+
+  it('reprices floating tranches only', () => {
+    const params = {
+      ...baseParams,
+      hasMultipleTranches: true,
+      debtTranches: [tranche(1), tranche(2, { rateType: 'floating', margin: 0.03 })]
+    };
+    const interest = (shocks) => buildProjection(applyShocks(params, shocks)).rows[0].trancheDetails.map(t => t.interest);
+    const [fixedBase, floatingBase] = interest(noShocks);
+    const [fixedShocked, floatingShocked] = interest({ ...noShocks, rateDelta: 0.02 });
+
+    expect(fixedShocked).toBeCloseTo(fixedBase, 2);
+    expect(floatingShocked - floatingBase).toBeCloseTo(20e6 * 0.02, 0);
+  });
+});
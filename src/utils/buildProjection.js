@@ -5,35 +5,59 @@
 // - IAS 1: Presentation of Financial Statements
 // - IAS 7: Statement of Cash Flows
 // - IFRS 9: Financial Instruments (debt amortization)
-// - IAS 12: Income Taxes
+// - IAS 12: Income Taxes (loss carryforwards, deferred tax, see tax.js)
+// - IFRS 16: Leases (right-of-use asset and lease liability, see leases.js)
 // ============================================================================
 
 import { calculateIRR, calculateMOIC, safeDivide } from './financialCalculations';
+import { getDriverValue } from './driverOverrides';
+import { isSegmentModel, projectSegments } from './revenueSegments';
+import { isCapexScheduleModel, getOpeningPPE, createCapexLedger } from './capexSchedule';
+import { hasLeases, getOpeningLeaseLiability, buildLeaseSchedule, getLeaseCovenantBasis } from './leases';
+import { createTaxLedger } from './tax';
+import { settleDistributions, getLockupTreatment } from './distributions';
+import { createReserveLedger } from './reserves';
+import { analyseTrancheCoverage } from './trancheMetrics';
+import { buildPeriodRows, rollUpPeriods, analyzePeriodCovenants, getPeriodsPerYear } from './periodProjection';
+import { checkCovenantBreaches } from './validation';
+import { calculateWorkingCapital, getOpeningWorkingCapital } from './workingCapital';
+import {
+  isRevolver,
+  getRevolverTranches,
+  getOpeningRevolverBalances,
+  settleRevolvers,
+  REVOLVER_TOLERANCE,
+  REVOLVER_MAX_ITERATIONS
+} from './revolver';
+import { hasCashSweep, allocateCashSweep } from './cashSweep';
+import { isFloatingRate, getTrancheRate, getTrancheRatePath } from './floatingRate';
+import { settleHedges } from './hedging';
+import { calendarYearFraction } from './dayCount';
+import {
+  buildRepaymentCalendar,
+  getDefaultScheduleStartDate,
+  getSourcePaymentDates,
+  scheduleYearPayments,
+  isPrincipalAtMaturity
+} from './paymentSchedule';
+import { getTrancheFxPath, getFxSpot } from './fx';
+
+// Assets may differ from liabilities + equity by floating-point noise only
+const BALANCE_TOLERANCE = 1;
 
 /**
- * Calculate interest based on day count convention
+ * Calculate interest for a calendar year based on day count convention
+ * A full year is 1.0 under 30/360 and Actual/Actual ISDA, 365/360 or 366/360
+ * under Actual/360 and 366/365 in leap years under Actual/365.
+ *
  * @param {number} principal - Loan principal
  * @param {number} annualRate - Annual interest rate (decimal)
- * @param {number} days - Number of days in period
+ * @param {number} year - Calendar year of the accrual
  * @param {string} convention - Day count convention
  * @returns {number} - Interest amount
  */
-function calculateInterestWithDayCount(principal, annualRate, days, convention = 'Actual/360') {
-  switch (convention) {
-    case 'Actual/360':
-      return principal * annualRate * (days / 360);
-    case 'Actual/365':
-      return principal * annualRate * (days / 365);
-    case '30/360':
-      // Assumes 30 days per month, 360 days per year
-      return principal * annualRate * (days / 360);
-    case 'Actual/Actual':
-      // For simplicity, use actual days / actual days in year
-      return principal * annualRate * (days / 365.25);
-    default:
-      // Default to Actual/360 (common in commercial lending)
-      return principal * annualRate * (days / 360);
-  }
+function calculateInterestWithDayCount(principal, annualRate, year, convention = 'Actual/360') {
+  return principal * annualRate * calendarYearFraction(year, convention);
 }
 
 /**
@@ -63,42 +87,18 @@ function getPaymentsPerYear(frequency) {
 }
 
 /**
- /**
- * Calculate debt amortization schedule with support for multiple amortization types
+ * Resolve amortization terms for a single debt source
  * Supports: Amortizing, Interest-Only, Bullet
- * 
+ *
  * @param {Object} params - Debt parameters
- * @returns {Array} Amortization schedule by year
+ * @returns {Object} Principal, rate, tenor, structure and maturity year
  */
-function buildAmortizationSchedule(params) {
-  const schedule = [];
-
+function getAmortizationTerms(params) {
   // CRITICAL: Respect hasExistingDebt toggle - if OFF, ignore existing debt fields
   const existingDebtAmount = (params.hasExistingDebt === true) ? (params.openingDebt || 0) : 0;
   const newFacilityAmount = params.requestedLoanAmount || 0;
   const principal = existingDebtAmount + newFacilityAmount;
 
-  // DEBUG: Log debt calculation inputs
-  console.log('buildAmortizationSchedule:', {
-    hasExistingDebt: params.hasExistingDebt,
-    openingDebt: params.openingDebt,
-    requestedLoanAmount: params.requestedLoanAmount,
-    existingDebtAmount,
-    newFacilityAmount,
-    principal
-  });
-
-  // No debt - return empty schedule
-  if (principal === 0) {
-    return Array(params.years).fill({
-      principal: 0,
-      interest: 0,
-      totalPayment: 0,
-      endingBalance: 0,
-      paymentsInYear: 0
-    });
-  }
-
   // Determine the appropriate rate based on what debt exists
   // CRITICAL: Respect hasExistingDebt toggle for rate selection too
   const hasOpeningDebt = (params.hasExistingDebt === true) && (params.openingDebt || 0) > 0;
@@ -125,105 +125,348 @@ function buildAmortizationSchedule(params) {
   const amortizationType = hasOpeningDebt
     ? (params.openingDebtAmortizationType || 'amortizing')
     : (params.facilityAmortizationType || params.amortizationType || 'amortizing');
-  
-  // Calculate maturity year relative to start year
+
+  // Final repayment year: the maturity date's year, or the last year of the tenor
   // CRITICAL: Only use openingDebtMaturityDate when existing debt toggle is ON
   const startYear = params.startYear;
   const maturityYear = (hasOpeningDebt && params.openingDebtMaturityDate)
     ? new Date(params.openingDebtMaturityDate).getFullYear()
-    : startYear + tenorYears;
-  
-  let remainingBalance = principal;
+    : startYear + tenorYears - 1;
 
-  for (let i = 0; i < params.years; i++) {
-    const currentYear = startYear + i;
-    const yearsRemaining = maturityYear - currentYear;
-    
-    // If debt has matured or fully repaid, zero out everything
-    if (yearsRemaining <= 0 || remainingBalance <= 0) {
-      schedule.push({
-        principal: 0,
-        interest: 0,
-        totalPayment: 0,
-        endingBalance: 0,
-        paymentsInYear: 0
-      });
-      continue;
-    }
+  return {
+    principal,
+    existingDebtAmount,
+    newFacilityAmount,
+    annualRate,
+    tenorYears,
+    interestOnlyYears,
+    amortizationType,
+    startYear,
+    maturityYear,
+    // Annual interest accrues over the calendar year under this convention
+    dayCountConvention: params.dayCountConvention || 'Actual/365',
+    // Determine number of payments per year
+    paymentsInYear: getPaymentsPerYear(params.paymentFrequency || params.openingDebtPaymentFrequency || 'Quarterly')
+  };
+}
 
-    // Calculate interest payment using day count convention
-    // For annual projections, assume 365 days per year
-    const dayCountConvention = params.dayCountConvention || 'Actual/365';
-    const interestPayment = calculateInterestWithDayCount(remainingBalance, annualRate, 365, dayCountConvention);
-    
-    // Calculate principal payment based on amortization type
-    let principalPayment = 0;
-    
-    switch(amortizationType) {
-      case 'amortizing':
-        // Regular amortization with interest-only period support
-        const amortizationYears = Math.max(1, tenorYears - interestOnlyYears);
-        const yearsSinceAmortizationStart = Math.max(0, i - interestOnlyYears);
-        const remainingAmortizationYears = Math.max(1, amortizationYears - yearsSinceAmortizationStart);
-        
-        if (i < interestOnlyYears) {
-          // Still in interest-only period
-          principalPayment = 0;
-        } else {
-          // In amortization period - equal principal payments
-          principalPayment = remainingBalance / remainingAmortizationYears;
-        }
-        break;
-        
-      case 'interest-only':
-        // No principal payment until maturity
-        if (yearsRemaining === 1) {
-          // Last year before maturity - pay off all remaining principal
-          principalPayment = remainingBalance;
-        } else {
-          principalPayment = 0;
-        }
-        break;
-        
-      case 'bullet':
-        // Everything due at maturity (no interim payments)
-        if (yearsRemaining === 1) {
-          principalPayment = remainingBalance;
-        } else {
-          principalPayment = 0;
-        }
-        break;
-        
-      default:
-        // Fallback to amortizing
-        const defaultAmortYears = Math.max(1, tenorYears - interestOnlyYears);
-        principalPayment = i >= interestOnlyYears 
-          ? remainingBalance / (defaultAmortYears - (i - interestOnlyYears))
-          : 0;
+/**
+ * Repayment calendar terms for one term debt source
+ *
+ * @param {Object} params - Model parameters
+ * @param {Object} terms - Terms from getAmortizationTerms for this source
+ * @param {Object|null} tranche - Debt tranche (null = single facility)
+ * @returns {Object} { startDate, maturityDate, frequency, dayCountConvention, amortizationType }
+ */
+function getCalendarTerms(params, terms, tranche) {
+  const dayCountConvention = params.dayCountConvention || 'Actual/365';
+  const defaultStart = getDefaultScheduleStartDate(params.startYear);
+  if (tranche) {
+    return {
+      startDate: tranche.startDate ||
+        (tranche.isOpeningDebt && params.openingDebtStartDate) ||
+        (tranche.isNewFacility && params.issueDate) ||
+        defaultStart,
+      maturityDate: tranche.maturityDate || calculateMaturityDate(params.startYear, terms.tenorYears),
+      frequency: tranche.paymentFrequency || 'Quarterly',
+      dayCountConvention: tranche.dayCountConvention || dayCountConvention,
+      amortizationType: terms.amortizationType
+    };
+  }
+
+  const hasOpeningDebt = terms.existingDebtAmount > 0;
+  return {
+    startDate: (hasOpeningDebt ? params.openingDebtStartDate : params.issueDate) || defaultStart,
+    maturityDate: (hasOpeningDebt && params.openingDebtMaturityDate) ||
+      calculateMaturityDate(params.startYear, terms.tenorYears),
+    frequency: (hasOpeningDebt ? params.openingDebtPaymentFrequency : params.paymentFrequency) || 'Quarterly',
+    dayCountConvention,
+    amortizationType: terms.amortizationType
+  };
+}
+
+/**
+ * Add a source's payment dates to its amortization terms, so each year's
+ * interest accrues between the dates on the repayment calendar
+ *
+ * @param {Object} params - Model parameters
+ * @param {Object} terms - Terms from getAmortizationTerms
+ * @param {Object|null} tranche - Debt tranche (null = single facility)
+ * @returns {Object} Terms with calendar { dates, dayCountConvention }
+ */
+function withPaymentCalendar(params, terms, tranche) {
+  const calendarTerms = getCalendarTerms(params, terms, tranche);
+  return {
+    ...terms,
+    calendar: {
+      dates: getSourcePaymentDates(calendarTerms, params),
+      dayCountConvention: calendarTerms.dayCountConvention
     }
-    
-    // Ensure principal payment doesn't exceed remaining balance
-    principalPayment = Math.min(principalPayment, remainingBalance);
-    
-    // Calculate total payment and update balance
-    const totalPayment = interestPayment + principalPayment;
-    remainingBalance = Math.max(0, remainingBalance - principalPayment);
+  };
+}
 
-    // Determine number of payments per year
-    const paymentsInYear = getPaymentsPerYear(params.paymentFrequency || params.openingDebtPaymentFrequency || 'Quarterly');
+/**
+ * Calculate one year of the amortization schedule from the balance outstanding
+ * Scheduled principal is derived from the current balance, so a prepayment
+ * lowers later instalments and interest.
+ *
+ * @param {Object} terms - Terms from getAmortizationTerms
+ * @param {number} i - Projection year index (0-based)
+ * @param {number} remainingBalance - Balance outstanding at start of year
+ * @returns {Object} principal, interest, totalPayment, endingBalance, paymentsInYear
+ */
+function scheduleAmortizationYear(terms, i, remainingBalance) {
+  const { tenorYears, interestOnlyYears, amortizationType, startYear, maturityYear } = terms;
+  // Floating tranches carry a per-year rate path; fixed debt uses a single rate
+  const annualRate = terms.ratePath ? terms.ratePath[i] ?? terms.annualRate : terms.annualRate;
+  const currentYear = startYear + i;
+  const yearsRemaining = maturityYear - currentYear + 1;
+
+  // If debt has matured or fully repaid, zero out everything
+  if (yearsRemaining <= 0 || remainingBalance <= 0) {
+    return {
+      principal: 0,
+      interest: 0,
+      totalPayment: 0,
+      endingBalance: 0,
+      paymentsInYear: 0
+    };
+  }
+
+  // Calculate principal payment based on amortization type
+  let principalPayment = 0;
+
+  switch(amortizationType) {
+    case 'amortizing':
+      // Regular amortization with interest-only period support
+      const amortizationYears = Math.max(1, tenorYears - interestOnlyYears);
+      const yearsSinceAmortizationStart = Math.max(0, i - interestOnlyYears);
+      const remainingAmortizationYears = Math.max(1, amortizationYears - yearsSinceAmortizationStart);
+
+      if (i < interestOnlyYears) {
+        // Still in interest-only period
+        principalPayment = 0;
+      } else {
+        // In amortization period - equal principal payments
+        principalPayment = remainingBalance / remainingAmortizationYears;
+      }
+      break;
+
+    case 'interest-only':
+      // No principal payment until maturity
+      if (yearsRemaining === 1) {
+        // Last year before maturity - pay off all remaining principal
+        principalPayment = remainingBalance;
+      } else {
+        principalPayment = 0;
+      }
+      break;
 
-    schedule.push({
+    case 'bullet':
+      // Everything due at maturity (no interim payments)
+      if (yearsRemaining === 1) {
+        principalPayment = remainingBalance;
+      } else {
+        principalPayment = 0;
+      }
+      break;
+
+    default:
+      // Fallback to amortizing
+      const defaultAmortYears = Math.max(1, tenorYears - interestOnlyYears);
+      principalPayment = i >= interestOnlyYears
+        ? remainingBalance / (defaultAmortYears - (i - interestOnlyYears))
+        : 0;
+  }
+
+  // Ensure principal payment doesn't exceed remaining balance
+  principalPayment = Math.min(principalPayment, remainingBalance);
+
+  // Interest is paid on the repayment calendar: it accrues between the year's
+  // payment dates on the balance outstanding after each instalment. Years
+  // without payment dates accrue on the opening balance over the calendar year.
+  const calendarPayments = terms.calendar
+    ? scheduleYearPayments(terms.calendar.dates, currentYear, {
+      openingBalance: remainingBalance,
       principal: principalPayment,
-      interest: interestPayment,
-      totalPayment: totalPayment,
-      endingBalance: remainingBalance,
-      paymentsInYear: paymentsInYear
+      rate: annualRate,
+      dayCountConvention: terms.calendar.dayCountConvention,
+      principalAtMaturity: isPrincipalAtMaturity(amortizationType)
+    })
+    : [];
+  const interestPayment = calendarPayments.length > 0
+    ? calendarPayments.reduce((sum, p) => sum + p.interest, 0)
+    : calculateInterestWithDayCount(remainingBalance, annualRate, currentYear, terms.dayCountConvention);
+
+  // Calculate total payment and update balance
+  const totalPayment = interestPayment + principalPayment;
+
+  return {
+    principal: principalPayment,
+    interest: interestPayment,
+    totalPayment: totalPayment,
+    endingBalance: Math.max(0, remainingBalance - principalPayment),
+    paymentsInYear: terms.paymentsInYear
+  };
+}
+
+/**
+ * Calculate debt amortization schedule with support for multiple amortization types
+ * Supports: Amortizing, Interest-Only, Bullet
+ * 
+ * @param {Object} params - Debt parameters
+ * @returns {Array} Amortization schedule by year
+ */
+function buildAmortizationSchedule(params) {
+  const terms = withPaymentCalendar(params, getAmortizationTerms(params), null);
+
+  // No debt - return empty schedule
+  if (terms.principal === 0) {
+    return Array(params.years).fill({
+      principal: 0,
+      interest: 0,
+      totalPayment: 0,
+      endingBalance: 0,
+      paymentsInYear: 0
     });
   }
 
+  const schedule = [];
+  let remainingBalance = terms.principal;
+
+  for (let i = 0; i < params.years; i++) {
+    const yearRow = scheduleAmortizationYear(terms, i, remainingBalance);
+    remainingBalance = yearRow.endingBalance;
+    schedule.push(yearRow);
+  }
+
   return schedule;
 }
 
+/**
+ * Map a tranche onto the single-debt parameters used by getAmortizationTerms
+ *
+ * @param {Object} params - Model parameters
+ * @param {Object} tranche - Debt tranche
+ * @returns {Object} Parameters for this tranche only
+ */
+function buildTrancheParams(params, tranche) {
+  // IMPORTANT: Clear requestedLoanAmount to prevent double-counting when
+  // getAmortizationTerms adds openingDebt + requestedLoanAmount
+  return {
+    ...params,
+    hasExistingDebt: true, // CRITICAL: Must be true so the tranche amount is treated as openingDebt
+    openingDebt: tranche.amount,
+    requestedLoanAmount: 0, // Clear to prevent double-counting with tranche.amount
+    interestRate: tranche.rate,
+    debtTenorYears: tranche.tenorYears,
+    openingDebtMaturityDate: tranche.maturityDate,
+    openingDebtAmortizationType: tranche.amortizationType,
+    openingDebtPaymentFrequency: tranche.paymentFrequency || 'Quarterly',
+    interestOnlyYears: tranche.interestOnlyYears || 0,
+    openingDebtStartDate: params.startYear.toString() + '-01-01' // Use projection start year
+  };
+}
+
+/**
+ * Year-by-year ledger of term tranche balances
+ * Each call to scheduleYear advances every tranche by one year from its
+ * current balance; prepay reduces a tranche balance after the year's
+ * scheduled payments so later years amortize and accrue on the lower balance.
+ * Foreign-currency tranches amortize in their own currency; amounts returned
+ * are translated at the year's FX rate, and the retranslation of the opening
+ * balance is reported as fxTranslation.
+ *
+ * @param {Object} params - Model parameters
+ * @param {Array|null} tranches - Term tranches (null = single facility on the model-level terms)
+ * @returns {Object} { tranches, scheduleYear(year), prepay(yearData, index, amount) }
+ */
+function createTermDebtLedger(params, tranches) {
+  const entries = tranches ? tranches.map(tranche => {
+    const terms = {
+      ...withPaymentCalendar(params, getAmortizationTerms(buildTrancheParams(params, tranche)), tranche),
+      ratePath: isFloatingRate(tranche) ? getTrancheRatePath(tranche, params) : null
+    };
+    return { tranche, terms, fx: getTrancheFxPath(tranche, params), balance: terms.principal, fxRate: 1 };
+  }) : [(() => {
+    const terms = withPaymentCalendar(params, getAmortizationTerms(params), null);
+    return { tranche: { name: 'Term Debt' }, terms, fx: null, balance: terms.principal, fxRate: 1 };
+  })()];
+
+  return {
+    tranches: entries,
+
+    scheduleYear(year) {
+      const yearData = {
+        year,
+        interest: 0,
+        principal: 0,
+        totalPayment: 0,
+        endingBalance: 0,
+        openingBalance: 0,
+        fxTranslation: 0,
+        paymentsInYear: 0,
+        prepayment: 0,
+        trancheDetails: []
+      };
+
+      entries.forEach((entry) => {
+        const openingLocal = entry.balance;
+        const trancheYear = scheduleAmortizationYear(entry.terms, year, entry.balance);
+        entry.balance = trancheYear.endingBalance;
+
+        // Translate at this year's rate; the opening balance was carried at last year's
+        const previousRate = entry.fx ? (year === 0 ? entry.fx.spot : entry.fx.rates[year - 1]) : 1;
+        const fxRate = entry.fx ? entry.fx.rates[year] : 1;
+        const fxTranslation = openingLocal * (fxRate - previousRate);
+        entry.fxRate = fxRate;
+
+        yearData.interest += trancheYear.interest * fxRate;
+        yearData.principal += trancheYear.principal * fxRate;
+        yearData.totalPayment += trancheYear.totalPayment * fxRate;
+        yearData.endingBalance += trancheYear.endingBalance * fxRate;
+        yearData.openingBalance += openingLocal * previousRate;
+        yearData.fxTranslation += fxTranslation;
+
+        // Take the max payments in year (for display purposes)
+        yearData.paymentsInYear = Math.max(yearData.paymentsInYear, trancheYear.paymentsInYear);
+
+        yearData.trancheDetails.push({
+          id: entry.tranche.id,
+          name: entry.tranche.name,
+          seniority: entry.tranche.seniority,
+          amount: entry.tranche.amount,
+          rate: entry.terms.ratePath ? entry.terms.ratePath[year] : entry.tranche.rate,
+          rateType: entry.tranche.rateType || 'fixed',
+          currency: entry.fx ? entry.fx.currency : params.reportingCurrency,
+          fxRate,
+          fxTranslation,
+          interest: trancheYear.interest * fxRate,
+          principal: trancheYear.principal * fxRate,
+          totalPayment: trancheYear.totalPayment * fxRate,
+          endingBalance: trancheYear.endingBalance * fxRate,
+          prepayment: 0
+        });
+      });
+
+      return yearData;
+    },
+
+    prepay(yearData, index, amount) {
+      // Prepayments are paid from reporting-currency cash at the year's rate
+      const entry = entries[index];
+      const paidLocal = Math.min(Math.max(0, amount) / entry.fxRate, entry.balance);
+      const paid = paidLocal * entry.fxRate;
+      entry.balance -= paidLocal;
+      yearData.trancheDetails[index].prepayment += paid;
+      yearData.trancheDetails[index].endingBalance -= paid;
+      yearData.prepayment += paid;
+      yearData.endingBalance -= paid;
+      return paid;
+    }
+  };
+}
+
 /**
  * Build multi-tranche debt schedule by aggregating individual tranches
  * 
@@ -237,77 +480,69 @@ function buildMultiTrancheSchedule(params) {
     return buildAmortizationSchedule(params);
   }
   
-  // Calculate each tranche separately
-  const trancheSchedules = params.debtTranches.map(tranche => {
-    // Create params object for this specific tranche
-    // IMPORTANT: Clear requestedLoanAmount to prevent double-counting when
-    // buildAmortizationSchedule adds openingDebt + requestedLoanAmount
-    const trancheParams = {
-      ...params,
-      hasExistingDebt: true, // CRITICAL: Must be true so buildAmortizationSchedule processes openingDebt
-      openingDebt: tranche.amount,
-      requestedLoanAmount: 0, // Clear to prevent double-counting with tranche.amount
-      interestRate: tranche.rate,
-      debtTenorYears: tranche.tenorYears,
-      openingDebtMaturityDate: tranche.maturityDate,
-      openingDebtAmortizationType: tranche.amortizationType,
-      openingDebtPaymentFrequency: tranche.paymentFrequency || 'Quarterly',
-      interestOnlyYears: tranche.interestOnlyYears || 0,
-      openingDebtStartDate: params.startYear.toString() + '-01-01' // Use projection start year
-    };
-    
-    return {
-      tranche: tranche,
-      schedule: buildAmortizationSchedule(trancheParams)
-    };
+  // Calculate each tranche separately and aggregate by year
+  const ledger = createTermDebtLedger(params, params.debtTranches);
+  return Array.from({ length: params.years }, (_, year) => ledger.scheduleYear(year));
+}
+
+/**
+ * Per-payment repayment calendars for every term debt source
+ * Tranche schedules follow the projected tranche details (including floating
+ * rates and sweep prepayments); single-facility debt follows the annual schedule.
+ *
+ * @param {Object} params - Model parameters
+ * @param {Array} rows - Projection rows
+ * @param {Array} debtSchedule - Annual debt schedule
+ * @param {Array|null} termTranches - Term tranches in ledger order (null for single debt)
+ * @returns {Array} [{ name, frequency, dayCountConvention, businessDayConvention, startDate, maturityDate, payments }]
+ */
+function buildPaymentSchedules(params, rows, debtSchedule, termTranches) {
+  const describe = (source) => ({
+    ...source,
+    businessDayConvention: params.businessDayConvention || 'modified-following',
+    payments: buildRepaymentCalendar(source, params)
   });
-  
-  // Aggregate by year
-  const aggregatedSchedule = [];
-  for (let year = 0; year < params.years; year++) {
-    const yearData = {
-      year,
-      interest: 0,
-      principal: 0,
-      totalPayment: 0,
-      endingBalance: 0,
-      paymentsInYear: 0,
-      trancheDetails: []
-    };
-    
-    trancheSchedules.forEach(({ tranche, schedule }) => {
-      const trancheYear = schedule[year] || { 
-        interest: 0, 
-        principal: 0, 
-        totalPayment: 0, 
-        endingBalance: 0,
-        paymentsInYear: 0
-      };
-      
-      yearData.interest += trancheYear.interest;
-      yearData.principal += trancheYear.principal;
-      yearData.totalPayment += trancheYear.totalPayment;
-      yearData.endingBalance += trancheYear.endingBalance;
-      
-      // Take the max payments in year (for display purposes)
-      yearData.paymentsInYear = Math.max(yearData.paymentsInYear, trancheYear.paymentsInYear);
-      
-      yearData.trancheDetails.push({
+
+  if (termTranches) {
+    return termTranches.map((tranche, idx) => {
+      const details = rows.map(r => r.trancheDetails[idx] || {});
+      const first = details[0] || {};
+      return describe({
+        id: tranche.id,
         name: tranche.name,
-        seniority: tranche.seniority,
-        amount: tranche.amount,
-        rate: tranche.rate,
-        interest: trancheYear.interest,
-        principal: trancheYear.principal,
-        totalPayment: trancheYear.totalPayment,
-        endingBalance: trancheYear.endingBalance
+        ...getCalendarTerms(params, getAmortizationTerms(buildTrancheParams(params, tranche)), tranche),
+        // Calendars are in the tranche's own currency (borrower-facing)
+        currency: first.currency || params.reportingCurrency,
+        openingBalance: ((first.endingBalance || 0) + (first.principal || 0) + (first.prepayment || 0)) / (first.fxRate || 1),
+        years: details.map(d => ({
+          rate: d.rate,
+          principal: (d.principal || 0) / (d.fxRate || 1),
+          prepayment: (d.prepayment || 0) / (d.fxRate || 1)
+        }))
       });
     });
-    
-    aggregatedSchedule.push(yearData);
   }
-  
-  return aggregatedSchedule;
+
+  const terms = getAmortizationTerms(params);
+  if (terms.principal <= 0) return [];
+  return [describe({
+    name: terms.existingDebtAmount > 0 ? 'Existing Debt' : 'New Facility',
+    currency: params.reportingCurrency,
+    ...getCalendarTerms(params, terms, null),
+    openingBalance: terms.principal,
+    years: debtSchedule.map(d => ({ rate: terms.annualRate, principal: d.principal, prepayment: d.prepayment }))
+  })];
+}
+
+/**
+ * Maturity date at the end of the tenor (31 December of its last year)
+ * @param {number} startYear - Projection start year
+ * @param {number} tenorYears - Tenor in years
+ * @returns {string} ISO date
+ */
+function calculateMaturityDate(startYear, tenorYears) {
+  const maturityYear = startYear + tenorYears - 1;
+  return new Date(maturityYear, 11, 31).toISOString().split('T')[0];
 }
 
 /**
@@ -318,18 +553,6 @@ function buildMultiTrancheSchedule(params) {
  * @returns {Object} Complete financial projection
  */
 export function buildProjection(params) {
-  // ============================================================================
-  // DEBUG: Log debt-related params
-  // ============================================================================
-  console.log('═══════════════════════════════════════════════════════════');
-  console.log('buildProjection CALLED with debt params:');
-  console.log('  hasExistingDebt toggle:', params.hasExistingDebt);
-  console.log('  openingDebt:', params.openingDebt);
-  console.log('  requestedLoanAmount:', params.requestedLoanAmount);
-  console.log('  proposedPricing:', params.proposedPricing);
-  console.log('  proposedTenor:', params.proposedTenor);
-  console.log('═══════════════════════════════════════════════════════════');
-
   // ============================================================================
   // PARAMETER VALIDATION
   // ============================================================================
@@ -349,11 +572,12 @@ export function buildProjection(params) {
   const rows = [];
   
   // Balance sheet items (IAS 1: Statement of Financial Position)
-let accumulatedPPE = 0;  // Property, Plant & Equipment (gross)
+let accumulatedPPE = getOpeningPPE(params);  // Property, Plant & Equipment (gross) - starts with opening net PPE
 let accumulatedDepreciation = 0;  // Accumulated depreciation (contra-asset)
-let prevWorkingCapital = 0;  // Previous year working capital
+const openingWorkingCapital = getOpeningWorkingCapital(params);  // Opening AR / inventory / AP
+let prevWorkingCapital = openingWorkingCapital.netWorkingCapital;  // Previous year working capital
 let cumulativeCash = params.openingCash || 0;  // Cash and cash equivalents (IAS 7) - starts with opening balance
-let retainedEarnings = 0;  // Accumulated retained earnings
+let retainedEarnings = 0;  // Accumulated retained earnings (net of distributions)
 
 // ============================================================================
 // AUTO-EXTEND PROJECTION PERIOD TO COVER ALL DEBT MATURITIES
@@ -365,24 +589,17 @@ let retainedEarnings = 0;  // Accumulated retained earnings
 // CALCULATE DEBT AMORTIZATION SCHEDULE
 // ============================================================================
 // Support both single debt and multi-tranche structures
+// Term tranches are kept so excess cash flow sweeps can re-run them year by year
+let termTranches = null;
 const debtSchedule = (() => {
   // CRITICAL: Respect hasExistingDebt toggle
   const hasOpeningDebt = (params.hasExistingDebt === true) && (params.openingDebt || 0) > 0;
   const hasNewFacility = (params.requestedLoanAmount || 0) > 0;
 
-  // DEBUG: Log debt schedule path selection
-  console.log('debtSchedule path selection:', {
-    hasOpeningDebt,
-    hasNewFacility,
-    hasMultipleTranches: params.hasMultipleTranches,
-    debtTranchesLength: params.debtTranches?.length,
-    requestedLoanAmount: params.requestedLoanAmount
-  });
-
   // Explicit multi-tranche mode - but also check for standalone debt amounts
   if (params.hasMultipleTranches && params.debtTranches?.length > 0) {
-    // Start with user-defined tranches
-    let allTranches = [...params.debtTranches];
+    // Start with user-defined term tranches (revolvers are settled against cash each year)
+    let allTranches = params.debtTranches.filter(t => !isRevolver(t));
 
     // Check if opening debt is already represented in tranches
     const existingDebtInTranches = params.debtTranches.some(t =>
@@ -430,6 +647,7 @@ const debtSchedule = (() => {
       ...params,
       debtTranches: allTranches
     };
+    termTranches = allTranches;
     return buildMultiTrancheSchedule(mergedParams);
   }
 
@@ -465,6 +683,7 @@ const debtSchedule = (() => {
         }
       ]
     };
+    termTranches = autoTranches.debtTranches;
     return buildMultiTrancheSchedule(autoTranches);
   }
 
@@ -472,16 +691,83 @@ const debtSchedule = (() => {
   return buildAmortizationSchedule(params);
 })();
 
-// Helper function for calculating maturity date
-function calculateMaturityDate(startYear, tenorYears) {
-  const maturityYear = startYear + tenorYears;
-  return new Date(maturityYear, 11, 31).toISOString().split('T')[0];
-}
+// Revolving facilities draw and repay against cash inside the annual loop
+const revolvers = getRevolverTranches(params);
+let revolverBalances = getOpeningRevolverBalances(revolvers);
+
+// Excess cash flow sweeps and swept lock-up cash prepay term debt at each
+// year end, so the term schedule is advanced year by year from the swept balances
+const sweepsLockedCash = getLockupTreatment(params) === 'sweep' && (termTranches || debtSchedule.some(d => (d.principal || 0) + (d.endingBalance || 0) > 0));
+const termLedger = termTranches?.some(hasCashSweep) || sweepsLockedCash
+  ? createTermDebtLedger(params, termTranches)
+  : null;
+let trappedCash = 0;  // Cash held back by distribution lock-ups
+
+  // ============================================================================
+  // OPENING BALANCE SHEET (IAS 1)
+  // ============================================================================
+  // Opening debt is whatever the schedule starts from (single, auto or multi-tranche).
+  // Opening equity is the balancing item, so the model balances from day one.
+
+  // Tranche schedules carry their opening balance (foreign debt at spot)
+  const openingTermDebt = debtSchedule[0]
+    ? debtSchedule[0].openingBalance ?? (debtSchedule[0].endingBalance || 0) + (debtSchedule[0].principal || 0)
+    : 0;
+  const openingDebtBalance = openingTermDebt + revolverBalances.reduce((sum, b) => sum + b, 0);
+  // Leases running at the start: ROU asset equals the lease liability (IFRS 16)
+  const openingLeaseLiability = getOpeningLeaseLiability(params);
+  // Tax payable brought forward and net deferred tax (IAS 12; negative = asset)
+  const taxLedger = createTaxLedger(params, accumulatedPPE);
+  const openingDeferredTax = taxLedger.openingDeferredTax;
+  const openingTaxPayable = taxLedger.openingTaxPayable;
+  // Reserve accounts funded at close or moved out of opening cash (restricted cash)
+  const reserveLedger = createReserveLedger(params, debtSchedule);
+  cumulativeCash -= reserveLedger.fromOpeningCash;
+  const openingReserveBalance = reserveLedger.openingBalance;
+  const openingTotalAssets = cumulativeCash + openingWorkingCapital.receivables +
+    openingWorkingCapital.inventory + openingWorkingCapital.otherWorkingCapital + accumulatedPPE +
+    openingLeaseLiability + openingReserveBalance;
+  const openingTotalLiabilities = openingWorkingCapital.payables + openingDebtBalance + openingLeaseLiability +
+    openingTaxPayable + openingDeferredTax;
+  const openingEquity = openingTotalAssets - openingTotalLiabilities;
+  const openingBalanceSheet = {
+    cash: cumulativeCash,
+    reserveBalance: openingReserveBalance,
+    receivables: openingWorkingCapital.receivables,
+    inventory: openingWorkingCapital.inventory,
+    otherWorkingCapital: openingWorkingCapital.otherWorkingCapital,
+    netWorkingCapital: prevWorkingCapital,
+    netPPE: accumulatedPPE,
+    rouAsset: openingLeaseLiability,
+    totalAssets: openingTotalAssets,
+    payables: openingWorkingCapital.payables,
+    grossDebt: openingDebtBalance,
+    leaseLiability: openingLeaseLiability,
+    taxPayable: openingTaxPayable,
+    deferredTaxLiability: openingDeferredTax,
+    totalLiabilities: openingTotalLiabilities,
+    shareCapital: openingEquity,
+    retainedEarnings: 0,
+    totalEquity: openingEquity,
+    totalLiabilitiesAndEquity: openingTotalLiabilities + openingEquity,
+    balanceCheck: 0
+  };
   
   // ============================================================================
   // ANNUAL PROJECTIONS
   // ============================================================================
   
+  // Operating drivers are flat, per-year arrays (shock paths) or per-year
+  // overrides of either (see driverOverrides.js)
+  let prevRevenue = params.baseRevenue;
+  // Segment build-up replaces the single revenue line and COGS % when enabled
+  const segmentYears = isSegmentModel(params) ? projectSegments(params) : null;
+  // Asset class schedule replaces capex % and depreciation % of PPE when enabled
+  const capexLedger = isCapexScheduleModel(params) ? createCapexLedger(params) : null;
+  // IFRS 16 leases: interest and ROU depreciation in profit, principal in financing
+  const leaseSchedule = hasLeases(params) ? buildLeaseSchedule(params) : null;
+  const postIfrs16Covenants = getLeaseCovenantBasis(params) === 'post';
+
   for (let i = 0; i < params.years; i++) {
     const year = params.startYear + i;
     
@@ -490,30 +776,71 @@ function calculateMaturityDate(startYear, tenorYears) {
     // ==========================================================================
     
     // Revenue recognition (IFRS 15: Revenue from Contracts with Customers)
-    const revenue = params.baseRevenue * Math.pow(1 + params.growth, i);
+    // Year 1 is the base year; each later year grows on the one before
+    const segmentYear = segmentYears?.[i];
+    let revenue;
+    let revenueGrowth;
+    if (segmentYear) {
+      revenue = segmentYear.revenue;
+      revenueGrowth = i === 0 ? null : safeDivide(revenue, prevRevenue, 1) - 1;
+    } else {
+      revenueGrowth = i === 0 ? null : getDriverValue(params, 'growth', i);
+      revenue = i === 0 ? params.baseRevenue : prevRevenue * (1 + revenueGrowth);
+    }
+    prevRevenue = revenue;
     
-    // Cost of sales (IAS 2: Inventories)
-    const cogs = revenue * params.cogsPct;
+    // Fixed costs are entered in year 1 money and indexed by fixedCostInflation;
+    // the COGS and OPEX percentages are the variable part of each line
+    const fixedCostIndex = Math.pow(1 + (params.fixedCostInflation || 0), i);
+    const fixedCogs = (params.fixedCogs || 0) * fixedCostIndex;
+    const fixedOpex = (params.fixedOpex || 0) * fixedCostIndex;
+
+    // Cost of sales (IAS 2: Inventories) - per segment gross margin when segmented
+    const cogsPct = segmentYear ? safeDivide(segmentYear.cogs, revenue) : getDriverValue(params, 'cogsPct', i);
+    const variableCogs = segmentYear ? segmentYear.cogs : revenue * cogsPct;
+    const cogs = variableCogs + fixedCogs;
     
     // Gross profit
     const grossProfit = revenue - cogs;
     const grossMargin = revenue > 0 ? grossProfit / revenue : 0;
     
     // Operating expenses (IAS 1: by function classification)
-    const opex = revenue * params.opexPct;
+    const opexPct = getDriverValue(params, 'opexPct', i);
+    const variableOpex = revenue * opexPct;
+    const opex = variableOpex + fixedOpex;
     
     // EBITDA (Earnings Before Interest, Tax, Depreciation & Amortization)
     // Non-GAAP metric but widely used for credit analysis
     const ebitda = grossProfit - opex;
     const ebitdaMargin = revenue > 0 ? ebitda / revenue : 0;
+
+    // Operating leverage: contribution (revenue less variable costs) over EBITDA,
+    // i.e. the % change in EBITDA for a 1% change in revenue
+    const fixedCosts = fixedCogs + fixedOpex;
+    const variableCosts = variableCogs + variableOpex;
+    const contributionMargin = revenue - variableCosts;
+    const contributionMarginPct = revenue > 0 ? contributionMargin / revenue : 0;
+    const operatingLeverage = ebitda > 0 ? contributionMargin / ebitda : null;
+    // Revenue at which EBITDA is zero (null when every revenue dollar is consumed by variable costs)
+    const breakevenRevenue = contributionMarginPct > 0 ? fixedCosts / contributionMarginPct : null;
     
     // Capital expenditure (IAS 16: Property, Plant and Equipment)
-    const capex = revenue * params.capexPct;
+    // Depreciation expense (IAS 16: systematic allocation) - by asset class and
+    // vintage when scheduled, otherwise a flat % of gross PPE
+    const capexYear = capexLedger ? capexLedger.stepYear(i, revenue) : null;
+    const capexPct = capexYear ? safeDivide(capexYear.capex, revenue) : getDriverValue(params, 'capexPct', i);
+    const capex = capexYear ? capexYear.capex : revenue * capexPct;
     accumulatedPPE += capex;
     
-    // Depreciation expense (IAS 16: systematic allocation)
-    const depreciation = accumulatedPPE * params.daPctOfPPE;
-    accumulatedDepreciation += depreciation;
+    const ppeDepreciation = capexYear ? capexYear.depreciation : accumulatedPPE * params.daPctOfPPE;
+    accumulatedDepreciation += ppeDepreciation;
+
+    // Right-of-use assets depreciate alongside PPE (IFRS 16)
+    const leaseYear = leaseSchedule ? leaseSchedule[i] : null;
+    const leaseInterest = leaseYear ? leaseYear.interest : 0;
+    const leasePrincipal = leaseYear ? leaseYear.principal : 0;
+    const leasePayment = leaseInterest + leasePrincipal;
+    const depreciation = ppeDepreciation + (leaseYear ? leaseYear.depreciation : 0);
     
     // EBIT (Operating Profit/Loss) - IAS 1 required line item
     const ebit = ebitda - depreciation;
@@ -523,7 +850,7 @@ function calculateMaturityDate(startYear, tenorYears) {
     // DEBT SERVICE (IFRS 9: Financial Instruments)
     // ==========================================================================
     
-    const debtYear = debtSchedule[i] || { 
+    const debtYear = (termLedger && termLedger.scheduleYear(i)) || debtSchedule[i] || { 
       principal: 0, 
       interest: 0, 
       totalPayment: 0, 
@@ -532,53 +859,193 @@ function calculateMaturityDate(startYear, tenorYears) {
       trancheDetails: []
     };
     
+    // Working capital (IAS 1: Current assets - Current liabilities)
+    // Either a % of revenue or receivable / inventory / payable days
+    const wcBalances = calculateWorkingCapital(revenue, cogs, params);
+    const workingCapital = wcBalances.netWorkingCapital;
+    const wcDelta = workingCapital - prevWorkingCapital;
+    prevWorkingCapital = workingCapital;
+
+    // Interest rate hedges settle against the base curve on their linked tranches
+    const hedgeYear = settleHedges(params.hedges, debtYear.trancheDetails || [], params, i);
+    const hedgeSettlement = hedgeYear.net;
+    hedgeYear.byTranche.forEach((amount, idx) => {
+      debtYear.trancheDetails[idx].hedgeSettlement = amount;
+    });
+
+    // Retranslating foreign-currency debt is a non-cash exchange loss (IAS 21)
+    const fxTranslationLoss = debtYear.fxTranslation || 0;
+
+    // Profit and cash before revolver draws for a given level of finance costs
+    // Tax expense is current plus deferred tax; cash moves by the tax paid (IAS 12)
+    const cashAtStartOfYear = cumulativeCash;
+    const bookNetPPE = accumulatedPPE - accumulatedDepreciation;
+    const settleEarnings = (financeCosts) => {
+      const ebtBeforeTax = ebit - financeCosts - fxTranslationLoss;
+      const taxYear = taxLedger.compute({
+        yearIndex: i,
+        year,
+        ebt: ebtBeforeTax,
+        revenue,
+        bookDepreciation: ppeDepreciation,
+        capex,
+        bookPPE: bookNetPPE
+      });
+      const profit = ebtBeforeTax - taxYear.taxExpense;
+      const nonCashTax = taxYear.taxExpense - taxYear.cashTax;
+      return {
+        ebt: ebtBeforeTax,
+        tax: taxYear.taxExpense,
+        taxYear,
+        netIncome: profit,
+        cashBeforeRevolver: cashAtStartOfYear + (profit + depreciation + fxTranslationLoss + nonCashTax - wcDelta) - capex - debtYear.principal - leasePrincipal
+      };
+    };
+
+    // Revolver interest accrues on the average balance, which depends on this
+    // year's draw, which depends on cash after interest - iterate to convergence
+    let revolverCosts = 0;
+    let earnings = settleEarnings(debtYear.interest + hedgeSettlement + leaseInterest);
+    let revolverYear = settleRevolvers(revolvers, revolverBalances, earnings.cashBeforeRevolver, year, params);
+    for (let iter = 0; iter < REVOLVER_MAX_ITERATIONS && revolvers.length > 0; iter++) {
+      const costs = revolverYear.interest + revolverYear.commitmentFees;
+      if (Math.abs(costs - revolverCosts) < REVOLVER_TOLERANCE) break;
+      revolverCosts = costs;
+      earnings = settleEarnings(debtYear.interest + hedgeSettlement + leaseInterest + revolverCosts);
+      revolverYear = settleRevolvers(revolvers, revolverBalances, earnings.cashBeforeRevolver, year, params);
+    }
+    revolverBalances = revolverYear.closingBalances;
+    const { taxYear } = earnings;
+    taxLedger.commit(taxYear);
+    const cashTax = taxYear.cashTax;
+    const nonCashTax = taxYear.taxExpense - cashTax;
+
     // Finance costs (IAS 1: separate disclosure required)
-    const interestExpense = debtYear.interest;
+    // Revolver drawn interest and commitment fees are finance costs and debt
+    // service; revolver repayments are voluntary and are not. Net hedge
+    // settlements adjust both (IFRS 9 cash flow hedge recycled to interest).
+    // Lease interest is a finance cost; lease payments count as debt service
+    // only when covenants are measured post-IFRS 16.
+    const interestExpense = debtYear.interest + hedgeSettlement + revolverCosts + leaseInterest;
     const principalPayment = debtYear.principal;
-    const totalDebtService = debtYear.totalPayment;
-    
+    const financialDebtService = debtYear.totalPayment + hedgeSettlement + revolverCosts;
+    const totalDebtService = financialDebtService + (postIfrs16Covenants ? leasePayment : 0);
+    const unhedgedDebtService = totalDebtService - hedgeSettlement;
+
     // Profit before tax (IAS 1 required line item)
-    const ebt = ebit - interestExpense;
-    
-    // Income tax expense (IAS 12: Income Taxes)
-    // Using effective tax rate on positive profits only
-    const tax = ebt > 0 ? ebt * params.taxRate : 0;
-    
-    // Profit for the period (IAS 1 required line item)
-    const netIncome = ebt - tax;
+    const { ebt, tax, netIncome } = earnings;
     const netMargin = revenue > 0 ? netIncome / revenue : 0;
     
-    // ==========================================================================
-    // BALANCE SHEET ITEMS (IAS 1: Statement of Financial Position)
-    // ==========================================================================
-    
-    // Working capital (IAS 1: Current assets - Current liabilities)
-    const workingCapital = revenue * params.wcPctOfRev;
-    const wcDelta = workingCapital - prevWorkingCapital;
-    prevWorkingCapital = workingCapital;
-    
     // Cash and cash equivalents (IAS 7: Cash Flow Statement)
-    const operatingCashFlow = ebitda - tax - wcDelta;
-    const freeCashFlowBeforeDebt = operatingCashFlow - capex;
+    const operatingCashFlow = ebitda - cashTax - wcDelta;
 
-    // Cash balance (accumulated, net of dividends/distributions)
-    // Cash retention rate can be:
-    // 1. Explicitly set via params.cashRetentionRate
-    // 2. Calculated from historicals (passed through params)
-    // 3. Default to 10% if not provided
-    const cashRetentionRate = params.cashRetentionRate ?? 0.10;
-    const cashRetention = netIncome > 0 ? netIncome * cashRetentionRate : netIncome;
-    cumulativeCash = Math.max(0, cumulativeCash + cashRetention);
+    const revolverDraws = revolverYear.draws;
+    const revolverRepayments = revolverYear.repayments;
+
+    // Reserve accounts (see reserves.js) - the DSRA covers a shortfall after
+    // debt service; top-ups come ahead of the cash sweep and distributions
+    const reserveYear = reserveLedger.settleYear({
+      yearIndex: i,
+      cash: revolverYear.cash,
+      minimumCash: revolverYear.minimumCash,
+      debtYear
+    });
+    const cashAfterReserves = revolverYear.cash + reserveYear.netRelease;
+
+    // Excess cash flow sweep - after scheduled debt service, revolver
+    // repayment and reserve top-ups, before distributions. Step-downs test
+    // leverage before the sweep.
+    const excessCashFlow = Math.max(0, earnings.netIncome + depreciation + fxTranslationLoss + nonCashTax - wcDelta - capex - principalPayment - leasePrincipal);
+    let sweepPrepayments = 0;
+    if (termLedger) {
+      const cashAboveMinimum = Math.max(0, cashAfterReserves - revolverYear.minimumCash);
+      const debtBeforeSweep = debtYear.endingBalance + revolverYear.closingBalances.reduce((sum, b) => sum + b, 0);
+      // Sweep caps compare reporting-currency cash with translated balances
+      const sweepBalances = termLedger.tranches.map(entry => ({ tranche: entry.tranche, balance: entry.balance * entry.fxRate }));
+      const sweep = allocateCashSweep(sweepBalances, {
+        excessCashFlow,
+        availableCash: cashAboveMinimum,
+        leverage: ebitda > 0 ? Math.max(0, debtBeforeSweep - cashAfterReserves) / ebitda : Infinity
+      });
+      sweep.prepayments.forEach((amount, idx) => {
+        if (amount > 0) sweepPrepayments += termLedger.prepay(debtYear, idx, amount);
+        debtYear.trancheDetails[idx].sweepPct = sweep.sweepPcts[idx];
+      });
+      // Keep the stored schedule in line with the swept balances
+      debtSchedule[i] = debtYear;
+    }
+
+    // Pre-IFRS 16 covenants treat lease payments as rent inside EBITDA and
+    // leave lease interest out of finance costs
+    const covenantEbitda = postIfrs16Covenants ? ebitda : ebitda - leasePayment;
+    const covenantEbit = postIfrs16Covenants ? ebit : covenantEbitda - ppeDepreciation;
+    const covenantInterest = postIfrs16Covenants ? interestExpense : interestExpense - leaseInterest;
+
+    // Distributions (see distributions.js) - limited to the cash above the
+    // minimum balance after debt service and blocked while the lock-up tests
+    // (this year's DSCR, leverage before the distribution) fail
+    const cashBeforeDistributions = cashAfterReserves - sweepPrepayments;
+    const minimumCashForDistributions = Math.max(revolverYear.minimumCash, params.distributionMinCash || 0);
+    const debtBeforeDistributions = debtYear.endingBalance + revolverYear.closingBalances.reduce((sum, b) => sum + b, 0) +
+      (postIfrs16Covenants ? (leaseYear ? leaseYear.liability : 0) : 0);
+    const distribution = settleDistributions(params, {
+      yearIndex: i,
+      netIncome,
+      cashAvailable: cashBeforeDistributions - minimumCashForDistributions,
+      cashGenerated: cashBeforeDistributions - cashAtStartOfYear,
+      dscr: totalDebtService > 0 ? covenantEbitda / totalDebtService : null,
+      leverage: covenantEbitda > 0 ? Math.max(0, debtBeforeDistributions - cashBeforeDistributions) / covenantEbitda : Infinity,
+      trappedCash
+    });
+    const dividends = distribution.dividends;
+
+    // Swept lock-up cash prepays term debt pro rata to the balances
+    let lockupPrepayments = 0;
+    if (distribution.sweep > 0 && termLedger) {
+      const balances = termLedger.tranches.map(entry => entry.balance * entry.fxRate);
+      const totalBalance = balances.reduce((sum, b) => sum + b, 0);
+      if (totalBalance > 0) {
+        balances.forEach((balance, idx) => {
+          if (balance > 0) lockupPrepayments += termLedger.prepay(debtYear, idx, distribution.sweep * balance / totalBalance);
+        });
+        debtSchedule[i] = debtYear;
+      }
+    }
+    // Swept cash with no debt left to repay stays trapped
+    trappedCash = distribution.trappedCash + (distribution.sweep - lockupPrepayments);
+    sweepPrepayments += lockupPrepayments;
+
+    // Cash balance rolls forward from the cash flow statement so the balance
+    // sheet ties; a negative balance is an unfunded shortfall
+    cumulativeCash = cashBeforeDistributions - dividends - lockupPrepayments;
     
-    // Retained earnings (IAS 1: Equity component)
-    retainedEarnings += netIncome;
+    // Retained earnings (IAS 1: Equity component) - profit less distributions
+    retainedEarnings += netIncome - dividends;
     
     // Net debt (credit metric, not IFRS)
-    const grossDebt = debtYear.endingBalance;
-    const netDebt = Math.max(0, grossDebt - cumulativeCash);
+    const revolverBalance = revolverBalances.reduce((sum, b) => sum + b, 0);
+    const grossDebt = debtYear.endingBalance + revolverBalance;
+    const leaseLiability = leaseYear ? leaseYear.liability : 0;
+    const rouAsset = leaseYear ? leaseYear.rouAsset : 0;
+    // Lease liabilities are debt for covenants measured post-IFRS 16
+    const netDebt = Math.max(0, grossDebt + (postIfrs16Covenants ? leaseLiability : 0) - cumulativeCash);
     
     // Net PPE (IAS 16: Carrying amount)
     const netPPE = accumulatedPPE - accumulatedDepreciation;
+
+    // ==========================================================================
+    // BALANCE SHEET CHECK (Assets = Liabilities + Equity)
+    // ==========================================================================
+
+    // Payables are presented gross as a liability; net working capital
+    // (receivables + inventory - payables) drives the cash flow
+    const totalAssets = cumulativeCash + wcBalances.receivables + wcBalances.inventory +
+      wcBalances.otherWorkingCapital + netPPE + rouAsset + reserveYear.balance;
+    const totalLiabilities = wcBalances.payables + grossDebt + leaseLiability +
+      taxYear.taxPayable + taxYear.deferredTaxLiability;
+    const totalEquity = openingEquity + retainedEarnings;
+    const totalLiabilitiesAndEquity = totalLiabilities + totalEquity;
+    const balanceCheck = totalAssets - totalLiabilitiesAndEquity;
     
     // ==========================================================================
     // COVENANT RATIOS (Credit Analysis - Industry Standard)
@@ -588,26 +1055,45 @@ function calculateMaturityDate(startYear, tenorYears) {
     // = EBITDA / Total Debt Service
     // Returns null when no debt service (more accurate than 999 for "N/A" display)
     const hasDebtService = totalDebtService > 0;
-    const rawDscr = hasDebtService ? ebitda / totalDebtService : null;
+    const rawDscr = hasDebtService ? covenantEbitda / totalDebtService : null;
     // Cap at 99 for display purposes, but keep null for N/A cases
     const dscr = rawDscr === null ? null : (rawDscr > 99 ? 99 : rawDscr);
     // Legacy compatibility: use 999 marker for very high/no debt cases in filtering
     const dscrForFiltering = rawDscr === null ? 999 : (rawDscr > 99 ? 999 : rawDscr);
 
+    // DSCR with reserve draws - DSRA draws count as cash available for debt service
+    const dscrWithReserveDraws = hasDebtService
+      ? Math.min(99, (covenantEbitda + reserveYear.draws) / totalDebtService)
+      : null;
+
+    // Unhedged DSCR - the same year without any swap or cap settlements
+    const rawUnhedgedDscr = unhedgedDebtService > 0 ? covenantEbitda / unhedgedDebtService : null;
+    const unhedgedDscr = rawUnhedgedDscr === null ? null : Math.min(99, rawUnhedgedDscr);
+
     // Interest Coverage Ratio (ICR) - uses EBIT (not EBITDA)
     // = EBIT / Interest Expense
-    const hasInterestExpense = interestExpense > 0;
-    const rawIcr = hasInterestExpense ? ebit / interestExpense : null;
+    const hasInterestExpense = covenantInterest > 0;
+    const rawIcr = hasInterestExpense ? covenantEbit / covenantInterest : null;
     const icr = rawIcr === null ? null : (rawIcr > 99 ? 99 : rawIcr);
     const icrForFiltering = rawIcr === null ? 999 : (rawIcr > 99 ? 999 : rawIcr);
     
     // Leverage Ratio - uses EBITDA
     // = Net Debt / EBITDA
-    const ndToEbitda = ebitda > 0 ? netDebt / ebitda : 0;
+    const ndToEbitda = covenantEbitda > 0 ? netDebt / covenantEbitda : 0;
+
+    // Senior and through-tranche coverage by seniority (see trancheMetrics.js)
+    const trancheDetails = [...(debtYear.trancheDetails || []), ...revolverYear.details];
+    const trancheCoverage = analyseTrancheCoverage({
+      trancheDetails,
+      totalDebt: grossDebt + (postIfrs16Covenants ? leaseLiability : 0),
+      totalDebtService,
+      cash: cumulativeCash,
+      ebitda: covenantEbitda
+    });
     
     // Fixed Charge Coverage Ratio
     const fixedChargeCoverage = (totalDebtService + capex) > 0 
-      ? ebitda / (totalDebtService + capex) 
+      ? covenantEbitda / (totalDebtService + capex) 
       : 999;
     
     // ==========================================================================
@@ -615,21 +1101,20 @@ function calculateMaturityDate(startYear, tenorYears) {
     // ==========================================================================
     
     // Operating activities
-    const cashFromOperations = netIncome + depreciation - wcDelta;
+    const cashFromOperations = netIncome + depreciation + fxTranslationLoss + nonCashTax - wcDelta;
     
-    // Investing activities
-    const cashFromInvesting = -capex;
+    // Investing activities - movements into and out of restricted reserve accounts included
+    const cashFromInvesting = -capex + reserveYear.netRelease;
     
     // Financing activities
-    // Dividends are the complement of cash retention (1 - retention rate)
-    const dividends = netIncome > 0 ? netIncome * (1 - cashRetentionRate) : 0;
-    const cashFromFinancing = -principalPayment - dividends;
+    const cashFromFinancing = -principalPayment - leasePrincipal - sweepPrepayments + revolverDraws - revolverRepayments - dividends;
     
     // Free Cash Flow (non-GAAP but standard in valuation)
-    const fcf = netIncome + depreciation - capex - wcDelta - principalPayment;
+    const fcf = netIncome + depreciation + nonCashTax - capex - wcDelta - principalPayment - leasePrincipal;
     
     // Unlevered Free Cash Flow (for enterprise valuation)
-    const unleveredFCF = ebit * (1 - params.taxRate) + depreciation - capex - wcDelta;
+    // Lease payments stay an operating cost here, as the equity bridge deducts financial debt only
+    const unleveredFCF = (ebitda - leasePayment - ppeDepreciation) * (1 - params.taxRate) + ppeDepreciation - capex - wcDelta;
     
     // ==========================================================================
     // STORE ROW DATA
@@ -640,6 +1125,30 @@ function calculateMaturityDate(startYear, tenorYears) {
       year,
       period: i + 1,
       
+      // Operating drivers used this year (after overrides and shocks)
+      revenueGrowth,
+      cogsPct,
+      opexPct,
+      capexPct,
+      segments: segmentYear ? segmentYear.segments : null,
+      maintenanceCapex: capexYear ? capexYear.maintenanceCapex : null,
+      growthCapex: capexYear ? capexYear.growthCapex : null,
+      assetClasses: capexYear ? capexYear.classes : null,
+
+      // Cost structure and operating leverage
+      fixedCogs,
+      fixedOpex,
+      fixedCosts,
+      variableCosts,
+      contributionMargin,
+      contributionMarginPct,
+      operatingLeverage,
+      breakevenRevenue,
+      // Revenue at which EBITDA just covers scheduled debt service (DSCR 1.0x)
+      debtServiceBreakevenRevenue: contributionMarginPct > 0
+        ? (fixedCosts + financialDebtService + leasePayment) / contributionMarginPct
+        : null,
+
       // Income Statement (IAS 1)
       revenue,
       cogs,
@@ -652,8 +1161,13 @@ function calculateMaturityDate(startYear, tenorYears) {
       ebit,
       ebitMargin,
       interestExpense,
+      leaseInterest,
+      fxTranslationLoss,
       ebt,
       tax,
+      currentTax: taxYear.currentTax,
+      deferredTax: taxYear.deferredTax,
+      cashTax,
       netIncome,
       netMargin,
       
@@ -661,17 +1175,34 @@ function calculateMaturityDate(startYear, tenorYears) {
       grossPPE: accumulatedPPE,
       accumulatedDepreciation,
       netPPE,
+      rouAsset,
       workingCapital,
       wcDelta,
+      receivables: wcBalances.receivables,
+      inventory: wcBalances.inventory,
+      payables: wcBalances.payables,
+      otherWorkingCapital: wcBalances.otherWorkingCapital,
       cash: cumulativeCash,
       grossDebt,
+      leaseLiability,
+      taxPayable: taxYear.taxPayable,
+      deferredTaxLiability: taxYear.deferredTaxLiability,
       netDebt,
       retainedEarnings,
+      totalAssets,
+      totalLiabilities,
+      shareCapital: openingEquity,
+      totalEquity,
+      totalLiabilitiesAndEquity,
+      balanceCheck,
+      balances: Math.abs(balanceCheck) < BALANCE_TOLERANCE,
       
       // Cash Flow Statement (IAS 7)
       cashFromOperations,
       cashFromInvesting,
       cashFromFinancing,
+      netCashFlow: cashFromOperations + cashFromInvesting + cashFromFinancing,
+      dividends,
       capex,
       fcf,
       unleveredFCF,
@@ -680,18 +1211,83 @@ function calculateMaturityDate(startYear, tenorYears) {
       // Debt Schedule (IFRS 9)
       principalPayment,
       debtService: totalDebtService,
-      debtBalance: debtYear.endingBalance,
+      debtBalance: grossDebt,
       debtPayments: debtYear.paymentsInYear,
+
+      // Tax (IAS 12)
+      taxableProfit: taxYear.taxableProfit,
+      capitalAllowances: taxYear.capitalAllowances,
+      taxWrittenDownValue: taxYear.taxWDV,
+      taxRelief: taxYear.taxRelief,
+      taxLossesUsed: taxYear.lossesUsed,
+      taxLossesExpired: taxYear.lossesExpired,
+      taxLossesCarriedForward: taxYear.lossesCarriedForward,
+
+      // IFRS 16 leases
+      leasePayment,
+      leasePrincipal,
+      leaseDepreciation: leaseYear ? leaseYear.depreciation : 0,
+      leaseAdditions: leaseYear ? leaseYear.additions : 0,
+      leaseDetails: leaseYear ? leaseYear.leases : [],
+
+      // Revolving credit facilities
+      revolverDraws,
+      revolverRepayments,
+      revolverBalance,
+      revolverInterest: revolverYear.interest,
+      revolverCommitmentFees: revolverYear.commitmentFees,
+      revolverAvailability: revolverYear.details.reduce((sum, d) => sum + d.undrawn, 0),
+      revolverCommitment: revolverYear.details.reduce((sum, d) => sum + d.commitment, 0),
+      revolverMinimumCash: revolverYear.minimumCash,
+      // Revolver balance still outstanding after maturity (refinancing gap)
+      revolverMaturityShortfall: revolverYear.maturityShortfall,
+
+      // Excess cash flow sweep (voluntary prepayments, excluded from DSCR debt service)
+      // including lock-up cash swept to term debt
+      excessCashFlow,
+      sweepPrepayments,
+
+      // Reserve accounts (restricted cash, outside cash and net debt)
+      reserveBalance: reserveYear.balance,
+      reserveTopUps: reserveYear.topUps,
+      reserveDraws: reserveYear.draws,
+      reserveReleases: reserveYear.releases,
+      reserveNetRelease: reserveYear.netRelease,
+      reserveDetails: reserveYear.reserves,
+
+      // Distribution policy and lock-up
+      distributionTarget: distribution.target,
+      distributionLocked: distribution.locked,
+      lockupReasons: distribution.lockupReasons,
+      distributionsBlocked: distribution.blocked,
+      trappedCashReleased: distribution.released,
+      lockupPrepayments,
+      trappedCash,
+
+      // Interest rate hedges (net settlement included in interest expense)
+      hedgeSettlement,
+      hedgeDetails: hedgeYear.details,
+      unhedgedDebtService,
       
       // Multi-Tranche Details (if applicable)
-      trancheDetails: debtYear.trancheDetails || [],
+      trancheDetails,
       
-      // Covenant Ratios
+      // Covenant Ratios (on the lease covenant basis)
+      covenantBasis: postIfrs16Covenants ? 'post' : 'pre',
+      covenantEbitda,
       dscr,
+      unhedgedDscr,
+      dscrWithReserveDraws,
+      seniorDebt: trancheCoverage.seniorDebt,
+      seniorNetDebt: trancheCoverage.seniorNetDebt,
+      seniorDebtService: trancheCoverage.seniorDebtService,
+      seniorDSCR: trancheCoverage.seniorDSCR,
+      seniorNDToEBITDA: trancheCoverage.seniorNDToEBITDA,
+      trancheCoverage: trancheCoverage.classes,
       icr,
       ndToEbitda,
       fixedChargeCoverage,
-      cashAvailableForDebtService: ebitda - tax - capex - wcDelta,
+      cashAvailableForDebtService: ebitda - cashTax - capex - wcDelta,
 
       // DSCR/ICR metadata for N/A handling
       hasDebtService,
@@ -717,9 +1313,25 @@ function calculateMaturityDate(startYear, tenorYears) {
   const dscrValues = rows.map(r => r.dscrForFiltering).filter(v => isFinite(v) && v < 999 && v !== null);
   const icrValues = rows.map(r => r.icrForFiltering).filter(v => isFinite(v) && v < 999 && v !== null);
   const leverageValues = rows.map(r => r.ndToEbitda).filter(v => isFinite(v));
+  const unhedgedDscrValues = rows.map(r => r.unhedgedDscr).filter(v => v !== null && v < 99);
+  const seniorDscrValues = rows.map(r => r.seniorDSCR).filter(v => v !== null && v < 99);
+  const seniorLeverageValues = rows.map(r => r.seniorNDToEBITDA).filter(v => v !== null);
+  const reserveDscrValues = rows.map(r => r.dscrWithReserveDraws).filter(v => v !== null && v < 99);
+  // Years with no positive EBITDA have unbounded operating leverage; cap like DSCR
+  const operatingLeverageValues = rows.map(r => Math.min(99, r.operatingLeverage ?? 99));
+  // Revenue fall that takes each year to DSCR 1.0x (-100% when no revenue covers it)
+  const breakevenHeadroomValues = rows
+    .filter(r => r.revenue > 0)
+    .map(r => r.debtServiceBreakevenRevenue === null ? -1 : Math.max(-1, 1 - r.debtServiceBreakevenRevenue / r.revenue));
   
   const creditStats = {
     minDSCR: dscrValues.length > 0 ? Math.min(...dscrValues) : 0,
+    minUnhedgedDSCR: unhedgedDscrValues.length > 0 ? Math.min(...unhedgedDscrValues) : 0,
+    minSeniorDSCR: seniorDscrValues.length > 0 ? Math.min(...seniorDscrValues) : 0,
+    maxSeniorLeverage: seniorLeverageValues.length > 0 ? Math.max(...seniorLeverageValues) : 0,
+    minDSCRWithReserveDraws: reserveDscrValues.length > 0 ? Math.min(...reserveDscrValues) : 0,
+    totalReserveDraws: rows.reduce((sum, r) => sum + r.reserveDraws, 0),
+    totalHedgeSettlements: rows.reduce((sum, r) => sum + r.hedgeSettlement, 0),
     avgDSCR: dscrValues.length > 0 ? dscrValues.reduce((a, b) => a + b, 0) / dscrValues.length : 0,
     maxDSCR: dscrValues.length > 0 ? Math.max(...dscrValues) : 0,
     
@@ -731,28 +1343,97 @@ function calculateMaturityDate(startYear, tenorYears) {
     maxLeverage: leverageValues.length > 0 ? Math.max(...leverageValues) : 0,
     avgLeverage: leverageValues.length > 0 ? leverageValues.reduce((a, b) => a + b, 0) / leverageValues.length : 0,
     
+    maxOperatingLeverage: operatingLeverageValues.length > 0 ? Math.max(...operatingLeverageValues) : 0,
+    minBreakevenHeadroom: breakevenHeadroomValues.length > 0 ? Math.min(...breakevenHeadroomValues) : 0,
+    
     avgEBITDAMargin: rows.reduce((sum, r) => sum + r.ebitdaMargin, 0) / rows.length,
     avgNetMargin: rows.reduce((sum, r) => sum + r.netMargin, 0) / rows.length,
     totalFCFGenerated: rows.reduce((sum, r) => sum + r.fcf, 0),
-    avgCashConversion: rows.reduce((sum, r) => sum + (r.revenue > 0 ? r.operatingCashFlow / r.revenue : 0), 0) / rows.length
+    avgCashConversion: rows.reduce((sum, r) => sum + (r.revenue > 0 ? r.operatingCashFlow / r.revenue : 0), 0) / rows.length,
+
+    totalDistributions: rows.reduce((sum, r) => sum + r.dividends, 0),
+    totalDistributionsBlocked: rows.reduce((sum, r) => sum + r.distributionsBlocked, 0)
   };
   
   // ============================================================================
-  // COVENANT BREACH ANALYSIS
+  // REPAYMENT CALENDAR (payment dates, business-day adjusted)
+  // ============================================================================
+
+  const paymentSchedules = buildPaymentSchedules(params, rows, debtSchedule, termTranches);
+
+  // ============================================================================
+  // SUB-ANNUAL PERIODS (Monthly / Quarterly granularity)
   // ============================================================================
+  // Annual rows remain the basis for every tab; period rows are added on top
+  // so intra-year (seasonal) covenant breaches become visible. Term debt is
+  // paid on the repayment calendar dates.
+
+  const periodMode = getPeriodsPerYear(params.periodMode) > 1 ? params.periodMode : 'annual';
+  let periodRows = null;
+  let periodBreaches = null;
+  let annualRollup = null;
+
+  if (periodMode !== 'annual') {
+    // Periods start from unrestricted cash (after any reserve funded from opening cash)
+    periodRows = buildPeriodRows(
+      { ...params, openingCash: openingBalanceSheet.cash }, rows, debtSchedule, openingDebtBalance, paymentSchedules
+    );
+    periodBreaches = analyzePeriodCovenants(periodRows, params);
+    annualRollup = rollUpPeriods(periodRows);
+  }
   
+  // ============================================================================
+  // COVENANT BREACH ANALYSIS
+  // ============================================================================
+  // Every covenant in the library (standard and custom) is tested with its
+  // step-down threshold and frequency; the per-covenant counts below keep the
+  // shape the tabs and reports read.
+
+  const covenantCheck = checkCovenantBreaches(rows, params, periodRows);
+  const breachYearsOf = (id) => covenantCheck.covenants.find(c => c.id === id)?.breachYears || [];
+  const dscrBreachYears = breachYearsOf('dscr');
+  const icrBreachYears = breachYearsOf('icr');
+  const leverageBreachYears = breachYearsOf('leverage');
+  const seniorDscrBreachYears = breachYearsOf('seniorDscr');
+  const seniorLeverageBreachYears = breachYearsOf('seniorLeverage');
+
   const breaches = {
-    dscrBreaches: rows.filter(r => r.dscr < params.minDSCR).length,
-    icrBreaches: rows.filter(r => r.icr < params.targetICR).length,
-    ndBreaches: rows.filter(r => r.ndToEbitda > params.maxNDToEBITDA).length,
+    dscrBreaches: dscrBreachYears.length,
+    icrBreaches: icrBreachYears.length,
+    ndBreaches: leverageBreachYears.length,
     
-    dscrBreachYears: rows.filter(r => r.dscr < params.minDSCR).map(r => r.year),
-    icrBreachYears: rows.filter(r => r.icr < params.targetICR).map(r => r.year),
-    leverageBreachYears: rows.filter(r => r.ndToEbitda > params.maxNDToEBITDA).map(r => r.year),
+    dscrBreachYears,
+    icrBreachYears,
+    leverageBreachYears,
     
     worstDSCRYear: dscrValues.length > 0 ? rows[dscrValues.indexOf(Math.min(...dscrValues))].year : null,
     worstICRYear: icrValues.length > 0 ? rows[icrValues.indexOf(Math.min(...icrValues))].year : null,
-    worstLeverageYear: leverageValues.length > 0 ? rows[leverageValues.indexOf(Math.max(...leverageValues))].year : null
+    worstLeverageYear: leverageValues.length > 0 ? rows[leverageValues.indexOf(Math.max(...leverageValues))].year : null,
+
+    // Senior covenants (0 = not tested)
+    seniorDscrBreaches: seniorDscrBreachYears.length,
+    seniorLeverageBreaches: seniorLeverageBreachYears.length,
+    seniorDscrBreachYears,
+    seniorLeverageBreachYears,
+
+    // Full covenant library results: tests, breaches and headroom per covenant
+    covenants: covenantCheck.covenants,
+    totalBreaches: covenantCheck.totalBreaches,
+    breachYears: covenantCheck.breachYears,
+
+    // Distribution lock-ups are not covenant breaches, but lenders track them
+    lockupYears: rows.filter(r => r.distributionLocked).map(r => r.year)
+  };
+  
+  // ============================================================================
+  // BALANCE SHEET INTEGRITY
+  // ============================================================================
+
+  const unbalancedRows = rows.filter(r => !r.balances);
+  const balanceSheetCheck = {
+    balances: unbalancedRows.length === 0,
+    unbalancedYears: unbalancedRows.map(r => r.year),
+    maxImbalance: rows.reduce((max, r) => Math.max(max, Math.abs(r.balanceCheck)), 0)
   };
   
   // ============================================================================
@@ -838,8 +1519,10 @@ function calculateMaturityDate(startYear, tenorYears) {
   
   let multiTrancheInfo = null;
   if (params.hasMultipleTranches && params.debtTranches?.length > 0) {
-    const totalDebt = params.debtTranches.reduce((sum, t) => sum + t.amount, 0);
-    const weightedRate = params.debtTranches.reduce((sum, t) => sum + (t.amount / totalDebt) * t.rate, 0);
+    // Floating tranches are shown at their first-year all-in rate;
+    // foreign-currency tranches are translated at spot
+    const totalDebt = params.debtTranches.reduce((sum, t) => sum + t.amount * getFxSpot(params, t.currency), 0);
+    const weightedRate = params.debtTranches.reduce((sum, t) => sum + (t.amount * getFxSpot(params, t.currency) / totalDebt) * getTrancheRate(t, params, 0), 0);
     
     multiTrancheInfo = {
       totalTranches: params.debtTranches.length,
@@ -848,10 +1531,15 @@ function calculateMaturityDate(startYear, tenorYears) {
       tranches: params.debtTranches.map(t => ({
         name: t.name,
         amount: t.amount,
-        rate: t.rate,
+        currency: t.currency || params.reportingCurrency,
+        rate: getTrancheRate(t, params, 0),
+        rateType: t.rateType || 'fixed',
+        margin: isFloatingRate(t) ? t.margin || 0 : null,
         seniority: t.seniority,
         maturityDate: t.maturityDate,
-        amortizationType: t.amortizationType
+        amortizationType: t.amortizationType,
+        trancheType: t.trancheType || 'term',
+        commitment: isRevolver(t) ? t.commitment || 0 : null
       }))
     };
   }
@@ -868,6 +1556,16 @@ function calculateMaturityDate(startYear, tenorYears) {
     creditStats,
     breaches,
     
+    // Balance sheet
+    openingBalanceSheet,
+    balanceSheetCheck,
+    
+    // Sub-annual periods (null in annual mode)
+    periodMode,
+    periodRows,
+    periodBreaches,
+    annualRollup,
+    
     // Valuation
     enterpriseValue,
     equityValue,
@@ -882,8 +1580,9 @@ function calculateMaturityDate(startYear, tenorYears) {
     exitMultiple,
     
     // Debt analysis
-    totalDebtRepaid: debtSchedule.reduce((sum, year) => sum + year.principal, 0),
-    totalInterestPaid: debtSchedule.reduce((sum, year) => sum + year.interest, 0),
+    totalDebtRepaid: debtSchedule.reduce((sum, year) => sum + year.principal + (year.prepayment || 0), 0),
+    totalSweepPrepayments: rows.reduce((sum, row) => sum + row.sweepPrepayments, 0),
+    totalInterestPaid: rows.reduce((sum, row) => sum + row.interestExpense, 0),
     // Initial values (for "value today" equity bridge)
     initialDebt,
     initialCash,
@@ -896,9 +1595,10 @@ function calculateMaturityDate(startYear, tenorYears) {
     // Multi-tranche info
     multiTrancheInfo,
     debtSchedule, // Include full schedule for detailed analysis
+    paymentSchedules, // Per-tranche, per-payment repayment calendar
     
     // Validation flags
-    hasCovenantBreaches: breaches.dscrBreaches + breaches.icrBreaches + breaches.ndBreaches > 0,
+    hasCovenantBreaches: breaches.totalBreaches > 0,
     isWACCValid: params.wacc > params.terminalGrowth,
     
     // Metadata
@@ -0,0 +1,100 @@
+import { buildProjection } from './buildProjection';
+
+const baseParams = {
+  startYear: 2025,
+  years: 5,
+  baseRevenue: 100e6,
+  growth: 0.08,
+  cogsPct: 0.4,
+  opexPct: 0.25,
+  capexPct: 0.05,
+  daPctOfPPE: 0.1,
+  wcPctOfRev: 0.15,
+  taxRate: 0.25,
+  wacc: 0.1,
+  terminalGrowth: 0.03,
+  equityContribution: 10e6,
+  entryMultiple: 8,
+  requestedLoanAmount: 50e6,
+  proposedPricing: 0.12,
+  proposedTenor: 5,
+  interestRate: 0.12,
+  debtTenorYears: 5,
+  paymentFrequency: 'Quarterly',
+  openingCash: 5e6,
+  minDSCR: 1.2,
+  targetICR: 2,
+  maxNDToEBITDA: 3.5
+};
+
+const revolver = {
+  id: 1, name: 'RCF', trancheType: 'revolver', amount: 2e6, commitment: 20e6, rate: 0.05, drawnMargin: 0.025,
+  commitmentFee: 0.005, minCashBalance: 3e6, maturityDate: '2029-12-31', seniority: 'Revolver'
+};
+const termLoan = {
+  id: 2, name: 'TL', amount: 50e6, rate: 0.1, tenorYears: 5, amortizationType: 'amortizing',
+  maturityDate: '2030-12-31', seniority: 'Senior Secured'
+};
+
+const scenarios = {
+  'single facility': {},
+  'opening balance sheet': { openingPPE: 30e6, openingWorkingCapital: 10e6 },
+  'existing debt': { hasExistingDebt: true, openingDebt: 20e6, existingDebtRate: 0.08 },
+  'tranches and revolver': { requestedLoanAmount: 0, hasMultipleTranches: true, debtTranches: [termLoan, revolver] },
+  'cash shortfall': { baseRevenue: 10e6 },
+  'quarterly periods': { periodMode: 'quarterly' }
+};
+
+describe('buildProjection balance sheet', () => {
+  Object.entries(scenarios).forEach(([name, extra]) => {
+    it(`balances every year and rolls cash forward (${name})`, () => {
+      const projection = buildProjection({ ...baseParams, ...extra });
+
+      expect(projection.balanceSheetCheck.balances).toBe(true);
+      let openingCash = projection.openingBalanceSheet.cash;
+      projection.rows.forEach(row => {
+        expect(Math.abs(row.totalAssets - row.totalLiabilities - row.totalEquity)).toBeLessThan(1);
+        expect(row.cash).toBeCloseTo(openingCash + row.netCashFlow, 0);
+        openingCash = row.cash;
+      });
+    });
+  });
+
+  it('keeps the retained share of net income as cash under the payout policy', () => {
+    const projection = buildProjection({ ...baseParams, requestedLoanAmount: 0, openingCash: 0, cashRetentionRate: 0.1 });
+    let openingCash = 0;
+    projection.rows.forEach(row => {
+      expect(row.dividends).toBeLessThanOrEqual(row.netIncome * 0.9 + 1);
+      expect(row.cash - openingCash).toBeGreaterThanOrEqual(row.netIncome * 0.1 - 1);
+      openingCash = row.cash;
+    });
+  });
+
+  it('depreciates opening PP&E alongside new capex', () => {
+    const without = buildProjection(baseParams).rows[0];
+    const withOpening = buildProjection({ ...baseParams, openingPPE: 30e6 }).rows[0];
+    expect(withOpening.depreciation - without.depreciation).toBeCloseTo(30e6 * baseParams.daPctOfPPE, 0);
+  });
+});
+
+describe('buildProjection cost structure', () => {
+  const params = { ...baseParams, cogsPct: 0.3, opexPct: 0.1, fixedCogs: 10e6, fixedOpex: 15e6, fixedCostInflation: 0.05 };
+
+  it('indexes fixed costs and adds them to the variable percentages', () => {
+    const [year1, year2] = buildProjection(params).rows;
+
+    expect(year1.cogs).toBeCloseTo(100e6 * 0.3 + 10e6, 0);
+    expect(year2.fixedOpex).toBeCloseTo(15e6 * 1.05, 0);
+    expect(year1.ebitda).toBeCloseTo(35e6, 0);
+    expect(year1.operatingLeverage).toBeCloseTo(60e6 / 35e6, 6);
+    expect(year1.breakevenRevenue).toBeCloseTo(25e6 / 0.6, 0);
+    expect(year1.debtServiceBreakevenRevenue).toBeCloseTo((25e6 + year1.debtService) / 0.6, 0);
+  });
+
+  it('takes more EBITDA out under a revenue shock than a fully variable cost base', () => {
+    const ebitdaDrop = (p) => 1 - buildProjection({ ...p, baseRevenue: 80e6 }).rows[0].ebitda / buildProjection(p).rows[0].ebitda;
+
+    expect(ebitdaDrop(baseParams)).toBeCloseTo(0.2, 6);
+    expect(ebitdaDrop(params)).toBeCloseTo(0.2 * 60e6 / 35e6, 6);
+  });
+});
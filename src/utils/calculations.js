@@ -1,3 +1,5 @@
+import { deriveWorkingCapitalDays } from './workingCapital';
+
 // Re-export shared math utilities from centralized module
 export { clamp, num } from './mathUtils';
 
@@ -94,6 +96,9 @@ export function calculateHistoricalAssumptions(historicalData) {
     ? cashRetentionRates.reduce((s, r) => s + r, 0) / cashRetentionRates.length
     : 0.10; // Default to 10% if no data
 
+  // Working capital days (DSO / DIO / DPO) from balance sheet detail, if uploaded
+  const { receivableDays, inventoryDays, payableDays } = deriveWorkingCapitalDays(sorted);
+
   return {
     // Use most recent year's revenue as the base (more representative for projections)
     baseRevenue: mostRecentYear.revenue,
@@ -107,12 +112,20 @@ export function calculateHistoricalAssumptions(historicalData) {
     avgNetMargin,
     avgEbitdaMargin,
     cashRetentionRate: avgCashRetentionRate,
+    receivableDays,
+    inventoryDays,
+    payableDays,
+    // Most recent balances seed the opening balance sheet in days mode
+    openingReceivables: mostRecentYear.receivables || 0,
+    openingInventory: mostRecentYear.inventory || 0,
+    openingPayables: mostRecentYear.accountsPayable || 0,
     dataQuality: {
       years: sorted.length,
       hasCapex: sorted.some(d => d.capex),
       hasPPE: sorted.some(d => d.ppe),
       hasDepreciation: sorted.some(d => d.depreciation),
       hasCashData: cashRetentionRates.length > 0,
+      hasWorkingCapitalDetail: receivableDays !== null || inventoryDays !== null || payableDays !== null,
     },
   };
 }
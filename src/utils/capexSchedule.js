@@ -0,0 +1,177 @@
+// ============================================================================
+// capexSchedule.js - Capex by asset class and depreciation waterfalls
+// ============================================================================
+// Optional alternative to capex as a % of revenue and depreciation as a flat
+// % of gross PPE. Each asset class (e.g. buildings, plant, vehicles, IT) has
+// its own useful life and depreciation method, an opening net book value that
+// runs off over its remaining life, and maintenance and growth capex entered
+// per year. Every year's capex is a new vintage depreciated over the class's
+// useful life from the year it is spent.
+//
+// Stress scenarios move capex as a % of revenue (params.capexShift); the
+// change lands on growth capex, which is discretionary, never on maintenance.
+// ============================================================================
+
+import { valueForYear } from './mathUtils';
+
+export const DEPRECIATION_METHODS = {
+  straightLine: { label: 'Straight-line' },
+  decliningBalance: { label: 'Declining balance (200%)' }
+};
+
+/**
+ * New asset class with neutral defaults
+ * @param {Object} [fields] - Field overrides
+ * @returns {Object} { id, name, usefulLife, method, openingNBV, openingRemainingLife, maintenanceCapex, growthCapex }
+ */
+export function createAssetClass(fields = {}) {
+  return {
+    id: Date.now(),
+    name: 'New Asset Class',
+    usefulLife: 10,
+    method: 'straightLine',
+    openingNBV: 0,
+    openingRemainingLife: 5,
+    maintenanceCapex: [],
+    growthCapex: [],
+    ...fields
+  };
+}
+
+/**
+ * Check whether capex and depreciation come from the asset class schedule
+ * @param {Object} params - Model parameters (useCapexSchedule, assetClasses)
+ * @returns {boolean}
+ */
+export function isCapexScheduleModel(params) {
+  return Boolean(params.useCapexSchedule) && (params.assetClasses || []).length > 0;
+}
+
+/**
+ * Opening net PPE: the asset classes' opening book values when scheduled
+ * @param {Object} params - Model parameters
+ * @returns {number}
+ */
+export function getOpeningPPE(params) {
+  if (!isCapexScheduleModel(params)) return params.openingPPE || 0;
+  return params.assetClasses.reduce((sum, c) => sum + Math.max(0, Number(c.openingNBV) || 0), 0);
+}
+
+/**
+ * Planned capex of one asset class in one year
+ * @param {Object} assetClass - Asset class
+ * @param {number} yearIndex - Projection year index (0-based)
+ * @returns {Object} { maintenance, growth }
+ */
+export function getPlannedCapex(assetClass, yearIndex) {
+  return {
+    maintenance: Math.max(0, Number(assetClass.maintenanceCapex?.[yearIndex]) || 0),
+    growth: Math.max(0, Number(assetClass.growthCapex?.[yearIndex]) || 0)
+  };
+}
+
+/**
+ * One year's depreciation of a vintage
+ * Declining balance switches to straight-line once that writes off more, so
+ * both methods reach zero at the end of the life.
+ *
+ * @param {Object} vintage - { nbv, cost, life, age }
+ * @param {string} method - DEPRECIATION_METHODS key
+ * @returns {number}
+ */
+export function depreciateVintage(vintage, method) {
+  const remainingLife = vintage.life - vintage.age;
+  if (vintage.nbv <= 0 || remainingLife <= 0) return 0;
+  if (remainingLife <= 1) return vintage.nbv;
+
+  if (method === 'decliningBalance') {
+    const decliningCharge = vintage.nbv * (2 / vintage.life);
+    return Math.min(vintage.nbv, Math.max(decliningCharge, vintage.nbv / remainingLife));
+  }
+  return Math.min(vintage.nbv, vintage.cost / vintage.life);
+}
+
+// Spread a capex change over the classes' growth capex (pro rata to planned
+// growth capex, else maintenance, else the first class); cuts stop at zero
+function allocateCapexShift(planned, shift) {
+  if (shift === 0 || planned.length === 0) return planned.map(() => 0);
+  const weightsFrom = (key) => planned.map(p => p[key]);
+  const sumOf = (values) => values.reduce((a, b) => a + b, 0);
+  let weights = weightsFrom('growth');
+  if (sumOf(weights) <= 0) weights = shift > 0 ? weightsFrom('maintenance') : weights;
+  if (sumOf(weights) <= 0) weights = planned.map((_, idx) => (shift > 0 && idx === 0 ? 1 : 0));
+  const total = sumOf(weights);
+  if (total <= 0) return planned.map(() => 0);
+  return planned.map((p, idx) => Math.max(-p.growth, shift * weights[idx] / total));
+}
+
+/**
+ * Year-by-year ledger of asset class vintages
+ * Each call to stepYear adds that year's capex as a new vintage, then charges
+ * one year of depreciation on every vintage of every class.
+ *
+ * @param {Object} params - Model parameters (assetClasses, capexShift)
+ * @returns {Object} { stepYear(yearIndex, revenue) }
+ */
+export function createCapexLedger(params) {
+  const classes = (params.assetClasses || []).map(assetClass => {
+    const openingNBV = Math.max(0, Number(assetClass.openingNBV) || 0);
+    const remainingLife = Math.max(1, Math.round(Number(assetClass.openingRemainingLife) || 1));
+    return {
+      assetClass,
+      usefulLife: Math.max(1, Math.round(Number(assetClass.usefulLife) || 1)),
+      grossPPE: openingNBV,
+      accumulatedDepreciation: 0,
+      // The opening book value runs off as one vintage over its remaining life
+      vintages: openingNBV > 0 ? [{ cost: openingNBV, nbv: openingNBV, life: remainingLife, age: 0 }] : []
+    };
+  });
+
+  return {
+    stepYear(yearIndex, revenue) {
+      const planned = classes.map(entry => getPlannedCapex(entry.assetClass, yearIndex));
+      const shift = (revenue || 0) * valueForYear(params.capexShift || 0, yearIndex);
+      const adjustments = allocateCapexShift(planned, shift);
+
+      const details = classes.map((entry, idx) => {
+        const maintenance = planned[idx].maintenance;
+        const growth = planned[idx].growth + adjustments[idx];
+        const capex = maintenance + growth;
+        if (capex > 0) {
+          entry.vintages.push({ cost: capex, nbv: capex, life: entry.usefulLife, age: 0 });
+        }
+        entry.grossPPE += capex;
+
+        let depreciation = 0;
+        entry.vintages.forEach(vintage => {
+          const charge = depreciateVintage(vintage, entry.assetClass.method);
+          vintage.nbv -= charge;
+          vintage.age += 1;
+          depreciation += charge;
+        });
+        entry.vintages = entry.vintages.filter(vintage => vintage.nbv > 1e-6);
+        entry.accumulatedDepreciation += depreciation;
+
+        return {
+          id: entry.assetClass.id,
+          name: entry.assetClass.name,
+          maintenanceCapex: maintenance,
+          growthCapex: growth,
+          capex,
+          depreciation,
+          grossPPE: entry.grossPPE,
+          netPPE: entry.grossPPE - entry.accumulatedDepreciation
+        };
+      });
+
+      const total = (key) => details.reduce((sum, d) => sum + d[key], 0);
+      return {
+        maintenanceCapex: total('maintenanceCapex'),
+        growthCapex: total('growthCapex'),
+        capex: total('capex'),
+        depreciation: total('depreciation'),
+        classes: details
+      };
+    }
+  };
+}
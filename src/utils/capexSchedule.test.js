@@ -0,0 +1,71 @@
+import { createAssetClass, createCapexLedger, depreciateVintage, getOpeningPPE, isCapexScheduleModel } from './capexSchedule';
+import { applyShocks } from './applyShocks';
+import { buildProjection } from './buildProjection';
+
+const plant = createAssetClass({
+  id: 1, name: 'Plant', usefulLife: 5, openingNBV: 30e6, openingRemainingLife: 3,
+  maintenanceCapex: [2e6, 2e6, 2e6], growthCapex: [10e6, 0, 5e6]
+});
+
+const runOff = (method, life) => {
+  const vintage = { cost: 100, nbv: 100, life, age: 0 };
+  return Array.from({ length: life + 1 }, () => {
+    const charge = depreciateVintage(vintage, method);
+    vintage.nbv -= charge;
+    vintage.age += 1;
+    return charge;
+  });
+};
+
+describe('depreciateVintage', () => {
+  it('writes a vintage off evenly over its life on straight-line', () => {
+    expect(runOff('straightLine', 4)).toEqual([25, 25, 25, 25, 0]);
+  });
+
+  it('switches declining balance to straight-line so it reaches zero at the end of the life', () => {
+    const charges = runOff('decliningBalance', 5);
+    [40, 24, 14.4, 10.8, 10.8, 0].forEach((charge, i) => expect(charges[i]).toBeCloseTo(charge, 9));
+  });
+});
+
+describe('createCapexLedger', () => {
+  it('runs the opening book value off over its remaining life and adds each year as a vintage', () => {
+    const ledger = createCapexLedger({ assetClasses: [plant] });
+    const [year1, year2] = [ledger.stepYear(0, 100e6), ledger.stepYear(1, 100e6)];
+
+    expect(year1.capex).toBe(12e6);
+    expect(year1.depreciation).toBeCloseTo(10e6 + 12e6 / 5);
+    expect(year2.depreciation).toBeCloseTo(10e6 + 12e6 / 5 + 2e6 / 5);
+    expect(year2.classes[0].netPPE).toBeCloseTo(30e6 + 14e6 - year1.depreciation - year2.depreciation);
+  });
+
+  it('moves growth capex, never maintenance, under a capex shift and stops cuts at zero', () => {
+    const ledger = createCapexLedger({ assetClasses: [plant], capexShift: [-0.05, 0.01, 0] });
+
+    expect(ledger.stepYear(0, 100e6)).toMatchObject({ maintenanceCapex: 2e6, growthCapex: 5e6 });
+    expect(ledger.stepYear(1, 100e6)).toMatchObject({ maintenanceCapex: 2e6, growthCapex: 1e6 });
+  });
+});
+
+describe('capex schedule in the projection', () => {
+  const params = {
+    startYear: 2025, years: 3, baseRevenue: 100e6, growth: 0, cogsPct: 0.4, opexPct: 0.25, capexPct: 0.05,
+    daPctOfPPE: 0.1, wcPctOfRev: 0.15, taxRate: 0.25, wacc: 0.1, terminalGrowth: 0.03, openingCash: 5e6,
+    requestedLoanAmount: 0, useCapexSchedule: true, assetClasses: [plant]
+  };
+
+  it('replaces the capex and depreciation percentages', () => {
+    expect(isCapexScheduleModel(params)).toBe(true);
+    expect(getOpeningPPE(params)).toBe(30e6);
+
+    const [year1] = buildProjection(params).rows;
+    expect(year1.capex).toBe(12e6);
+    expect(year1.depreciation).toBeCloseTo(12.4e6, 0);
+  });
+
+  it('takes a capex stress on growth capex', () => {
+    const noShocks = { growthDelta: 0, cogsDelta: 0, opexDelta: 0, capexDelta: 0, rateDelta: 0, waccDelta: 0, termGDelta: 0 };
+    const [year1] = buildProjection(applyShocks(params, { ...noShocks, capexDelta: 0.02 })).rows;
+    expect(year1).toMatchObject({ maintenanceCapex: 2e6, growthCapex: 12e6 });
+  });
+});
@@ -0,0 +1,78 @@
+// ============================================================================
+// cashSweep.js - Excess cash flow sweep for term tranches
+// ============================================================================
+// Each term tranche may carry a sweep percentage of excess cash flow (ECF),
+// optional leverage-based step-downs and a sweep priority. At each year end
+// the swept amount prepays the tranche after its scheduled amortization, so
+// later years amortize and accrue interest on the reduced balance.
+//
+// Step-downs: [{ maxLeverage: 3.0, sweepPct: 0.25 }, { maxLeverage: 2.0, sweepPct: 0 }]
+// means 25% once net leverage is at or below 3.0x and nothing at or below 2.0x;
+// above every threshold the tranche's base sweepPct applies.
+// ============================================================================
+
+/**
+ * Check whether a tranche carries an excess cash flow sweep
+ * @param {Object} tranche - Debt tranche
+ * @returns {boolean}
+ */
+export function hasCashSweep(tranche) {
+  if (!tranche || tranche.trancheType === 'revolver') return false;
+  return (tranche.sweepPct || 0) > 0 ||
+    (tranche.sweepStepDowns || []).some(step => (step.sweepPct || 0) > 0);
+}
+
+/**
+ * Sweep percentage applicable at a given leverage level
+ *
+ * @param {Object} tranche - Debt tranche (sweepPct, sweepStepDowns)
+ * @param {number} leverage - Net debt / EBITDA tested for the year
+ * @returns {number} Sweep percentage (decimal)
+ */
+export function getSweepPercentage(tranche, leverage) {
+  const steps = (tranche.sweepStepDowns || [])
+    .filter(step => Number.isFinite(step.maxLeverage))
+    .sort((a, b) => a.maxLeverage - b.maxLeverage);
+  const step = steps.find(s => leverage <= s.maxLeverage);
+  return Math.max(0, step ? step.sweepPct || 0 : tranche.sweepPct || 0);
+}
+
+/**
+ * Allocate the year's cash sweep across tranches
+ *
+ * Tranches are swept in ascending sweepPriority (ties keep their order).
+ * Each takes its applicable percentage of excess cash flow, limited to its
+ * outstanding balance and to the cash left after higher-priority sweeps.
+ *
+ * @param {Array} tranches - [{ tranche, balance }] in ledger order
+ * @param {Object} options
+ * @param {number} options.excessCashFlow - Excess cash flow for the year
+ * @param {number} options.availableCash - Cash available for prepayment
+ * @param {number} options.leverage - Net debt / EBITDA before the sweep
+ * @returns {Object} prepayments (by ledger index), sweepPcts, total
+ */
+export function allocateCashSweep(tranches, { excessCashFlow, availableCash, leverage }) {
+  const prepayments = tranches.map(() => 0);
+  const sweepPcts = tranches.map(() => 0);
+  const ecf = Math.max(0, excessCashFlow || 0);
+  let cashLeft = Math.max(0, availableCash || 0);
+
+  const order = tranches
+    .map((entry, index) => ({ ...entry, index }))
+    .filter(entry => hasCashSweep(entry.tranche))
+    .sort((a, b) => (a.tranche.sweepPriority ?? Infinity) - (b.tranche.sweepPriority ?? Infinity) || a.index - b.index);
+
+  order.forEach(({ tranche, balance, index }) => {
+    const pct = getSweepPercentage(tranche, leverage);
+    const amount = Math.min(ecf * pct, Math.max(0, balance), cashLeft);
+    sweepPcts[index] = pct;
+    prepayments[index] = amount;
+    cashLeft -= amount;
+  });
+
+  return {
+    prepayments,
+    sweepPcts,
+    total: prepayments.reduce((sum, p) => sum + p, 0)
+  };
+}
@@ -0,0 +1,65 @@
+import { hasCashSweep, getSweepPercentage, allocateCashSweep } from './cashSweep';
+import { buildProjection } from './buildProjection';
+
+const stepDowns = [{ maxLeverage: 2, sweepPct: 0 }, { maxLeverage: 3, sweepPct: 0.25 }];
+
+describe('getSweepPercentage', () => {
+  it('steps the sweep down as leverage falls', () => {
+    const tranche = { sweepPct: 0.5, sweepStepDowns: stepDowns };
+    expect(getSweepPercentage(tranche, 4)).toBe(0.5);
+    expect(getSweepPercentage(tranche, 3)).toBe(0.25);
+    expect(getSweepPercentage(tranche, 1.5)).toBe(0);
+  });
+
+  it('only sweeps term tranches with a percentage set', () => {
+    expect(hasCashSweep({ sweepPct: 0.5 })).toBe(true);
+    expect(hasCashSweep({ sweepPct: 0, sweepStepDowns: stepDowns })).toBe(true);
+    expect(hasCashSweep({ sweepPct: 0 })).toBe(false);
+    expect(hasCashSweep({ sweepPct: 0.5, trancheType: 'revolver' })).toBe(false);
+  });
+});
+
+describe('allocateCashSweep', () => {
+  const tranches = [
+    { tranche: { sweepPct: 0.5, sweepPriority: 2 }, balance: 20e6 },
+    { tranche: { sweepPct: 0.5, sweepPriority: 1 }, balance: 3e6 },
+    { tranche: {}, balance: 10e6 }
+  ];
+
+  it('sweeps in priority order up to each balance', () => {
+    const sweep = allocateCashSweep(tranches, { excessCashFlow: 10e6, availableCash: 50e6, leverage: 4 });
+    expect(sweep.prepayments).toEqual([5e6, 3e6, 0]);
+    expect(sweep.total).toBe(8e6);
+  });
+
+  it('never sweeps more than the cash available', () => {
+    const sweep = allocateCashSweep(tranches, { excessCashFlow: 10e6, availableCash: 4e6, leverage: 4 });
+    expect(sweep.prepayments).toEqual([1e6, 3e6, 0]);
+  });
+
+  it('sweeps nothing without excess cash flow', () => {
+    expect(allocateCashSweep(tranches, { excessCashFlow: -5e6, availableCash: 50e6, leverage: 4 }).total).toBe(0);
+  });
+});
+
+describe('cash sweep in the projection', () => {
+  const params = (sweepPct) => ({
+    startYear: 2025, years: 3, baseRevenue: 100e6, growth: 0.05, cogsPct: 0.4, opexPct: 0.25, capexPct: 0.05,
+    daPctOfPPE: 0.1, wcPctOfRev: 0.15, taxRate: 0.25, wacc: 0.1, terminalGrowth: 0.03, openingCash: 5e6,
+    hasMultipleTranches: true,
+    debtTranches: [{
+      id: 1, name: 'Term Loan', amount: 40e6, rate: 0.08, tenorYears: 5, amortizationType: 'amortizing',
+      paymentFrequency: 'Annually', maturityDate: '2029-12-31', seniority: 'Senior Secured', sweepPct
+    }]
+  });
+
+  it('prepays the tranche so later years carry a lower balance and interest', () => {
+    const base = buildProjection(params(0)).rows;
+    const swept = buildProjection(params(0.5)).rows;
+
+    expect(base[1].sweepPrepayments).toBe(0);
+    expect(swept[1].sweepPrepayments).toBeCloseTo(swept[1].excessCashFlow * 0.5, 0);
+    expect(swept[1].grossDebt).toBeCloseTo(base[1].grossDebt - swept[1].sweepPrepayments, 0);
+    expect(swept[2].interestExpense).toBeCloseTo(swept[1].grossDebt * 0.08, 0);
+  });
+});
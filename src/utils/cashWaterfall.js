@@ -0,0 +1,225 @@
+// ============================================================================
+// cashWaterfall.js - Cash flow waterfall (priority of payments)
+// ============================================================================
+// Replays each projected year's cash through ordered payment tiers:
+//   operating costs, taxes, capex & working capital, lease payments,
+//   senior interest, senior principal, reserve top-ups, junior debt service,
+//   cash sweep and distributions
+// Each tier is paid from what the tiers above it leave over. The projection
+// itself settles every obligation and lets cash go negative (an unfunded
+// shortfall); the waterfall shows which tier would go unpaid first under the
+// chosen order, which is what subordination analysis needs.
+//
+// Tranches are ranked from their seniority: Subordinated and Mezzanine are
+// junior, everything else (senior secured / unsecured, revolvers) is senior.
+// Each year starts from the model's opening cash (nil if it is negative).
+// ============================================================================
+
+export const WATERFALL_TIERS = {
+  operatingCosts: { label: 'Operating Costs', description: 'Cash cost of sales and operating expenses' },
+  taxes: { label: 'Taxes', description: 'Income tax paid' },
+  capex: { label: 'Capex & Working Capital', description: 'Capital expenditure and working capital build' },
+  leases: { label: 'Lease Payments', description: 'IFRS 16 lease interest and principal' },
+  seniorInterest: { label: 'Senior Interest & Fees', description: 'Senior and revolver interest, commitment fees, hedge settlements' },
+  seniorPrincipal: { label: 'Senior Principal', description: 'Scheduled senior amortisation and revolver repayments' },
+  reserves: { label: 'Reserve Top-Ups', description: 'Transfers into DSRA and other reserve accounts' },
+  juniorDebt: { label: 'Junior Debt Service', description: 'Subordinated and mezzanine interest and principal' },
+  sweep: { label: 'Cash Sweep', description: 'Excess cash flow and lock-up prepayments' },
+  distributions: { label: 'Distributions', description: 'Dividends to shareholders' }
+};
+
+export const DEFAULT_WATERFALL_ORDER = Object.keys(WATERFALL_TIERS);
+
+const JUNIOR_SENIORITIES = ['Subordinated', 'Mezzanine'];
+
+/**
+ * Rank of a tranche in the waterfall
+ * @param {Object} tranche - Tranche or tranche detail (seniority)
+ * @returns {'senior'|'junior'}
+ */
+export function getTrancheRank(tranche) {
+  return JUNIOR_SENIORITIES.includes(tranche.seniority) ? 'junior' : 'senior';
+}
+
+/**
+ * Tier order in force - unknown keys dropped, missing tiers appended in default order
+ * @param {Object} params - Model parameters (waterfallOrder)
+ * @returns {string[]}
+ */
+export function getWaterfallOrder(params) {
+  const requested = (params?.waterfallOrder || []).filter(key => WATERFALL_TIERS[key]);
+  const unique = [...new Set(requested)];
+  return [...unique, ...DEFAULT_WATERFALL_ORDER.filter(key => !unique.includes(key))];
+}
+
+/**
+ * Move a tier one place up or down the order
+ * @param {string[]} order - Current tier order
+ * @param {string} key - Tier to move
+ * @param {number} direction - -1 = up (paid earlier), 1 = down
+ * @returns {string[]}
+ */
+export function moveWaterfallTier(order, key, direction) {
+  const index = order.indexOf(key);
+  const target = index + direction;
+  if (index < 0 || target < 0 || target >= order.length) return order;
+  const next = [...order];
+  [next[index], next[target]] = [next[target], next[index]];
+  return next;
+}
+
+/**
+ * Debt service by tranche for one year, with the waterfall tier of each part
+ * Single-facility models without tranche detail get one senior "Term Debt" line.
+ * @param {Object} row - Projection row
+ * @returns {Array} [{ key, name, seniority, rank, interest, principal, prepayment }]
+ */
+function getTrancheService(row) {
+  const details = row.trancheDetails || [];
+  const tranches = details.map((detail, idx) => ({
+    key: detail.id ?? `${detail.name}-${idx}`,
+    name: detail.name,
+    seniority: detail.seniority || 'Senior Secured',
+    rank: getTrancheRank(detail),
+    interest: (detail.interest || 0) + (detail.hedgeSettlement || 0),
+    principal: (detail.principal || 0) + (detail.isRevolver ? detail.repayment || 0 : 0),
+    prepayment: detail.prepayment || 0
+  }));
+
+  if (!details.some(d => !d.isRevolver)) {
+    const revolverCosts = (row.revolverInterest || 0) + (row.revolverCommitmentFees || 0);
+    const interest = (row.interestExpense || 0) - (row.leaseInterest || 0) - revolverCosts;
+    if (Math.abs(interest) > 0 || (row.principalPayment || 0) > 0 || (row.sweepPrepayments || 0) > 0) {
+      tranches.unshift({
+        key: 'term-debt',
+        name: 'Term Debt',
+        seniority: 'Senior Secured',
+        rank: 'senior',
+        interest,
+        principal: row.principalPayment || 0,
+        prepayment: row.sweepPrepayments || 0
+      });
+    }
+  }
+  return tranches;
+}
+
+/**
+ * Amount due to each tier in one year (negative = cash received, e.g. hedge receipts
+ * or a working capital release)
+ * @param {Object} row - Projection row
+ * @param {Array} tranches - Tranche service from getTrancheService
+ * @returns {Object} { [tierKey]: amount }
+ */
+function getTierDues(row, tranches) {
+  const sum = (rank, field) => tranches
+    .filter(t => t.rank === rank)
+    .reduce((total, t) => total + t[field], 0);
+  const juniorInterest = sum('junior', 'interest');
+  const juniorPrincipal = sum('junior', 'principal');
+
+  return {
+    operatingCosts: (row.cogs || 0) + (row.opex || 0),
+    taxes: row.cashTax ?? row.tax ?? 0,
+    capex: (row.capex || 0) + (row.wcDelta || 0),
+    leases: row.leasePayment || 0,
+    // Senior figures come from model totals so they tie to the cash flow statement
+    seniorInterest: (row.interestExpense || 0) - (row.leaseInterest || 0) - juniorInterest,
+    seniorPrincipal: (row.principalPayment || 0) + (row.revolverRepayments || 0) - juniorPrincipal,
+    reserves: row.reserveTopUps || 0,
+    juniorDebt: juniorInterest + juniorPrincipal,
+    sweep: row.sweepPrepayments || 0,
+    distributions: row.dividends || 0
+  };
+}
+
+/**
+ * Run the cash waterfall over a projection
+ *
+ * @param {Object} projection - Output of buildProjection (rows)
+ * @param {string[]} order - Tier order (see getWaterfallOrder)
+ * @returns {Object} { order, years, tranches, firstShortfall }
+ *   years[]: { year, openingCash, inflows, cashAvailable, tiers[], closingCash, modelClosingCash, shortfall }
+ *   tiers[]: { key, label, available, due, paid, shortfall }
+ *   tranches[]: { key, name, seniority, rank, years[]: { due, paid, shortfall, coverage } }
+ */
+export function buildCashWaterfall(projection, order = DEFAULT_WATERFALL_ORDER) {
+  const rows = projection?.rows || [];
+  const trancheMap = new Map();
+  let firstShortfall = null;
+  let previousCash = projection?.openingBalanceSheet?.cash ?? 0;
+
+  const years = rows.map((row, yearIndex) => {
+    const tranches = getTrancheService(row);
+    const dues = getTierDues(row, tranches);
+
+    // Negative dues are receipts and join the cash available at the top
+    const receipts = Object.values(dues).reduce((sum, due) => sum + Math.max(0, -due), 0);
+    const inflows = {
+      revenue: row.revenue || 0,
+      revolverDraws: row.revolverDraws || 0,
+      reserveDraws: (row.reserveDraws || 0) + (row.reserveReleases || 0),
+      other: receipts
+    };
+    const openingCash = previousCash;
+    let available = Math.max(0, openingCash) +
+      Object.values(inflows).reduce((sum, amount) => sum + amount, 0);
+    const cashAvailable = available;
+
+    const tiers = order.map(key => {
+      const due = Math.max(0, dues[key]);
+      const paid = Math.min(due, Math.max(0, available));
+      const tier = { key, label: WATERFALL_TIERS[key].label, available, due, paid, shortfall: due - paid };
+      available -= paid;
+      if (tier.shortfall > 1e-6 && !firstShortfall) {
+        firstShortfall = { year: row.year, tier: key, label: tier.label, amount: tier.shortfall };
+      }
+      return tier;
+    });
+    const paidShare = Object.fromEntries(tiers.map(t => [t.key, t.due > 0 ? t.paid / t.due : 1]));
+
+    // Each tranche is paid its tier's share: interest and principal by rank, prepayments in the sweep
+    tranches.forEach(tranche => {
+      const serviceShare = tranche.rank === 'junior' ? paidShare.juniorDebt : null;
+      const due = Math.max(0, tranche.interest) + tranche.principal + tranche.prepayment;
+      const paid = (serviceShare ?? paidShare.seniorInterest) * Math.max(0, tranche.interest) +
+        (serviceShare ?? paidShare.seniorPrincipal) * tranche.principal +
+        paidShare.sweep * tranche.prepayment;
+      if (!trancheMap.has(tranche.key)) {
+        trancheMap.set(tranche.key, {
+          key: tranche.key,
+          name: tranche.name,
+          seniority: tranche.seniority,
+          rank: tranche.rank,
+          years: rows.map(() => null)
+        });
+      }
+      trancheMap.get(tranche.key).years[yearIndex] = {
+        due,
+        paid,
+        shortfall: due - paid,
+        coverage: due > 0 ? paid / due : null
+      };
+    });
+
+    previousCash = row.cash || 0;
+    const shortfall = tiers.reduce((sum, t) => sum + t.shortfall, 0);
+    return {
+      year: row.year,
+      openingCash,
+      inflows,
+      cashAvailable,
+      tiers,
+      closingCash: available,
+      modelClosingCash: row.cash || 0,
+      shortfall
+    };
+  });
+
+  return {
+    order,
+    years,
+    tranches: [...trancheMap.values()].sort((a, b) => (a.rank === b.rank ? 0 : a.rank === 'senior' ? -1 : 1)),
+    firstShortfall
+  };
+}
@@ -0,0 +1,66 @@
+import { buildCashWaterfall, getTrancheRank, getWaterfallOrder, moveWaterfallTier, DEFAULT_WATERFALL_ORDER } from './cashWaterfall';
+import { buildProjection } from './buildProjection';
+
+const projection = {
+  openingBalanceSheet: { cash: 0 },
+  rows: [{
+    year: 2025, revenue: 100, cogs: 40, opex: 20, cashTax: 10, capex: 10, wcDelta: 0,
+    interestExpense: 10, principalPayment: 20, dividends: 5, cash: -15,
+    trancheDetails: [
+      { id: 1, name: 'Senior', seniority: 'Senior Secured', interest: 6, principal: 15 },
+      { id: 2, name: 'Mezz', seniority: 'Mezzanine', interest: 4, principal: 5 }
+    ]
+  }]
+};
+
+describe('waterfall order', () => {
+  it('drops unknown and repeated tiers and appends missing ones in default order', () => {
+    const order = getWaterfallOrder({ waterfallOrder: ['juniorDebt', 'bogus', 'juniorDebt'] });
+    expect(order[0]).toBe('juniorDebt');
+    expect(order).toHaveLength(DEFAULT_WATERFALL_ORDER.length);
+    expect(getWaterfallOrder({})).toEqual(DEFAULT_WATERFALL_ORDER);
+  });
+
+  it('moves a tier one place and leaves the ends alone', () => {
+    expect(moveWaterfallTier(['a', 'b', 'c'], 'c', -1)).toEqual(['a', 'c', 'b']);
+    expect(moveWaterfallTier(['a', 'b', 'c'], 'a', -1)).toEqual(['a', 'b', 'c']);
+  });
+
+  it('ranks subordinated and mezzanine tranches as junior', () => {
+    expect(['Senior Secured', 'Revolver', 'Subordinated', 'Mezzanine'].map(seniority => getTrancheRank({ seniority })))
+      .toEqual(['senior', 'senior', 'junior', 'junior']);
+  });
+});
+
+describe('buildCashWaterfall', () => {
+  it('pays each tier from what the tiers above leave and finds the first shortfall', () => {
+    const { years, tranches, firstShortfall } = buildCashWaterfall(projection);
+    const tier = (key) => years[0].tiers.find(t => t.key === key);
+
+    expect(tier('seniorInterest')).toMatchObject({ due: 6, paid: 6 });
+    expect(tier('seniorPrincipal')).toMatchObject({ due: 15, paid: 14, shortfall: 1 });
+    expect(tier('juniorDebt')).toMatchObject({ due: 9, paid: 0 });
+    expect(firstShortfall).toMatchObject({ year: 2025, tier: 'seniorPrincipal', amount: 1 });
+    expect(tranches.map(t => [t.name, t.years[0].paid])).toEqual([['Senior', 20], ['Mezz', 0]]);
+  });
+
+  it('follows the chosen order', () => {
+    const order = moveWaterfallTier(DEFAULT_WATERFALL_ORDER, 'juniorDebt', -1);
+    const { firstShortfall, tranches } = buildCashWaterfall(projection, moveWaterfallTier(order, 'juniorDebt', -1));
+
+    expect(firstShortfall).toMatchObject({ tier: 'seniorPrincipal', amount: 10 });
+    expect(tranches[1].years[0].coverage).toBe(1);
+  });
+
+  it('leaves a funded projection without shortfalls', () => {
+    const funded = buildProjection({
+      startYear: 2025, years: 5, baseRevenue: 100e6, growth: 0.08, cogsPct: 0.4, opexPct: 0.25, capexPct: 0.05,
+      daPctOfPPE: 0.1, wcPctOfRev: 0.15, taxRate: 0.25, wacc: 0.1, terminalGrowth: 0.03, openingCash: 20e6,
+      requestedLoanAmount: 50e6, proposedPricing: 0.12, proposedTenor: 5, paymentFrequency: 'Quarterly'
+    });
+    const { years, firstShortfall } = buildCashWaterfall(funded);
+
+    expect(firstShortfall).toBeNull();
+    years.forEach(year => expect(year.closingCash).toBeCloseTo(year.modelClosingCash, 0));
+  });
+});
@@ -0,0 +1,472 @@
+// ============================================================================
+// covenants.js - Covenant library (formulas, thresholds, step-downs, testing)
+// ============================================================================
+// Every financial covenant is a definition in params.covenants:
+//   { id, name, formula, direction, unit, threshold, thresholdParam,
+//     stepDowns: [{ year, threshold }], frequency, enabled }
+//   - formula: arithmetic over projection row fields (COVENANT_FIELDS), e.g.
+//     "(covenantEbitda - capex) / debtService"; + - * / ( ), min(), max(), abs()
+//   - direction: 'min' (value must be >= threshold) or 'max' (<= threshold)
+//   - threshold: base level; the standard covenants link to their scalar
+//     params (minDSCR, targetICR, maxNDToEBITDA, ...) through thresholdParam
+//   - stepDowns: from the given year onward the threshold changes
+//   - frequency: 'annual' tests the year-end figures; 'semiannual' and
+//     'quarterly' test each half-year / quarter end on a trailing-twelve-month
+//     basis when the projection runs quarterly or monthly (annual otherwise)
+//
+// A division by zero is unbounded (x/0 with x > 0 fails a maximum and passes a
+// minimum); 0/0 and fields without a value are not meaningful and not tested.
+// A linked threshold of 0 switches that covenant off.
+// ============================================================================
+
+import { currencyFmtMM, numFmt, pctFmt } from './formatters';
+
+export const COVENANT_DIRECTIONS = {
+  min: { label: 'Minimum (≥)', symbol: '≥' },
+  max: { label: 'Maximum (≤)', symbol: '≤' }
+};
+
+export const COVENANT_FREQUENCIES = {
+  annual: { label: 'Annual', testsPerYear: 1 },
+  semiannual: { label: 'Semi-annual (LTM)', testsPerYear: 2 },
+  quarterly: { label: 'Quarterly (LTM)', testsPerYear: 4 }
+};
+
+export const COVENANT_UNITS = {
+  x: { label: 'Ratio (x)' },
+  amount: { label: 'Amount' },
+  pct: { label: 'Percent' }
+};
+
+// Row fields available to covenant formulas
+export const COVENANT_FIELDS = [
+  { key: 'revenue', label: 'Revenue', group: 'Income' },
+  { key: 'ebitda', label: 'EBITDA', group: 'Income' },
+  { key: 'covenantEbitda', label: 'Covenant EBITDA (lease basis)', group: 'Income' },
+  { key: 'ebit', label: 'EBIT', group: 'Income' },
+  { key: 'interestExpense', label: 'Interest expense', group: 'Income' },
+  { key: 'netIncome', label: 'Net income', group: 'Income' },
+  { key: 'depreciation', label: 'Depreciation', group: 'Income' },
+  { key: 'cashTax', label: 'Tax paid', group: 'Cash Flow' },
+  { key: 'capex', label: 'Capex', group: 'Cash Flow' },
+  { key: 'wcDelta', label: 'Working capital increase', group: 'Cash Flow' },
+  { key: 'operatingCashFlow', label: 'Operating cash flow', group: 'Cash Flow' },
+  { key: 'cashAvailableForDebtService', label: 'CFADS', group: 'Cash Flow' },
+  { key: 'fcf', label: 'Free cash flow', group: 'Cash Flow' },
+  { key: 'leasePayment', label: 'Lease payments', group: 'Cash Flow' },
+  { key: 'dividends', label: 'Distributions', group: 'Cash Flow' },
+  { key: 'debtService', label: 'Debt service', group: 'Debt' },
+  { key: 'principalPayment', label: 'Scheduled principal', group: 'Debt' },
+  { key: 'grossDebt', label: 'Gross debt', group: 'Debt' },
+  { key: 'netDebt', label: 'Net debt', group: 'Debt' },
+  { key: 'seniorDebt', label: 'Senior debt', group: 'Debt' },
+  { key: 'seniorNetDebt', label: 'Senior net debt', group: 'Debt' },
+  { key: 'seniorDebtService', label: 'Senior debt service', group: 'Debt' },
+  { key: 'leaseLiability', label: 'Lease liabilities', group: 'Debt' },
+  { key: 'cash', label: 'Cash', group: 'Balance Sheet' },
+  { key: 'receivables', label: 'Trade receivables', group: 'Balance Sheet' },
+  { key: 'inventory', label: 'Inventory', group: 'Balance Sheet' },
+  { key: 'payables', label: 'Trade payables', group: 'Balance Sheet' },
+  { key: 'taxPayable', label: 'Tax payable', group: 'Balance Sheet' },
+  { key: 'workingCapital', label: 'Working capital', group: 'Balance Sheet' },
+  { key: 'netPPE', label: 'Net PP&E', group: 'Balance Sheet' },
+  { key: 'reserveBalance', label: 'Reserve accounts', group: 'Balance Sheet' },
+  { key: 'totalAssets', label: 'Total assets', group: 'Balance Sheet' },
+  { key: 'totalLiabilities', label: 'Total liabilities', group: 'Balance Sheet' },
+  { key: 'totalEquity', label: 'Total equity (net worth)', group: 'Balance Sheet' },
+  { key: 'dscr', label: 'DSCR', group: 'Ratios' },
+  { key: 'icr', label: 'ICR', group: 'Ratios' },
+  { key: 'ndToEbitda', label: 'Net debt / EBITDA', group: 'Ratios' },
+  { key: 'seniorDSCR', label: 'Senior DSCR', group: 'Ratios' },
+  { key: 'fixedChargeCoverage', label: 'Fixed charge cover', group: 'Ratios' }
+];
+
+const FIELD_KEYS = new Set(COVENANT_FIELDS.map(f => f.key));
+
+// Formula functions
+const FUNCTIONS = {
+  min: (...args) => Math.min(...args),
+  max: (...args) => Math.max(...args),
+  abs: (value) => Math.abs(value)
+};
+
+// Presets offered when adding a covenant
+export const COVENANT_PRESETS = {
+  fccr: { name: 'Fixed Charge Cover', formula: '(covenantEbitda - capex - cashTax) / debtService', direction: 'min', unit: 'x', threshold: 1.1 },
+  currentRatio: { name: 'Current Ratio', formula: '(cash + receivables + inventory) / (payables + taxPayable)', direction: 'min', unit: 'x', threshold: 1.2 },
+  netWorth: { name: 'Minimum Net Worth', formula: 'totalEquity', direction: 'min', unit: 'amount', threshold: 0 },
+  // No sensible default limit: tested once a threshold is entered
+  capexLimit: { name: 'Capex Limit', formula: 'capex', direction: 'max', unit: 'amount', threshold: null },
+  gearing: { name: 'Gearing (Debt / Equity)', formula: 'grossDebt / totalEquity', direction: 'max', unit: 'x', threshold: 2.0 },
+  minCash: { name: 'Minimum Liquidity', formula: 'cash', direction: 'min', unit: 'amount', threshold: 0 },
+  custom: { name: 'Custom Covenant', formula: '', direction: 'min', unit: 'x', threshold: 1.0 }
+};
+
+// Standard covenants, linked to the scalar covenant params
+const STANDARD_COVENANTS = [
+  { id: 'dscr', name: 'DSCR', formula: 'dscr', direction: 'min', unit: 'x', thresholdParam: 'minDSCR' },
+  { id: 'icr', name: 'ICR', formula: 'icr', direction: 'min', unit: 'x', thresholdParam: 'targetICR' },
+  { id: 'leverage', name: 'Net Debt / EBITDA', formula: 'ndToEbitda', direction: 'max', unit: 'x', thresholdParam: 'maxNDToEBITDA' },
+  { id: 'seniorDscr', name: 'Senior DSCR', formula: 'seniorDSCR', direction: 'min', unit: 'x', thresholdParam: 'minSeniorDSCR' },
+  // Senior net debt with no positive EBITDA is unbounded and fails
+  { id: 'seniorLeverage', name: 'Senior Net Debt / EBITDA', formula: 'seniorNetDebt / max(covenantEbitda, 0)', direction: 'max', unit: 'x', thresholdParam: 'maxSeniorNDToEBITDA' }
+];
+
+/**
+ * Default covenant library (the standard covenants, tested annually)
+ * @returns {Array}
+ */
+export function getDefaultCovenants() {
+  return STANDARD_COVENANTS.map(c => ({ ...c, threshold: null, stepDowns: [], frequency: 'annual', enabled: true }));
+}
+
+/**
+ * New custom covenant from a preset
+ * @param {string} presetKey - Key of COVENANT_PRESETS
+ * @returns {Object}
+ */
+export function createCovenant(presetKey = 'custom') {
+  const preset = COVENANT_PRESETS[presetKey] || COVENANT_PRESETS.custom;
+  return {
+    id: Date.now(),
+    ...preset,
+    thresholdParam: null,
+    stepDowns: [],
+    frequency: 'annual',
+    enabled: true
+  };
+}
+
+/**
+ * Covenant library in force - saved models without one get the standard covenants,
+ * and standard covenants missing from a saved library are added back
+ * @param {Object} params - Model parameters (covenants)
+ * @returns {Array}
+ */
+export function getCovenantLibrary(params) {
+  const library = Array.isArray(params?.covenants) ? params.covenants : [];
+  const missing = getDefaultCovenants().filter(std => !library.some(c => c.id === std.id));
+  return [...library, ...missing];
+}
+
+// ============================================================================
+// FORMULA PARSER
+// ============================================================================
+
+const TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d+)?(?:e[+-]?\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|(\S))/gy;
+
+function tokenize(formula) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  let match;
+  while (TOKEN_PATTERN.lastIndex < formula.length && (match = TOKEN_PATTERN.exec(formula))) {
+    if (match[1] !== undefined) tokens.push({ type: 'number', value: Number(match[1]) });
+    else if (match[2] !== undefined) tokens.push({ type: 'name', value: match[2] });
+    else if (match[3] !== undefined) {
+      if (!'+-*/(),'.includes(match[3])) throw new Error(`Unexpected character "${match[3]}"`);
+      tokens.push({ type: 'op', value: match[3] });
+    }
+  }
+  return tokens;
+}
+
+function parseTokens(tokens) {
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isOp = (value) => peek()?.type === 'op' && peek().value === value;
+  const expect = (value) => {
+    if (!isOp(value)) throw new Error(`Expected "${value}"`);
+    pos += 1;
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) throw new Error('Formula ends unexpectedly');
+    pos += 1;
+    if (token.type === 'number') return { type: 'number', value: token.value };
+    if (token.type === 'name') {
+      if (isOp('(')) {
+        if (!FUNCTIONS[token.value]) throw new Error(`Unknown function "${token.value}"`);
+        pos += 1;
+        const args = [parseExpression()];
+        while (isOp(',')) {
+          pos += 1;
+          args.push(parseExpression());
+        }
+        expect(')');
+        return { type: 'call', name: token.value, args };
+      }
+      if (!FIELD_KEYS.has(token.value)) throw new Error(`Unknown field "${token.value}"`);
+      return { type: 'field', name: token.value };
+    }
+    if (token.value === '(') {
+      const inner = parseExpression();
+      expect(')');
+      return inner;
+    }
+    throw new Error(`Unexpected "${token.value}"`);
+  };
+
+  const parseUnary = () => {
+    if (isOp('-') || isOp('+')) {
+      const op = peek().value;
+      pos += 1;
+      const operand = parseUnary();
+      return op === '-' ? { type: 'negate', operand } : operand;
+    }
+    return parsePrimary();
+  };
+
+  const parseTerm = () => {
+    let node = parseUnary();
+    while (isOp('*') || isOp('/')) {
+      const op = peek().value;
+      pos += 1;
+      node = { type: 'binary', op, left: node, right: parseUnary() };
+    }
+    return node;
+  };
+
+  function parseExpression() {
+    let node = parseTerm();
+    while (isOp('+') || isOp('-')) {
+      const op = peek().value;
+      pos += 1;
+      node = { type: 'binary', op, left: node, right: parseTerm() };
+    }
+    return node;
+  }
+
+  const tree = parseExpression();
+  if (pos < tokens.length) throw new Error(`Unexpected "${peek().value}"`);
+  return tree;
+}
+
+const parsedFormulas = new Map();
+
+/**
+ * Parse and check a covenant formula
+ * @param {string} formula - Formula text
+ * @returns {Object} { valid, error, tree }
+ */
+export function parseCovenantFormula(formula) {
+  const text = String(formula || '').trim();
+  if (!parsedFormulas.has(text)) {
+    let result;
+    try {
+      if (!text) throw new Error('Formula is empty');
+      result = { valid: true, error: null, tree: parseTokens(tokenize(text)) };
+    } catch (err) {
+      result = { valid: false, error: err.message, tree: null };
+    }
+    parsedFormulas.set(text, result);
+  }
+  return parsedFormulas.get(text);
+}
+
+function evaluateNode(node, row) {
+  switch (node.type) {
+    case 'number':
+      return node.value;
+    case 'field': {
+      const value = row[node.name];
+      return typeof value === 'number' && !Number.isNaN(value) ? value : null;
+    }
+    case 'negate': {
+      const value = evaluateNode(node.operand, row);
+      return value === null ? null : -value;
+    }
+    case 'call': {
+      const args = node.args.map(arg => evaluateNode(arg, row));
+      return args.some(arg => arg === null) ? null : FUNCTIONS[node.name](...args);
+    }
+    default: {
+      const left = evaluateNode(node.left, row);
+      const right = evaluateNode(node.right, row);
+      if (left === null || right === null) return null;
+      if (node.op === '+') return left + right;
+      if (node.op === '-') return left - right;
+      if (node.op === '*') return left * right;
+      if (right === 0) return left === 0 ? null : (left > 0 ? Infinity : -Infinity);
+      return left / right;
+    }
+  }
+}
+
+/**
+ * Evaluate a covenant formula on one row
+ * @param {string} formula - Formula text
+ * @param {Object} row - Projection row (or LTM test row)
+ * @returns {number|null} null when the formula is invalid or not meaningful
+ */
+export function evaluateCovenantFormula(formula, row) {
+  const { valid, tree } = parseCovenantFormula(formula);
+  if (!valid) return null;
+  const value = evaluateNode(tree, row);
+  return value === null || Number.isNaN(value) ? null : value;
+}
+
+// ============================================================================
+// THRESHOLDS AND TESTING
+// ============================================================================
+
+/**
+ * Base threshold of a covenant (linked param or own threshold)
+ * @param {Object} covenant - Covenant definition
+ * @param {Object} params - Model parameters
+ * @returns {number}
+ */
+export function getBaseThreshold(covenant, params) {
+  const value = covenant.thresholdParam ? params?.[covenant.thresholdParam] : covenant.threshold;
+  return Number(value) || 0;
+}
+
+/**
+ * Threshold in force in a year after step-downs
+ * @param {Object} covenant - Covenant definition
+ * @param {Object} params - Model parameters
+ * @param {number} year - Calendar year
+ * @returns {number}
+ */
+export function getCovenantThreshold(covenant, params, year) {
+  return (covenant.stepDowns || [])
+    .filter(step => Number(step.year) <= year)
+    .sort((a, b) => Number(a.year) - Number(b.year))
+    .reduce((threshold, step) => Number(step.threshold), getBaseThreshold(covenant, params));
+}
+
+/**
+ * Check whether a covenant is tested at all
+ * @param {Object} covenant - Covenant definition
+ * @param {Object} params - Model parameters
+ * @returns {boolean}
+ */
+export function isCovenantActive(covenant, params) {
+  if (covenant.enabled === false) return false;
+  if (!parseCovenantFormula(covenant.formula).valid) return false;
+  // A linked threshold of 0 means the covenant is not part of the package
+  if (covenant.thresholdParam) return getBaseThreshold(covenant, params) > 0;
+  // Custom covenants are tested once a threshold is entered
+  return covenant.threshold !== null && covenant.threshold !== undefined && covenant.threshold !== '' &&
+    Number.isFinite(Number(covenant.threshold));
+}
+
+/**
+ * Covenant threshold for a standard covenant in a year (for display)
+ * @param {Object} params - Model parameters
+ * @param {string} id - Covenant id ('dscr', 'icr', 'leverage', ...)
+ * @param {number} year - Calendar year
+ * @returns {number|null} null when the covenant is not tested
+ */
+export function getThresholdForYear(params, id, year) {
+  const covenant = getCovenantLibrary(params).find(c => c.id === id);
+  return covenant && isCovenantActive(covenant, params) ? getCovenantThreshold(covenant, params, year) : null;
+}
+
+/**
+ * Does a value pass a covenant threshold
+ * @param {string} direction - 'min' | 'max'
+ * @param {number} value - Tested value (may be +/-Infinity)
+ * @param {number} threshold - Threshold
+ * @returns {boolean}
+ */
+export function passesCovenant(direction, value, threshold) {
+  return direction === 'max' ? value <= threshold : value >= threshold;
+}
+
+// Flows summed over the trailing twelve months for sub-annual tests
+const LTM_FLOW_FIELDS = [
+  'revenue', 'cogs', 'opex', 'ebitda', 'covenantEbitda', 'depreciation', 'ebit', 'interestExpense',
+  'ebt', 'tax', 'cashTax', 'netIncome', 'wcDelta', 'capex', 'operatingCashFlow',
+  'principalPayment', 'debtService', 'dividends'
+];
+const PERIOD_BALANCE_FIELDS = ['cash', 'grossDebt', 'leaseLiability', 'netDebt', 'workingCapital'];
+
+/**
+ * Test rows for a frequency: year-end rows, or LTM rows at each test date
+ * Fields not modelled by period keep the year's annual value.
+ */
+function getTestRows(rows, frequency, periodRows) {
+  const testsPerYear = COVENANT_FREQUENCIES[frequency]?.testsPerYear || 1;
+  if (testsPerYear === 1 || !periodRows?.length) {
+    return rows.map(row => ({ year: row.year, label: String(row.year), row }));
+  }
+
+  const periodsPerYear = periodRows.filter(r => r.year === periodRows[0].year).length;
+  const step = Math.max(1, Math.round(periodsPerYear / testsPerYear));
+  const annualByYear = new Map(rows.map(row => [row.year, row]));
+
+  return periodRows
+    .map((period, idx) => ({ period, idx }))
+    .filter(({ period }) => period.periodInYear % step === 0)
+    .map(({ period, idx }) => {
+      const window = periodRows.slice(Math.max(0, idx - periodsPerYear + 1), idx + 1);
+      const scale = periodsPerYear / window.length;
+      const row = { ...annualByYear.get(period.year) };
+      LTM_FLOW_FIELDS.forEach(field => {
+        row[field] = window.reduce((sum, r) => sum + (r[field] || 0), 0) * scale;
+      });
+      PERIOD_BALANCE_FIELDS.forEach(field => {
+        row[field] = period[field];
+      });
+      row.dscr = period.ltmDscr;
+      row.ndToEbitda = period.ndToEbitda;
+      row.icr = row.interestExpense > 0 ? Math.min(99, row.ebit / row.interestExpense) : null;
+      return { year: period.year, label: period.label, row };
+    });
+}
+
+/**
+ * Test one covenant over a projection
+ *
+ * @param {Object} covenant - Covenant definition
+ * @param {Object} params - Model parameters
+ * @param {Array} rows - Annual projection rows
+ * @param {Array} [periodRows] - Period rows (quarterly / monthly projections)
+ * @returns {Object} { id, name, formula, direction, unit, frequency, active, tests, breaches, breachYears }
+ *   tests[]: { year, label, value, threshold, breached, headroom }
+ */
+export function testCovenant(covenant, params, rows, periodRows = null) {
+  const active = isCovenantActive(covenant, params);
+  const tests = active
+    ? getTestRows(rows, covenant.frequency, periodRows).map(({ year, label, row }) => {
+      const value = evaluateCovenantFormula(covenant.formula, row);
+      const threshold = getCovenantThreshold(covenant, params, year);
+      const breached = value !== null && !passesCovenant(covenant.direction, value, threshold);
+      const headroom = value === null || !Number.isFinite(value) || threshold === 0
+        ? null
+        : (covenant.direction === 'max' ? threshold - value : value - threshold) / Math.abs(threshold);
+      return { year, label, value, threshold, breached, headroom };
+    })
+    : [];
+  const breaches = tests.filter(t => t.breached);
+
+  return {
+    id: covenant.id,
+    name: covenant.name,
+    formula: covenant.formula,
+    direction: covenant.direction,
+    unit: covenant.unit || 'x',
+    frequency: covenant.frequency || 'annual',
+    standard: Boolean(covenant.thresholdParam),
+    active,
+    tests,
+    breaches,
+    breachYears: [...new Set(breaches.map(t => t.year))]
+  };
+}
+
+/**
+ * Format a covenant value or threshold in the covenant's unit
+ * @param {number|null} value - Value (may be +/-Infinity)
+ * @param {string} unit - 'x' | 'amount' | 'pct'
+ * @param {string} ccy - Currency for amounts
+ * @returns {string}
+ */
+export function formatCovenantValue(value, unit, ccy) {
+  if (value === null || value === undefined) return 'n/m';
+  if (!Number.isFinite(value)) return value > 0 ? '∞' : '-∞';
+  if (unit === 'amount') return currencyFmtMM(value, ccy);
+  if (unit === 'pct') return pctFmt(value);
+  return `${numFmt(value)}x`;
+}
@@ -0,0 +1,119 @@
+import {
+  getDefaultCovenants,
+  getCovenantLibrary,
+  createCovenant,
+  parseCovenantFormula,
+  evaluateCovenantFormula,
+  getCovenantThreshold,
+  getThresholdForYear,
+  isCovenantActive,
+  testCovenant
+} from './covenants';
+
+const params = { startYear: 2025, minDSCR: 1.2, targetICR: 2, maxNDToEBITDA: 3.5, minSeniorDSCR: 0, maxSeniorNDToEBITDA: 0 };
+
+const custom = (changes) => ({
+  id: 'custom', name: 'Custom', formula: 'capex', direction: 'max', unit: 'amount',
+  threshold: 10, thresholdParam: null, stepDowns: [], frequency: 'annual', enabled: true, ...changes
+});
+
+describe('covenant formulas', () => {
+  it('parses fields, functions and precedence', () => {
+    const row = { covenantEbitda: 20, capex: 5, cashTax: 3, debtService: 4 };
+    expect(evaluateCovenantFormula('(covenantEbitda - capex - cashTax) / debtService', row)).toBe(3);
+    expect(evaluateCovenantFormula('covenantEbitda - capex * 2', row)).toBe(10);
+    expect(evaluateCovenantFormula('max(capex, cashTax) + abs(-1)', row)).toBe(6);
+  });
+
+  it('rejects unknown fields and malformed formulas', () => {
+    expect(parseCovenantFormula('ebitda / unknownField').valid).toBe(false);
+    expect(parseCovenantFormula('(ebitda / capex').valid).toBe(false);
+    expect(parseCovenantFormula('').valid).toBe(false);
+  });
+
+  it('treats x/0 as unbounded and 0/0 or missing fields as not meaningful', () => {
+    expect(evaluateCovenantFormula('ebitda / debtService', { ebitda: 5, debtService: 0 })).toBe(Infinity);
+    expect(evaluateCovenantFormula('ebitda / debtService', { ebitda: 0, debtService: 0 })).toBeNull();
+    expect(evaluateCovenantFormula('dscr', { dscr: null })).toBeNull();
+  });
+});
+
+describe('covenant thresholds', () => {
+  it('applies step-downs from their year onward, in year order', () => {
+    const covenant = custom({ stepDowns: [{ year: 2028, threshold: 6 }, { year: 2026, threshold: 8 }] });
+    expect(getCovenantThreshold(covenant, params, 2025)).toBe(10);
+    expect(getCovenantThreshold(covenant, params, 2026)).toBe(8);
+    expect(getCovenantThreshold(covenant, params, 2027)).toBe(8);
+    expect(getCovenantThreshold(covenant, params, 2029)).toBe(6);
+  });
+
+  it('links standard covenants to their params and switches them off at 0', () => {
+    expect(getThresholdForYear(params, 'dscr', 2026)).toBe(1.2);
+    expect(getThresholdForYear(params, 'seniorDscr', 2026)).toBeNull();
+    const [dscr] = getDefaultCovenants();
+    expect(isCovenantActive(dscr, { ...params, minDSCR: 0 })).toBe(false);
+    expect(isCovenantActive({ ...dscr, enabled: false }, params)).toBe(false);
+    expect(isCovenantActive(custom({ formula: 'capex +' }), params)).toBe(false);
+  });
+
+  it('leaves a custom covenant untested until a threshold is entered', () => {
+    const capexLimit = createCovenant('capexLimit');
+    expect(isCovenantActive(capexLimit, params)).toBe(false);
+    expect(testCovenant(capexLimit, params, [{ year: 2025, capex: 5 }]).breachYears).toEqual([]);
+    expect(isCovenantActive({ ...capexLimit, threshold: 0 }, params)).toBe(true);
+  });
+
+  it('adds missing standard covenants to a saved library', () => {
+    const library = getCovenantLibrary({ covenants: [custom()] });
+    expect(library.map(c => c.id)).toEqual(['custom', 'dscr', 'icr', 'leverage', 'seniorDscr', 'seniorLeverage']);
+  });
+});
+
+describe('testCovenant', () => {
+  const rows = [
+    { year: 2025, dscr: 1.5, capex: 9 },
+    { year: 2026, dscr: null, capex: 11 },
+    { year: 2027, dscr: 1.1, capex: 7 }
+  ];
+
+  it('breaches on the threshold in force and skips years without a value', () => {
+    const result = testCovenant(getDefaultCovenants()[0], params, rows);
+    expect(result.tests.map(t => t.breached)).toEqual([false, false, true]);
+    expect(result.tests[1].headroom).toBeNull();
+    expect(result.breachYears).toEqual([2027]);
+  });
+
+  it('tests step-down thresholds', () => {
+    const result = testCovenant(custom({ stepDowns: [{ year: 2027, threshold: 6 }] }), params, rows);
+    expect(result.tests.map(t => t.threshold)).toEqual([10, 10, 6]);
+    expect(result.breachYears).toEqual([2026, 2027]);
+    expect(result.tests[0].headroom).toBeCloseTo(0.1);
+  });
+
+  it('does not test an inactive covenant', () => {
+    const result = testCovenant(getDefaultCovenants()[0], { ...params, minDSCR: 0 }, rows);
+    expect(result.active).toBe(false);
+    expect(result.tests).toEqual([]);
+  });
+
+  it('tests quarterly covenants on trailing twelve months at each quarter end', () => {
+    const annual = [{ year: 2025, capex: 8 }, { year: 2026, capex: 16 }];
+    const periodRows = [2025, 2026].flatMap((year, y) => [1, 2, 3, 4].map(q => ({
+      year, periodInYear: q, label: `Q${q} ${year}`, capex: y === 0 ? 2 : 4
+    })));
+    const result = testCovenant(custom({ frequency: 'quarterly' }), params, annual, periodRows);
+
+    expect(result.tests.map(t => t.label)).toEqual([
+      'Q1 2025', 'Q2 2025', 'Q3 2025', 'Q4 2025', 'Q1 2026', 'Q2 2026', 'Q3 2026', 'Q4 2026'
+    ]);
+    // Partial first-year windows are annualised; later windows roll over the year end
+    expect(result.tests.map(t => t.value)).toEqual([8, 8, 8, 8, 10, 12, 14, 16]);
+    expect(result.breaches.map(t => t.label)).toEqual(['Q2 2026', 'Q3 2026', 'Q4 2026']);
+    expect(result.breachYears).toEqual([2026]);
+  });
+
+  it('falls back to year-end tests without period rows', () => {
+    const result = testCovenant(custom({ frequency: 'semiannual' }), params, rows);
+    expect(result.tests.map(t => t.label)).toEqual(['2025', '2026', '2027']);
+  });
+});
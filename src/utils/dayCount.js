@@ -0,0 +1,173 @@
+// ============================================================================
+// dayCount.js - Day count conventions and business-day adjustment
+// ============================================================================
+// Dates are handled as UTC midnight so that day differences are exact and
+// independent of the user's time zone. Business days are Monday to Friday;
+// an optional list of ISO holiday dates can be supplied.
+//
+// Day counts (ISDA 2006 definitions):
+//   Actual/360     actual days / 360
+//   Actual/365     actual days / 365 (Actual/365 Fixed)
+//   30/360         30/360 US bond basis (D1 = 31 -> 30; D2 = 31 -> 30 if D1 >= 30)
+//   Actual/Actual  Actual/Actual ISDA - days in leap years / 366 plus days in
+//                  other years / 365
+// ============================================================================
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+export const BUSINESS_DAY_CONVENTIONS = {
+  none: 'Unadjusted',
+  following: 'Following',
+  'modified-following': 'Modified Following'
+};
+
+/**
+ * Parse an ISO date (YYYY-MM-DD) or Date into a UTC midnight Date
+ * @param {string|Date} value
+ * @returns {Date|null} Null when the value is not a valid date
+ */
+export function toUTCDate(value) {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime())
+      ? null
+      : new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+  }
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value || ''));
+  if (!match) return null;
+  return new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+}
+
+/**
+ * Format a UTC date as YYYY-MM-DD
+ * @param {Date} date
+ * @returns {string}
+ */
+export function toISODate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Actual days between two dates
+ * @param {Date} start
+ * @param {Date} end
+ * @returns {number}
+ */
+export function daysBetween(start, end) {
+  return Math.round((end.getTime() - start.getTime()) / MS_PER_DAY);
+}
+
+/**
+ * Check for a leap year
+ * @param {number} year
+ * @returns {boolean}
+ */
+export function isLeapYear(year) {
+  return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+}
+
+/**
+ * Add calendar months, keeping the anchor day where the month allows it
+ * (31 January + 1 month = 28/29 February; + 2 months = 31 March).
+ *
+ * @param {Date} date - Anchor date
+ * @param {number} months - Months to add
+ * @returns {Date}
+ */
+export function addMonths(date, months) {
+  const totalMonths = date.getUTCFullYear() * 12 + date.getUTCMonth() + months;
+  const year = Math.floor(totalMonths / 12);
+  const month = totalMonths - year * 12;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(date.getUTCDate(), lastDay)));
+}
+
+/**
+ * Check whether a date is a business day
+ * @param {Date} date
+ * @param {Array<string>} [holidays] - ISO holiday dates
+ * @returns {boolean}
+ */
+export function isBusinessDay(date, holidays = []) {
+  const weekday = date.getUTCDay();
+  return weekday !== 0 && weekday !== 6 && !holidays.includes(toISODate(date));
+}
+
+/**
+ * Roll a date onto a business day
+ * Following moves forward to the next business day; Modified Following does
+ * the same unless that crosses into the next month, in which case it moves
+ * back to the preceding business day.
+ *
+ * @param {Date} date - Unadjusted date
+ * @param {string} convention - 'none' | 'following' | 'modified-following'
+ * @param {Array<string>} [holidays] - ISO holiday dates
+ * @returns {Date}
+ */
+export function adjustBusinessDay(date, convention, holidays = []) {
+  if (!convention || convention === 'none') return date;
+
+  const step = (from, days) => new Date(from.getTime() + days * MS_PER_DAY);
+  let adjusted = date;
+  while (!isBusinessDay(adjusted, holidays)) adjusted = step(adjusted, 1);
+
+  if (convention === 'modified-following' && adjusted.getUTCMonth() !== date.getUTCMonth()) {
+    adjusted = date;
+    while (!isBusinessDay(adjusted, holidays)) adjusted = step(adjusted, -1);
+  }
+  return adjusted;
+}
+
+/**
+ * Year fraction between two dates under a day count convention
+ *
+ * @param {Date} start - Accrual start
+ * @param {Date} end - Accrual end
+ * @param {string} convention - 'Actual/360' | 'Actual/365' | '30/360' | 'Actual/Actual'
+ * @returns {number}
+ */
+export function yearFraction(start, end, convention = 'Actual/365') {
+  if (end <= start) return 0;
+
+  switch (convention) {
+    case 'Actual/360':
+      return daysBetween(start, end) / 360;
+
+    case '30/360': {
+      let d1 = start.getUTCDate();
+      let d2 = end.getUTCDate();
+      if (d1 === 31) d1 = 30;
+      if (d2 === 31 && d1 >= 30) d2 = 30;
+      const days = 360 * (end.getUTCFullYear() - start.getUTCFullYear()) +
+        30 * (end.getUTCMonth() - start.getUTCMonth()) + (d2 - d1);
+      return days / 360;
+    }
+
+    case 'Actual/Actual': {
+      // Split the period at each 1 January and weight by that year's length
+      let fraction = 0;
+      let cursor = start;
+      while (cursor < end) {
+        const year = cursor.getUTCFullYear();
+        const nextYear = new Date(Date.UTC(year + 1, 0, 1));
+        const segmentEnd = nextYear < end ? nextYear : end;
+        fraction += daysBetween(cursor, segmentEnd) / (isLeapYear(year) ? 366 : 365);
+        cursor = segmentEnd;
+      }
+      return fraction;
+    }
+
+    case 'Actual/365':
+    default:
+      return daysBetween(start, end) / 365;
+  }
+}
+
+/**
+ * Year fraction for a full projection (calendar) year
+ * @param {number} year - Calendar year
+ * @param {string} convention - Day count convention
+ * @returns {number}
+ */
+export function calendarYearFraction(year, convention) {
+  return yearFraction(new Date(Date.UTC(year, 0, 1)), new Date(Date.UTC(year + 1, 0, 1)), convention);
+}
@@ -320,7 +320,7 @@ function addScenarioAnalysis(pdf, data, margin, contentWidth) {
     `${numFmt(proj.moic || 0)}x`,
     numFmt(proj.creditStats?.minDSCR || 0),
     numFmt(proj.creditStats?.maxLeverage || 0),
-    (proj.breaches?.dscrBreaches || 0) + (proj.breaches?.icrBreaches || 0) + (proj.breaches?.ndBreaches || 0)
+    (proj.breaches?.totalBreaches || 0)
   ]);
 
   autoTable(pdf, {
@@ -431,7 +431,7 @@ function addCovenantAnalysis(pdf, data, margin, contentWidth) {
   y = pdf.lastAutoTable.finalY + 10;
 
   // Breach Summary
-  const totalBreaches = (breaches.dscrBreaches || 0) + (breaches.icrBreaches || 0) + (breaches.ndBreaches || 0);
+  const totalBreaches = (breaches.totalBreaches || 0);
   
   if (totalBreaches > 0) {
     pdf.setFillColor(254, 226, 226); // Light red
@@ -444,7 +444,10 @@ function addCovenantAnalysis(pdf, data, margin, contentWidth) {
     
     pdf.setFontSize(9);
     pdf.setFont(undefined, 'normal');
-    pdf.text(`DSCR: ${breaches.dscrBreaches || 0} | ICR: ${breaches.icrBreaches || 0} | Leverage: ${breaches.ndBreaches || 0}`, margin + 5, y + 14);
+    pdf.text((breaches.covenants || [])
+      .filter(c => c.breachYears.length > 0)
+      .map(c => `${c.name}: ${c.breachYears.length}`)
+      .join(' | '), margin + 5, y + 14);
     
     y += 25;
   } else {
@@ -958,7 +961,7 @@ function determineRecommendation(projection, data) {
 
   const stats = projection.creditStats;
   const breaches = projection.breaches || {};
-  const totalBreaches = (breaches.dscrBreaches || 0) + (breaches.icrBreaches || 0) + (breaches.ndBreaches || 0);
+  const totalBreaches = (breaches.totalBreaches || 0);
 
   const minDSCR = stats.minDSCR || 0;
   const maxLeverage = stats.maxLeverage || 0;
@@ -0,0 +1,162 @@
+// ============================================================================
+// distributions.js - Distribution policy and lender lock-up tests
+// ============================================================================
+// Each year the borrower targets a distribution under one of three policies:
+//   payout   - share of positive net income (1 - cashRetentionRate), limited
+//              so that cash still grows by the retained share of net income
+//              (the historical definition: change in cash / net income)
+//   fixed    - fixed amount per year (a number or a per-year array)
+//   residual - all cash above the minimum cash balance
+// and never pays out more than the cash above its minimum balance.
+//
+// Lock-up: distributions are blocked in any year the DSCR is below, or net
+// debt / EBITDA above, the lock-up thresholds in the covenant inputs. Each
+// test is off until a threshold is entered (blank or 0 = off), so models
+// saved before lock-ups existed pay out as before. Cash that would have been
+// paid is
+//   trap  - kept in the borrower as trapped cash, released once tests pass
+//   sweep - used to prepay term debt pro rata
+// ============================================================================
+
+import { valueForYear } from './mathUtils';
+
+export const DISTRIBUTION_POLICIES = {
+  payout: { label: 'Payout ratio (net income)' },
+  fixed: { label: 'Fixed amount per year' },
+  residual: { label: 'Residual cash' }
+};
+
+export const LOCKUP_TREATMENTS = {
+  trap: { label: 'Trapped (released when tests pass)' },
+  sweep: { label: 'Swept to prepay term debt' }
+};
+
+/**
+ * Default distribution settings for new models
+ * @returns {Object}
+ */
+export function getDefaultDistributionSettings() {
+  return {
+    distributionPolicy: 'payout',
+    distributionFixedAmount: 0,
+    // Cash kept back before any distribution (on top of revolver minimum cash)
+    distributionMinCash: 0,
+    // Lock-up thresholds (null or 0 = not tested)
+    distributionLockupDSCR: null,
+    distributionLockupNDToEBITDA: null,
+    lockupCashTreatment: 'trap'
+  };
+}
+
+/**
+ * Distribution policy key
+ * @param {Object} params - Model parameters (distributionPolicy)
+ * @returns {'payout'|'fixed'|'residual'}
+ */
+export function getDistributionPolicy(params) {
+  return DISTRIBUTION_POLICIES[params.distributionPolicy] ? params.distributionPolicy : 'payout';
+}
+
+/**
+ * What happens to cash blocked by a lock-up
+ * @param {Object} params - Model parameters (lockupCashTreatment)
+ * @returns {'trap'|'sweep'}
+ */
+export function getLockupTreatment(params) {
+  return params.lockupCashTreatment === 'sweep' ? 'sweep' : 'trap';
+}
+
+/**
+ * Lock-up thresholds in force
+ * @param {Object} params - Model parameters (distributionLockupDSCR, distributionLockupNDToEBITDA)
+ * @returns {Object} { minDSCR, maxNDToEBITDA } - null when a test is off
+ */
+export function getLockupThresholds(params) {
+  const resolve = (value) => (Number(value) > 0 ? Number(value) : null);
+  return {
+    minDSCR: resolve(params.distributionLockupDSCR),
+    maxNDToEBITDA: resolve(params.distributionLockupNDToEBITDA)
+  };
+}
+
+/**
+ * Run the lock-up tests for a year
+ * @param {Object} params - Model parameters
+ * @param {Object} metrics - { dscr (null = no debt service), leverage }
+ * @returns {Object} { locked, reasons }
+ */
+export function testDistributionLockup(params, { dscr, leverage }) {
+  const thresholds = getLockupThresholds(params);
+  const reasons = [];
+  if (thresholds.minDSCR !== null && dscr !== null && dscr < thresholds.minDSCR) {
+    reasons.push(`DSCR ${dscr.toFixed(2)}x < ${thresholds.minDSCR.toFixed(2)}x`);
+  }
+  if (thresholds.maxNDToEBITDA !== null && leverage > thresholds.maxNDToEBITDA) {
+    reasons.push(`ND/EBITDA ${Number.isFinite(leverage) ? `${leverage.toFixed(2)}x` : 'n/m'} > ${thresholds.maxNDToEBITDA.toFixed(2)}x`);
+  }
+  return { locked: reasons.length > 0, reasons };
+}
+
+/**
+ * Settle one year's distributions
+ *
+ * @param {Object} params - Model parameters
+ * @param {Object} year
+ * @param {number} year.yearIndex - Projection year index (0-based)
+ * @param {number} year.netIncome - Net income for the year
+ * @param {number} year.cashAvailable - Cash above the minimum balance
+ * @param {number} [year.cashGenerated] - Change in cash over the year before distributions (no limit when omitted)
+ * @param {number|null} year.dscr - DSCR tested for the lock-up
+ * @param {number} year.leverage - Net debt / EBITDA tested for the lock-up
+ * @param {number} year.trappedCash - Trapped cash brought forward
+ * @returns {Object} { target, dividends, locked, lockupReasons, blocked, released, sweep, trappedCash }
+ */
+export function settleDistributions(params, {
+  yearIndex, netIncome, cashAvailable, cashGenerated = Infinity, dscr, leverage, trappedCash
+}) {
+  const policy = getDistributionPolicy(params);
+  const available = Math.max(0, cashAvailable);
+  let target;
+  if (policy === 'fixed') {
+    target = Math.max(0, valueForYear(params.distributionFixedAmount || 0, yearIndex));
+  } else if (policy === 'residual') {
+    target = available;
+  } else {
+    const cashRetentionRate = params.cashRetentionRate ?? 0.10;
+    // Pay out only the cash the year generates beyond the retained share, so
+    // the payout does not run cash down to the minimum balance
+    target = netIncome > 0
+      ? Math.min(netIncome * (1 - cashRetentionRate), Math.max(0, cashGenerated - netIncome * cashRetentionRate))
+      : 0;
+  }
+
+  const { locked, reasons } = testDistributionLockup(params, { dscr, leverage });
+  if (locked) {
+    const blocked = Math.min(target, available);
+    const sweep = getLockupTreatment(params) === 'sweep' ? blocked : 0;
+    return {
+      target,
+      dividends: 0,
+      locked,
+      lockupReasons: reasons,
+      blocked,
+      released: 0,
+      sweep,
+      // Swept cash that finds no debt to repay is added back by the caller
+      trappedCash: Math.min(available, trappedCash + blocked - sweep)
+    };
+  }
+
+  // Tests passed: cash trapped in earlier years can go out with this year's distribution
+  const released = Math.min(trappedCash, Math.max(0, available - target));
+  return {
+    target,
+    dividends: Math.min(target + released, available),
+    locked,
+    lockupReasons: reasons,
+    blocked: 0,
+    released,
+    sweep: 0,
+    trappedCash: 0
+  };
+}
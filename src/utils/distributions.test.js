@@ -0,0 +1,75 @@
+import { getLockupThresholds, testDistributionLockup, settleDistributions } from './distributions';
+
+const year = (changes) => ({
+  yearIndex: 0, netIncome: 10e6, cashAvailable: 20e6, cashGenerated: 15e6, dscr: 2, leverage: 2, trappedCash: 0, ...changes
+});
+
+describe('distribution policies', () => {
+  it('pays out net income less the retained share', () => {
+    const result = settleDistributions({ cashRetentionRate: 0.1 }, year());
+    expect(result.target).toBeCloseTo(9e6);
+    expect(result.dividends).toBeCloseTo(9e6);
+  });
+
+  it('limits the payout so cash still grows by the retained share of net income', () => {
+    const result = settleDistributions({ cashRetentionRate: 0.1 }, year({ cashGenerated: 5e6 }));
+    expect(result.dividends).toBeCloseTo(4e6);
+    expect(settleDistributions({ cashRetentionRate: 0.1 }, year({ cashGenerated: -1e6 })).dividends).toBe(0);
+    expect(settleDistributions({ cashRetentionRate: 0.1 }, year({ netIncome: -5e6 })).dividends).toBe(0);
+  });
+
+  it('pays fixed amounts by year and residual cash above the minimum balance', () => {
+    const fixed = { distributionPolicy: 'fixed', distributionFixedAmount: [1e6, 2e6] };
+    expect(settleDistributions(fixed, year({ yearIndex: 1 })).dividends).toBe(2e6);
+    expect(settleDistributions({ distributionPolicy: 'residual' }, year()).dividends).toBe(20e6);
+  });
+
+  it('never pays out more than the cash above the minimum balance', () => {
+    const fixed = { distributionPolicy: 'fixed', distributionFixedAmount: 30e6 };
+    expect(settleDistributions(fixed, year()).dividends).toBe(20e6);
+    expect(settleDistributions(fixed, year({ cashAvailable: -1e6 })).dividends).toBe(0);
+  });
+});
+
+describe('lock-up tests', () => {
+  const params = { distributionLockupDSCR: 1.3, distributionLockupNDToEBITDA: 3 };
+
+  it('are off until a level is entered', () => {
+    expect(getLockupThresholds({})).toEqual({ minDSCR: null, maxNDToEBITDA: null });
+    expect(getLockupThresholds({ distributionLockupDSCR: 0, distributionLockupNDToEBITDA: '' }))
+      .toEqual({ minDSCR: null, maxNDToEBITDA: null });
+    expect(testDistributionLockup({}, { dscr: 0.5, leverage: 10 }).locked).toBe(false);
+  });
+
+  it('lock up below the DSCR level or above the leverage level', () => {
+    expect(testDistributionLockup(params, { dscr: 1.2, leverage: 2 }).reasons).toEqual(['DSCR 1.20x < 1.30x']);
+    expect(testDistributionLockup(params, { dscr: 1.5, leverage: 3.5 }).reasons).toEqual(['ND/EBITDA 3.50x > 3.00x']);
+    expect(testDistributionLockup(params, { dscr: 1.3, leverage: 3 }).locked).toBe(false);
+  });
+
+  it('do not test DSCR in a year without debt service', () => {
+    expect(testDistributionLockup(params, { dscr: null, leverage: 0 }).locked).toBe(false);
+  });
+});
+
+describe('locked-up cash', () => {
+  const params = { cashRetentionRate: 0.1, distributionLockupDSCR: 1.3 };
+
+  it('is trapped while the tests fail and released once they pass', () => {
+    const locked = settleDistributions(params, year({ dscr: 1.1 }));
+    expect(locked).toMatchObject({ dividends: 0, locked: true, sweep: 0 });
+    expect(locked.blocked).toBeCloseTo(9e6);
+    expect(locked.trappedCash).toBeCloseTo(9e6);
+
+    const released = settleDistributions(params, year({ cashAvailable: 25e6, trappedCash: locked.trappedCash }));
+    expect(released.released).toBeCloseTo(9e6);
+    expect(released.dividends).toBeCloseTo(18e6);
+    expect(released.trappedCash).toBe(0);
+  });
+
+  it('is swept to prepay debt under the sweep treatment', () => {
+    const result = settleDistributions({ ...params, lockupCashTreatment: 'sweep' }, year({ dscr: 1.1 }));
+    expect(result.sweep).toBeCloseTo(9e6);
+    expect(result.trappedCash).toBeCloseTo(0);
+  });
+});
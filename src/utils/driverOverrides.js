@@ -0,0 +1,105 @@
+// ============================================================================
+// driverOverrides.js - Year-by-year operating drivers
+// ============================================================================
+// Growth, COGS %, opex % and capex % are entered as one value for every year
+// (params.growth etc.) plus optional per-year overrides in
+// params.driverOverrides. A blank year (null) falls back to the scalar.
+//
+// applyShocks resolves the overrides into per-year driver arrays before
+// shocking them, so stress scenarios move the business plan rather than the
+// flat assumption.
+// ============================================================================
+
+import { valueForYear } from './mathUtils';
+
+// Drivers that can vary by year; bounds apply to entered overrides
+export const OVERRIDE_DRIVERS = {
+  growth: { label: 'Revenue Growth', min: -1, max: 5 },
+  cogsPct: { label: 'COGS %', min: 0, max: 1 },
+  opexPct: { label: 'OPEX %', min: 0, max: 1 },
+  capexPct: { label: 'CAPEX %', min: 0, max: 1 }
+};
+
+/**
+ * Default overrides for new models (every year blank)
+ * @returns {Object} { driver: [] }
+ */
+export function getDefaultDriverOverrides() {
+  return Object.keys(OVERRIDE_DRIVERS).reduce((acc, key) => ({ ...acc, [key]: [] }), {});
+}
+
+/**
+ * Override for one driver in one year
+ * @param {Object} params - Model parameters (driverOverrides)
+ * @param {string} driver - OVERRIDE_DRIVERS key
+ * @param {number} yearIndex - Projection year index (0-based)
+ * @returns {number|null} null when the year is blank
+ */
+export function getDriverOverride(params, driver, yearIndex) {
+  const value = params.driverOverrides?.[driver]?.[yearIndex];
+  return value !== null && value !== '' && Number.isFinite(Number(value)) ? Number(value) : null;
+}
+
+/**
+ * Driver value used for a projection year: the override, else the scalar
+ * The scalar may itself be a per-year array (shocked drivers).
+ *
+ * @param {Object} params - Model parameters
+ * @param {string} driver - OVERRIDE_DRIVERS key
+ * @param {number} yearIndex - Projection year index (0-based)
+ * @returns {number}
+ */
+export function getDriverValue(params, driver, yearIndex) {
+  const override = getDriverOverride(params, driver, yearIndex);
+  return override ?? valueForYear(params[driver], yearIndex);
+}
+
+/**
+ * Driver values for every projection year
+ * @param {Object} params - Model parameters (years)
+ * @param {string} driver - OVERRIDE_DRIVERS key
+ * @returns {Array<number>}
+ */
+export function getDriverPath(params, driver) {
+  return Array.from({ length: params.years || 0 }, (_, i) => getDriverValue(params, driver, i));
+}
+
+/**
+ * Check whether any year of a driver (or of any driver) is overridden
+ * @param {Object} params - Model parameters
+ * @param {string} [driver] - OVERRIDE_DRIVERS key; all drivers when omitted
+ * @returns {boolean}
+ */
+export function hasDriverOverrides(params, driver) {
+  const drivers = driver ? [driver] : Object.keys(OVERRIDE_DRIVERS);
+  return drivers.some(key =>
+    Array.from({ length: params.years || 0 }, (_, i) => getDriverOverride(params, key, i)).some(v => v !== null)
+  );
+}
+
+/**
+ * Bake the overrides into per-year driver arrays and clear them
+ * Drivers without overrides keep their scalar value.
+ *
+ * @param {Object} params - Model parameters
+ * @returns {Object} Parameters without driverOverrides
+ */
+export function resolveDriverOverrides(params) {
+  if (!hasDriverOverrides(params)) return params;
+
+  const resolved = { ...params, driverOverrides: getDefaultDriverOverrides() };
+  Object.keys(OVERRIDE_DRIVERS).forEach(key => {
+    if (hasDriverOverrides(params, key)) resolved[key] = getDriverPath(params, key);
+  });
+  return resolved;
+}
+
+/**
+ * Apply a function to a flat or per-year driver value
+ * @param {number|Array<number>} value - Driver value
+ * @param {Function} fn - (value, yearIndex) => new value
+ * @returns {number|Array<number>}
+ */
+export function mapDriverValue(value, fn) {
+  return Array.isArray(value) ? value.map((v, i) => fn(v, i)) : fn(value, 0);
+}
@@ -0,0 +1,57 @@
+import {
+  getDriverOverride,
+  getDriverValue,
+  getDriverPath,
+  hasDriverOverrides,
+  resolveDriverOverrides,
+  mapDriverValue
+} from './driverOverrides';
+import { applyShocks } from './applyShocks';
+import { buildProjection } from './buildProjection';
+
+const params = {
+  startYear: 2025, years: 4, baseRevenue: 100e6, growth: 0.05, cogsPct: 0.4, opexPct: 0.25, capexPct: 0.05,
+  daPctOfPPE: 0.1, wcPctOfRev: 0.15, taxRate: 0.25, wacc: 0.1, terminalGrowth: 0.03, openingCash: 5e6,
+  requestedLoanAmount: 0,
+  driverOverrides: { growth: [null, 0.2, '', '0.1'], cogsPct: [], opexPct: [], capexPct: [] }
+};
+
+describe('driver overrides', () => {
+  it('fall back to the flat driver in blank years', () => {
+    expect(getDriverOverride(params, 'growth', 0)).toBeNull();
+    expect(getDriverOverride(params, 'growth', 2)).toBeNull();
+    expect(getDriverOverride(params, 'growth', 3)).toBe(0.1);
+    expect(getDriverValue(params, 'growth', 2)).toBe(0.05);
+    expect(getDriverPath(params, 'growth')).toEqual([0.05, 0.2, 0.05, 0.1]);
+  });
+
+  it('are detected per driver', () => {
+    expect(hasDriverOverrides(params)).toBe(true);
+    expect(hasDriverOverrides(params, 'cogsPct')).toBe(false);
+    expect(hasDriverOverrides({ ...params, years: 1 })).toBe(false);
+  });
+
+  it('resolve into per-year arrays for overridden drivers only', () => {
+    const resolved = resolveDriverOverrides(params);
+    expect(resolved.growth).toEqual([0.05, 0.2, 0.05, 0.1]);
+    expect(resolved.cogsPct).toBe(0.4);
+    expect(hasDriverOverrides(resolved)).toBe(false);
+    expect(resolveDriverOverrides({ ...params, driverOverrides: {} })).toEqual({ ...params, driverOverrides: {} });
+  });
+
+  it('map flat and per-year values alike', () => {
+    expect(mapDriverValue(0.4, v => v + 0.1)).toBeCloseTo(0.5);
+    expect(mapDriverValue([0.1, 0.2], (v, i) => v + i)).toEqual([0.1, 1.2]);
+  });
+});
+
+describe('driver overrides in the projection', () => {
+  it('grow revenue on the per-year plan and shock it', () => {
+    const shocks = { growthDelta: -0.05, cogsDelta: 0, opexDelta: 0, capexDelta: 0, rateDelta: 0, waccDelta: 0, termGDelta: 0 };
+    const expectRevenue = (p, expected) => buildProjection(p).rows.forEach((row, i) =>
+      expect(row.revenue).toBeCloseTo(expected[i], 0));
+
+    expectRevenue(params, [100e6, 120e6, 126e6, 138.6e6]);
+    expectRevenue(applyShocks(params, shocks), [100e6, 115e6, 115e6, 120.75e6]);
+  });
+});
@@ -1,5 +1,7 @@
 // src/utils/exportLoanMetrics.js
-import { currencyFmt, numFmt } from "./formatters";
+import { currencyFmt, numFmt, pctFmt } from "./formatters";
+import { LEASE_COVENANT_BASES, getLeaseCovenantBasis } from "./leases";
+import { DISTRIBUTION_POLICIES, LOCKUP_TREATMENTS, getDistributionPolicy, getLockupThresholds, getLockupTreatment } from "./distributions";
 
 // Constants
 const DEFAULT_MAX_LTV = 75;
@@ -139,6 +141,132 @@ export function exportLoanMetricsCSV(
       sections.push([]);
     }
 
+    // --- Repayment Calendar (per tranche, per payment date) ---
+    (projection.paymentSchedules || []).forEach(schedule => {
+      if (!schedule.payments?.length) return;
+      sections.push(row([`--- Repayment Calendar: ${schedule.name} ---`]));
+      const scheduleCcy = schedule.currency || ccy;
+      sections.push(row(["Currency", scheduleCcy]));
+      sections.push(row(["Payment Frequency", schedule.frequency]));
+      sections.push(row(["Day Count Convention", schedule.dayCountConvention]));
+      sections.push(row(["Business Day Convention", schedule.businessDayConvention]));
+      sections.push(row(["Maturity Date", schedule.maturityDate]));
+      if (schedule.payments.some(p => p.beforeMaturity)) {
+        sections.push(row(["Note", "Principal is repaid before the stated maturity date in the projection"]));
+      }
+      sections.push(row([
+        "Period",
+        "Accrual Start",
+        "Accrual End",
+        "Payment Date",
+        "Days",
+        "Interest Rate",
+        "Opening Balance",
+        "Interest",
+        "Scheduled Principal",
+        "Prepayment",
+        "Total Payment",
+        "Closing Balance"
+      ]));
+
+      schedule.payments.forEach(payment => {
+        sections.push(row([
+          payment.period,
+          payment.accrualStart,
+          payment.accrualEnd,
+          payment.paymentDate,
+          payment.days,
+          `${(payment.rate * 100).toFixed(3)}%`,
+          currencyFmt(payment.openingBalance, scheduleCcy),
+          currencyFmt(payment.interest, scheduleCcy),
+          currencyFmt(payment.scheduledPrincipal, scheduleCcy),
+          currencyFmt(payment.prepayment, scheduleCcy),
+          currencyFmt(payment.totalPayment, scheduleCcy),
+          currencyFmt(payment.closingBalance, scheduleCcy)
+        ]));
+      });
+      sections.push([]);
+    });
+
+    // --- Operating Drivers (per year, after any overrides and shocks) ---
+    sections.push(row(["--- Operating Drivers by Year ---"]));
+    sections.push(row(["Year", "Revenue", "Revenue Growth", "Variable COGS %", "Variable OPEX %", "Fixed Costs", "CAPEX %", "EBITDA", "EBITDA Margin", "Operating Leverage", "Breakeven Revenue"]));
+    projection.rows.forEach(yearRow => {
+      sections.push(row([
+        yearRow.year,
+        currencyFmt(yearRow.revenue, ccy),
+        yearRow.revenueGrowth === null || yearRow.revenueGrowth === undefined ? "Base year" : pctFmt(yearRow.revenueGrowth),
+        pctFmt(yearRow.cogsPct),
+        pctFmt(yearRow.opexPct),
+        currencyFmt(yearRow.fixedCosts || 0, ccy),
+        pctFmt(yearRow.capexPct),
+        currencyFmt(yearRow.ebitda, ccy),
+        pctFmt(yearRow.ebitdaMargin),
+        yearRow.operatingLeverage === null || yearRow.operatingLeverage === undefined ? "N/M" : `${numFmt(yearRow.operatingLeverage)}x`,
+        yearRow.breakevenRevenue === null || yearRow.breakevenRevenue === undefined ? "N/M" : currencyFmt(yearRow.breakevenRevenue, ccy)
+      ]));
+    });
+    sections.push([]);
+
+    // --- Capex & Depreciation by Asset Class (when scheduled) ---
+    if (projection.rows[0]?.assetClasses) {
+      sections.push(row(["--- Capex & Depreciation by Asset Class ---"]));
+      sections.push(row(["Year", "Asset Class", "Maintenance Capex", "Growth Capex", "Depreciation", "Net PPE"]));
+      projection.rows.forEach(yearRow => {
+        yearRow.assetClasses.forEach(assetClass => {
+          sections.push(row([
+            yearRow.year,
+            assetClass.name,
+            currencyFmt(assetClass.maintenanceCapex, ccy),
+            currencyFmt(assetClass.growthCapex, ccy),
+            currencyFmt(assetClass.depreciation, ccy),
+            currencyFmt(assetClass.netPPE, ccy)
+          ]));
+        });
+      });
+      sections.push([]);
+    }
+
+    // --- IFRS 16 Leases (when any) ---
+    if (projection.rows.some(yearRow => (yearRow.leasePayment || 0) > 0 || (yearRow.leaseLiability || 0) > 0)) {
+      sections.push(row(["--- IFRS 16 Leases ---"]));
+      sections.push(row(["Covenant Basis", LEASE_COVENANT_BASES[getLeaseCovenantBasis(params)].label]));
+      sections.push(row(["Year", "Lease Payments", "Lease Interest", "ROU Depreciation", "Lease Liability", "ROU Asset", "Covenant EBITDA"]));
+      projection.rows.forEach(yearRow => {
+        sections.push(row([
+          yearRow.year,
+          currencyFmt(yearRow.leasePayment, ccy),
+          currencyFmt(yearRow.leaseInterest, ccy),
+          currencyFmt(yearRow.leaseDepreciation, ccy),
+          currencyFmt(yearRow.leaseLiability, ccy),
+          currencyFmt(yearRow.rouAsset, ccy),
+          currencyFmt(yearRow.covenantEbitda, ccy)
+        ]));
+      });
+      sections.push([]);
+    }
+
+    // --- Income Tax (charge vs cash paid) ---
+    sections.push(row(["--- Income Tax ---"]));
+    sections.push(row(["Year", "Taxable Profit", "Current Tax", "Deferred Tax", "Tax Expense", "Cash Tax Paid", "Tax Payable", "Deferred Tax Liability", "Losses Used", "Losses Expired", "Losses Carried Forward", "Tax Relief %"]));
+    projection.rows.forEach(yearRow => {
+      sections.push(row([
+        yearRow.year,
+        currencyFmt(yearRow.taxableProfit || 0, ccy),
+        currencyFmt(yearRow.currentTax ?? yearRow.tax, ccy),
+        currencyFmt(yearRow.deferredTax || 0, ccy),
+        currencyFmt(yearRow.tax, ccy),
+        currencyFmt(yearRow.cashTax ?? yearRow.tax, ccy),
+        currencyFmt(yearRow.taxPayable || 0, ccy),
+        currencyFmt(yearRow.deferredTaxLiability || 0, ccy),
+        currencyFmt(yearRow.taxLossesUsed || 0, ccy),
+        currencyFmt(yearRow.taxLossesExpired || 0, ccy),
+        currencyFmt(yearRow.taxLossesCarriedForward || 0, ccy),
+        pctFmt(yearRow.taxRelief || 0)
+      ]));
+    });
+    sections.push([]);
+
     // --- Covenant Compliance Analysis ---
     sections.push(row(["--- Covenant Compliance Analysis ---"]));
     sections.push(row([
@@ -160,7 +288,7 @@ export function exportLoanMetricsCSV(
 
     let cumulativeNewPrincipal = 0;
     
-    projection.rows.forEach((row, index) => {
+    projection.rows.forEach((yearRow, index) => {
       const newFacility = newFacilitySchedule?.[index];
       const newPrincipal = newFacility?.principalPayment ?? 0;
       const newInterest = newFacility?.interestPayment ?? 0;
@@ -170,30 +298,30 @@ export function exportLoanMetricsCSV(
       const remainingNewBalance = Math.max(0, loanAmount - cumulativeNewPrincipal);
 
       // Calculate combined metrics
-      const totalDebtService = (row.debtService ?? 0) + newService;
-      const totalDebt = (row.endingDebt ?? 0) + remainingNewBalance;
+      const totalDebtService = (yearRow.debtService ?? 0) + newService;
+      const totalDebt = (yearRow.endingDebt ?? 0) + remainingNewBalance;
       const ltvPercent = params.collateralValue 
         ? (totalDebt / params.collateralValue) * 100 
         : 0;
-      const cashAfterService = (row.fcfToEquity ?? 0) - newService;
+      const cashAfterService = (yearRow.fcfToEquity ?? 0) - newService;
 
       // Determine status
-      const dscrStatus = row.dscr >= minDSCR ? "PASS" : "BREACH";
-      const icrStatus = row.icr >= targetICR ? "PASS" : "BREACH";
-      const leverageStatus = row.ndToEbitda <= maxLeverage ? "PASS" : "BREACH";
-      const overallStatus = (row.dscrBreach || row.icrBreach || row.ndBreach) 
+      const dscrStatus = yearRow.dscr >= minDSCR ? "PASS" : "BREACH";
+      const icrStatus = yearRow.icr >= targetICR ? "PASS" : "BREACH";
+      const leverageStatus = yearRow.ndToEbitda <= maxLeverage ? "PASS" : "BREACH";
+      const overallStatus = (yearRow.dscrBreach || yearRow.icrBreach || yearRow.ndBreach) 
         ? "BREACH" 
         : "PASS";
 
       sections.push(row([
-        row.year,
-        numFmt(row.dscr),
-        numFmt(row.dscr - minDSCR),
+        yearRow.year,
+        numFmt(yearRow.dscr),
+        numFmt(yearRow.dscr - minDSCR),
         dscrStatus,
-        numFmt(row.icr),
-        numFmt(row.icr - targetICR),
+        numFmt(yearRow.icr),
+        numFmt(yearRow.icr - targetICR),
         icrStatus,
-        numFmt(row.ndToEbitda),
+        numFmt(yearRow.ndToEbitda),
         leverageStatus,
         ltvPercent.toFixed(1) + "%",
         (maxLTV - ltvPercent).toFixed(1) + "%",
@@ -212,6 +340,50 @@ export function exportLoanMetricsCSV(
     sections.push(row(["Maximum LTV", `${maxLTV}%`]));
     sections.push([]);
 
+    // --- Reserve Accounts (when any) ---
+    if ((params.reserveAccounts || []).length > 0) {
+      sections.push(row(["--- Reserve Accounts ---"]));
+      sections.push(row(["Year", "Reserve", "Target", "Top-Up", "Draw", "Release", "Balance", "DSCR", "DSCR incl. Reserve Draws"]));
+      projection.rows.forEach(yearRow => {
+        (yearRow.reserveDetails || []).forEach(reserve => {
+          sections.push(row([
+            yearRow.year,
+            reserve.name,
+            currencyFmt(reserve.target, ccy),
+            currencyFmt(reserve.topUp, ccy),
+            currencyFmt(reserve.draw, ccy),
+            currencyFmt(reserve.release, ccy),
+            currencyFmt(reserve.balance, ccy),
+            numFmt(yearRow.dscr),
+            numFmt(yearRow.dscrWithReserveDraws)
+          ]));
+        });
+      });
+      sections.push([]);
+    }
+
+    // --- Distributions & Lock-Up ---
+    const lockup = getLockupThresholds(params);
+    sections.push(row(["--- Distributions & Lock-Up ---"]));
+    sections.push(row(["Policy", DISTRIBUTION_POLICIES[getDistributionPolicy(params)].label]));
+    sections.push(row(["Lock-Up DSCR", lockup.minDSCR !== null ? numFmt(lockup.minDSCR) : "Not tested"]));
+    sections.push(row(["Lock-Up Net Debt/EBITDA", lockup.maxNDToEBITDA !== null ? numFmt(lockup.maxNDToEBITDA) : "Not tested"]));
+    sections.push(row(["Blocked Cash", LOCKUP_TREATMENTS[getLockupTreatment(params)].label]));
+    sections.push(row(["Year", "Target Distribution", "Distribution Paid", "Locked Up", "Reason", "Blocked", "Swept to Debt", "Trapped Cash"]));
+    projection.rows.forEach(yearRow => {
+      sections.push(row([
+        yearRow.year,
+        currencyFmt(yearRow.distributionTarget || 0, ccy),
+        currencyFmt(yearRow.dividends || 0, ccy),
+        yearRow.distributionLocked ? "YES" : "NO",
+        (yearRow.lockupReasons || []).join("; "),
+        currencyFmt(yearRow.distributionsBlocked || 0, ccy),
+        currencyFmt(yearRow.lockupPrepayments || 0, ccy),
+        currencyFmt(yearRow.trappedCash || 0, ccy)
+      ]));
+    });
+    sections.push([]);
+
     // --- Summary Statistics ---
     const actualMinDSCR = Math.min(...projection.rows.map(r => r.dscr));
     const actualMinICR = Math.min(...projection.rows.map(r => r.icr));
@@ -226,6 +398,9 @@ export function exportLoanMetricsCSV(
     sections.push(row(["DSCR Breaches", projection.breaches?.dscrBreaches ?? 0]));
     sections.push(row(["ICR Breaches", projection.breaches?.icrBreaches ?? 0]));
     sections.push(row(["Leverage Breaches", projection.breaches?.ndBreaches ?? 0]));
+    (projection.breaches?.covenants || []).filter(c => !c.standard && c.active).forEach(c => {
+      sections.push(row([`${c.name} Breaches`, c.breachYears.length]));
+    });
 
     // --- Generate and Download CSV ---
     const csvContent = sections.join("\n");
@@ -124,7 +124,13 @@ export function exportComprehensiveStressTestReport(
       [
         'Year',
         'Revenue',
+        'Revenue Growth',
+        'COGS %',
+        'OPEX %',
+        'CAPEX %',
         'EBITDA',
+        'Operating Leverage',
+        'Breakeven Revenue (DSCR 1.0x)',
         'DSCR',
         'DSCR Status',
         'ICR', 
@@ -142,7 +148,13 @@ export function exportComprehensiveStressTestReport(
       sections[sections.length - 1].push([
         row.year,
         currencyFmtMM(row.revenue, ccy),
+        row.revenueGrowth === null || row.revenueGrowth === undefined ? 'Base year' : pctFmt(row.revenueGrowth),
+        pctFmt(row.cogsPct),
+        pctFmt(row.opexPct),
+        pctFmt(row.capexPct),
         currencyFmtMM(row.ebitda, ccy),
+        row.operatingLeverage === null || row.operatingLeverage === undefined ? 'N/M' : numFmt(row.operatingLeverage) + 'x',
+        row.debtServiceBreakevenRevenue === null || row.debtServiceBreakevenRevenue === undefined ? 'N/M' : currencyFmtMM(row.debtServiceBreakevenRevenue, ccy),
         numFmt(row.dscr),
         row.dscr >= params.minDSCR ? 'PASS' : 'BREACH',
         numFmt(row.icr),
@@ -0,0 +1,84 @@
+// ============================================================================
+// floatingRate.js - Floating-rate tranches linked to a base-rate curve
+// ============================================================================
+// A floating tranche pays base rate + margin, where the base rate (e.g. BOJ
+// policy rate, SOFR forward path) is entered per projection year in
+// params.baseRateCurve. Optional floors and caps bound the base rate before
+// the margin is added. Rate stress (params.baseRateShift, set by applyShocks)
+// moves the base curve only, so fixed-rate tranches are unaffected. The shift
+// is flat or a per-year array (multi-year shock paths).
+// ============================================================================
+
+import { valueForYear } from './mathUtils';
+
+export const DEFAULT_BASE_RATE = 0.05;
+
+/**
+ * Check whether a tranche floats over the base-rate curve
+ * @param {Object} tranche - Debt tranche
+ * @returns {boolean}
+ */
+export function isFloatingRate(tranche) {
+  return tranche?.rateType === 'floating';
+}
+
+/**
+ * Base rate for a projection year, including any stress shift
+ * Years beyond the end of the curve hold its last value.
+ *
+ * @param {Object} params - Model parameters (baseRateCurve, baseRateShift)
+ * @param {number} yearIndex - Projection year index (0-based)
+ * @returns {number} Base rate (decimal)
+ */
+export function getBaseRate(params, yearIndex) {
+  const curve = Array.isArray(params.baseRateCurve) ? params.baseRateCurve : [];
+  const rate = curve.length > 0
+    ? curve[Math.min(Math.max(0, yearIndex), curve.length - 1)]
+    : DEFAULT_BASE_RATE;
+  return (Number.isFinite(rate) ? rate : 0) + valueForYear(params.baseRateShift, yearIndex);
+}
+
+/**
+ * Apply a tranche's floor and cap to the base rate
+ * Empty floor / cap fields (null, undefined, '') mean no bound.
+ *
+ * @param {Object} tranche - Floating tranche (rateFloor, rateCap)
+ * @param {number} baseRate - Base rate before bounds
+ * @returns {number}
+ */
+export function boundBaseRate(tranche, baseRate) {
+  let rate = baseRate;
+  if (tranche.rateFloor !== null && tranche.rateFloor !== undefined && tranche.rateFloor !== '') {
+    rate = Math.max(rate, Number(tranche.rateFloor));
+  }
+  if (tranche.rateCap !== null && tranche.rateCap !== undefined && tranche.rateCap !== '') {
+    rate = Math.min(rate, Number(tranche.rateCap));
+  }
+  return rate;
+}
+
+/**
+ * All-in interest rate for a term tranche in a projection year
+ * Fixed tranches return their contractual rate; floating tranches return
+ * the bounded base rate plus margin.
+ *
+ * @param {Object} tranche - Debt tranche
+ * @param {Object} params - Model parameters
+ * @param {number} yearIndex - Projection year index (0-based)
+ * @returns {number} Annual rate (decimal)
+ */
+export function getTrancheRate(tranche, params, yearIndex) {
+  if (!isFloatingRate(tranche)) return tranche.rate || 0;
+  return boundBaseRate(tranche, getBaseRate(params, yearIndex)) + (tranche.margin || 0);
+}
+
+/**
+ * All-in rate path for a tranche over the projection
+ *
+ * @param {Object} tranche - Debt tranche
+ * @param {Object} params - Model parameters (years, baseRateCurve, baseRateShift)
+ * @returns {Array<number>} Rate per projection year
+ */
+export function getTrancheRatePath(tranche, params) {
+  return Array.from({ length: params.years || 0 }, (_, i) => getTrancheRate(tranche, params, i));
+}
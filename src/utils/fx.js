@@ -0,0 +1,92 @@
+// ============================================================================
+// fx.js - Foreign-currency tranches translated into the reporting currency
+// ============================================================================
+// The model reports in params.reportingCurrency (the revenue currency). A term
+// tranche may be denominated in another currency (tranche.currency); its
+// schedule runs in that currency and is translated at the FX rate for each
+// projection year. Rates are quoted as reporting-currency units per one unit
+// of the foreign currency (e.g. JMD per USD: 155).
+//
+// params.fxRates: { USD: { spot: 155, curve: [157, 160, ...] } }
+//   spot  - rate at the opening balance sheet date
+//   curve - rate for each projection year (holds its last value; spot if empty)
+//
+// Depreciation stress (params.fxShock, set by applyShocks) scales every
+// projected rate: a 0.15 shock means 15% more reporting currency per unit of
+// foreign currency from year 1 on, while the opening spot is unchanged. The
+// retranslation of foreign debt is an exchange loss in profit or loss (IAS 21).
+// ============================================================================
+
+export const SUPPORTED_CURRENCIES = {
+  JMD: 'Jamaican Dollar',
+  USD: 'US Dollar',
+  EUR: 'Euro',
+  GBP: 'British Pound',
+  CAD: 'Canadian Dollar',
+  AUD: 'Australian Dollar'
+};
+
+/**
+ * Check whether a tranche is denominated outside the reporting currency
+ * @param {Object} tranche - Debt tranche
+ * @param {Object} params - Model parameters (reportingCurrency)
+ * @returns {boolean}
+ */
+export function isForeignCurrency(tranche, params) {
+  return Boolean(tranche?.currency) && tranche.currency !== (params.reportingCurrency || tranche.currency);
+}
+
+/**
+ * Opening (spot) FX rate for a currency
+ * @param {Object} params - Model parameters (fxRates, reportingCurrency)
+ * @param {string} currency - Currency code
+ * @returns {number} Reporting units per foreign unit (1 for the reporting currency)
+ */
+export function getFxSpot(params, currency) {
+  if (!currency || !params.reportingCurrency || currency === params.reportingCurrency) return 1;
+  const spot = params.fxRates?.[currency]?.spot;
+  return Number.isFinite(spot) && spot > 0 ? spot : 1;
+}
+
+/**
+ * FX rate for a projection year, including any depreciation shock
+ * @param {Object} params - Model parameters (fxRates, fxShock, reportingCurrency)
+ * @param {string} currency - Currency code
+ * @param {number} yearIndex - Projection year index (0-based)
+ * @returns {number} Reporting units per foreign unit
+ */
+export function getFxRate(params, currency, yearIndex) {
+  if (!currency || !params.reportingCurrency || currency === params.reportingCurrency) return 1;
+  const curve = params.fxRates?.[currency]?.curve;
+  const rate = Array.isArray(curve) && curve.length > 0
+    ? curve[Math.min(Math.max(0, yearIndex), curve.length - 1)]
+    : getFxSpot(params, currency);
+  return (Number.isFinite(rate) && rate > 0 ? rate : 1) * (1 + (params.fxShock || 0));
+}
+
+/**
+ * FX rate path for a tranche over the projection
+ * Reporting-currency tranches return null (no translation needed).
+ *
+ * @param {Object} tranche - Debt tranche
+ * @param {Object} params - Model parameters
+ * @returns {Object|null} { currency, spot, rates }
+ */
+export function getTrancheFxPath(tranche, params) {
+  if (!isForeignCurrency(tranche, params)) return null;
+  return {
+    currency: tranche.currency,
+    spot: getFxSpot(params, tranche.currency),
+    rates: Array.from({ length: params.years || 0 }, (_, i) => getFxRate(params, tranche.currency, i))
+  };
+}
+
+/**
+ * Foreign currencies used by the tranches
+ * @param {Array} tranches - Debt tranches
+ * @param {Object} params - Model parameters (reportingCurrency)
+ * @returns {Array<string>}
+ */
+export function getForeignCurrencies(tranches, params) {
+  return [...new Set((tranches || []).filter(t => isForeignCurrency(t, params)).map(t => t.currency))];
+}
@@ -0,0 +1,57 @@
+import { getFxRate, getFxSpot, getTrancheFxPath, getForeignCurrencies, isForeignCurrency } from './fx';
+import { buildProjection } from './buildProjection';
+
+const fxParams = {
+  reportingCurrency: 'JMD',
+  years: 3,
+  fxRates: { USD: { spot: 150, curve: [155, 160] } }
+};
+
+describe('FX rates', () => {
+  it('quotes the reporting currency at 1 and holds the last curve rate', () => {
+    expect(getFxRate(fxParams, 'JMD', 0)).toBe(1);
+    expect(getFxSpot(fxParams, 'USD')).toBe(150);
+    expect([0, 1, 2].map(i => getFxRate(fxParams, 'USD', i))).toEqual([155, 160, 160]);
+  });
+
+  it('falls back to spot without a curve and to 1 without a rate', () => {
+    expect(getFxRate({ ...fxParams, fxRates: { USD: { spot: 150 } } }, 'USD', 1)).toBe(150);
+    expect(getFxRate(fxParams, 'EUR', 0)).toBe(1);
+  });
+
+  it('scales projected rates, not spot, by the depreciation shock', () => {
+    const shocked = { ...fxParams, fxShock: 0.1 };
+    expect(getFxSpot(shocked, 'USD')).toBe(150);
+    expect(getFxRate(shocked, 'USD', 0)).toBeCloseTo(170.5);
+  });
+});
+
+describe('foreign-currency tranches', () => {
+  const tranches = [{ currency: 'USD' }, { currency: 'JMD' }, {}, { currency: 'USD' }];
+
+  it('are the tranches outside the reporting currency', () => {
+    expect(tranches.map(t => isForeignCurrency(t, fxParams))).toEqual([true, false, false, true]);
+    expect(getForeignCurrencies(tranches, fxParams)).toEqual(['USD']);
+    expect(getTrancheFxPath(tranches[1], fxParams)).toBeNull();
+    expect(getTrancheFxPath(tranches[0], fxParams)).toEqual({ currency: 'USD', spot: 150, rates: [155, 160, 160] });
+  });
+
+  it('are translated each year with the retranslation taken as an exchange loss', () => {
+    const { rows } = buildProjection({
+      startYear: 2025, years: 3, baseRevenue: 1000e6, growth: 0.05, cogsPct: 0.4, opexPct: 0.25, capexPct: 0.05,
+      daPctOfPPE: 0.1, wcPctOfRev: 0.15, taxRate: 0.25, wacc: 0.1, terminalGrowth: 0.03, openingCash: 50e6,
+      ...fxParams,
+      hasMultipleTranches: true,
+      debtTranches: [{
+        id: 1, name: 'USD Loan', currency: 'USD', amount: 1e6, rate: 0.08, tenorYears: 3, amortizationType: 'bullet',
+        paymentFrequency: 'Annually', maturityDate: '2027-12-31', seniority: 'Senior Secured'
+      }]
+    });
+
+    expect(rows[0].grossDebt).toBeCloseTo(155e6, 0);
+    expect(rows[0].fxTranslationLoss).toBeCloseTo(5e6, 0);
+    expect(rows[1].fxTranslationLoss).toBeCloseTo(5e6, 0);
+    expect(rows[2].fxTranslationLoss).toBeCloseTo(0, 0);
+    expect(rows[1].trancheDetails[0].interest).toBeCloseTo(1e6 * 0.08 * 160, -2);
+  });
+});
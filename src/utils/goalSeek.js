@@ -0,0 +1,134 @@
+// ============================================================================
+// goalSeek.js - Solve any model input for a target projection output
+// ============================================================================
+// Goal seek varies one params field (the variable) and reruns buildProjection
+// until a projection output (the target) reaches the requested value, e.g.
+// "what growth rate takes minimum DSCR to the 1.20x covenant?".
+//
+// The solver scans the search range for a sign change of (output - target),
+// preferring the bracket nearest the current input, then bisects it. Outputs
+// are not always monotonic (ratios cap at 999 when there is no debt service),
+// so when no bracket exists the closest point found is returned instead.
+//
+// Variables are params paths and targets are MODEL_OUTPUTS keys or projection
+// paths (see modelVariables.js).
+// ============================================================================
+
+import { buildProjection } from './buildProjection';
+import { MODEL_INPUTS, getPathValue, setPathValue, getOutputValue } from './modelVariables';
+
+const DEFAULT_MAX_ITERATIONS = 60;
+const SCAN_POINTS = 24;
+
+/**
+ * Default search range for a variable
+ * @param {string} variable - Params path
+ * @param {number} currentValue - Current value of the variable
+ * @returns {Object} { lowerBound, upperBound }
+ */
+export function getDefaultBounds(variable, currentValue) {
+  const input = MODEL_INPUTS[variable];
+  if (input && input.format === 'percent') {
+    return { lowerBound: input.min, upperBound: input.max };
+  }
+  const magnitude = Math.abs(currentValue) || 1;
+  return { lowerBound: 0, upperBound: magnitude * (input?.scale || 3) };
+}
+
+/**
+ * Solve for the variable value that produces a target output
+ *
+ * @param {Object} params - Model parameters
+ * @param {Object} options
+ * @param {string} options.variable - Params path to vary
+ * @param {string} options.target - MODEL_OUTPUTS key or projection path
+ * @param {number} options.targetValue - Output value to reach
+ * @param {number} [options.year] - Projection year (1-based) for by-year targets
+ * @param {number} [options.lowerBound] - Search range (defaults from getDefaultBounds)
+ * @param {number} [options.upperBound]
+ * @param {number} [options.tolerance] - Acceptable |output - targetValue|
+ * @param {number} [options.maxIterations] - Bisection steps
+ * @returns {Object} { converged, solution, achievedValue, currentValue, currentOutput,
+ *   lowerBound, upperBound, evaluations, message }
+ */
+export function goalSeek(params, options) {
+  const { variable, target, targetValue, year = 1 } = options;
+  const currentValue = getPathValue(params, variable);
+
+  if (!Number.isFinite(currentValue)) {
+    throw new Error(`"${variable}" is not a numeric model input`);
+  }
+  if (!Number.isFinite(targetValue)) {
+    throw new Error('Target value must be a number');
+  }
+
+  const defaults = getDefaultBounds(variable, currentValue);
+  const lowerBound = Number.isFinite(options.lowerBound) ? options.lowerBound : defaults.lowerBound;
+  const upperBound = Number.isFinite(options.upperBound) ? options.upperBound : defaults.upperBound;
+  if (!(upperBound > lowerBound)) {
+    throw new Error('Upper bound must be greater than lower bound');
+  }
+  const tolerance = options.tolerance ?? 1e-4 * Math.max(1, Math.abs(targetValue));
+  const maxIterations = options.maxIterations ?? DEFAULT_MAX_ITERATIONS;
+
+  let evaluations = 0;
+  const evaluate = (x) => {
+    evaluations += 1;
+    const output = getOutputValue(buildProjection(setPathValue(params, variable, x)), target, year);
+    return { x, output, gap: output === null ? null : output - targetValue };
+  };
+
+  const current = evaluate(currentValue);
+  const result = (point, converged, message) => ({
+    converged,
+    solution: point?.x ?? null,
+    achievedValue: point?.output ?? null,
+    currentValue,
+    currentOutput: current.output,
+    lowerBound,
+    upperBound,
+    evaluations,
+    message
+  });
+
+  if (current.gap !== null && Math.abs(current.gap) <= tolerance) {
+    return result(current, true, 'The current input already meets the target');
+  }
+
+  // Scan the range, including the current value, for sign changes
+  const points = Array.from({ length: SCAN_POINTS + 1 }, (_, i) =>
+    evaluate(lowerBound + (upperBound - lowerBound) * (i / SCAN_POINTS))
+  );
+  if (currentValue > lowerBound && currentValue < upperBound) points.push(current);
+  points.sort((a, b) => a.x - b.x);
+
+  const valid = points.filter(p => p.gap !== null);
+  const exact = valid.find(p => Math.abs(p.gap) <= tolerance);
+  const brackets = [];
+  for (let i = 1; i < valid.length; i++) {
+    if (Math.sign(valid[i - 1].gap) !== Math.sign(valid[i].gap)) brackets.push([valid[i - 1], valid[i]]);
+  }
+
+  if (brackets.length === 0) {
+    if (exact) return result(exact, true, 'Target reached');
+    const closest = valid.reduce((best, p) => (!best || Math.abs(p.gap) < Math.abs(best.gap) ? p : best), null);
+    return result(closest, false, 'The target is not reachable within the search range; showing the closest value found');
+  }
+
+  // Nearest bracket to the current input answers "how far can this move?"
+  const distance = ([a, b]) => Math.min(Math.abs(a.x - currentValue), Math.abs(b.x - currentValue));
+  let [low, high] = brackets.reduce((best, bracket) => (distance(bracket) < distance(best) ? bracket : best));
+
+  for (let i = 0; i < maxIterations; i++) {
+    const mid = evaluate((low.x + high.x) / 2);
+    if (mid.gap === null) break;
+    if (Math.abs(mid.gap) <= tolerance) return result(mid, true, 'Target reached');
+    if (Math.sign(mid.gap) === Math.sign(low.gap)) low = mid;
+    else high = mid;
+  }
+
+  // Stopped on iterations (or a gap in the output): return the better end
+  const best = Math.abs(low.gap) <= Math.abs(high.gap) ? low : high;
+  return result(best, Math.abs(best.gap) <= tolerance,
+    Math.abs(best.gap) <= tolerance ? 'Target reached' : 'The output jumps across the target here; showing the nearest value');
+}
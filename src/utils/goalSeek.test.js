@@ -0,0 +1,65 @@
+import { goalSeek, getDefaultBounds } from './goalSeek';
+import { buildProjection } from './buildProjection';
+
+const baseParams = {
+  startYear: 2025,
+  years: 5,
+  baseRevenue: 100e6,
+  growth: 0.08,
+  cogsPct: 0.4,
+  opexPct: 0.25,
+  capexPct: 0.05,
+  daPctOfPPE: 0.1,
+  wcPctOfRev: 0.15,
+  taxRate: 0.25,
+  wacc: 0.1,
+  terminalGrowth: 0.03,
+  requestedLoanAmount: 50e6,
+  proposedPricing: 0.12,
+  proposedTenor: 5,
+  paymentFrequency: 'Quarterly',
+  openingCash: 5e6
+};
+
+describe('getDefaultBounds', () => {
+  it('searches the input range for percentages and a multiple of the current value otherwise', () => {
+    expect(getDefaultBounds('cogsPct', 0.4)).toEqual({ lowerBound: 0, upperBound: 1 });
+    expect(getDefaultBounds('requestedLoanAmount', 50e6)).toEqual({ lowerBound: 0, upperBound: 250e6 });
+  });
+});
+
+describe('goalSeek', () => {
+  it('converges on the input that takes the output to the target', () => {
+    const result = goalSeek(baseParams, { variable: 'cogsPct', target: 'minDSCR', targetValue: 1.2 });
+
+    expect(result.converged).toBe(true);
+    expect(result.solution).toBeGreaterThan(baseParams.cogsPct);
+    expect(result.achievedValue).toBeCloseTo(1.2, 3);
+    const check = buildProjection({ ...baseParams, cogsPct: result.solution });
+    expect(check.creditStats.minDSCR).toBeCloseTo(1.2, 3);
+  });
+
+  it('returns the current input when it already meets the target', () => {
+    const { creditStats } = buildProjection(baseParams);
+    const result = goalSeek(baseParams, { variable: 'cogsPct', target: 'minDSCR', targetValue: creditStats.minDSCR });
+
+    expect(result).toMatchObject({ converged: true, solution: 0.4, evaluations: 1 });
+  });
+
+  it('reports the closest value found when the target cannot be reached', () => {
+    const result = goalSeek(baseParams, { variable: 'cogsPct', target: 'minDSCR', targetValue: 50 });
+
+    expect(result.converged).toBe(false);
+    expect(result.solution).toBe(0);
+    expect(result.achievedValue).toBeLessThan(50);
+    expect(result.message).toMatch(/not reachable/);
+  });
+
+  it('rejects non-numeric inputs, targets and empty ranges', () => {
+    expect(() => goalSeek(baseParams, { variable: 'paymentFrequency', target: 'minDSCR', targetValue: 1.2 })).toThrow(/numeric/);
+    expect(() => goalSeek(baseParams, { variable: 'cogsPct', target: 'minDSCR', targetValue: NaN })).toThrow(/number/);
+    expect(() => goalSeek(baseParams, {
+      variable: 'cogsPct', target: 'minDSCR', targetValue: 1.2, lowerBound: 0.5, upperBound: 0.5
+    })).toThrow(/Upper bound/);
+  });
+});
@@ -0,0 +1,103 @@
+// ============================================================================
+// hedging.js - Interest rate swaps and caps linked to debt tranches
+// ============================================================================
+// Each hedge in params.hedges references a term tranche (trancheId) and has a
+// notional, a fixed rate (swap) or strike (cap) and a term in years from the
+// projection start. Settlements are against the base-rate curve, including
+// any stress shift, so a hedge offsets rate shocks on the tranche it covers.
+//
+// Swap: borrower pays fixed, receives base  -> settlement = N x (fixed - base)
+// Cap:  borrower receives max(0, base - K)  -> settlement = -N x max(0, base - K)
+//
+// A positive settlement is a cost and is added to interest expense. The
+// hedged notional never exceeds the linked tranche's opening balance for
+// the year, so hedges run off as the tranche amortizes or is repaid.
+// ============================================================================
+
+import { getBaseRate } from './floatingRate';
+
+export const HEDGE_TYPES = {
+  swap: 'Interest Rate Swap',
+  cap: 'Interest Rate Cap'
+};
+
+/**
+ * Check whether a hedge is in force in a projection year
+ * @param {Object} hedge - Hedge (termYears)
+ * @param {number} yearIndex - Projection year index (0-based)
+ * @returns {boolean}
+ */
+export function isHedgeActive(hedge, yearIndex) {
+  return (hedge.notional || 0) > 0 && yearIndex < (hedge.termYears || 0);
+}
+
+/**
+ * Find the tranche detail a hedge is linked to
+ * Tranches are matched by id, falling back to name for tranches created
+ * outside the tranche manager (e.g. auto-created Existing Debt).
+ *
+ * @param {Object} hedge - Hedge (trancheId, trancheName)
+ * @param {Array} trancheDetails - Tranche details for the year
+ * @returns {number} Index into trancheDetails, or -1
+ */
+export function findHedgedTranche(hedge, trancheDetails) {
+  const byId = hedge.trancheId !== undefined && hedge.trancheId !== null
+    ? trancheDetails.findIndex(t => t.id !== undefined && t.id === hedge.trancheId)
+    : -1;
+  if (byId >= 0) return byId;
+  return hedge.trancheName ? trancheDetails.findIndex(t => t.name === hedge.trancheName) : -1;
+}
+
+/**
+ * Net settlement on one hedge for a year (positive = paid by the borrower)
+ *
+ * @param {Object} hedge - Hedge (hedgeType, fixedRate, strike)
+ * @param {number} notional - Notional outstanding for the year
+ * @param {number} baseRate - Base rate for the year
+ * @returns {number}
+ */
+export function calculateHedgeSettlement(hedge, notional, baseRate) {
+  if (hedge.hedgeType === 'cap') {
+    return -notional * Math.max(0, baseRate - (hedge.strike || 0));
+  }
+  return notional * ((hedge.fixedRate || 0) - baseRate);
+}
+
+/**
+ * Settle all hedges for a projection year
+ *
+ * @param {Array} hedges - params.hedges
+ * @param {Array} trancheDetails - Term tranche details for the year (before sweep)
+ * @param {Object} params - Model parameters (baseRateCurve, baseRateShift)
+ * @param {number} yearIndex - Projection year index (0-based)
+ * @returns {Object} { net, byTranche (by trancheDetails index), details }
+ */
+export function settleHedges(hedges, trancheDetails, params, yearIndex) {
+  const byTranche = trancheDetails.map(() => 0);
+  const baseRate = getBaseRate(params, yearIndex);
+
+  const details = (hedges || []).filter(h => isHedgeActive(h, yearIndex)).map(hedge => {
+    const index = findHedgedTranche(hedge, trancheDetails);
+    const tranche = trancheDetails[index];
+    // Unlinked hedges (tranche deleted or repaid) settle nothing
+    const openingBalance = tranche ? tranche.endingBalance + tranche.principal : 0;
+    const notional = Math.min(hedge.notional, Math.max(0, openingBalance));
+    const settlement = calculateHedgeSettlement(hedge, notional, baseRate);
+    if (index >= 0) byTranche[index] += settlement;
+
+    return {
+      name: hedge.name || HEDGE_TYPES[hedge.hedgeType] || HEDGE_TYPES.swap,
+      hedgeType: hedge.hedgeType || 'swap',
+      trancheName: tranche?.name || null,
+      notional,
+      baseRate,
+      settlement
+    };
+  });
+
+  return {
+    net: details.reduce((sum, d) => sum + d.settlement, 0),
+    byTranche,
+    details
+  };
+}
@@ -0,0 +1,67 @@
+import { calculateHedgeSettlement, findHedgedTranche, isHedgeActive, settleHedges } from './hedging';
+import { buildProjection } from './buildProjection';
+
+const swap = { name: 'Swap', hedgeType: 'swap', trancheId: 2, notional: 10e6, fixedRate: 0.05, termYears: 2 };
+const cap = { name: 'Cap', hedgeType: 'cap', trancheId: 2, notional: 10e6, strike: 0.05, termYears: 2 };
+
+describe('calculateHedgeSettlement', () => {
+  it('pays fixed and receives base on a swap', () => {
+    expect(calculateHedgeSettlement(swap, 10e6, 0.04)).toBeCloseTo(100e3);
+    expect(calculateHedgeSettlement(swap, 10e6, 0.07)).toBeCloseTo(-200e3);
+  });
+
+  it('only pays out on a cap once the base rate is above the strike', () => {
+    expect(calculateHedgeSettlement(cap, 10e6, 0.04)).toBeCloseTo(0);
+    expect(calculateHedgeSettlement(cap, 10e6, 0.07)).toBeCloseTo(-200e3);
+  });
+});
+
+describe('settleHedges', () => {
+  const details = [
+    { id: 1, name: 'Senior', principal: 0, endingBalance: 30e6 },
+    { id: 2, name: 'Floating', principal: 2e6, endingBalance: 4e6 }
+  ];
+
+  it('links hedges by id and falls back to the tranche name', () => {
+    expect(findHedgedTranche(swap, details)).toBe(1);
+    expect(findHedgedTranche({ trancheName: 'Senior' }, details)).toBe(0);
+    expect(findHedgedTranche({ trancheId: 9 }, details)).toBe(-1);
+  });
+
+  it('caps the notional at the tranche opening balance and stops after the term', () => {
+    const year = settleHedges([swap], details, { baseRateCurve: [0.03] }, 0);
+    expect(year.details[0].notional).toBe(6e6);
+    expect(year.byTranche).toEqual([0, year.net]);
+    expect(year.net).toBeCloseTo(6e6 * 0.02);
+    expect(isHedgeActive(swap, 2)).toBe(false);
+    expect(settleHedges([swap], details, { baseRateCurve: [0.03] }, 2).net).toBe(0);
+  });
+
+  it('settles against the stressed base rate', () => {
+    const year = settleHedges([cap], details, { baseRateCurve: [0.04], baseRateShift: 0.03 }, 0);
+    expect(year.net).toBeCloseTo(-6e6 * 0.02);
+  });
+});
+
+describe('hedges in the projection', () => {
+  const params = (baseRateShift) => ({
+    startYear: 2025, years: 2, baseRevenue: 100e6, growth: 0.05, cogsPct: 0.4, opexPct: 0.25, capexPct: 0.05,
+    daPctOfPPE: 0.1, wcPctOfRev: 0.15, taxRate: 0.25, wacc: 0.1, terminalGrowth: 0.03, openingCash: 5e6,
+    baseRateCurve: [0.04, 0.04], baseRateShift,
+    hasMultipleTranches: true,
+    debtTranches: [{
+      id: 2, name: 'Floating', amount: 20e6, rateType: 'floating', margin: 0.03, tenorYears: 2,
+      amortizationType: 'bullet', paymentFrequency: 'Annually', maturityDate: '2026-12-31', seniority: 'Senior Secured'
+    }],
+    hedges: [{ ...swap, notional: 20e6 }]
+  });
+
+  it('offsets a base rate shock on a fully swapped tranche', () => {
+    const base = buildProjection(params(0)).rows[0];
+    const shocked = buildProjection(params(0.02)).rows[0];
+
+    expect(base.hedgeSettlement).toBeCloseTo(20e6 * 0.01, 0);
+    expect(shocked.interestExpense).toBeCloseTo(base.interestExpense, 0);
+    expect(shocked.unhedgedDebtService - base.unhedgedDebtService).toBeCloseTo(20e6 * 0.02, 0);
+  });
+});
@@ -0,0 +1,163 @@
+// ============================================================================
+// leases.js - IFRS 16 lease schedule
+// ============================================================================
+// Each lease (store, hotel, warehouse, fleet) pays an annual amount in arrears
+// that escalates each year, over a term from its start year. At commencement
+// the lease liability is the present value of the payments at the lease's
+// discount rate and the right-of-use (ROU) asset equals the liability. Each
+// year the liability accrues interest and is reduced by the payment; the ROU
+// asset is depreciated straight-line over the term.
+//
+// The statements are always IFRS 16. Covenants can be measured either way
+// (params.leaseCovenantBasis):
+//   post - EBITDA before lease costs, lease liability in net debt and lease
+//          payments in debt service
+//   pre  - "frozen GAAP": lease payments are an operating cost in EBITDA and
+//          the lease liability is left out of net debt and debt service
+// ============================================================================
+
+export const LEASE_COVENANT_BASES = {
+  post: { label: 'Post-IFRS 16 (leases as debt)' },
+  pre: { label: 'Pre-IFRS 16 (rent in EBITDA)' }
+};
+
+/**
+ * New lease with neutral defaults
+ * @param {Object} [fields] - Field overrides
+ * @returns {Object} { id, name, annualPayment, escalation, termYears, discountRate, startYear }
+ */
+export function createLease(fields = {}) {
+  return {
+    id: Date.now(),
+    name: 'New Lease',
+    annualPayment: 0,
+    escalation: 0.02,
+    termYears: 10,
+    discountRate: 0.07,
+    startYear: null,
+    ...fields
+  };
+}
+
+/**
+ * Check whether any lease has payments to recognise
+ * @param {Object} params - Model parameters (leases)
+ * @returns {boolean}
+ */
+export function hasLeases(params) {
+  return (params.leases || []).some(lease => (Number(lease.annualPayment) || 0) > 0 && (Number(lease.termYears) || 0) > 0);
+}
+
+/**
+ * Covenant basis for leases
+ * @param {Object} params - Model parameters (leaseCovenantBasis)
+ * @returns {'post'|'pre'}
+ */
+export function getLeaseCovenantBasis(params) {
+  return params.leaseCovenantBasis === 'pre' ? 'pre' : 'post';
+}
+
+/**
+ * Present value of a lease's payments at commencement
+ * @param {Object} lease - Lease
+ * @returns {number}
+ */
+export function getLeaseLiabilityAtCommencement(lease) {
+  const payment = Number(lease.annualPayment) || 0;
+  const escalation = Number(lease.escalation) || 0;
+  const rate = Number(lease.discountRate) || 0;
+  const term = Math.max(0, Math.round(Number(lease.termYears) || 0));
+  let pv = 0;
+  for (let k = 1; k <= term; k++) {
+    pv += payment * Math.pow(1 + escalation, k - 1) / Math.pow(1 + rate, k);
+  }
+  return pv;
+}
+
+// Projection year in which the lease starts (existing leases start in year 1)
+function getCommencementIndex(lease, params) {
+  const start = Number(lease.startYear);
+  return Number.isFinite(start) && start > params.startYear ? start - params.startYear : 0;
+}
+
+/**
+ * Lease liability and ROU asset recognised in the opening balance sheet
+ * (leases running from the start of the projection)
+ * @param {Object} params - Model parameters (leases, startYear)
+ * @returns {number}
+ */
+export function getOpeningLeaseLiability(params) {
+  if (!hasLeases(params)) return 0;
+  return params.leases
+    .filter(lease => getCommencementIndex(lease, params) === 0)
+    .reduce((sum, lease) => sum + getLeaseLiabilityAtCommencement(lease), 0);
+}
+
+/**
+ * Year-by-year lease schedule
+ * Leases starting after year 1 are recognised (liability and ROU asset) at
+ * the start of their first year.
+ *
+ * @param {Object} params - Model parameters (leases, years, startYear)
+ * @returns {Array<Object>} Per year: { payment, interest, principal, depreciation, additions, liability, rouAsset, leases }
+ */
+export function buildLeaseSchedule(params) {
+  const leases = (params.leases || []).map(lease => {
+    const liability = getLeaseLiabilityAtCommencement(lease);
+    return {
+      lease,
+      start: getCommencementIndex(lease, params),
+      term: Math.max(0, Math.round(Number(lease.termYears) || 0)),
+      initialLiability: liability,
+      liability: 0,
+      rouAsset: 0
+    };
+  });
+
+  return Array.from({ length: params.years || 0 }, (_, i) => {
+    const yearData = { payment: 0, interest: 0, principal: 0, depreciation: 0, additions: 0, liability: 0, rouAsset: 0, leases: [] };
+
+    leases.forEach(entry => {
+      const age = i - entry.start;
+      let payment = 0;
+      let interest = 0;
+      let depreciation = 0;
+
+      if (age === 0) {
+        entry.liability = entry.initialLiability;
+        entry.rouAsset = entry.initialLiability;
+        // Year 1 leases are already in the opening balance sheet
+        if (i > 0) yearData.additions += entry.initialLiability;
+      }
+
+      if (age >= 0 && age < entry.term) {
+        payment = (Number(entry.lease.annualPayment) || 0) * Math.pow(1 + (Number(entry.lease.escalation) || 0), age);
+        interest = entry.liability * (Number(entry.lease.discountRate) || 0);
+        // Last payment clears the liability exactly
+        const principal = age === entry.term - 1 ? entry.liability : payment - interest;
+        entry.liability -= principal;
+        depreciation = Math.min(entry.rouAsset, entry.initialLiability / entry.term);
+        entry.rouAsset -= depreciation;
+
+        yearData.payment += payment;
+        yearData.interest += interest;
+        yearData.principal += principal;
+        yearData.depreciation += depreciation;
+      }
+
+      yearData.liability += entry.liability;
+      yearData.rouAsset += entry.rouAsset;
+      yearData.leases.push({
+        id: entry.lease.id,
+        name: entry.lease.name,
+        payment,
+        interest,
+        depreciation,
+        liability: entry.liability,
+        rouAsset: entry.rouAsset
+      });
+    });
+
+    return yearData;
+  });
+}
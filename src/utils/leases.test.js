@@ -0,0 +1,63 @@
+import { createLease, getLeaseLiabilityAtCommencement, getOpeningLeaseLiability, buildLeaseSchedule } from './leases';
+import { buildProjection } from './buildProjection';
+
+const store = createLease({ id: 1, name: 'Store', annualPayment: 1e6, escalation: 0.03, termYears: 3, discountRate: 0.08 });
+const warehouse = createLease({ id: 2, name: 'Warehouse', annualPayment: 2e6, escalation: 0, termYears: 2, discountRate: 0.1, startYear: 2026 });
+
+describe('lease liability at commencement', () => {
+  it('is the present value of the escalating payments in arrears', () => {
+    expect(getLeaseLiabilityAtCommencement(store)).toBeCloseTo(1e6 / 1.08 + 1.03e6 / 1.08 ** 2 + 1.0609e6 / 1.08 ** 3, 2);
+    expect(getLeaseLiabilityAtCommencement(warehouse)).toBeCloseTo(2e6 / 1.1 + 2e6 / 1.21, 2);
+  });
+
+  it('only counts leases running from the start of the projection in the opening balance sheet', () => {
+    const params = { startYear: 2025, leases: [store, warehouse] };
+    expect(getOpeningLeaseLiability(params)).toBeCloseTo(getLeaseLiabilityAtCommencement(store), 2);
+    expect(getOpeningLeaseLiability({ startYear: 2025, leases: [{ ...store, annualPayment: 0 }] })).toBe(0);
+  });
+});
+
+describe('buildLeaseSchedule', () => {
+  const params = { startYear: 2025, years: 4, leases: [store, warehouse] };
+  const schedule = buildLeaseSchedule(params);
+
+  it('rolls the liability forward by interest, payments and new leases', () => {
+    let opening = getOpeningLeaseLiability(params);
+    schedule.forEach(year => {
+      expect(year.liability).toBeCloseTo(opening + year.additions + year.interest - year.payment, 2);
+      expect(year.principal).toBeCloseTo(year.payment - year.interest, 2);
+      opening = year.liability;
+    });
+    expect(schedule[1].additions).toBeCloseTo(getLeaseLiabilityAtCommencement(warehouse), 2);
+  });
+
+  it('clears the liability and right-of-use asset at the end of each term', () => {
+    expect(schedule[0].leases[0].interest).toBeCloseTo(getLeaseLiabilityAtCommencement(store) * 0.08, 2);
+    expect(schedule[2].leases[0].liability).toBe(0);
+    expect(schedule[2].leases[0].rouAsset).toBeCloseTo(0, 6);
+    expect(schedule[2].leases[1].liability).toBeCloseTo(0, 6);
+    expect(schedule[3]).toMatchObject({ payment: 0, liability: 0 });
+    expect(schedule.reduce((sum, y) => sum + y.depreciation, 0))
+      .toBeCloseTo(getLeaseLiabilityAtCommencement(store) + getLeaseLiabilityAtCommencement(warehouse), 2);
+  });
+});
+
+describe('leases in the projection', () => {
+  const params = (leaseCovenantBasis) => ({
+    startYear: 2025, years: 3, baseRevenue: 100e6, growth: 0.05, cogsPct: 0.4, opexPct: 0.25, capexPct: 0.05,
+    daPctOfPPE: 0.1, wcPctOfRev: 0.15, taxRate: 0.25, wacc: 0.1, terminalGrowth: 0.03, openingCash: 5e6,
+    requestedLoanAmount: 0, leases: [store], leaseCovenantBasis
+  });
+
+  it('count lease payments as debt service on the post-IFRS 16 basis and as rent on the pre basis', () => {
+    const post = buildProjection(params('post')).rows[0];
+    const pre = buildProjection(params('pre')).rows[0];
+
+    expect(post.leaseLiability).toBeCloseTo(buildLeaseSchedule(params('post'))[0].liability, 2);
+    expect(post.leasePayment).toBeCloseTo(1e6, 2);
+    expect(post.debtService).toBeCloseTo(1e6, 2);
+    expect(post.covenantEbitda).toBeCloseTo(post.ebitda, 2);
+    expect(pre.debtService).toBe(0);
+    expect(pre.covenantEbitda).toBeCloseTo(pre.ebitda - 1e6, 2);
+  });
+});
@@ -192,3 +192,26 @@ export function percentToDecimal(percent) {
 export function decimalToPercent(decimal) {
   return decimal * 100;
 }
+
+/**
+ * Value of a driver for a projection year
+ * Drivers are either a single value for every year or a per-year array;
+ * arrays hold their last value beyond their end.
+ *
+ * @param {number|Array<number>} value - Flat value or per-year values
+ * @param {number} yearIndex - Projection year index (0-based)
+ * @returns {number} - Value for that year (0 when missing)
+ *
+ * @example
+ * valueForYear(0.05, 3)              // Returns 0.05
+ * valueForYear([0.05, -0.02, 0.03], 1) // Returns -0.02
+ * valueForYear([0.05, -0.02], 4)       // Returns -0.02
+ */
+export function valueForYear(value, yearIndex) {
+  if (Array.isArray(value)) {
+    if (value.length === 0) return 0;
+    const yearValue = value[Math.min(Math.max(0, yearIndex), value.length - 1)];
+    return Number.isFinite(yearValue) ? yearValue : 0;
+  }
+  return Number.isFinite(value) ? value : 0;
+}
@@ -0,0 +1,108 @@
+// ============================================================================
+// modelVariables.js - Model inputs and projection outputs for what-if tools
+// ============================================================================
+// Shared by goal seek, data tables and tornado charts. An input is any params
+// path: a top-level field ('growth') or a nested one ('debtTranches.0.amount').
+// An output is a MODEL_OUTPUTS key, or a path into the buildProjection result
+// ('creditStats.avgDSCR', 'rows.2.cash').
+//
+// MODEL_INPUTS lists the common inputs with their display format:
+//   percent  - min/max bound searches; step is one sensitivity increment
+//   currency - searches scale from the current value; step is a fraction of it
+// ============================================================================
+
+export const MODEL_INPUTS = {
+  growth: { label: 'Revenue Growth', format: 'percent', min: -0.5, max: 0.5, step: 0.02 },
+  cogsPct: { label: 'COGS % of Revenue', format: 'percent', min: 0, max: 1, step: 0.02 },
+  opexPct: { label: 'Opex % of Revenue', format: 'percent', min: 0, max: 1, step: 0.02 },
+  capexPct: { label: 'Capex % of Revenue', format: 'percent', min: 0, max: 0.5, step: 0.01 },
+  interestRate: { label: 'Interest Rate', format: 'percent', min: 0, max: 0.5, step: 0.01 },
+  proposedPricing: { label: 'New Facility Pricing', format: 'percent', min: 0, max: 0.5, step: 0.01 },
+  baseRateShift: { label: 'Base Rate Shift', format: 'percent', min: -0.05, max: 0.15, step: 0.01 },
+  taxRate: { label: 'Tax Rate', format: 'percent', min: 0, max: 0.6, step: 0.02 },
+  baseRevenue: { label: 'Base Revenue', format: 'currency', scale: 3, step: 0.1 },
+  requestedLoanAmount: { label: 'New Facility Amount', format: 'currency', scale: 5, step: 0.1 },
+  openingDebt: { label: 'Existing Debt', format: 'currency', scale: 5, step: 0.1 },
+  equityContribution: { label: 'Equity Contribution', format: 'currency', scale: 5, step: 0.1 }
+};
+
+// Projection outputs; `byYear` outputs read a single projection year (1-based).
+// `covenant` names the params threshold and `higherIsBetter` its direction.
+export const MODEL_OUTPUTS = {
+  minDSCR: {
+    label: 'Minimum DSCR', format: 'ratio', covenant: 'minDSCR', higherIsBetter: true,
+    read: (p) => p.creditStats?.minDSCR
+  },
+  minICR: {
+    label: 'Minimum ICR', format: 'ratio', covenant: 'targetICR', higherIsBetter: true,
+    read: (p) => p.creditStats?.minICR
+  },
+  maxLeverage: {
+    label: 'Peak Net Debt / EBITDA', format: 'ratio', covenant: 'maxNDToEBITDA', higherIsBetter: false,
+    read: (p) => p.creditStats?.maxLeverage
+  },
+  dscr: {
+    label: 'DSCR in Year N', format: 'ratio', covenant: 'minDSCR', higherIsBetter: true, byYear: true,
+    read: (p, year) => p.rows?.[year - 1]?.dscr
+  },
+  icr: {
+    label: 'ICR in Year N', format: 'ratio', covenant: 'targetICR', higherIsBetter: true, byYear: true,
+    read: (p, year) => p.rows?.[year - 1]?.icr
+  },
+  leverage: {
+    label: 'Net Debt / EBITDA in Year N', format: 'ratio', covenant: 'maxNDToEBITDA', higherIsBetter: false, byYear: true,
+    read: (p, year) => p.rows?.[year - 1]?.ndToEbitda
+  },
+  irr: { label: 'Equity IRR', format: 'percent', higherIsBetter: true, read: (p) => p.irr },
+  moic: { label: 'Equity MOIC', format: 'ratio', higherIsBetter: true, read: (p) => p.moic },
+  cumulativeFCF: {
+    label: 'Cumulative FCF', format: 'currency', higherIsBetter: true,
+    read: (p) => p.creditStats?.totalFCFGenerated
+  },
+  equityValue: { label: 'Equity Value', format: 'currency', higherIsBetter: true, read: (p) => p.equityValue },
+  enterpriseValue: { label: 'Enterprise Value', format: 'currency', higherIsBetter: true, read: (p) => p.enterpriseValue }
+};
+
+/**
+ * Read a value from an object by dotted path ('debtTranches.0.amount')
+ * @param {Object} source
+ * @param {string} path
+ * @returns {*}
+ */
+export function getPathValue(source, path) {
+  return String(path).split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), source);
+}
+
+/**
+ * Copy of an object with the value at a dotted path replaced
+ * Arrays and objects along the path are cloned; the source is not mutated.
+ *
+ * @param {Object} source
+ * @param {string} path
+ * @param {*} value
+ * @returns {Object}
+ */
+export function setPathValue(source, path, value) {
+  const [key, ...rest] = String(path).split('.');
+  const current = source == null ? {} : source;
+  const next = rest.length === 0 ? value : setPathValue(current[key], rest.join('.'), value);
+  if (Array.isArray(current)) {
+    const copy = [...current];
+    copy[Number(key)] = next;
+    return copy;
+  }
+  return { ...current, [key]: next };
+}
+
+/**
+ * Read an output from a projection
+ * @param {Object} projection - buildProjection result
+ * @param {string} output - MODEL_OUTPUTS key or projection path
+ * @param {number} [year] - Projection year (1-based) for by-year outputs
+ * @returns {number|null}
+ */
+export function getOutputValue(projection, output, year = 1) {
+  const definition = MODEL_OUTPUTS[output];
+  const value = definition ? definition.read(projection, year) : getPathValue(projection, output);
+  return Number.isFinite(value) ? value : null;
+}
@@ -0,0 +1,409 @@
+// ============================================================================
+// monteCarlo.js - Monte Carlo simulation of covenant breach probability
+// ============================================================================
+// Each iteration samples a set of correlated shocks (revenue growth, gross
+// margin, interest rate and capex), applies them to the base parameters with
+// applyShocks, and runs a full buildProjection pass. The results are the
+// distributions of minimum DSCR, peak leverage and equity IRR, and the share
+// of iterations breaching each covenant of the covenant library (see
+// covenants.js) in each projection year.
+//
+// Correlation uses a Gaussian copula: independent standard normals are mixed
+// through the Cholesky factor of the correlation matrix, then each correlated
+// normal is mapped onto its variable's distribution (normal, uniform or
+// triangular). Sampling is seeded, so a run can be reproduced exactly.
+//
+// params.monteCarloConfig:
+//   iterations   - number of projection passes
+//   seed         - PRNG seed
+//   variables    - { growth: { distribution, mean, stdDev, min, mode, max }, ... }
+//                  all values are deltas to the base assumption (decimals)
+//   correlations - { 'growth|margin': 0.5, ... } pairwise correlations
+// ============================================================================
+
+import { applyShocks } from './applyShocks';
+import { buildProjection } from './buildProjection';
+import { getCovenantLibrary, isCovenantActive, testCovenant, getBaseThreshold } from './covenants';
+
+export const DISTRIBUTION_TYPES = {
+  normal: 'Normal',
+  uniform: 'Uniform',
+  triangular: 'Triangular'
+};
+
+// Sampled variables and the applyShocks key each one drives. A higher gross
+// margin is a lower COGS percentage, hence the negative sign.
+export const SIMULATION_VARIABLES = {
+  growth: { label: 'Revenue Growth', shockKey: 'growthDelta', sign: 1 },
+  margin: { label: 'Gross Margin', shockKey: 'cogsDelta', sign: -1 },
+  rate: { label: 'Interest Rate', shockKey: 'rateDelta', sign: 1 },
+  capex: { label: 'Capex % Revenue', shockKey: 'capexDelta', sign: 1 }
+};
+
+export const MAX_ITERATIONS = 10000;
+
+const VARIABLE_KEYS = Object.keys(SIMULATION_VARIABLES);
+const HISTOGRAM_BINS = 20;
+// DSCR is reported as 999 when there is no debt service; keep it off the charts
+const RATIO_CAP = 99;
+
+/**
+ * Default simulation settings
+ * @returns {Object} monteCarloConfig
+ */
+export function getDefaultMonteCarloConfig() {
+  return {
+    iterations: 1000,
+    seed: 12345,
+    variables: {
+      growth: { distribution: 'normal', mean: 0, stdDev: 0.03, min: -0.06, mode: 0, max: 0.06 },
+      margin: { distribution: 'normal', mean: 0, stdDev: 0.02, min: -0.04, mode: 0, max: 0.04 },
+      rate: { distribution: 'triangular', mean: 0, stdDev: 0.01, min: -0.01, mode: 0, max: 0.03 },
+      capex: { distribution: 'uniform', mean: 0, stdDev: 0.01, min: -0.01, mode: 0, max: 0.02 }
+    },
+    correlations: {
+      'growth|margin': 0.5,
+      'growth|rate': 0,
+      'growth|capex': 0.3,
+      'margin|rate': 0,
+      'margin|capex': 0,
+      'rate|capex': 0
+    }
+  };
+}
+
+/**
+ * Key for a variable pair in config.correlations (order follows SIMULATION_VARIABLES)
+ * @param {string} a - Variable key
+ * @param {string} b - Variable key
+ * @returns {string}
+ */
+export function correlationKey(a, b) {
+  return VARIABLE_KEYS.indexOf(a) <= VARIABLE_KEYS.indexOf(b) ? `${a}|${b}` : `${b}|${a}`;
+}
+
+// ============================================================================
+// RANDOM NUMBERS
+// ============================================================================
+
+/**
+ * Seeded uniform PRNG (mulberry32)
+ * @param {number} seed
+ * @returns {Function} Returns floats in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = (Number(seed) || 0) >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Standard normal sample (Box-Muller)
+ * @param {Function} random - Uniform PRNG
+ * @returns {number}
+ */
+function sampleStandardNormal(random) {
+  const u1 = 1 - random(); // (0, 1] so the log is finite
+  const u2 = random();
+  return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+}
+
+/**
+ * Standard normal CDF (Abramowitz & Stegun 7.1.26, error < 1.5e-7)
+ * @param {number} z
+ * @returns {number}
+ */
+export function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+}
+
+/**
+ * Map a standard normal draw onto a variable's distribution
+ * @param {Object} spec - { distribution, mean, stdDev, min, mode, max }
+ * @param {number} z - Standard normal draw
+ * @returns {number}
+ */
+export function transformSample(spec, z) {
+  switch (spec.distribution) {
+    case 'uniform': {
+      const min = Math.min(spec.min, spec.max);
+      const max = Math.max(spec.min, spec.max);
+      return min + (max - min) * normalCdf(z);
+    }
+
+    case 'triangular': {
+      const min = Math.min(spec.min, spec.max);
+      const max = Math.max(spec.min, spec.max);
+      const mode = Math.min(max, Math.max(min, spec.mode));
+      const range = max - min;
+      if (range <= 0) return min;
+      const u = normalCdf(z);
+      const split = (mode - min) / range;
+      return u < split
+        ? min + Math.sqrt(u * range * (mode - min))
+        : max - Math.sqrt((1 - u) * range * (max - mode));
+    }
+
+    case 'normal':
+    default:
+      return (spec.mean || 0) + Math.max(0, spec.stdDev || 0) * z;
+  }
+}
+
+// ============================================================================
+// CORRELATION
+// ============================================================================
+
+/**
+ * Cholesky factor (lower triangular) of a symmetric matrix
+ * @param {Array<Array<number>>} matrix
+ * @returns {Array<Array<number>>|null} Null when the matrix is not positive definite
+ */
+export function choleskyDecomposition(matrix) {
+  const n = matrix.length;
+  const lower = matrix.map(() => Array(n).fill(0));
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = matrix[i][j];
+      for (let k = 0; k < j; k++) sum -= lower[i][k] * lower[j][k];
+      if (i === j) {
+        if (sum <= 1e-10) return null;
+        lower[i][i] = Math.sqrt(sum);
+      } else {
+        lower[i][j] = sum / lower[j][j];
+      }
+    }
+  }
+  return lower;
+}
+
+/**
+ * Correlation matrix and its Cholesky factor for the configured pairs
+ *
+ * Inconsistent correlations (a matrix that is not positive definite) are
+ * shrunk towards zero until the factorisation succeeds; `adjusted` reports it.
+ *
+ * @param {Object} correlations - { 'a|b': rho }
+ * @returns {Object} { matrix, factor, adjusted }
+ */
+export function buildCorrelationFactor(correlations = {}) {
+  const base = VARIABLE_KEYS.map((a, i) => VARIABLE_KEYS.map((b, j) => {
+    if (i === j) return 1;
+    const rho = Number(correlations[correlationKey(a, b)]) || 0;
+    return Math.max(-1, Math.min(1, rho));
+  }));
+
+  for (let step = 0; step <= 20; step++) {
+    const scale = 1 - step * 0.05;
+    const matrix = base.map((row, i) => row.map((rho, j) => (i === j ? 1 : rho * scale)));
+    const factor = choleskyDecomposition(matrix);
+    if (factor) return { matrix, factor, adjusted: step > 0 };
+  }
+  // Unreachable: scale 0 is the identity matrix
+  return { matrix: base, factor: null, adjusted: true };
+}
+
+/**
+ * Draw one correlated set of shocks
+ * @param {Object} config - monteCarloConfig
+ * @param {Array<Array<number>>} factor - Cholesky factor
+ * @param {Function} random - Uniform PRNG
+ * @returns {Object} { draws: { growth, margin, rate, capex }, shocks } shocks in applyShocks form
+ */
+export function sampleShocks(config, factor, random) {
+  const independent = VARIABLE_KEYS.map(() => sampleStandardNormal(random));
+  const shocks = {
+    growthDelta: 0, cogsDelta: 0, opexDelta: 0, capexDelta: 0,
+    rateDelta: 0, waccDelta: 0, termGDelta: 0
+  };
+  const draws = {};
+
+  VARIABLE_KEYS.forEach((key, i) => {
+    let z = 0;
+    for (let k = 0; k <= i; k++) z += factor[i][k] * independent[k];
+    const spec = config.variables?.[key] || { distribution: 'normal', mean: 0, stdDev: 0 };
+    const { shockKey, sign } = SIMULATION_VARIABLES[key];
+    draws[key] = transformSample(spec, z);
+    shocks[shockKey] = sign * draws[key];
+  });
+
+  return { draws, shocks };
+}
+
+// ============================================================================
+// STATISTICS
+// ============================================================================
+
+/**
+ * Percentile of a sorted array (linear interpolation)
+ * @param {Array<number>} sorted - Ascending values
+ * @param {number} p - Percentile in [0, 1]
+ * @returns {number|null}
+ */
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const pos = (sorted.length - 1) * p;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+/**
+ * Summary statistics and histogram for a simulated metric
+ * @param {Array<number>} values - Finite values (one per iteration)
+ * @returns {Object|null} { count, mean, stdDev, min, max, percentiles, histogram }
+ */
+export function summarizeDistribution(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mean = sorted.reduce((s, v) => s + v, 0) / sorted.length;
+  const variance = sorted.reduce((s, v) => s + (v - mean) ** 2, 0) / sorted.length;
+
+  // Bin between the 1st and 99th percentiles; outliers fall in the end bins
+  const lo = percentile(sorted, 0.01);
+  const hi = percentile(sorted, 0.99);
+  const width = (hi - lo) / HISTOGRAM_BINS;
+  const histogram = Array.from({ length: HISTOGRAM_BINS }, (_, i) => ({
+    from: lo + i * width,
+    to: lo + (i + 1) * width,
+    count: 0
+  }));
+  sorted.forEach(v => {
+    const idx = width > 0 ? Math.floor((v - lo) / width) : 0;
+    histogram[Math.max(0, Math.min(HISTOGRAM_BINS - 1, idx))].count += 1;
+  });
+
+  return {
+    count: sorted.length,
+    mean,
+    stdDev: Math.sqrt(variance),
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    percentiles: {
+      p5: percentile(sorted, 0.05),
+      p10: percentile(sorted, 0.1),
+      p25: percentile(sorted, 0.25),
+      p50: percentile(sorted, 0.5),
+      p75: percentile(sorted, 0.75),
+      p90: percentile(sorted, 0.9),
+      p95: percentile(sorted, 0.95)
+    },
+    histogram: width > 0 ? histogram : [{ from: lo, to: hi, count: sorted.length }]
+  };
+}
+
+// ============================================================================
+// SIMULATION
+// ============================================================================
+
+/**
+ * Run the Monte Carlo simulation
+ *
+ * Synchronous; the UI runs it inside a Web Worker (workers/monteCarlo.worker.js)
+ * and reports progress through onProgress.
+ *
+ * @param {Object} params - Base model parameters (covenant library and thresholds)
+ * @param {Object} [config] - monteCarloConfig (defaults to params.monteCarloConfig)
+ * @param {Function} [onProgress] - Called with (completed, total) every 1% of iterations
+ * @returns {Object} { iterations, seed, correlationAdjusted, failedIterations, covenants, metrics,
+ *   breachProbabilities, anyBreachProbability }
+ *   covenants[]: { id, name, direction, unit, threshold, hasStepDowns } - covenants tested
+ *   breachProbabilities[]: { year, byCovenant: { [covenantId]: share }, any }
+ */
+export function runMonteCarlo(params, config = params.monteCarloConfig, onProgress) {
+  const settings = { ...getDefaultMonteCarloConfig(), ...(config || {}) };
+  const iterations = Math.max(1, Math.min(MAX_ITERATIONS, Math.round(settings.iterations) || 1));
+  const random = createRandom(settings.seed);
+  const { factor, adjusted } = buildCorrelationFactor(settings.correlations);
+  const reportEvery = Math.max(1, Math.floor(iterations / 100));
+
+  const covenants = getCovenantLibrary(params).filter(c => isCovenantActive(c, params));
+  const years = params.years || 0;
+  const yearBreaches = Array.from({ length: years }, (_, i) => ({
+    year: params.startYear + i,
+    byCovenant: Object.fromEntries(covenants.map(c => [c.id, 0])),
+    any: 0
+  }));
+  const minDSCRs = [];
+  const maxLeverages = [];
+  const irrs = [];
+  let anyBreachCount = 0;
+  let failedIterations = 0;
+
+  for (let n = 0; n < iterations; n++) {
+    const { shocks } = sampleShocks(settings, factor, random);
+    let projection;
+    try {
+      projection = buildProjection(applyShocks(params, shocks));
+    } catch (error) {
+      failedIterations += 1;
+      continue;
+    }
+
+    const { creditStats, irr, rows } = projection;
+    // creditStats reports 0 when no year has a DSCR below the cap (no debt
+    // service); that coverage is unbounded, so it is recorded at the cap
+    const hasDSCR = rows.some(r => r.dscrForFiltering < 999);
+    minDSCRs.push(hasDSCR ? Math.min(RATIO_CAP, creditStats.minDSCR) : RATIO_CAP);
+    maxLeverages.push(Math.min(RATIO_CAP, creditStats.maxLeverage));
+    if (Number.isFinite(irr)) irrs.push(irr);
+
+    // Same tests as the breach analysis in buildProjection: thresholds after
+    // step-downs, each covenant at its own frequency, ratios without a value
+    // (no debt service or interest) not tested
+    const results = covenants.map(c => testCovenant(c, params, rows, projection.periodRows));
+    let breachedAnyYear = false;
+    rows.forEach((row, i) => {
+      if (!yearBreaches[i]) return;
+      const breached = results.filter(r => r.breachYears.includes(row.year));
+      breached.forEach(r => { yearBreaches[i].byCovenant[r.id] += 1; });
+      if (breached.length > 0) {
+        yearBreaches[i].any += 1;
+        breachedAnyYear = true;
+      }
+    });
+    if (breachedAnyYear) anyBreachCount += 1;
+
+    if (onProgress && ((n + 1) % reportEvery === 0 || n === iterations - 1)) {
+      onProgress(n + 1, iterations);
+    }
+  }
+
+  const completed = iterations - failedIterations;
+  const share = (count) => (completed > 0 ? count / completed : 0);
+
+  return {
+    iterations,
+    completedIterations: completed,
+    failedIterations,
+    seed: settings.seed,
+    correlationAdjusted: adjusted,
+    covenants: covenants.map(c => ({
+      id: c.id,
+      name: c.name,
+      direction: c.direction,
+      unit: c.unit || 'x',
+      threshold: getBaseThreshold(c, params),
+      hasStepDowns: (c.stepDowns || []).length > 0
+    })),
+    metrics: {
+      minDSCR: summarizeDistribution(minDSCRs),
+      maxLeverage: summarizeDistribution(maxLeverages),
+      irr: summarizeDistribution(irrs)
+    },
+    breachProbabilities: yearBreaches.map(y => ({
+      year: y.year,
+      byCovenant: Object.fromEntries(Object.entries(y.byCovenant).map(([id, count]) => [id, share(count)])),
+      any: share(y.any)
+    })),
+    anyBreachProbability: share(anyBreachCount)
+  };
+}
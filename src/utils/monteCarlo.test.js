@@ -0,0 +1,91 @@
+import { runMonteCarlo, getDefaultMonteCarloConfig } from './monteCarlo';
+import { buildProjection } from './buildProjection';
+import { getDefaultCovenants } from './covenants';
+
+const baseParams = {
+  startYear: 2025,
+  years: 5,
+  baseRevenue: 100e6,
+  growth: 0.08,
+  cogsPct: 0.4,
+  opexPct: 0.25,
+  capexPct: 0.05,
+  daPctOfPPE: 0.1,
+  wcPctOfRev: 0.15,
+  taxRate: 0.25,
+  wacc: 0.1,
+  terminalGrowth: 0.03,
+  equityContribution: 10e6,
+  entryMultiple: 8,
+  requestedLoanAmount: 50e6,
+  proposedPricing: 0.12,
+  proposedTenor: 5,
+  interestRate: 0.12,
+  debtTenorYears: 5,
+  paymentFrequency: 'Quarterly',
+  openingCash: 5e6,
+  minDSCR: 1.2,
+  targetICR: 2,
+  maxNDToEBITDA: 3.5
+};
+
+// Every variable fixed at its base value: each iteration is the base case
+const noVolatility = () => {
+  const config = getDefaultMonteCarloConfig();
+  return {
+    ...config,
+    iterations: 5,
+    variables: Object.fromEntries(Object.keys(config.variables).map(key => [
+      key, { distribution: 'normal', mean: 0, stdDev: 0, min: 0, mode: 0, max: 0 }
+    ]))
+  };
+};
+
+describe('runMonteCarlo breach counting', () => {
+  it('does not count years without debt service as breaches', () => {
+    const results = runMonteCarlo({ ...baseParams, requestedLoanAmount: 0 }, noVolatility());
+
+    expect(results.completedIterations).toBe(5);
+    expect(results.anyBreachProbability).toBe(0);
+    // No debt service: coverage is recorded at the ratio cap, not as 0.00x
+    expect(results.metrics.minDSCR.min).toBe(99);
+    expect(results.metrics.minDSCR.percentiles.p5).toBe(99);
+    results.breachProbabilities.forEach(year => {
+      expect(year.any).toBe(0);
+      Object.values(year.byCovenant).forEach(share => expect(share).toBe(0));
+    });
+  });
+
+  it('matches the projection breach analysis, including step-downs and custom covenants', () => {
+    const [dscr, ...standard] = getDefaultCovenants();
+    const params = {
+      ...baseParams,
+      covenants: [
+        { ...dscr, stepDowns: [{ year: 2027, threshold: 3.2 }, { year: 2029, threshold: 1.2 }] },
+        ...standard,
+        {
+          id: 'capexLimit', name: 'Capex Limit', formula: 'capex', direction: 'max', unit: 'amount',
+          threshold: 5.5e6, thresholdParam: null, stepDowns: [], frequency: 'annual', enabled: true
+        }
+      ]
+    };
+    const projection = buildProjection(params);
+    const results = runMonteCarlo(params, noVolatility());
+    const expected = (id) => projection.breaches.covenants.find(c => c.id === id).breachYears;
+
+    expect(results.covenants.map(c => c.id)).toEqual(['dscr', 'icr', 'leverage', 'capexLimit']);
+    results.breachProbabilities.forEach(year => {
+      ['dscr', 'icr', 'leverage', 'capexLimit'].forEach(id => {
+        expect(year.byCovenant[id]).toBe(expected(id).includes(year.year) ? 1 : 0);
+      });
+      expect(year.any).toBe(projection.breaches.breachYears.includes(year.year) ? 1 : 0);
+    });
+    expect(expected('dscr')).toEqual([2027]);
+    expect(expected('capexLimit').length).toBeGreaterThan(0);
+  });
+
+  it('leaves covenants with a zero threshold untested', () => {
+    const results = runMonteCarlo({ ...baseParams, minDSCR: 0 }, noVolatility());
+    expect(results.covenants.map(c => c.id)).not.toContain('dscr');
+  });
+});
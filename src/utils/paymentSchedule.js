@@ -0,0 +1,252 @@
+// ============================================================================
+// paymentSchedule.js - Payment-date repayment calendars for term debt
+// ============================================================================
+// Generates each tranche's payment dates from its start date, payment
+// frequency and maturity, rolls them onto business days, and accrues interest
+// per period with the tranche's day count convention on the balance
+// outstanding in that period. Principal follows the annual projection: each
+// year's scheduled principal is split evenly across the payment dates falling
+// in that year (bullet and interest-only principal is paid with the final
+// payment, the maturity date in the year the debt matures) and any cash sweep
+// prepayment is added to the last payment of the year, so the calendar ties
+// to the year-end balances in buildProjection. buildProjection accrues each
+// year's term debt interest from the same payments.
+// ============================================================================
+
+import {
+  toUTCDate,
+  toISODate,
+  daysBetween,
+  addMonths,
+  adjustBusinessDay,
+  yearFraction
+} from './dayCount';
+
+export const PAYMENT_FREQUENCY_MONTHS = {
+  Monthly: 1,
+  Quarterly: 3,
+  'Semi-Annually': 6,
+  Annually: 12,
+  Bullet: 12 // Bullet loans still pay interest annually
+};
+
+// Guard against runaway schedules from bad dates (100 years of monthly payments)
+const MAX_PAYMENTS = 1200;
+
+// Balances below this are treated as fully repaid
+const BALANCE_EPSILON = 0.005;
+
+/**
+ * Last calendar day of a date's month
+ */
+function lastDayOfMonth(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0));
+}
+
+/**
+ * Generate adjusted payment dates between a start date and maturity
+ *
+ * Unadjusted dates roll forward from the start date in whole months (end of
+ * month anchors stay at month end); the final date is the maturity date.
+ * Accrual periods run between adjusted payment dates.
+ *
+ * @param {Object} options
+ * @param {string|Date} options.startDate - Accrual start (drawdown) date
+ * @param {string|Date} options.maturityDate - Final maturity date
+ * @param {string} [options.frequency] - Monthly | Quarterly | Semi-Annually | Annually | Bullet
+ * @param {string} [options.businessDayConvention] - 'none' | 'following' | 'modified-following'
+ * @param {Array<string>} [options.holidays] - ISO holiday dates
+ * @returns {Array} [{ period, accrualStart, accrualEnd, paymentDate, unadjustedDate, days }]
+ */
+export function generatePaymentDates({
+  startDate,
+  maturityDate,
+  frequency = 'Quarterly',
+  businessDayConvention = 'modified-following',
+  holidays = []
+}) {
+  const start = toUTCDate(startDate);
+  const maturity = toUTCDate(maturityDate);
+  if (!start || !maturity || maturity <= start) return [];
+
+  const months = PAYMENT_FREQUENCY_MONTHS[frequency] || 3;
+  const monthEndAnchor = start.getUTCDate() === lastDayOfMonth(start).getUTCDate();
+  const adjustedMaturity = adjustBusinessDay(maturity, businessDayConvention, holidays);
+  const unadjusted = [];
+  for (let k = 1; k <= MAX_PAYMENTS; k++) {
+    const rolled = addMonths(start, k * months);
+    const date = monthEndAnchor ? lastDayOfMonth(rolled) : rolled;
+    // A date that would pay on or after maturity merges into the final payment
+    if (date >= maturity || adjustBusinessDay(date, businessDayConvention, holidays) >= adjustedMaturity) break;
+    unadjusted.push(date);
+  }
+  unadjusted.push(maturity);
+
+  let accrualStart = start;
+  return unadjusted.map((date, idx) => {
+    const paymentDate = adjustBusinessDay(date, businessDayConvention, holidays);
+    const period = {
+      period: idx + 1,
+      accrualStart,
+      accrualEnd: paymentDate,
+      paymentDate,
+      unadjustedDate: date,
+      days: daysBetween(accrualStart, paymentDate)
+    };
+    accrualStart = paymentDate;
+    return period;
+  });
+}
+
+/**
+ * Whether an amortization type repays all principal at maturity
+ *
+ * @param {string} amortizationType - amortizing | interest-only | bullet
+ * @returns {boolean}
+ */
+export function isPrincipalAtMaturity(amortizationType) {
+  return amortizationType === 'bullet' || amortizationType === 'interest-only';
+}
+
+/**
+ * Payment dates for one debt source under the model's business day rules
+ *
+ * @param {Object} source - { startDate, maturityDate, frequency }
+ * @param {Object} params - Model parameters (businessDayConvention, holidays)
+ * @returns {Array} Dates from generatePaymentDates
+ */
+export function getSourcePaymentDates(source, params) {
+  return generatePaymentDates({
+    startDate: source.startDate,
+    maturityDate: source.maturityDate,
+    frequency: source.frequency,
+    businessDayConvention: params.businessDayConvention || 'modified-following',
+    holidays: params.holidays || []
+  });
+}
+
+/**
+ * Payments on the dates falling in one calendar year
+ *
+ * The year's scheduled principal is split evenly across its payment dates;
+ * bullet and interest-only principal is paid in one amount on the year's last
+ * payment date. That is the maturity date when the debt matures in the year;
+ * any other date is flagged beforeMaturity. Interest accrues on the balance
+ * outstanding in each accrual period.
+ *
+ * @param {Array} dates - Payment dates from generatePaymentDates
+ * @param {number} year - Calendar year
+ * @param {Object} terms
+ * @param {number} terms.openingBalance - Balance at the start of the year
+ * @param {number} terms.principal - Scheduled principal due in the year
+ * @param {number} [terms.prepayment] - Prepayment made with the year's last payment
+ * @param {number} terms.rate - Annual interest rate for the year
+ * @param {string} terms.dayCountConvention - Day count convention
+ * @param {boolean} [terms.principalAtMaturity] - Bullet or interest-only principal
+ * @returns {Array} Payment rows (empty when no payment falls in the year)
+ */
+export function scheduleYearPayments(dates, year, {
+  openingBalance,
+  principal,
+  prepayment = 0,
+  rate,
+  dayCountConvention,
+  principalAtMaturity = false
+}) {
+  const yearDates = dates.filter(d => d.paymentDate.getUTCFullYear() === year);
+  const maturity = dates[dates.length - 1];
+  const payments = [];
+  let balance = openingBalance;
+
+  yearDates.forEach((d, idx) => {
+    if (balance <= BALANCE_EPSILON) return;
+    const isLast = idx === yearDates.length - 1;
+    const fraction = yearFraction(d.accrualStart, d.accrualEnd, dayCountConvention);
+    const interest = balance * (rate || 0) * fraction;
+    const due = principalAtMaturity ? (isLast ? principal : 0) : principal / yearDates.length;
+    const scheduled = Math.min(balance, due);
+    const prepaid = isLast ? Math.min(balance - scheduled, prepayment) : 0;
+    const paid = scheduled + prepaid;
+
+    payments.push({
+      period: d.period,
+      accrualStart: toISODate(d.accrualStart),
+      accrualEnd: toISODate(d.accrualEnd),
+      paymentDate: toISODate(d.paymentDate),
+      unadjustedDate: toISODate(d.unadjustedDate),
+      days: d.days,
+      yearFraction: fraction,
+      rate: rate || 0,
+      openingBalance: balance,
+      interest,
+      scheduledPrincipal: scheduled,
+      prepayment: prepaid,
+      principal: paid,
+      totalPayment: interest + paid,
+      closingBalance: Math.max(0, balance - paid),
+      // The annual schedule repays a bullet before its stated maturity
+      beforeMaturity: principalAtMaturity && scheduled > BALANCE_EPSILON && d !== maturity
+    });
+    balance = Math.max(0, balance - paid);
+  });
+
+  return payments;
+}
+
+/**
+ * Build the per-payment repayment calendar for one debt source
+ *
+ * Covers payment dates within the projection horizon. Payments before the
+ * projection start are omitted; principal for a year without any payment
+ * date is carried to the next payment.
+ *
+ * @param {Object} source
+ * @param {string} source.name - Tranche name
+ * @param {string|Date} source.startDate - Accrual start date
+ * @param {string|Date} source.maturityDate - Maturity date
+ * @param {string} source.frequency - Payment frequency
+ * @param {string} source.dayCountConvention - Day count convention
+ * @param {string} [source.amortizationType] - amortizing | interest-only | bullet
+ * @param {number} source.openingBalance - Balance at projection start
+ * @param {Array} source.years - Per projection year { rate, principal, prepayment }
+ * @param {Object} params - Model parameters (startYear, businessDayConvention, holidays)
+ * @returns {Array} Payment rows
+ */
+export function buildRepaymentCalendar(source, params) {
+  const dates = getSourcePaymentDates(source, params);
+  const principalAtMaturity = isPrincipalAtMaturity(source.amortizationType);
+  const payments = [];
+  let balance = source.openingBalance;
+  let carriedPrincipal = 0;
+
+  source.years.forEach((yearData, i) => {
+    const yearPayments = scheduleYearPayments(dates, params.startYear + i, {
+      openingBalance: balance,
+      principal: carriedPrincipal + (yearData.principal || 0),
+      prepayment: yearData.prepayment || 0,
+      rate: yearData.rate,
+      dayCountConvention: source.dayCountConvention,
+      principalAtMaturity
+    });
+    if (yearPayments.length === 0) {
+      carriedPrincipal += (yearData.principal || 0) + (yearData.prepayment || 0);
+      return;
+    }
+    carriedPrincipal = 0;
+    payments.push(...yearPayments);
+    balance = yearPayments[yearPayments.length - 1].closingBalance;
+  });
+
+  return payments;
+}
+
+/**
+ * Default accrual start when a tranche has no start date: the day before
+ * the projection starts, so payment dates fall on period ends (31 Mar, 30 Jun...)
+ *
+ * @param {number} startYear - Projection start year
+ * @returns {string}
+ */
+export function getDefaultScheduleStartDate(startYear) {
+  return `${startYear - 1}-12-31`;
+}
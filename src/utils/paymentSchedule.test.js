@@ -0,0 +1,84 @@
+import { generatePaymentDates, buildRepaymentCalendar } from './paymentSchedule';
+import { buildProjection } from './buildProjection';
+
+const params = { startYear: 2025, businessDayConvention: 'none' };
+
+const source = (changes) => ({
+  name: 'Facility',
+  startDate: '2024-12-31',
+  maturityDate: '2027-12-31',
+  frequency: 'Semi-Annually',
+  dayCountConvention: 'Actual/365',
+  amortizationType: 'bullet',
+  openingBalance: 30e6,
+  years: [
+    { rate: 0.1, principal: 0, prepayment: 0 },
+    { rate: 0.1, principal: 0, prepayment: 0 },
+    { rate: 0.1, principal: 30e6, prepayment: 0 }
+  ],
+  ...changes
+});
+
+describe('generatePaymentDates', () => {
+  const dates = (businessDayConvention) => generatePaymentDates({
+    startDate: '2024-11-30', maturityDate: '2025-08-31', frequency: 'Quarterly', businessDayConvention
+  }).map(d => d.paymentDate.toISOString().slice(0, 10));
+
+  it('keeps month-end anchors and rolls weekend dates onto business days', () => {
+    // 31 May 2025 is a Saturday and 31 Aug 2025 a Sunday
+    expect(dates('following')).toEqual(['2025-02-28', '2025-06-02', '2025-09-01']);
+    expect(dates('modified-following')).toEqual(['2025-02-28', '2025-05-30', '2025-08-29']);
+  });
+});
+
+describe('buildRepaymentCalendar', () => {
+  it('pays bullet principal on the maturity date and interest on the balance outstanding', () => {
+    const payments = buildRepaymentCalendar(source(), params);
+
+    expect(payments.map(p => p.paymentDate)).toEqual([
+      '2025-06-30', '2025-12-31', '2026-06-30', '2026-12-31', '2027-06-30', '2027-12-31'
+    ]);
+    expect(payments.map(p => p.principal)).toEqual([0, 0, 0, 0, 0, 30e6]);
+    expect(payments[2].interest).toBeCloseTo(30e6 * 0.1 * 181 / 365, 2);
+    expect(payments.some(p => p.beforeMaturity)).toBe(false);
+  });
+
+  it('flags a bullet the annual schedule repays before its maturity year', () => {
+    const years = source().years;
+    const payments = buildRepaymentCalendar(source({ years: [years[0], years[2], years[1]] }), params);
+
+    expect(payments[3]).toMatchObject({ paymentDate: '2026-12-31', principal: 30e6, beforeMaturity: true });
+    expect(payments).toHaveLength(4);
+  });
+
+  it('splits amortizing principal across the year and accrues on the declining balance', () => {
+    const payments = buildRepaymentCalendar(source({
+      amortizationType: 'amortizing',
+      years: [{ rate: 0.1, principal: 10e6, prepayment: 2e6 }]
+    }), params);
+
+    expect(payments.map(p => p.scheduledPrincipal)).toEqual([5e6, 5e6]);
+    expect(payments[1].prepayment).toBe(2e6);
+    expect(payments[1].openingBalance).toBe(25e6);
+    expect(payments[1].interest).toBeCloseTo(25e6 * 0.1 * 184 / 365, 2);
+    expect(payments[1].closingBalance).toBe(18e6);
+  });
+});
+
+describe('annual interest on the repayment calendar', () => {
+  it('accrues each year as the sum of the calendar interest paid in it', () => {
+    const projection = buildProjection({
+      startYear: 2025, years: 3, baseRevenue: 100e6, growth: 0.05, cogsPct: 0.4, opexPct: 0.25, capexPct: 0.05,
+      daPctOfPPE: 0.1, wcPctOfRev: 0.15, taxRate: 0.25, wacc: 0.1, terminalGrowth: 0.03, openingCash: 5e6,
+      requestedLoanAmount: 40e6, proposedPricing: 0.1, proposedTenor: 3, paymentFrequency: 'Quarterly'
+    });
+    const [schedule] = projection.paymentSchedules;
+
+    expect(schedule.maturityDate).toBe('2027-12-31');
+    projection.rows.forEach(row => {
+      const paid = schedule.payments.filter(p => p.paymentDate.startsWith(`${row.year}`));
+      expect(paid.reduce((sum, p) => sum + p.interest, 0)).toBeCloseTo(row.interestExpense, 0);
+      expect(paid.reduce((sum, p) => sum + p.principal, 0)).toBeCloseTo(row.principalPayment, 0);
+    });
+  });
+});
@@ -0,0 +1,359 @@
+// ============================================================================
+// periodProjection.js - Sub-annual (monthly / quarterly) projection periods
+// ============================================================================
+// Splits each annual projection row into monthly or quarterly periods so that
+// seasonal borrowers (tourism, agriculture) can be tested for covenant
+// breaches inside the year. Revenue and variable costs follow a 12-month
+// seasonality profile; fixed costs and depreciation accrue evenly.
+//
+// Cash moves when it is paid: term debt principal and interest are the
+// payments on the repayment calendars from paymentSchedule.js, in the periods
+// of their payment dates (so payment frequency and bullets are honoured), tax is
+// paid in equal instalments, and revolvers draw and repay period by period
+// against their minimum cash balance. Cash sweeps, reserve account movements
+// and distributions are settled once the year closes, as they depend on the
+// year's results. Every flow rolls back up to the annual rows exactly. IFRS 16
+// lease payments are spread evenly and enter the period covenants on the same
+// pre- or post-IFRS 16 basis as the annual rows.
+// ============================================================================
+
+import { safeDivide } from './mathUtils';
+import { getOpeningWorkingCapital } from './workingCapital';
+import { getThresholdForYear } from './covenants';
+
+/**
+ * Supported period modes and the number of periods per year for each
+ */
+export const PERIOD_MODES = {
+  annual: 1,
+  quarterly: 4,
+  monthly: 12
+};
+
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Get number of periods per year for a period mode
+ * @param {string} mode - 'annual' | 'quarterly' | 'monthly'
+ * @returns {number} - Periods per year (defaults to 1)
+ */
+export function getPeriodsPerYear(mode) {
+  return PERIOD_MODES[mode] || 1;
+}
+
+/**
+ * Convert a 12-month seasonality profile into per-period revenue shares
+ * Missing, empty or all-zero profiles fall back to an even split.
+ *
+ * @param {Array<number>} profile - 12 monthly weights (any scale)
+ * @param {number} periodsPerYear - 1, 4 or 12
+ * @returns {Array<number>} - Shares per period summing to 1
+ */
+export function getSeasonalShares(profile, periodsPerYear) {
+  const monthly = Array.isArray(profile) && profile.length === 12
+    ? profile.map(w => (Number.isFinite(Number(w)) && Number(w) > 0 ? Number(w) : 0))
+    : Array(12).fill(1);
+  const total = monthly.reduce((sum, w) => sum + w, 0);
+  const normalized = total > 0 ? monthly.map(w => w / total) : Array(12).fill(1 / 12);
+
+  const monthsPerPeriod = 12 / periodsPerYear;
+  return Array.from({ length: periodsPerYear }, (_, p) =>
+    normalized
+      .slice(p * monthsPerPeriod, (p + 1) * monthsPerPeriod)
+      .reduce((sum, w) => sum + w, 0)
+  );
+}
+
+/**
+ * Build display label for a period
+ */
+function getPeriodLabel(year, periodInYear, periodsPerYear) {
+  if (periodsPerYear === 12) return `${MONTH_LABELS[periodInYear - 1]} ${year}`;
+  if (periodsPerYear === 4) return `Q${periodInYear} ${year}`;
+  return `${year}`;
+}
+
+/**
+ * Scheduled principal and interest a debt source pays in each period of a
+ * year, from the payments on its repayment calendar
+ *
+ * @param {Object} [schedule] - Repayment calendar ({ payments }) from paymentSchedule.js
+ * @param {number} year - Calendar year
+ * @param {number} periodsPerYear - 1, 4 or 12
+ * @returns {Object|null} { principal, interest } per period in the calendar's
+ *   currency, or null when no payment falls in the year
+ */
+export function getPaymentTiming(schedule, year, periodsPerYear) {
+  const monthsPerPeriod = 12 / periodsPerYear;
+  const principal = Array(periodsPerYear).fill(0);
+  const interest = Array(periodsPerYear).fill(0);
+  const payments = (schedule?.payments || []).filter(payment => Number(payment.paymentDate.slice(0, 4)) === year);
+  payments.forEach(payment => {
+    const p = Math.floor((Number(payment.paymentDate.slice(5, 7)) - 1) / monthsPerPeriod);
+    principal[p] += payment.scheduledPrincipal || 0;
+    interest[p] += payment.interest || 0;
+  });
+  return payments.length > 0 ? { principal, interest } : null;
+}
+
+/**
+ * Build sub-annual projection rows from the annual projection
+ *
+ * @param {Object} params - Model parameters (periodMode, seasonality, covenants)
+ * @param {Array} annualRows - Annual rows produced by buildProjection
+ * @param {Array} debtSchedule - Annual debt schedule used by buildProjection
+ * @param {number} [openingDebt] - Opening gross debt (defaults to the schedule's opening balance)
+ * @param {Array} [paymentSchedules] - Repayment calendars, one per term debt source in
+ *   debtSchedule tranche order; sources without one pay evenly across the year
+ * @returns {Array} Period rows (P&L, cash flow, balances and DSCR per period)
+ */
+export function buildPeriodRows(params, annualRows, debtSchedule, openingDebt, paymentSchedules = []) {
+  const periodsPerYear = getPeriodsPerYear(params.periodMode);
+  const shares = getSeasonalShares(params.seasonality, periodsPerYear);
+  const periodRows = [];
+
+  let cash = params.openingCash || 0;
+  let prevWorkingCapital = getOpeningWorkingCapital(params).netWorkingCapital;
+  const first = annualRows[0] || {};
+  let revolverBalance = (first.revolverBalance || 0) - (first.revolverDraws || 0) + (first.revolverRepayments || 0);
+  let termBalance = (openingDebt ?? (debtSchedule[0]
+    ? (debtSchedule[0].endingBalance || 0) + (debtSchedule[0].principal || 0)
+    : 0)) - revolverBalance;
+  // Year-end working capital matches the annual row; intra-year balances
+  // move with revenue relative to the final period of the year
+  const yearEndShare = shares[periodsPerYear - 1] || 1 / periodsPerYear;
+
+  annualRows.forEach((annual, i) => {
+    const debtYear = debtSchedule[i] || { principal: 0, interest: 0, endingBalance: 0 };
+
+    // Term debt principal and interest are the calendar payments in each
+    // period (translated at the year's rate); sources without a payment in
+    // the year pay their annual amounts evenly
+    const sources = debtYear.trancheDetails?.length ? debtYear.trancheDetails : [debtYear];
+    const principalByPeriod = Array(periodsPerYear).fill(0);
+    const termInterestByPeriod = Array(periodsPerYear).fill(0);
+    let termInterest = 0;
+    sources.forEach((source, idx) => {
+      const timing = getPaymentTiming(paymentSchedules[idx], annual.year, periodsPerYear);
+      const fxRate = source.fxRate || 1;
+      for (let p = 0; p < periodsPerYear; p++) {
+        principalByPeriod[p] += timing ? timing.principal[p] * fxRate : (source.principal || 0) / periodsPerYear;
+        termInterestByPeriod[p] += timing ? timing.interest[p] * fxRate : (source.interest || 0) / periodsPerYear;
+      }
+      termInterest += source.interest || 0;
+    });
+
+    // Annual finance costs include revolver interest, commitment fees, hedge
+    // settlements and lease interest; the P&L accrues them evenly
+    const interestPerPeriod = (annual.interestExpense ?? debtYear.interest ?? 0) / periodsPerYear;
+    const leaseInterestPerPeriod = (annual.leaseInterest || 0) / periodsPerYear;
+    const leasePrincipalPerPeriod = (annual.leasePrincipal || 0) / periodsPerYear;
+    // Finance costs other than term debt interest are paid as they accrue
+    const otherFinanceCostsPerPeriod = interestPerPeriod - termInterest / periodsPerYear - leaseInterestPerPeriod;
+    const postIfrs16 = annual.covenantBasis !== 'pre';
+    // Leases starting this year are recognised at its start
+    let leaseBalance = (annual.leaseLiability || 0) + (annual.leasePrincipal || 0) - (annual.leaseAdditions || 0);
+    // Cash sweeps and reserve account movements are settled against year-end cash
+    const yearEndFinancing = (annual.reserveNetRelease || 0) - (annual.sweepPrepayments || 0);
+    const revolverCommitment = annual.revolverCommitment || 0;
+    // Past maturity (no commitment) any outstanding revolver is repaid from all cash
+    const revolverMinimumCash = revolverCommitment > 0 ? annual.revolverMinimumCash || 0 : 0;
+
+    for (let p = 0; p < periodsPerYear; p++) {
+      const share = shares[p];
+
+      // Income statement - revenue and variable costs follow seasonality,
+      // fixed costs and depreciation accrue evenly
+      const revenue = annual.revenue * share;
+      const fixedCogs = annual.fixedCogs || 0;
+      const fixedOpex = annual.fixedOpex || 0;
+      const cogs = (annual.cogs - fixedCogs) * share + fixedCogs / periodsPerYear;
+      const opex = (annual.opex - fixedOpex) * share + fixedOpex / periodsPerYear;
+      const ebitda = revenue - cogs - opex;
+      const depreciation = annual.depreciation / periodsPerYear;
+      const ebit = ebitda - depreciation;
+
+      const principalPayment = Math.min(principalByPeriod[p], Math.max(0, termBalance));
+      const interestExpense = interestPerPeriod;
+      const interestPaid = termInterestByPeriod[p] + otherFinanceCostsPerPeriod + leaseInterestPerPeriod;
+      const leasePayment = leaseInterestPerPeriod + leasePrincipalPerPeriod;
+      const financialDebtService = interestPaid - leaseInterestPerPeriod + principalPayment;
+      const debtService = financialDebtService + (postIfrs16 ? leasePayment : 0);
+      const covenantEbitda = postIfrs16 ? ebitda : ebitda - leasePayment;
+      termBalance -= principalPayment;
+      leaseBalance -= leasePrincipalPerPeriod;
+
+      // Tax is paid in equal instalments through the year; foreign debt is
+      // retranslated (non-cash) when the year closes
+      const isYearEnd = p === periodsPerYear - 1;
+      const fxTranslationLoss = isYearEnd ? (annual.fxTranslationLoss || 0) : 0;
+      const ebt = ebit - interestExpense - fxTranslationLoss;
+      const tax = annual.tax / periodsPerYear;
+      const cashTax = (annual.cashTax ?? annual.tax) / periodsPerYear;
+      const netIncome = ebt - tax;
+
+      const workingCapital = annual.workingCapital * safeDivide(share, yearEndShare, 1);
+      const wcDelta = workingCapital - prevWorkingCapital;
+      prevWorkingCapital = workingCapital;
+
+      const capex = annual.capex / periodsPerYear;
+      const operatingCashFlow = ebitda - cashTax - wcDelta;
+      // Distributions are paid once the year closes
+      const dividends = isYearEnd ? (annual.dividends || 0) : 0;
+      const financingFlow = isYearEnd ? yearEndFinancing : 0;
+      cash += operatingCashFlow - capex - financialDebtService - leasePayment - dividends + financingFlow;
+
+      // Revolvers draw below the minimum cash balance and repay from cash above
+      // it; at year end they settle to the annual closing balance
+      let revolverDraw = 0;
+      let revolverRepayment = 0;
+      if (isYearEnd) {
+        const settlement = (annual.revolverBalance || 0) - revolverBalance;
+        revolverDraw = Math.max(0, settlement);
+        revolverRepayment = Math.max(0, -settlement);
+      } else if (cash < revolverMinimumCash) {
+        revolverDraw = Math.min(revolverMinimumCash - cash, Math.max(0, revolverCommitment - revolverBalance));
+      } else {
+        revolverRepayment = Math.min(revolverBalance, cash - revolverMinimumCash);
+      }
+      revolverBalance += revolverDraw - revolverRepayment;
+      cash += revolverDraw - revolverRepayment;
+
+      if (isYearEnd) {
+        termBalance = (annual.grossDebt ?? termBalance + revolverBalance) - revolverBalance;
+        leaseBalance = annual.leaseLiability || 0;
+      }
+      const grossDebt = termBalance + revolverBalance;
+      const covenantDebt = grossDebt + (postIfrs16 ? leaseBalance : 0);
+
+      periodRows.push({
+        year: annual.year,
+        period: periodRows.length + 1,
+        periodInYear: p + 1,
+        label: getPeriodLabel(annual.year, p + 1, periodsPerYear),
+        revenue,
+        cogs,
+        opex,
+        ebitda,
+        covenantEbitda,
+        depreciation,
+        ebit,
+        interestExpense,
+        interestPaid,
+        fxTranslationLoss,
+        ebt,
+        tax,
+        cashTax,
+        netIncome,
+        workingCapital,
+        wcDelta,
+        capex,
+        operatingCashFlow,
+        principalPayment,
+        debtService,
+        revolverDraw,
+        revolverRepayment,
+        revolverBalance,
+        dividends,
+        cash,
+        grossDebt,
+        leaseLiability: leaseBalance,
+        netDebt: Math.max(0, covenantDebt - cash),
+        dscr: debtService > 0 ? Math.min(99, covenantEbitda / debtService) : null
+      });
+    }
+  });
+
+  // Trailing-twelve-month measures (how covenants are tested mid-year).
+  // Until a full year of periods exists the available periods are annualised.
+  periodRows.forEach((row, idx) => {
+    const window = periodRows.slice(Math.max(0, idx - periodsPerYear + 1), idx + 1);
+    const scale = periodsPerYear / window.length;
+    const ltmEbitda = window.reduce((sum, r) => sum + r.covenantEbitda, 0) * scale;
+    const ltmDebtService = window.reduce((sum, r) => sum + r.debtService, 0) * scale;
+
+    row.ltmEbitda = ltmEbitda;
+    row.ltmDebtService = ltmDebtService;
+    row.ltmDscr = ltmDebtService > 0 ? Math.min(99, ltmEbitda / ltmDebtService) : null;
+    row.ndToEbitda = ltmEbitda > 0 ? row.netDebt / ltmEbitda : 0;
+  });
+
+  return periodRows;
+}
+
+/**
+ * Roll period rows back up to annual totals
+ * Flows are summed; balances are taken at the last period of each year.
+ *
+ * @param {Array} periodRows - Rows from buildPeriodRows
+ * @returns {Array} Annual roll-up rows
+ */
+export function rollUpPeriods(periodRows) {
+  const byYear = new Map();
+  periodRows.forEach(row => {
+    if (!byYear.has(row.year)) byYear.set(row.year, []);
+    byYear.get(row.year).push(row);
+  });
+
+  const flowFields = [
+    'revenue', 'cogs', 'opex', 'ebitda', 'covenantEbitda', 'depreciation', 'ebit', 'interestExpense', 'fxTranslationLoss',
+    'interestPaid', 'ebt', 'tax', 'cashTax', 'netIncome', 'wcDelta', 'capex', 'operatingCashFlow',
+    'principalPayment', 'debtService', 'revolverDraw', 'revolverRepayment', 'dividends'
+  ];
+  const balanceFields = ['workingCapital', 'cash', 'grossDebt', 'revolverBalance', 'leaseLiability', 'netDebt'];
+
+  return [...byYear.entries()].map(([year, rows]) => {
+    const rolled = { year, periods: rows.length };
+    flowFields.forEach(field => {
+      rolled[field] = rows.reduce((sum, r) => sum + (r[field] || 0), 0);
+    });
+    balanceFields.forEach(field => {
+      rolled[field] = rows[rows.length - 1][field];
+    });
+    rolled.dscr = rolled.debtService > 0 ? Math.min(99, rolled.covenantEbitda / rolled.debtService) : null;
+    rolled.ndToEbitda = rolled.covenantEbitda > 0 ? rolled.netDebt / rolled.covenantEbitda : 0;
+    const periodDSCRs = rows.map(r => r.dscr).filter(v => v !== null);
+    rolled.minPeriodDSCR = periodDSCRs.length > 0 ? Math.min(...periodDSCRs) : null;
+    rolled.minPeriodCash = Math.min(...rows.map(r => r.cash));
+    return rolled;
+  });
+}
+
+/**
+ * Covenant tests on period rows
+ * DSCR is tested on the period itself and on a trailing-twelve-month basis;
+ * leverage is tested against LTM EBITDA. Thresholds are the library's DSCR and
+ * leverage covenants for each period's year (after step-downs).
+ *
+ * @param {Array} periodRows - Rows from buildPeriodRows
+ * @param {Object} params - Model parameters (covenants, minDSCR, maxNDToEBITDA)
+ * @returns {Object} Breach summary by period
+ */
+export function analyzePeriodCovenants(periodRows, params) {
+  const minDSCR = (r) => getThresholdForYear(params, 'dscr', r.year);
+  const maxLeverage = (r) => getThresholdForYear(params, 'leverage', r.year);
+  const dscrBreaches = periodRows.filter(r => r.dscr !== null && minDSCR(r) !== null && r.dscr < minDSCR(r));
+  const ltmDscrBreaches = periodRows.filter(r => r.ltmDscr !== null && minDSCR(r) !== null && r.ltmDscr < minDSCR(r));
+  const leverageBreaches = periodRows.filter(r => maxLeverage(r) !== null && r.ndToEbitda > maxLeverage(r));
+  const negativeCash = periodRows.filter(r => r.cash < 0);
+
+  const dscrRows = periodRows.filter(r => r.dscr !== null);
+  const worstDSCR = dscrRows.reduce((worst, r) => (!worst || r.dscr < worst.dscr ? r : worst), null);
+  const lowestCash = periodRows.reduce((low, r) => (!low || r.cash < low.cash ? r : low), null);
+
+  return {
+    dscrBreaches: dscrBreaches.length,
+    ltmDscrBreaches: ltmDscrBreaches.length,
+    ndBreaches: leverageBreaches.length,
+    dscrBreachPeriods: dscrBreaches.map(r => r.label),
+    ltmDscrBreachPeriods: ltmDscrBreaches.map(r => r.label),
+    leverageBreachPeriods: leverageBreaches.map(r => r.label),
+    negativeCashPeriods: negativeCash.map(r => r.label),
+    minPeriodDSCR: worstDSCR ? worstDSCR.dscr : null,
+    worstDSCRPeriod: worstDSCR ? worstDSCR.label : null,
+    minCash: lowestCash ? lowestCash.cash : null,
+    minCashPeriod: lowestCash ? lowestCash.label : null,
+    // Years with at least one period-level DSCR breach
+    midYearBreachYears: [...new Set(dscrBreaches.map(r => r.year))]
+  };
+}
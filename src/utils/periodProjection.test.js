@@ -0,0 +1,88 @@
+import { getPaymentTiming, rollUpPeriods } from './periodProjection';
+import { buildProjection } from './buildProjection';
+
+const baseParams = {
+  startYear: 2025,
+  years: 3,
+  baseRevenue: 100e6,
+  growth: 0.08,
+  cogsPct: 0.4,
+  opexPct: 0.25,
+  capexPct: 0.05,
+  daPctOfPPE: 0.1,
+  wcPctOfRev: 0.15,
+  taxRate: 0.25,
+  wacc: 0.1,
+  terminalGrowth: 0.03,
+  requestedLoanAmount: 0,
+  openingCash: 1e6,
+  minDSCR: 1.2,
+  targetICR: 2,
+  maxNDToEBITDA: 3.5,
+  periodMode: 'quarterly',
+  // Strong winter and summer trading with a weak shoulder season
+  seasonality: [200, 200, 150, 100, 60, 40, 40, 40, 60, 100, 150, 200]
+};
+
+const bullet = {
+  id: 1, name: 'Bullet', amount: 30e6, rate: 0.1, tenorYears: 3, amortizationType: 'bullet',
+  paymentFrequency: 'Semi-Annually', maturityDate: '2027-12-31', seniority: 'Senior Secured'
+};
+const revolver = {
+  id: 2, name: 'RCF', trancheType: 'revolver', amount: 0, commitment: 20e6, rate: 0.05, drawnMargin: 0.025,
+  commitmentFee: 0.005, minCashBalance: 1e6, maturityDate: '2031-12-31', seniority: 'Revolver'
+};
+
+describe('getPaymentTiming', () => {
+  it('puts principal and interest in the periods of their payment dates', () => {
+    const schedule = {
+      payments: [
+        { paymentDate: '2025-06-30', scheduledPrincipal: 0, interest: 3 },
+        { paymentDate: '2025-12-31', scheduledPrincipal: 10, interest: 1 },
+        { paymentDate: '2026-06-30', scheduledPrincipal: 10, interest: 2 }
+      ]
+    };
+    expect(getPaymentTiming(schedule, 2025, 4)).toEqual({ principal: [0, 0, 0, 10], interest: [0, 3, 0, 1] });
+  });
+
+  it('has no timing for a year without payment dates', () => {
+    expect(getPaymentTiming(undefined, 2025, 4)).toBeNull();
+  });
+});
+
+describe('buildPeriodRows', () => {
+  const projection = buildProjection({ ...baseParams, hasMultipleTranches: true, debtTranches: [bullet, revolver] });
+  const { periodRows, rows } = projection;
+
+  it('pays term debt principal and interest as on the repayment calendar', () => {
+    // Without the revolver, interest paid is the term debt's alone
+    const termOnly = buildProjection({ ...baseParams, openingCash: 10e6, hasMultipleTranches: true, debtTranches: [bullet] });
+    const [calendar] = termOnly.paymentSchedules;
+    const quarterOf = (payment) => `Q${Math.ceil(Number(payment.paymentDate.slice(5, 7)) / 3)} ${payment.paymentDate.slice(0, 4)}`;
+
+    expect(calendar.payments[calendar.payments.length - 1]).toMatchObject({ paymentDate: '2027-12-31', principal: 30e6 });
+    termOnly.periodRows.forEach(row => {
+      const paid = calendar.payments.filter(payment => quarterOf(payment) === row.label);
+      expect(row.principalPayment).toBeCloseTo(paid.reduce((sum, p) => sum + p.principal, 0), 0);
+      expect(row.interestPaid).toBeCloseTo(paid.reduce((sum, p) => sum + p.interest, 0), 0);
+    });
+    expect(termOnly.periodRows.filter(r => r.principalPayment > 0).map(r => r.label)).toEqual(['Q4 2027']);
+  });
+
+  it('draws the revolver within the year to hold the minimum cash balance', () => {
+    periodRows.forEach(r => expect(r.cash).toBeGreaterThanOrEqual(1e6 - 1));
+    expect(periodRows.some(r => r.periodInYear < 4 && r.revolverDraw > 0)).toBe(true);
+    expect(projection.periodBreaches.negativeCashPeriods).toEqual([]);
+  });
+
+  it('rolls every flow and balance back up to the annual rows', () => {
+    rollUpPeriods(periodRows).forEach((rolled, i) => {
+      expect(rolled.cash).toBeCloseTo(rows[i].cash, 0);
+      expect(rolled.grossDebt).toBeCloseTo(rows[i].grossDebt, 0);
+      expect(rolled.revolverBalance).toBeCloseTo(rows[i].revolverBalance, 0);
+      expect(rolled.interestPaid).toBeCloseTo(rows[i].interestExpense, 0);
+      expect(rolled.principalPayment).toBeCloseTo(rows[i].principalPayment, 0);
+      expect(rolled.revolverDraw - rolled.revolverRepayment).toBeCloseTo(rows[i].revolverDraws - rows[i].revolverRepayments, 0);
+    });
+  });
+});
@@ -0,0 +1,193 @@
+// ============================================================================
+// reserves.js - Debt service reserve account (DSRA) and other reserve accounts
+// ============================================================================
+// Reserve accounts are restricted cash held for lenders. Each reserve has:
+//   - a target: DSRA = N months of the next year's scheduled debt service;
+//     maintenance and capex reserves = an amount (a number or per-year array)
+//   - an initial funding source: at financial close (from equity / loan
+//     proceeds outside operating cash), transferred from opening cash, or
+//     built up from cash flow
+//   - a top-up priority: after debt service, reserves are topped up towards
+//     target in ascending priority before any cash sweep or distribution
+//   - a release rule: balance above target released each year, everything
+//     released once term debt is repaid, or never released
+//
+// A DSRA is drawn when unrestricted cash goes negative after debt service, so
+// DSCR is reported both on operating cash flow alone and with reserve draws.
+// Reserve balances earn no interest in the model.
+// ============================================================================
+
+import { valueForYear } from './mathUtils';
+
+export const RESERVE_TYPES = {
+  dsra: { label: 'Debt Service Reserve (DSRA)' },
+  maintenance: { label: 'Maintenance Reserve' },
+  capex: { label: 'Capex Reserve' }
+};
+
+export const RESERVE_FUNDING_SOURCES = {
+  closing: { label: 'Funded at close' },
+  openingCash: { label: 'From opening cash' },
+  cashFlow: { label: 'Built from cash flow' }
+};
+
+export const RESERVE_RELEASE_RULES = {
+  excess: { label: 'Release excess over target' },
+  maturity: { label: 'Release when debt repaid' },
+  never: { label: 'Never released' }
+};
+
+/**
+ * New reserve account with neutral defaults
+ * @param {Object} [fields] - Field overrides
+ * @returns {Object} { id, name, type, targetMonths, targetAmount, initialFunding, priority, releaseRule }
+ */
+export function createReserve(fields = {}) {
+  return {
+    id: Date.now(),
+    name: 'DSRA',
+    type: 'dsra',
+    targetMonths: 6,
+    targetAmount: 0,
+    initialFunding: 'closing',
+    priority: 1,
+    releaseRule: 'excess',
+    ...fields
+  };
+}
+
+/**
+ * Check whether any reserve account is configured
+ * @param {Object} params - Model parameters (reserveAccounts)
+ * @returns {boolean}
+ */
+export function hasReserves(params) {
+  return (params.reserveAccounts || []).length > 0;
+}
+
+/**
+ * Target balance of a reserve at the end of a year
+ * @param {Object} reserve - Reserve account
+ * @param {number} yearIndex - Projection year index (0-based)
+ * @param {number} forwardDebtService - Scheduled debt service for the following year
+ * @returns {number}
+ */
+export function getReserveTarget(reserve, yearIndex, forwardDebtService) {
+  if (reserve.type === 'dsra') {
+    return Math.max(0, forwardDebtService) * Math.max(0, Number(reserve.targetMonths) || 0) / 12;
+  }
+  return Math.max(0, valueForYear(reserve.targetAmount || 0, yearIndex));
+}
+
+/**
+ * Year-by-year ledger of reserve balances
+ *
+ * @param {Object} params - Model parameters (reserveAccounts, openingCash)
+ * @param {Array} debtSchedule - Scheduled term debt by year (totalPayment, endingBalance)
+ * @returns {Object} { openingBalance, fundedAtClose, fromOpeningCash, settleYear(input) }
+ */
+export function createReserveLedger(params, debtSchedule) {
+  const forwardDebtService = (yearIndex) => debtSchedule[yearIndex]?.totalPayment || 0;
+  let openingCashLeft = Math.max(0, params.openingCash || 0);
+  let fundedAtClose = 0;
+  let fromOpeningCash = 0;
+
+  const entries = [...(params.reserveAccounts || [])]
+    .map((reserve, index) => ({ reserve, index }))
+    .sort((a, b) => (Number(a.reserve.priority) || 0) - (Number(b.reserve.priority) || 0) || a.index - b.index)
+    .map(({ reserve }) => {
+      // Opening target looks at year 1 debt service
+      const target = getReserveTarget(reserve, 0, forwardDebtService(0));
+      let balance = 0;
+      if (reserve.initialFunding === 'closing') {
+        balance = target;
+        fundedAtClose += target;
+      } else if (reserve.initialFunding === 'openingCash') {
+        balance = Math.min(target, openingCashLeft);
+        openingCashLeft -= balance;
+        fromOpeningCash += balance;
+      }
+      return { reserve, balance };
+    });
+
+  return {
+    openingBalance: fundedAtClose + fromOpeningCash,
+    fundedAtClose,
+    fromOpeningCash,
+
+    /**
+     * Draw, release and top up reserves for one year
+     * @param {Object} input
+     * @param {number} input.yearIndex - Projection year index (0-based)
+     * @param {number} input.cash - Unrestricted cash after debt service and revolver
+     * @param {number} input.minimumCash - Cash to keep before topping up reserves
+     * @param {Object} input.debtYear - This year's term debt (endingBalance, totalPayment)
+     * @returns {Object} { draws, releases, topUps, netRelease, balance, reserves }
+     */
+    settleYear({ yearIndex, cash, minimumCash, debtYear }) {
+      const debtOutstanding = (debtYear.endingBalance || 0) > 1e-6;
+      // Past the projection the DSRA keeps covering this year's level while debt is outstanding
+      const nextDebtService = yearIndex + 1 < debtSchedule.length
+        ? forwardDebtService(yearIndex + 1)
+        : (debtOutstanding ? debtYear.totalPayment || 0 : 0);
+
+      let shortfall = Math.max(0, -cash);
+      const details = entries.map(entry => {
+        const target = getReserveTarget(entry.reserve, yearIndex + 1, nextDebtService);
+        const opening = entry.balance;
+
+        // DSRA covers a debt service shortfall before anything else
+        let draw = 0;
+        if (entry.reserve.type === 'dsra' && shortfall > 0) {
+          draw = Math.min(entry.balance, shortfall);
+          entry.balance -= draw;
+          shortfall -= draw;
+        }
+
+        let release = 0;
+        if (entry.reserve.releaseRule === 'excess') {
+          release = Math.max(0, entry.balance - target);
+        } else if (entry.reserve.releaseRule === 'maturity' && !debtOutstanding) {
+          release = entry.balance;
+        }
+        entry.balance -= release;
+
+        return { entry, target, opening, draw, release, topUp: 0 };
+      });
+
+      // Top-ups in priority order from cash above the minimum balance
+      const drawsAndReleases = details.reduce((sum, d) => sum + d.draw + d.release, 0);
+      let available = Math.max(0, cash + drawsAndReleases - minimumCash);
+      details.forEach(d => {
+        const keepsTopping = d.entry.reserve.releaseRule !== 'maturity' || debtOutstanding;
+        if (!keepsTopping || available <= 0) return;
+        d.topUp = Math.min(available, Math.max(0, d.target - d.entry.balance));
+        d.entry.balance += d.topUp;
+        available -= d.topUp;
+      });
+
+      const total = (key) => details.reduce((sum, d) => sum + d[key], 0);
+      const draws = total('draw');
+      const releases = total('release');
+      const topUps = total('topUp');
+      return {
+        draws,
+        releases,
+        topUps,
+        netRelease: draws + releases - topUps,
+        balance: entries.reduce((sum, entry) => sum + entry.balance, 0),
+        reserves: details.map(d => ({
+          id: d.entry.reserve.id,
+          name: d.entry.reserve.name,
+          type: d.entry.reserve.type,
+          target: d.target,
+          opening: d.opening,
+          draw: d.draw,
+          release: d.release,
+          topUp: d.topUp,
+          balance: d.entry.balance
+        }))
+      };
+    }
+  };
+}
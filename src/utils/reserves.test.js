@@ -0,0 +1,69 @@
+import { createReserve, createReserveLedger, getReserveTarget, hasReserves } from './reserves';
+import { buildProjection } from './buildProjection';
+
+const debtSchedule = [
+  { totalPayment: 12, endingBalance: 20 },
+  { totalPayment: 24, endingBalance: 10 },
+  { totalPayment: 12, endingBalance: 0 }
+];
+const dsra = createReserve({ id: 1, name: 'DSRA', type: 'dsra', targetMonths: 6 });
+const maintenance = createReserve({ id: 2, name: 'Maintenance', type: 'maintenance', targetAmount: [5, 5, 5], priority: 2, initialFunding: 'cashFlow' });
+
+describe('reserve targets', () => {
+  it('size the DSRA on forward debt service and other reserves on the amount for the year', () => {
+    expect(getReserveTarget(dsra, 0, 24)).toBe(12);
+    expect(getReserveTarget(maintenance, 1, 24)).toBe(5);
+    expect(hasReserves({ reserveAccounts: [] })).toBe(false);
+  });
+});
+
+describe('DSRA funding and release', () => {
+  it('funds at close, tops up to the next target, covers a shortfall and releases when debt is repaid', () => {
+    const ledger = createReserveLedger({ reserveAccounts: [dsra], openingCash: 50 }, debtSchedule);
+    expect(ledger).toMatchObject({ openingBalance: 6, fundedAtClose: 6, fromOpeningCash: 0 });
+
+    const settle = (yearIndex, cash) => ledger.settleYear({ yearIndex, cash, minimumCash: 0, debtYear: debtSchedule[yearIndex] });
+    expect(settle(0, 100)).toMatchObject({ topUps: 6, balance: 12 });
+    expect(settle(1, -5)).toMatchObject({ draws: 5, releases: 1, topUps: 0, netRelease: 6, balance: 6 });
+    expect(settle(2, 100)).toMatchObject({ releases: 6, balance: 0 });
+  });
+
+  it('funds from opening cash only as far as it goes', () => {
+    const ledger = createReserveLedger({ reserveAccounts: [{ ...dsra, initialFunding: 'openingCash' }], openingCash: 4 }, debtSchedule);
+    expect(ledger).toMatchObject({ openingBalance: 4, fromOpeningCash: 4 });
+  });
+
+  it('holds the balance until the debt is repaid under the maturity rule', () => {
+    const ledger = createReserveLedger({ reserveAccounts: [{ ...dsra, releaseRule: 'maturity' }] }, debtSchedule);
+    ledger.settleYear({ yearIndex: 0, cash: 100, minimumCash: 0, debtYear: debtSchedule[0] });
+
+    expect(ledger.settleYear({ yearIndex: 1, cash: 100, minimumCash: 0, debtYear: debtSchedule[1] }))
+      .toMatchObject({ releases: 0, balance: 12 });
+    expect(ledger.settleYear({ yearIndex: 2, cash: 100, minimumCash: 0, debtYear: debtSchedule[2] }))
+      .toMatchObject({ releases: 12, topUps: 0, balance: 0 });
+  });
+
+  it('tops up in priority order from cash above the minimum balance', () => {
+    const ledger = createReserveLedger({ reserveAccounts: [maintenance, { ...dsra, initialFunding: 'cashFlow' }] }, debtSchedule);
+    const year = ledger.settleYear({ yearIndex: 0, cash: 20, minimumCash: 5, debtYear: debtSchedule[0] });
+
+    expect(year.reserves.map(r => [r.name, r.topUp])).toEqual([['DSRA', 12], ['Maintenance', 3]]);
+  });
+});
+
+describe('reserves in the projection', () => {
+  it('hold the DSRA as restricted cash outside the cash balance', () => {
+    const params = {
+      startYear: 2025, years: 5, baseRevenue: 100e6, growth: 0.08, cogsPct: 0.4, opexPct: 0.25, capexPct: 0.05,
+      daPctOfPPE: 0.1, wcPctOfRev: 0.15, taxRate: 0.25, wacc: 0.1, terminalGrowth: 0.03, openingCash: 20e6,
+      requestedLoanAmount: 50e6, proposedPricing: 0.12, proposedTenor: 5, paymentFrequency: 'Quarterly'
+    };
+    const base = buildProjection(params).rows;
+    const rows = buildProjection({ ...params, reserveAccounts: [{ ...dsra, initialFunding: 'openingCash' }] }).rows;
+
+    expect(rows[0].reserveBalance).toBeCloseTo(rows[1].debtService / 2, 0);
+    expect(rows[4].reserveBalance).toBe(0);
+    expect(rows[0].cash + rows[0].reserveBalance).toBeCloseTo(base[0].cash, 0);
+    expect(rows.every(r => r.balances)).toBe(true);
+  });
+});
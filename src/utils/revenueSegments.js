@@ -0,0 +1,120 @@
+// ============================================================================
+// revenueSegments.js - Revenue build-up by segment (volume x price)
+// ============================================================================
+// Optional alternative to the single baseRevenue / growth / COGS % line.
+// Each segment (e.g. rooms, food & beverage, wholesale) has a year 1 volume
+// and price, its own volume and price growth and its own gross margin.
+// Segments add up to the projection's revenue and COGS, so everything
+// downstream (opex, capex, working capital, debt service) works unchanged.
+//
+// Growth and margin fields may be per-year arrays once shocked. Global
+// stress moves every segment (growth shocks move volume growth, COGS shocks
+// cut gross margin); segment shocks (shocks.segmentShocks) hit one segment.
+// ============================================================================
+
+import { clamp, valueForYear } from './mathUtils';
+
+/**
+ * New segment with neutral defaults
+ * @param {Object} [fields] - Field overrides
+ * @returns {Object} { id, name, unit, volume, price, volumeGrowth, priceGrowth, grossMargin }
+ */
+export function createRevenueSegment(fields = {}) {
+  return {
+    id: Date.now(),
+    name: 'New Segment',
+    unit: 'units',
+    volume: 0,
+    price: 0,
+    volumeGrowth: 0.03,
+    priceGrowth: 0.02,
+    grossMargin: 0.6,
+    ...fields
+  };
+}
+
+/**
+ * Check whether revenue is built up from segments
+ * @param {Object} params - Model parameters (useRevenueSegments, revenueSegments)
+ * @returns {boolean}
+ */
+export function isSegmentModel(params) {
+  return Boolean(params.useRevenueSegments) && (params.revenueSegments || []).length > 0;
+}
+
+/**
+ * Year 1 revenue of a set of segments
+ * @param {Array<Object>} segments - Revenue segments
+ * @returns {number}
+ */
+export function getSegmentBaseRevenue(segments = []) {
+  return segments.reduce((sum, s) => sum + (Number(s.volume) || 0) * (Number(s.price) || 0), 0);
+}
+
+/**
+ * Project every segment over the projection
+ * Year 1 is the base year; volume and price compound from the year before.
+ *
+ * @param {Object} params - Model parameters (years, revenueSegments)
+ * @returns {Array<Object>} Per year: { revenue, cogs, segments: [{ id, name, volume, price, revenue, cogs, grossMargin }] }
+ */
+export function projectSegments(params) {
+  const segments = params.revenueSegments || [];
+  const state = segments.map(s => ({ volume: Number(s.volume) || 0, price: Number(s.price) || 0 }));
+
+  return Array.from({ length: params.years || 0 }, (_, i) => {
+    const yearSegments = segments.map((segment, idx) => {
+      if (i > 0) {
+        state[idx].volume *= 1 + valueForYear(segment.volumeGrowth, i);
+        state[idx].price *= 1 + valueForYear(segment.priceGrowth, i);
+      }
+      const { volume, price } = state[idx];
+      const revenue = Math.max(0, volume * price);
+      const grossMargin = clamp(valueForYear(segment.grossMargin, i), -1, 1);
+      return {
+        id: segment.id,
+        name: segment.name,
+        volume,
+        price,
+        revenue,
+        cogs: revenue * (1 - grossMargin),
+        grossMargin
+      };
+    });
+
+    return {
+      revenue: yearSegments.reduce((sum, s) => sum + s.revenue, 0),
+      cogs: yearSegments.reduce((sum, s) => sum + s.cogs, 0),
+      segments: yearSegments
+    };
+  });
+}
+
+/**
+ * Shock one segment's level and margin
+ * @param {Object} segment - Revenue segment
+ * @param {Object} shock - { volumeDelta, priceDelta, marginDelta } (decimals)
+ * @returns {Object} Shocked segment
+ */
+export function shockSegment(segment, shock = {}) {
+  const marginDelta = shock.marginDelta || 0;
+  return {
+    ...segment,
+    volume: (Number(segment.volume) || 0) * Math.max(0, 1 + (shock.volumeDelta || 0)),
+    price: (Number(segment.price) || 0) * Math.max(0, 1 + (shock.priceDelta || 0)),
+    grossMargin: Array.isArray(segment.grossMargin)
+      ? segment.grossMargin.map(m => m + marginDelta)
+      : (Number(segment.grossMargin) || 0) + marginDelta
+  };
+}
+
+/**
+ * Check whether any segment shock is set
+ * @param {Object} segmentShocks - { segmentId: { volumeDelta, priceDelta, marginDelta } }
+ * @returns {boolean}
+ */
+export function hasSegmentShocks(segmentShocks) {
+  return Object.values(segmentShocks || {}).some(shock =>
+    Object.values(shock || {}).some(v => Number(v) !== 0)
+  );
+}
@@ -0,0 +1,61 @@
+import {
+  createRevenueSegment,
+  isSegmentModel,
+  getSegmentBaseRevenue,
+  projectSegments,
+  shockSegment,
+  hasSegmentShocks
+} from './revenueSegments';
+import { applyShocks } from './applyShocks';
+import { buildProjection } from './buildProjection';
+
+const rooms = createRevenueSegment({
+  id: 1, name: 'Rooms', volume: 100e3, price: 500, volumeGrowth: 0.1, priceGrowth: 0.05, grossMargin: 0.7
+});
+const food = createRevenueSegment({
+  id: 2, name: 'Food', volume: 200e3, price: 100, volumeGrowth: 0, priceGrowth: 0, grossMargin: 0.4
+});
+
+describe('projectSegments', () => {
+  it('compounds volume and price from the base year and costs each segment at its margin', () => {
+    const [year1, year2] = projectSegments({ years: 2, revenueSegments: [rooms, food] });
+
+    expect(getSegmentBaseRevenue([rooms, food])).toBe(70e6);
+    expect(year1.revenue).toBe(70e6);
+    expect(year1.cogs).toBeCloseTo(50e6 * 0.3 + 20e6 * 0.6);
+    expect(year2.segments[0].revenue).toBeCloseTo(50e6 * 1.1 * 1.05);
+    expect(year2.revenue).toBeCloseTo(50e6 * 1.155 + 20e6);
+  });
+
+  it('are only used once switched on with at least one segment', () => {
+    expect(isSegmentModel({ useRevenueSegments: true, revenueSegments: [rooms] })).toBe(true);
+    expect(isSegmentModel({ useRevenueSegments: true, revenueSegments: [] })).toBe(false);
+    expect(isSegmentModel({ revenueSegments: [rooms] })).toBe(false);
+  });
+});
+
+describe('segment shocks', () => {
+  it('scale volume and price and move the margin', () => {
+    const shocked = shockSegment(rooms, { volumeDelta: -0.2, priceDelta: 0.1, marginDelta: -0.1 });
+    expect(shocked.volume).toBeCloseTo(80e3);
+    expect(shocked.price).toBeCloseTo(550);
+    expect(shocked.grossMargin).toBeCloseTo(0.6);
+    expect(hasSegmentShocks({ 1: { volumeDelta: 0, priceDelta: '0' } })).toBe(false);
+    expect(hasSegmentShocks({ 1: { volumeDelta: -0.2 } })).toBe(true);
+  });
+
+  it('hit only their segment in the projection while global shocks hit all', () => {
+    const params = {
+      startYear: 2025, years: 2, baseRevenue: 70e6, growth: 0, cogsPct: 0, opexPct: 0.25, capexPct: 0.05,
+      daPctOfPPE: 0.1, wcPctOfRev: 0.15, taxRate: 0.25, wacc: 0.1, terminalGrowth: 0.03, openingCash: 5e6,
+      requestedLoanAmount: 0, useRevenueSegments: true, revenueSegments: [rooms, food]
+    };
+    const noShocks = { growthDelta: 0, cogsDelta: 0, opexDelta: 0, capexDelta: 0, rateDelta: 0, waccDelta: 0, termGDelta: 0 };
+
+    const segmentShock = buildProjection(applyShocks(params, { ...noShocks, segmentShocks: { 2: { volumeDelta: -0.5 } } })).rows[0];
+    expect(segmentShock.revenue).toBeCloseTo(60e6);
+
+    const cogsShock = buildProjection(applyShocks(params, { ...noShocks, cogsDelta: 0.1 })).rows[0];
+    expect(cogsShock.cogs).toBeCloseTo(50e6 * 0.4 + 20e6 * 0.7);
+  });
+});
@@ -0,0 +1,228 @@
+// ============================================================================
+// reverseStress.js - Reverse stress test over the applyShocks space
+// ============================================================================
+// Answers "how bad does it have to get before we breach?". A breach is any
+// failed test of an active covenant in the covenant library, with step-downs
+// and test frequency applied (the same tests as the breach analysis in
+// buildProjection).
+//
+// Shocks are measured in severity units: each driver has a unit adverse move
+// (e.g. 5pp of COGS, 200bps of rate), so a combined shock's size is the
+// Euclidean length of its shocks in units.
+//
+// Per driver: bisect the adverse shock on that driver alone.
+// Joint case: the smallest combined shock that breaches - found by moving
+// along the steepest descent of covenant headroom, then re-aiming at the
+// breaking point (a Hasofer-Lind style design-point iteration). Drivers that
+// help headroom are left at zero.
+// ============================================================================
+
+import { applyShocks } from './applyShocks';
+import { buildProjection } from './buildProjection';
+import { getCovenantLibrary, isCovenantActive, testCovenant } from './covenants';
+
+// direction: sign of an adverse move; unit: one severity unit; max: search limit
+export const REVERSE_STRESS_DRIVERS = {
+  growthDelta: { label: 'Revenue Growth', direction: -1, unit: 0.05, max: 0.5, format: 'pp' },
+  cogsDelta: { label: 'COGS % of Revenue', direction: 1, unit: 0.05, max: 0.5, format: 'pp' },
+  opexDelta: { label: 'Opex % of Revenue', direction: 1, unit: 0.05, max: 0.5, format: 'pp' },
+  rateDelta: { label: 'Interest Rate', direction: 1, unit: 0.02, max: 0.2, format: 'bps' },
+  capexDelta: { label: 'Capex % of Revenue', direction: 1, unit: 0.02, max: 0.3, format: 'pp' }
+};
+
+const DRIVER_KEYS = Object.keys(REVERSE_STRESS_DRIVERS);
+const BISECTION_STEPS = 24;
+const DESIGN_POINT_ITERATIONS = 3;
+// Finite difference step for headroom gradients, in severity units
+const GRADIENT_STEP = 0.25;
+
+const NO_SHOCKS = {
+  growthDelta: 0, cogsDelta: 0, opexDelta: 0, capexDelta: 0,
+  rateDelta: 0, waccDelta: 0, termGDelta: 0
+};
+
+/**
+ * Covenant headroom for a shock combination
+ *
+ * Headroom is the tightest test across the active covenants, as a fraction of
+ * the threshold in force: negative means breached. A breached test with no
+ * finite headroom (e.g. a ratio over zero) counts as fully breached.
+ *
+ * @param {Object} params - Base model parameters
+ * @param {Object} shocks - applyShocks deltas
+ * @returns {Object} { headroom, breached, covenant, covenantName, year, label }
+ */
+export function evaluateCovenantHeadroom(params, shocks) {
+  const shocked = applyShocks(params, { ...NO_SHOCKS, ...shocks });
+  const { rows, periodRows } = buildProjection(shocked);
+  let tightest = { headroom: Infinity, covenant: null, covenantName: null, year: null, label: null };
+
+  getCovenantLibrary(shocked)
+    .filter(covenant => isCovenantActive(covenant, shocked))
+    .forEach(covenant => {
+      testCovenant(covenant, shocked, rows, periodRows).tests.forEach(test => {
+        const headroom = test.headroom ?? (test.breached ? -1 : null);
+        if (headroom === null || headroom >= tightest.headroom) return;
+        tightest = { headroom, covenant: covenant.id, covenantName: covenant.name, year: test.year, label: test.label };
+      });
+    });
+
+  return { ...tightest, breached: tightest.headroom < 0 };
+}
+
+/**
+ * Shocks for a point in severity units
+ * @param {Object} units - { driver: severity units }
+ * @returns {Object} applyShocks deltas
+ */
+function unitsToShocks(units) {
+  return DRIVER_KEYS.reduce((shocks, key) => {
+    const { direction, unit } = REVERSE_STRESS_DRIVERS[key];
+    shocks[key] = direction * unit * (units[key] || 0);
+    return shocks;
+  }, {});
+}
+
+/**
+ * Point at distance t along a direction, in severity units
+ */
+function scaleDirection(direction, t) {
+  return DRIVER_KEYS.reduce((u, key) => ({ ...u, [key]: (direction[key] || 0) * t }), {});
+}
+
+/**
+ * Loss of headroom per unit of each driver at a point (negative slopes floored at 0)
+ */
+function headroomLossGradient(params, point) {
+  const base = evaluateCovenantHeadroom(params, unitsToShocks(point)).headroom;
+  return DRIVER_KEYS.reduce((g, key) => {
+    const bumped = evaluateCovenantHeadroom(params, unitsToShocks({ ...point, [key]: point[key] + GRADIENT_STEP }));
+    return { ...g, [key]: Math.max(0, (base - bumped.headroom) / GRADIENT_STEP) };
+  }, {});
+}
+
+/**
+ * Bisect along a direction (severity units per step of t) for the breaking point
+ * @returns {Object|null} { t, evaluation } at the first breach, null if none within tMax
+ */
+function bisectBreach(params, direction, tMax) {
+  const at = (t) => evaluateCovenantHeadroom(params, unitsToShocks(scaleDirection(direction, t)));
+
+  const upper = at(tMax);
+  if (!upper.breached) return null;
+
+  let low = 0;
+  let high = tMax;
+  let highEval = upper;
+  for (let i = 0; i < BISECTION_STEPS; i++) {
+    const mid = (low + high) / 2;
+    const evaluation = at(mid);
+    if (evaluation.breached) {
+      high = mid;
+      highEval = evaluation;
+    } else {
+      low = mid;
+    }
+  }
+  return { t: high, evaluation: highEval };
+}
+
+/**
+ * Breaking point for one driver on its own
+ * @param {Object} params - Base model parameters
+ * @param {string} driver - REVERSE_STRESS_DRIVERS key
+ * @returns {Object} { driver, label, breaks, shock, severity, covenant, covenantName, year, testLabel }
+ */
+export function findDriverBreakingPoint(params, driver) {
+  const { label, unit, max } = REVERSE_STRESS_DRIVERS[driver];
+  const found = bisectBreach(params, { [driver]: 1 }, max / unit);
+  if (!found) {
+    return {
+      driver, label, breaks: false, shock: null, severity: null, covenant: null, covenantName: null, year: null, testLabel: null
+    };
+  }
+  return {
+    driver,
+    label,
+    breaks: true,
+    shock: unitsToShocks({ [driver]: found.t })[driver],
+    severity: found.t,
+    covenant: found.evaluation.covenant,
+    covenantName: found.evaluation.covenantName,
+    year: found.evaluation.year,
+    testLabel: found.evaluation.label
+  };
+}
+
+/**
+ * Smallest combined shock (in severity units) that breaches a covenant
+ *
+ * @param {Object} params - Base model parameters
+ * @returns {Object} { breaks, shocks, severity, contributions, covenant, covenantName, year, testLabel }
+ *   contributions: share of the squared severity from each driver
+ */
+export function findJointBreakingPoint(params) {
+  // Largest joint search: every driver at its limit
+  const tMax = Math.sqrt(DRIVER_KEYS.reduce((sum, key) => {
+    const { unit, max } = REVERSE_STRESS_DRIVERS[key];
+    return sum + (max / unit) ** 2;
+  }, 0));
+
+  let point = DRIVER_KEYS.reduce((u, key) => ({ ...u, [key]: 0 }), {});
+  let direction = null;
+  let found = null;
+
+  for (let iteration = 0; iteration < DESIGN_POINT_ITERATIONS; iteration++) {
+    // Aim down the headroom gradient at the current point
+    const gradient = headroomLossGradient(params, point);
+    const norm = Math.sqrt(DRIVER_KEYS.reduce((sum, key) => sum + gradient[key] ** 2, 0));
+    if (!(norm > 0)) break;
+
+    const nextDirection = DRIVER_KEYS.reduce((d, key) => ({ ...d, [key]: gradient[key] / norm }), {});
+    const next = bisectBreach(params, nextDirection, tMax);
+    if (!next) break;
+    // Keep the better design point if re-aiming does not shorten the distance
+    if (found && next.t >= found.t) break;
+
+    direction = nextDirection;
+    found = next;
+    point = scaleDirection(direction, found.t);
+  }
+
+  if (!found) {
+    return {
+      breaks: false, shocks: null, severity: null, contributions: null,
+      covenant: null, covenantName: null, year: null, testLabel: null
+    };
+  }
+
+  return {
+    breaks: true,
+    shocks: unitsToShocks(point),
+    severity: found.t,
+    contributions: DRIVER_KEYS.reduce((c, key) => ({ ...c, [key]: direction[key] ** 2 }), {}),
+    covenant: found.evaluation.covenant,
+    covenantName: found.evaluation.covenantName,
+    year: found.evaluation.year,
+    testLabel: found.evaluation.label
+  };
+}
+
+/**
+ * Full reverse stress test: breaking point per driver and jointly
+ * @param {Object} params - Base model parameters (covenant library and thresholds)
+ * @returns {Object} { baseHeadroom, alreadyBreached, drivers, joint }
+ */
+export function runReverseStressTest(params) {
+  const base = evaluateCovenantHeadroom(params, NO_SHOCKS);
+  if (base.breached) {
+    return { baseHeadroom: base, alreadyBreached: true, drivers: [], joint: null };
+  }
+
+  return {
+    baseHeadroom: base,
+    alreadyBreached: false,
+    drivers: DRIVER_KEYS.map(driver => findDriverBreakingPoint(params, driver)),
+    joint: findJointBreakingPoint(params)
+  };
+}
@@ -0,0 +1,74 @@
+import {
+  evaluateCovenantHeadroom,
+  findDriverBreakingPoint,
+  findJointBreakingPoint,
+  runReverseStressTest
+} from './reverseStress';
+import { buildProjection } from './buildProjection';
+
+const baseParams = {
+  startYear: 2025,
+  years: 5,
+  baseRevenue: 100e6,
+  growth: 0.08,
+  cogsPct: 0.4,
+  opexPct: 0.25,
+  capexPct: 0.05,
+  daPctOfPPE: 0.1,
+  wcPctOfRev: 0.15,
+  taxRate: 0.25,
+  wacc: 0.1,
+  terminalGrowth: 0.03,
+  requestedLoanAmount: 50e6,
+  proposedPricing: 0.12,
+  proposedTenor: 5,
+  paymentFrequency: 'Quarterly',
+  openingCash: 5e6,
+  minDSCR: 1.2
+};
+
+describe('evaluateCovenantHeadroom', () => {
+  it('is the tightest active covenant test as a share of its threshold', () => {
+    const { creditStats } = buildProjection(baseParams);
+    const base = evaluateCovenantHeadroom(baseParams, {});
+
+    expect(base).toMatchObject({ covenant: 'dscr', breached: false });
+    expect(base.headroom).toBeCloseTo(creditStats.minDSCR / 1.2 - 1, 6);
+    expect(evaluateCovenantHeadroom(baseParams, { cogsDelta: 0.3 }).breached).toBe(true);
+  });
+});
+
+describe('findDriverBreakingPoint', () => {
+  it('finds the smallest adverse move on one driver that breaches', () => {
+    const result = findDriverBreakingPoint(baseParams, 'cogsDelta');
+
+    expect(result).toMatchObject({ breaks: true, covenant: 'dscr' });
+    expect(result.severity).toBeCloseTo(result.shock / 0.05, 9);
+    expect(evaluateCovenantHeadroom(baseParams, { cogsDelta: result.shock }).breached).toBe(true);
+    expect(evaluateCovenantHeadroom(baseParams, { cogsDelta: result.shock - 0.001 }).breached).toBe(false);
+  });
+
+  it('reports no breaking point when the driver cannot cause a breach', () => {
+    // Fixed-rate debt does not reprice under a base rate shock
+    expect(findDriverBreakingPoint(baseParams, 'rateDelta')).toMatchObject({ breaks: false, shock: null });
+  });
+});
+
+describe('findJointBreakingPoint', () => {
+  it('breaches with a combined shock no larger than any single driver needs', () => {
+    const joint = findJointBreakingPoint(baseParams);
+    const single = findDriverBreakingPoint(baseParams, 'cogsDelta');
+
+    expect(joint.breaks).toBe(true);
+    expect(joint.severity).toBeLessThanOrEqual(single.severity + 1e-6);
+    expect(evaluateCovenantHeadroom(baseParams, joint.shocks).breached).toBe(true);
+    expect(Object.values(joint.contributions).reduce((sum, c) => sum + c, 0)).toBeCloseTo(1, 9);
+  });
+});
+
+describe('runReverseStressTest', () => {
+  it('stops when the base case already breaches', () => {
+    const result = runReverseStressTest({ ...baseParams, minDSCR: 20 });
+    expect(result).toMatchObject({ alreadyBreached: true, drivers: [], joint: null });
+  });
+});
@@ -0,0 +1,161 @@
+// ============================================================================
+// revolver.js - Revolving credit facilities for buildProjection
+// ============================================================================
+// A revolver is drawn automatically when cash falls below its minimum cash
+// balance and repaid from surplus cash above that balance. Interest accrues
+// on the average drawn balance for the year (drawn margin over the base rate)
+// and a commitment fee is charged on the undrawn amount. Because interest
+// depends on the year-end balance, which depends on cash after interest,
+// buildProjection iterates settleRevolvers until interest converges.
+// ============================================================================
+
+import { isFloatingRate, getBaseRate, boundBaseRate } from './floatingRate';
+
+// Circular interest: stop once revolver finance costs move by less than this
+export const REVOLVER_TOLERANCE = 0.01;
+export const REVOLVER_MAX_ITERATIONS = 50;
+
+/**
+ * Check whether a tranche is a revolving credit facility
+ * @param {Object} tranche - Debt tranche
+ * @returns {boolean}
+ */
+export function isRevolver(tranche) {
+  return tranche?.trancheType === 'revolver';
+}
+
+/**
+ * Get revolver tranches from model parameters
+ * Revolvers are only defined through the multi-tranche manager.
+ *
+ * @param {Object} params - Model parameters
+ * @returns {Array} Revolver tranches
+ */
+export function getRevolverTranches(params) {
+  if (!params.hasMultipleTranches || !params.debtTranches?.length) return [];
+  return params.debtTranches.filter(isRevolver);
+}
+
+/**
+ * Drawn interest rate for a revolver (base rate + drawn margin)
+ * Floating revolvers take the base rate from the curve (with floor / cap);
+ * fixed revolvers use the tranche's own base rate.
+ *
+ * @param {Object} tranche - Revolver tranche
+ * @param {Object} [params] - Model parameters (baseRateCurve, baseRateShift)
+ * @param {number} [yearIndex] - Projection year index (0-based)
+ * @returns {number} Annual rate (decimal)
+ */
+export function getRevolverDrawnRate(tranche, params = {}, yearIndex = 0) {
+  const baseRate = isFloatingRate(tranche)
+    ? boundBaseRate(tranche, getBaseRate(params, yearIndex))
+    : tranche.rate || 0;
+  return baseRate + (tranche.drawnMargin || 0);
+}
+
+/**
+ * Final projection year in which the revolver is available
+ * Follows the term-loan convention in buildAmortizationSchedule: the facility
+ * is repaid in full in the projection year before its maturity year.
+ *
+ * @param {Object} tranche - Revolver tranche
+ * @param {number} startYear - Projection start year
+ * @returns {number}
+ */
+export function getRevolverMaturityYear(tranche, startYear) {
+  const maturity = tranche.maturityDate ? new Date(tranche.maturityDate).getFullYear() : NaN;
+  return (Number.isFinite(maturity) ? maturity : startYear + (tranche.tenorYears || 1)) - 1;
+}
+
+/**
+ * Opening drawn balances (tranche amount, capped at the commitment)
+ * @param {Array} revolvers - Revolver tranches
+ * @returns {Array<number>}
+ */
+export function getOpeningRevolverBalances(revolvers) {
+  return revolvers.map(r => Math.min(Math.max(0, r.amount || 0), Math.max(0, r.commitment || 0)));
+}
+
+/**
+ * Settle revolver draws and repayments for one year
+ *
+ * Revolvers are processed in the order given: each draws (up to its undrawn
+ * commitment) while cash is below the minimum balance, or repays from cash
+ * above it. From its maturity year a revolver is repaid from all available
+ * cash (the minimum balance no longer applies); whatever cash cannot cover
+ * stays outstanding as a maturity shortfall - a refinancing gap - and is
+ * repaid in later years as cash allows.
+ *
+ * @param {Array} revolvers - Revolver tranches
+ * @param {Array<number>} openingBalances - Drawn balances at start of year
+ * @param {number} cashBeforeRevolver - Cash after all other flows for the year
+ * @param {number} year - Projection year
+ * @param {Object} params - Model parameters (startYear, base-rate curve)
+ * @returns {Object} draws, repayments, interest, commitmentFees, maturityShortfall, closingBalances, cash, details
+ */
+export function settleRevolvers(revolvers, openingBalances, cashBeforeRevolver, year, params) {
+  const { startYear } = params;
+  const minimumCash = revolvers.reduce((max, r) => Math.max(max, r.minCashBalance || 0), 0);
+  let cash = cashBeforeRevolver;
+
+  const details = revolvers.map((tranche, idx) => {
+    const opening = openingBalances[idx] || 0;
+    const maturityYear = getRevolverMaturityYear(tranche, startYear);
+    const available = year <= maturityYear;
+    const commitment = available ? Math.max(0, tranche.commitment || 0) : 0;
+
+    let draw = 0;
+    let repayment = 0;
+    if (!available || year === maturityYear) {
+      repayment = Math.min(opening, Math.max(0, cash));
+    } else if (cash < minimumCash) {
+      draw = Math.min(minimumCash - cash, Math.max(0, commitment - opening));
+    } else {
+      repayment = Math.min(opening, cash - minimumCash);
+    }
+    cash += draw - repayment;
+
+    const closing = opening + draw - repayment;
+    // Balance past maturity that cash could not repay
+    const maturityShortfall = year >= maturityYear ? closing : 0;
+    const averageBalance = (opening + closing) / 2;
+    const drawnRate = getRevolverDrawnRate(tranche, params, year - startYear);
+    const interest = averageBalance * drawnRate;
+    const commitmentFee = Math.max(0, commitment - averageBalance) * (tranche.commitmentFee || 0);
+
+    return {
+      name: tranche.name,
+      seniority: tranche.seniority || 'Revolver',
+      isRevolver: true,
+      commitment,
+      amount: commitment,
+      rate: drawnRate,
+      openingBalance: opening,
+      draw,
+      repayment,
+      averageBalance,
+      undrawn: Math.max(0, commitment - closing),
+      utilization: commitment > 0 ? closing / commitment : 0,
+      interest: interest + commitmentFee,
+      drawnInterest: interest,
+      commitmentFee,
+      // Revolver repayments are voluntary, so only finance costs count as debt service
+      principal: 0,
+      totalPayment: interest + commitmentFee,
+      maturityShortfall,
+      endingBalance: closing
+    };
+  });
+
+  return {
+    minimumCash,
+    cash,
+    draws: details.reduce((sum, d) => sum + d.draw, 0),
+    repayments: details.reduce((sum, d) => sum + d.repayment, 0),
+    interest: details.reduce((sum, d) => sum + d.drawnInterest, 0),
+    commitmentFees: details.reduce((sum, d) => sum + d.commitmentFee, 0),
+    maturityShortfall: details.reduce((sum, d) => sum + d.maturityShortfall, 0),
+    closingBalances: details.map(d => d.endingBalance),
+    details
+  };
+}
@@ -0,0 +1,36 @@
+import { settleRevolvers } from './revolver';
+
+const rcf = {
+  name: 'RCF', trancheType: 'revolver', commitment: 20e6, rate: 0.05, drawnMargin: 0.02,
+  commitmentFee: 0.005, minCashBalance: 3e6, maturityDate: '2028-12-31'
+};
+const params = { startYear: 2025 };
+
+describe('settleRevolvers at maturity', () => {
+  it('repays in full when cash covers the balance', () => {
+    const result = settleRevolvers([rcf], [8e6], 10e6, 2027, params);
+    expect(result.repayments).toBe(8e6);
+    expect(result.cash).toBe(2e6);
+    expect(result.maturityShortfall).toBe(0);
+  });
+
+  it('caps repayment at available cash and reports the refinancing gap', () => {
+    const result = settleRevolvers([rcf], [8e6], 5e6, 2027, params);
+    expect(result.repayments).toBe(5e6);
+    expect(result.cash).toBe(0);
+    expect(result.closingBalances).toEqual([3e6]);
+    expect(result.maturityShortfall).toBe(3e6);
+
+    // The gap is repaid as cash allows after maturity, with no new draws
+    const next = settleRevolvers([rcf], result.closingBalances, -1e6, 2028, params);
+    expect(next.draws).toBe(0);
+    expect(next.repayments).toBe(0);
+    expect(next.maturityShortfall).toBe(3e6);
+  });
+
+  it('keeps drawing against minimum cash before maturity', () => {
+    const result = settleRevolvers([rcf], [0], 1e6, 2025, params);
+    expect(result.draws).toBe(2e6);
+    expect(result.maturityShortfall).toBe(0);
+  });
+});
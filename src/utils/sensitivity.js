@@ -0,0 +1,160 @@
+// ============================================================================
+// sensitivity.js - Two-way data tables and tornado charts
+// ============================================================================
+// Generic sensitivity over the full projection: any two params inputs against
+// any projection output (see modelVariables.js), and a tornado ranking of
+// every common input by how far one step either way moves that output.
+//
+// Step sizes come from MODEL_INPUTS: percentage inputs move in absolute steps
+// (growth +/- 2pp), currency inputs in proportion to their current value
+// (+/- 10%). Each cell or bar is a full buildProjection pass.
+// ============================================================================
+
+import { buildProjection } from './buildProjection';
+import { MODEL_INPUTS, getPathValue, setPathValue, getOutputValue } from './modelVariables';
+
+/**
+ * One sensitivity step for an input
+ * @param {string} variable - Params path
+ * @param {number} currentValue - Current value
+ * @returns {number} Absolute increment (0 when it cannot be sized)
+ */
+export function getStepSize(variable, currentValue) {
+  const input = MODEL_INPUTS[variable];
+  if (input?.format === 'percent') return input.step;
+  return Math.abs(currentValue) * (input?.step || 0.1);
+}
+
+/**
+ * Values along one data table axis: the current value and `steps` increments each side
+ * Percentage inputs are kept inside their MODEL_INPUTS bounds.
+ *
+ * @param {string} variable - Params path
+ * @param {number} currentValue - Current value
+ * @param {Object} [options]
+ * @param {number} [options.step] - Increment (defaults to getStepSize)
+ * @param {number} [options.steps] - Increments each side of the current value
+ * @returns {Array<number>} Ascending, without duplicates
+ */
+export function getAxisValues(variable, currentValue, { step, steps = 2 } = {}) {
+  const input = MODEL_INPUTS[variable];
+  const increment = Math.abs(step ?? getStepSize(variable, currentValue));
+  const values = [];
+  for (let k = -steps; k <= steps; k++) {
+    let value = currentValue + k * increment;
+    if (input?.format === 'percent') value = Math.min(input.max, Math.max(input.min, value));
+    else if (input?.format === 'currency') value = Math.max(0, value);
+    // Round away floating point noise so axis labels and duplicates behave
+    value = Number(value.toPrecision(12));
+    if (!values.includes(value)) values.push(value);
+  }
+  return values.sort((a, b) => a - b);
+}
+
+/**
+ * Run one projection with input overrides and read an output
+ * @param {Object} params - Model parameters
+ * @param {Object} overrides - { path: value }
+ * @param {string} output - MODEL_OUTPUTS key or projection path
+ * @param {number} year - Projection year (1-based) for by-year outputs
+ * @returns {number|null}
+ */
+function evaluateOutput(params, overrides, output, year) {
+  try {
+    const scenario = Object.entries(overrides).reduce((acc, [path, value]) => setPathValue(acc, path, value), params);
+    return getOutputValue(buildProjection(scenario), output, year);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Two-way data table of an output against two inputs
+ *
+ * @param {Object} params - Model parameters
+ * @param {Object} options
+ * @param {string} options.rowVariable - Params path varied down the rows
+ * @param {string} options.columnVariable - Params path varied across the columns
+ * @param {Array<number>} [options.rowValues] - Defaults to getAxisValues
+ * @param {Array<number>} [options.columnValues] - Defaults to getAxisValues
+ * @param {string} options.output - MODEL_OUTPUTS key or projection path
+ * @param {number} [options.year] - Projection year (1-based) for by-year outputs
+ * @returns {Object} { rowVariable, columnVariable, output, year, rowValues, columnValues,
+ *   cells (output per row/column, null when unavailable), baseRowValue, baseColumnValue, baseOutput }
+ */
+export function buildDataTable(params, options) {
+  const { rowVariable, columnVariable, output, year = 1 } = options;
+  const baseRowValue = getPathValue(params, rowVariable);
+  const baseColumnValue = getPathValue(params, columnVariable);
+
+  if (!Number.isFinite(baseRowValue) || !Number.isFinite(baseColumnValue)) {
+    throw new Error('Both data table inputs must be numeric model fields');
+  }
+  if (rowVariable === columnVariable) {
+    throw new Error('Choose two different inputs');
+  }
+
+  const rowValues = options.rowValues || getAxisValues(rowVariable, baseRowValue);
+  const columnValues = options.columnValues || getAxisValues(columnVariable, baseColumnValue);
+
+  return {
+    rowVariable,
+    columnVariable,
+    output,
+    year,
+    rowValues,
+    columnValues,
+    cells: rowValues.map(rowValue => columnValues.map(columnValue =>
+      evaluateOutput(params, { [rowVariable]: rowValue, [columnVariable]: columnValue }, output, year)
+    )),
+    baseRowValue,
+    baseColumnValue,
+    baseOutput: evaluateOutput(params, {}, output, year)
+  };
+}
+
+/**
+ * Tornado ranking: move each input one step down and up and rank by output swing
+ *
+ * @param {Object} params - Model parameters
+ * @param {Object} options
+ * @param {string} options.output - MODEL_OUTPUTS key or projection path
+ * @param {number} [options.year] - Projection year (1-based) for by-year outputs
+ * @param {Array<string>} [options.variables] - Params paths (defaults to MODEL_INPUTS)
+ * @param {Object} [options.steps] - { path: increment } overrides for getStepSize
+ * @returns {Object} { output, year, baseOutput, items: [{ variable, label, currentValue,
+ *   lowValue, highValue, lowOutput, highOutput, swing }] } sorted by swing, largest first
+ */
+export function buildTornado(params, options) {
+  const { output, year = 1, variables = Object.keys(MODEL_INPUTS), steps = {} } = options;
+  const baseOutput = evaluateOutput(params, {}, output, year);
+
+  const items = variables
+    .map(variable => {
+      const currentValue = getPathValue(params, variable);
+      if (!Number.isFinite(currentValue)) return null;
+      const values = getAxisValues(variable, currentValue, { step: steps[variable], steps: 1 });
+      if (values.length < 2) return null;
+
+      const lowValue = values[0];
+      const highValue = values[values.length - 1];
+      const lowOutput = evaluateOutput(params, { [variable]: lowValue }, output, year);
+      const highOutput = evaluateOutput(params, { [variable]: highValue }, output, year);
+      if (lowOutput === null || highOutput === null) return null;
+
+      return {
+        variable,
+        label: MODEL_INPUTS[variable]?.label || variable,
+        currentValue,
+        lowValue,
+        highValue,
+        lowOutput,
+        highOutput,
+        swing: Math.abs(highOutput - lowOutput)
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.swing - a.swing);
+
+  return { output, year, baseOutput, items };
+}
@@ -0,0 +1,65 @@
+import { getStepSize, getAxisValues, buildDataTable, buildTornado } from './sensitivity';
+import { buildProjection } from './buildProjection';
+
+const baseParams = {
+  startYear: 2025,
+  years: 5,
+  baseRevenue: 100e6,
+  growth: 0.08,
+  cogsPct: 0.4,
+  opexPct: 0.25,
+  capexPct: 0.05,
+  daPctOfPPE: 0.1,
+  wcPctOfRev: 0.15,
+  taxRate: 0.25,
+  wacc: 0.1,
+  terminalGrowth: 0.03,
+  requestedLoanAmount: 50e6,
+  proposedPricing: 0.12,
+  proposedTenor: 5,
+  paymentFrequency: 'Quarterly',
+  openingCash: 5e6
+};
+
+describe('data table axes', () => {
+  it('step percentages in points and currency inputs in proportion', () => {
+    expect(getStepSize('growth', 0.08)).toBe(0.02);
+    expect(getStepSize('baseRevenue', 100e6)).toBeCloseTo(10e6);
+    expect(getAxisValues('growth', 0.08)).toEqual([0.04, 0.06, 0.08, 0.1, 0.12]);
+  });
+
+  it('stay inside the input bounds without duplicates', () => {
+    expect(getAxisValues('cogsPct', 0.02)).toEqual([0, 0.02, 0.04, 0.06]);
+    expect(getAxisValues('requestedLoanAmount', 10e6, { step: 10e6 })).toEqual([0, 10e6, 20e6, 30e6]);
+  });
+});
+
+describe('buildDataTable', () => {
+  it('reruns the projection for every cell', () => {
+    const table = buildDataTable(baseParams, {
+      rowVariable: 'growth', columnVariable: 'cogsPct', rowValues: [0, 0.08], columnValues: [0.4, 0.5], output: 'minDSCR'
+    });
+    const minDSCR = (changes) => buildProjection({ ...baseParams, ...changes }).creditStats.minDSCR;
+
+    expect(table.cells[1][0]).toBeCloseTo(table.baseOutput);
+    expect(table.cells[0][1]).toBeCloseTo(minDSCR({ growth: 0, cogsPct: 0.5 }));
+    expect(table.cells[0][1]).toBeLessThan(table.cells[1][0]);
+  });
+
+  it('needs two different numeric inputs', () => {
+    expect(() => buildDataTable(baseParams, { rowVariable: 'growth', columnVariable: 'growth', output: 'minDSCR' })).toThrow();
+    expect(() => buildDataTable(baseParams, { rowVariable: 'growth', columnVariable: 'paymentFrequency', output: 'minDSCR' })).toThrow();
+  });
+});
+
+describe('buildTornado', () => {
+  it('ranks inputs by the swing one step either way makes', () => {
+    const { items } = buildTornado(baseParams, { output: 'minDSCR', variables: ['growth', 'cogsPct', 'taxRate', 'openingDebt'] });
+
+    expect(items.map(i => i.variable)).not.toContain('openingDebt');
+    expect(items[0].variable).toBe('cogsPct');
+    expect(items[0]).toMatchObject({ lowValue: 0.38, highValue: 0.42 });
+    expect(items[0].lowOutput).toBeGreaterThan(items[0].highOutput);
+    items.slice(1).forEach((item, i) => expect(item.swing).toBeLessThanOrEqual(items[i].swing));
+  });
+});
@@ -0,0 +1,130 @@
+// ============================================================================
+// shockPaths.js - Multi-year stress paths
+// ============================================================================
+// A flat shock (applyShocks) moves a driver by the same delta in every year.
+// A shock path gives the delta per projection year, so a recession can hit in
+// year 2, trough in year 3 and recover afterwards.
+//
+// Shapes scale each driver's peak shock year by year. Growth paths move the
+// growth rate, so revenue stays below the base case after a growth shock
+// unless the path adds catch-up growth. Rate paths move the floating base
+// curve (params.baseRateShift).
+//
+// Saved scenarios live in params.shockPaths and are applied on top of the
+// custom stress sliders.
+// ============================================================================
+
+// Drivers a path can move (applyShocks keys) and the default peak for presets
+export const SHOCK_PATH_DRIVERS = {
+  growthDelta: { label: 'Revenue Growth', defaultPeak: -0.10 },
+  cogsDelta: { label: 'COGS % of Revenue', defaultPeak: 0.03 },
+  opexDelta: { label: 'Opex % of Revenue', defaultPeak: 0.02 },
+  capexDelta: { label: 'Capex % of Revenue', defaultPeak: 0 },
+  rateDelta: { label: 'Base Rate', defaultPeak: 0.02 }
+};
+
+// profile: share of the peak shock per year (year 1 first)
+// hold: keep the last share for the remaining years instead of returning to 0
+export const SHOCK_PATH_SHAPES = {
+  V: {
+    label: 'V-shaped',
+    description: 'Sharp hit in year 2, half recovered in year 3, back to base from year 4',
+    profile: [0, 1, 0.5, 0],
+    hold: false
+  },
+  U: {
+    label: 'U-shaped',
+    description: 'Hit in year 2, trough through years 3-4, recovered by year 6',
+    profile: [0, 0.5, 1, 1, 0.5, 0],
+    hold: false
+  },
+  L: {
+    label: 'L-shaped',
+    description: 'Hit in year 2 with no recovery',
+    profile: [0, 1],
+    hold: true
+  }
+};
+
+/**
+ * Default shock path settings for new models
+ * @returns {Object} { activeId, scenarios }
+ */
+export function getDefaultShockPaths() {
+  return {
+    activeId: null,
+    scenarios: []
+  };
+}
+
+/**
+ * Per-year deltas for one driver from a preset shape
+ * @param {string} shape - SHOCK_PATH_SHAPES key
+ * @param {number} peak - Shock at the trough (decimal)
+ * @param {number} years - Projection years
+ * @returns {Array<number>}
+ */
+export function buildShockPath(shape, peak, years) {
+  const { profile, hold } = SHOCK_PATH_SHAPES[shape] || SHOCK_PATH_SHAPES.V;
+  return Array.from({ length: years }, (_, i) => {
+    const share = i < profile.length ? profile[i] : (hold ? profile[profile.length - 1] : 0);
+    return share * peak;
+  });
+}
+
+/**
+ * New scenario with every driver following a preset shape
+ * @param {string} shape - SHOCK_PATH_SHAPES key
+ * @param {number} years - Projection years
+ * @param {Object} [peaks] - { driver: peak } overrides for the default peaks
+ * @returns {Object} { id, name, shape, paths }
+ */
+export function createShockPathScenario(shape, years, peaks = {}) {
+  const paths = Object.entries(SHOCK_PATH_DRIVERS).reduce((acc, [key, driver]) => {
+    acc[key] = buildShockPath(shape, peaks[key] ?? driver.defaultPeak, years);
+    return acc;
+  }, {});
+
+  return {
+    id: `path_${Date.now()}`,
+    name: `${SHOCK_PATH_SHAPES[shape]?.label || 'Custom'} recession`,
+    shape,
+    paths
+  };
+}
+
+/**
+ * Resize a scenario's paths to the projection length
+ * Extra years are dropped; new years are zero.
+ *
+ * @param {Object} paths - { driver: per-year deltas }
+ * @param {number} years - Projection years
+ * @returns {Object}
+ */
+export function resizeShockPaths(paths, years) {
+  return Object.keys(SHOCK_PATH_DRIVERS).reduce((acc, key) => {
+    const path = Array.isArray(paths?.[key]) ? paths[key] : [];
+    acc[key] = Array.from({ length: years }, (_, i) => (Number.isFinite(path[i]) ? path[i] : 0));
+    return acc;
+  }, {});
+}
+
+/**
+ * Check whether any path moves any driver
+ * @param {Object} paths - { driver: per-year deltas }
+ * @returns {boolean}
+ */
+export function hasShockPaths(paths) {
+  return Object.values(paths || {}).some(path => Array.isArray(path) && path.some(v => v !== 0));
+}
+
+/**
+ * Paths of the active saved scenario
+ * @param {Object} params - Model parameters (shockPaths)
+ * @returns {Object|null} { driver: per-year deltas } sized to params.years, or null
+ */
+export function getActiveShockPaths(params) {
+  const { activeId, scenarios = [] } = params.shockPaths || {};
+  const scenario = scenarios.find(s => s.id === activeId);
+  return scenario ? resizeShockPaths(scenario.paths, params.years || 0) : null;
+}
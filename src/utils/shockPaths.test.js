@@ -0,0 +1,54 @@
+import {
+  buildShockPath,
+  createShockPathScenario,
+  resizeShockPaths,
+  hasShockPaths,
+  getActiveShockPaths
+} from './shockPaths';
+import { applyShocks } from './applyShocks';
+import { buildProjection } from './buildProjection';
+
+describe('buildShockPath', () => {
+  it('scales the peak by each shape year by year', () => {
+    expect(buildShockPath('V', 0.02, 5)).toEqual([0, 0.02, 0.01, 0, 0]);
+    expect(buildShockPath('U', 0.04, 7)).toEqual([0, 0.02, 0.04, 0.04, 0.02, 0, 0]);
+    expect(buildShockPath('L', 0.03, 4)).toEqual([0, 0.03, 0.03, 0.03]);
+  });
+});
+
+describe('shock path scenarios', () => {
+  it('apply the default peaks unless overridden', () => {
+    const scenario = createShockPathScenario('L', 3, { cogsDelta: 0.05 });
+    expect(scenario.name).toBe('L-shaped recession');
+    expect(scenario.paths.cogsDelta).toEqual([0, 0.05, 0.05]);
+    expect(scenario.paths.rateDelta).toEqual([0, 0.02, 0.02]);
+  });
+
+  it('resize to the projection, zero-filling new years', () => {
+    expect(resizeShockPaths({ growthDelta: [0, -0.1, -0.05] }, 4).growthDelta).toEqual([0, -0.1, -0.05, 0]);
+    expect(resizeShockPaths({ growthDelta: [0, -0.1, -0.05] }, 2).cogsDelta).toEqual([0, 0]);
+    expect(hasShockPaths(resizeShockPaths({}, 3))).toBe(false);
+  });
+
+  it('use the active saved scenario only', () => {
+    const scenario = { id: 'a', paths: { cogsDelta: [0, 0.05] } };
+    expect(getActiveShockPaths({ years: 3, shockPaths: { activeId: 'a', scenarios: [scenario] } }).cogsDelta)
+      .toEqual([0, 0.05, 0]);
+    expect(getActiveShockPaths({ years: 3, shockPaths: { activeId: null, scenarios: [scenario] } })).toBeNull();
+  });
+});
+
+describe('shock paths in the projection', () => {
+  it('move the driver in the years on the path only', () => {
+    const params = {
+      startYear: 2025, years: 4, baseRevenue: 100e6, growth: 0.05, cogsPct: 0.4, opexPct: 0.25, capexPct: 0.05,
+      daPctOfPPE: 0.1, wcPctOfRev: 0.15, taxRate: 0.25, wacc: 0.1, terminalGrowth: 0.03, openingCash: 5e6,
+      requestedLoanAmount: 0
+    };
+    const noShocks = { growthDelta: 0, cogsDelta: 0, opexDelta: 0, capexDelta: 0, rateDelta: 0, waccDelta: 0, termGDelta: 0 };
+    const paths = { cogsDelta: buildShockPath('V', 0.1, 4) };
+    const rows = buildProjection(applyShocks(params, { ...noShocks, paths })).rows;
+
+    [0.4, 0.5, 0.45, 0.4].forEach((cogsPct, i) => expect(rows[i].cogs / rows[i].revenue).toBeCloseTo(cogsPct, 9));
+  });
+});
@@ -0,0 +1,165 @@
+// ============================================================================
+// tax.js - Corporate income tax (IAS 12)
+// ============================================================================
+// Replaces the flat "tax = positive EBT x rate" charge with:
+//   - tax losses carried forward by vintage, used oldest first, optionally
+//     capped at a share of each year's taxable profit and expiring after a
+//     number of years
+//   - tax holidays / incentives that relieve part of the tax in given years
+//     (e.g. special economic zone rates)
+//   - an optional minimum tax as a % of revenue
+//   - capital allowances on a tax written-down value pool instead of book
+//     depreciation, when enabled
+//   - cash tax paid one year in arrears, when enabled
+//
+// Deferred tax (IAS 12) is measured at the statutory rate on the gap between
+// book net PPE and the tax written-down value. No deferred tax asset is
+// recognised for unused losses (lender view: the benefit shows up only as
+// lower tax when the losses are used). Tax expense = current tax + movement
+// in deferred tax; cash tax is what drives CFADS.
+// ============================================================================
+
+/**
+ * Default tax settings for new models (flat tax, paid in the year)
+ * @returns {Object}
+ */
+export function getDefaultTaxSettings() {
+  return {
+    openingTaxLosses: 0,
+    // Years a loss can be carried forward (0 = no expiry)
+    taxLossExpiryYears: 0,
+    // Share of taxable profit that brought-forward losses may offset
+    taxLossUtilisationCap: 1,
+    minimumTaxPctRevenue: 0,
+    // 0 = paid in the year, 1 = paid the following year
+    taxPaymentLagYears: 0,
+    openingTaxPayable: 0,
+    // [{ id, fromYear, toYear, reliefPct }] - reliefPct 1 = full holiday
+    taxHolidays: [],
+    useCapitalAllowances: false,
+    capitalAllowanceInitialPct: 0,
+    capitalAllowanceAnnualPct: 0.125,
+    // Opening tax written-down value (null = same as opening net PPE)
+    openingTaxWDV: null
+  };
+}
+
+/**
+ * Share of tax relieved by holidays / incentives in a calendar year
+ * @param {Object} params - Model parameters (taxHolidays)
+ * @param {number} year - Calendar year
+ * @returns {number} 0..1
+ */
+export function getTaxRelief(params, year) {
+  const relief = (params.taxHolidays || [])
+    .filter(h => year >= Number(h.fromYear) && year <= Number(h.toYear))
+    .reduce((sum, h) => sum + (Number(h.reliefPct) || 0), 0);
+  return Math.min(1, Math.max(0, relief));
+}
+
+/**
+ * Year-by-year tax ledger
+ * compute() is side-effect free so it can be re-run while finance costs
+ * converge; commit() then carries the loss pool, tax pool and payable forward.
+ *
+ * @param {Object} params - Model parameters (taxRate and tax settings)
+ * @param {number} openingBookPPE - Opening net PPE
+ * @returns {Object} { openingDeferredTax, openingTaxPayable, compute(input), commit(result) }
+ */
+export function createTaxLedger(params, openingBookPPE) {
+  const settings = { ...getDefaultTaxSettings(), ...params };
+  const rate = params.taxRate || 0;
+  const expiry = Math.max(0, Math.round(Number(settings.taxLossExpiryYears) || 0));
+  const lag = Number(settings.taxPaymentLagYears) > 0 ? 1 : 0;
+
+  const state = {
+    // Opening losses are treated as arising the year before the projection
+    losses: (Number(settings.openingTaxLosses) || 0) > 0
+      ? [{ yearIndex: -1, amount: Number(settings.openingTaxLosses) }]
+      : [],
+    taxWDV: settings.useCapitalAllowances
+      ? (settings.openingTaxWDV ?? openingBookPPE)
+      : openingBookPPE,
+    taxPayable: lag ? Math.max(0, Number(settings.openingTaxPayable) || 0) : 0
+  };
+  const deferredTaxFor = (bookPPE, taxWDV) => rate * (bookPPE - taxWDV);
+  state.deferredTax = deferredTaxFor(openingBookPPE, state.taxWDV);
+
+  return {
+    openingDeferredTax: state.deferredTax,
+    openingTaxPayable: state.taxPayable,
+
+    /**
+     * @param {Object} input - { yearIndex, year, ebt, revenue, bookDepreciation, capex, bookPPE }
+     * @returns {Object} Tax result for the year
+     */
+    compute({ yearIndex, year, ebt, revenue, bookDepreciation, capex, bookPPE }) {
+      // Tax depreciation replaces book depreciation when allowances are used
+      let capitalAllowances = bookDepreciation;
+      let taxWDV = state.taxWDV + capex - bookDepreciation;
+      if (settings.useCapitalAllowances) {
+        const initial = capex * (Number(settings.capitalAllowanceInitialPct) || 0);
+        const pool = state.taxWDV + capex - initial;
+        capitalAllowances = Math.min(state.taxWDV + capex, initial + Math.max(0, pool) * (Number(settings.capitalAllowanceAnnualPct) || 0));
+        taxWDV = state.taxWDV + capex - capitalAllowances;
+      }
+      const taxableBeforeLosses = ebt + bookDepreciation - capitalAllowances;
+
+      // Losses older than the expiry period lapse before this year's profit is taxed
+      let lossesExpired = 0;
+      let losses = state.losses.filter(l => {
+        const expired = expiry > 0 && yearIndex - l.yearIndex > expiry;
+        if (expired) lossesExpired += l.amount;
+        return !expired;
+      }).map(l => ({ ...l }));
+
+      let lossesUsed = 0;
+      if (taxableBeforeLosses > 0) {
+        const cap = Number(settings.taxLossUtilisationCap);
+        let capacity = taxableBeforeLosses * Math.min(1, Math.max(0, Number.isFinite(cap) ? cap : 1));
+        losses.forEach(l => {
+          const used = Math.min(l.amount, capacity);
+          l.amount -= used;
+          capacity -= used;
+          lossesUsed += used;
+        });
+        losses = losses.filter(l => l.amount > 1e-6);
+      } else if (taxableBeforeLosses < 0) {
+        losses.push({ yearIndex, amount: -taxableBeforeLosses });
+      }
+
+      const taxableProfit = Math.max(0, taxableBeforeLosses - lossesUsed);
+      const relief = getTaxRelief(params, year);
+      const minimumTax = Math.max(0, revenue) * (Number(settings.minimumTaxPctRevenue) || 0) * (1 - relief);
+      const currentTax = Math.max(taxableProfit * rate * (1 - relief), minimumTax);
+
+      const deferredTaxLiability = deferredTaxFor(bookPPE, taxWDV);
+      const deferredTax = deferredTaxLiability - state.deferredTax;
+      const cashTax = lag ? state.taxPayable : currentTax;
+
+      return {
+        taxExpense: currentTax + deferredTax,
+        currentTax,
+        deferredTax,
+        cashTax,
+        taxPayable: lag ? currentTax : 0,
+        deferredTaxLiability,
+        taxableProfit,
+        capitalAllowances,
+        taxWDV,
+        taxRelief: relief,
+        lossesUsed,
+        lossesExpired,
+        lossesCarriedForward: losses.reduce((sum, l) => sum + l.amount, 0),
+        _losses: losses
+      };
+    },
+
+    commit(result) {
+      state.losses = result._losses;
+      state.taxWDV = result.taxWDV;
+      state.taxPayable = result.taxPayable;
+      state.deferredTax = result.deferredTaxLiability;
+    }
+  };
+}
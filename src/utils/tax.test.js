@@ -0,0 +1,85 @@
+import { createTaxLedger, getTaxRelief } from './tax';
+import { buildProjection } from './buildProjection';
+
+// Run the ledger over a list of years, committing each
+const runLedger = (params, years, openingBookPPE = 0) => {
+  const ledger = createTaxLedger({ taxRate: 0.25, ...params }, openingBookPPE);
+  return years.map((input, yearIndex) => {
+    const result = ledger.compute({
+      yearIndex, year: 2025 + yearIndex, revenue: 100, bookDepreciation: 0, capex: 0, bookPPE: openingBookPPE, ...input
+    });
+    ledger.commit(result);
+    return result;
+  });
+};
+
+describe('tax loss carryforward ledger', () => {
+  it('carries losses forward and uses them against later profits', () => {
+    const years = runLedger({}, [{ ebt: -10 }, { ebt: 4 }, { ebt: 10 }]);
+
+    expect(years.map(y => y.lossesCarriedForward)).toEqual([10, 6, 0]);
+    expect(years.map(y => y.lossesUsed)).toEqual([0, 4, 6]);
+    expect(years.map(y => y.currentTax)).toEqual([0, 0, 1]);
+  });
+
+  it('caps the share of profit that losses can offset', () => {
+    const [year] = runLedger({ openingTaxLosses: 10, taxLossUtilisationCap: 0.5 }, [{ ebt: 8 }]);
+    expect(year).toMatchObject({ lossesUsed: 4, taxableProfit: 4, currentTax: 1, lossesCarriedForward: 6 });
+  });
+
+  it('expires losses older than the carryforward period, oldest first', () => {
+    const years = runLedger({ openingTaxLosses: 10, taxLossExpiryYears: 2 }, [{ ebt: -3 }, { ebt: 0 }, { ebt: 5 }]);
+
+    expect(years[1].lossesExpired).toBe(0);
+    expect(years[2]).toMatchObject({ lossesExpired: 10, lossesUsed: 3, taxableProfit: 2, currentTax: 0.5 });
+  });
+});
+
+describe('tax incentives and timing', () => {
+  it('relieves tax in holiday years but not below the minimum tax', () => {
+    const params = { taxHolidays: [{ id: 1, fromYear: 2025, toYear: 2026, reliefPct: 0.6 }], minimumTaxPctRevenue: 0.01 };
+
+    expect(getTaxRelief(params, 2026)).toBe(0.6);
+    expect(getTaxRelief(params, 2027)).toBe(0);
+    expect(getTaxRelief({ taxHolidays: [{ fromYear: 2025, toYear: 2025, reliefPct: 0.8 }, { fromYear: 2025, toYear: 2025, reliefPct: 0.5 }] }, 2025)).toBe(1);
+
+    const years = runLedger(params, [{ ebt: 40 }, { ebt: 0 }, { ebt: 40 }]);
+    expect(years[0].currentTax).toBeCloseTo(4);
+    expect(years[1].currentTax).toBeCloseTo(0.4);
+    expect(years[2].currentTax).toBeCloseTo(10);
+  });
+
+  it('pays tax a year in arrears when lagged', () => {
+    const years = runLedger({ taxPaymentLagYears: 1, openingTaxPayable: 3 }, [{ ebt: 40 }, { ebt: 20 }]);
+    expect(years.map(y => y.cashTax)).toEqual([3, 10]);
+    expect(years.map(y => y.taxPayable)).toEqual([10, 5]);
+  });
+
+  it('uses capital allowances and books deferred tax on the gap to book PPE', () => {
+    const [year] = runLedger({
+      useCapitalAllowances: true, capitalAllowanceInitialPct: 0.5, capitalAllowanceAnnualPct: 0.125
+    }, [{ ebt: 50, bookDepreciation: 10, capex: 20, bookPPE: 110 }], 100);
+
+    expect(year.capitalAllowances).toBeCloseTo(10 + 110 * 0.125);
+    expect(year.taxWDV).toBeCloseTo(96.25);
+    expect(year.currentTax).toBeCloseTo((50 + 10 - 23.75) * 0.25);
+    expect(year.deferredTaxLiability).toBeCloseTo(0.25 * 13.75);
+    expect(year.taxExpense).toBeCloseTo(year.currentTax + 0.25 * 13.75);
+  });
+});
+
+describe('tax in the projection', () => {
+  it('shelters profits with opening losses', () => {
+    const params = {
+      startYear: 2025, years: 3, baseRevenue: 100e6, growth: 0.05, cogsPct: 0.4, opexPct: 0.25, capexPct: 0.05,
+      daPctOfPPE: 0.1, wcPctOfRev: 0.15, taxRate: 0.25, wacc: 0.1, terminalGrowth: 0.03, openingCash: 5e6,
+      requestedLoanAmount: 0
+    };
+    const base = buildProjection(params).rows[0];
+    const sheltered = buildProjection({ ...params, openingTaxLosses: 1e9 }).rows[0];
+
+    expect(base.tax).toBeGreaterThan(0);
+    expect(sheltered.tax).toBe(0);
+    expect(sheltered.netIncome - base.netIncome).toBeCloseTo(base.tax, 0);
+  });
+});
@@ -0,0 +1,109 @@
+// ============================================================================
+// trancheMetrics.js - Credit metrics by seniority (senior vs total, through-tranche)
+// ============================================================================
+// Tranches are grouped into seniority classes, most senior first:
+//   Senior Secured (incl. revolvers) > Senior Unsecured > Subordinated > Mezzanine
+// For each class the analysis reports, cumulatively through that class:
+//   - DSCR: covenant EBITDA / debt service of this class and everything above
+//   - attachment / detachment: net debt ranking ahead of / through the class
+//     as a multiple of EBITDA (cash nets against the most senior debt first,
+//     so the most senior class attaches at 0x)
+// Senior metrics cover the two senior classes. Debt with no tranche detail
+// (single-facility models, existing debt, post-IFRS 16 lease liabilities) is
+// treated as senior secured, so the senior and total figures always tie back
+// to the model's gross debt and total debt service.
+// ============================================================================
+
+export const SENIORITY_CLASSES = [
+  { key: 'seniorSecured', label: 'Senior Secured', seniorities: ['Senior Secured', 'Revolver'], senior: true },
+  { key: 'seniorUnsecured', label: 'Senior Unsecured', seniorities: ['Senior Unsecured'], senior: true },
+  { key: 'subordinated', label: 'Subordinated', seniorities: ['Subordinated'], senior: false },
+  { key: 'mezzanine', label: 'Mezzanine', seniorities: ['Mezzanine'], senior: false }
+];
+
+// Ratios are capped like the headline DSCR
+const RATIO_CAP = 99;
+
+/**
+ * Seniority class of a tranche (unknown seniorities rank as senior secured)
+ * @param {string} seniority - Tranche seniority
+ * @returns {Object} Entry of SENIORITY_CLASSES
+ */
+export function getSeniorityClass(seniority) {
+  return SENIORITY_CLASSES.find(c => c.seniorities.includes(seniority)) || SENIORITY_CLASSES[0];
+}
+
+/**
+ * Check whether the senior covenants are tested
+ * @param {Object} params - Model parameters (minSeniorDSCR, maxSeniorNDToEBITDA)
+ * @returns {boolean}
+ */
+export function hasSeniorCovenants(params) {
+  return Number(params.minSeniorDSCR) > 0 || Number(params.maxSeniorNDToEBITDA) > 0;
+}
+
+/**
+ * Senior and through-tranche coverage for one year
+ *
+ * @param {Object} year
+ * @param {Array} year.trancheDetails - Term tranche and revolver detail for the year
+ * @param {number} year.totalDebt - Debt counted in covenant net debt (incl. post-IFRS 16 leases)
+ * @param {number} year.totalDebtService - Covenant debt service
+ * @param {number} year.cash - Closing cash
+ * @param {number} year.ebitda - Covenant EBITDA
+ * @returns {Object} { seniorDebt, seniorNetDebt, seniorDebtService, seniorDSCR, seniorNDToEBITDA, classes }
+ *   classes[]: { key, label, senior, debt, debtService, attachment, detachment, cumulativeDSCR }
+ */
+export function analyseTrancheCoverage({ trancheDetails = [], totalDebt, totalDebtService, cash, ebitda }) {
+  const byClass = Object.fromEntries(SENIORITY_CLASSES.map(c => [c.key, { debt: 0, debtService: 0 }]));
+  trancheDetails.forEach(detail => {
+    const { key } = getSeniorityClass(detail.seniority);
+    byClass[key].debt += detail.endingBalance || 0;
+    byClass[key].debtService += (detail.totalPayment || 0) + (detail.hedgeSettlement || 0);
+  });
+
+  // Senior secured takes whatever the other classes do not explain
+  const explained = (field) => SENIORITY_CLASSES.slice(1).reduce((sum, c) => sum + byClass[c.key][field], 0);
+  byClass.seniorSecured = {
+    debt: Math.max(0, totalDebt - explained('debt')),
+    debtService: Math.max(0, totalDebtService - explained('debtService'))
+  };
+
+  // Net debt as in the headline ratio: negative cash (an unfunded shortfall) adds to debt
+  const netOf = (debt) => Math.max(0, debt - cash);
+  const leverage = (debt) => (ebitda > 0 ? netOf(debt) / ebitda : null);
+  const coverage = (debtService) => (debtService > 0 ? Math.min(RATIO_CAP, ebitda / debtService) : null);
+
+  let debtAhead = 0;
+  let debtServiceThrough = 0;
+  const classes = [];
+  SENIORITY_CLASSES.forEach(c => {
+    const { debt, debtService } = byClass[c.key];
+    const debtThrough = debtAhead + debt;
+    debtServiceThrough += debtService;
+    if (debt > 0 || debtService > 0) {
+      classes.push({
+        key: c.key,
+        label: c.label,
+        senior: c.senior,
+        debt,
+        debtService,
+        attachment: debtAhead > 0 ? leverage(debtAhead) : 0,
+        detachment: leverage(debtThrough),
+        cumulativeDSCR: coverage(debtServiceThrough)
+      });
+    }
+    debtAhead = debtThrough;
+  });
+
+  const seniorDebt = byClass.seniorSecured.debt + byClass.seniorUnsecured.debt;
+  const seniorDebtService = byClass.seniorSecured.debtService + byClass.seniorUnsecured.debtService;
+  return {
+    seniorDebt,
+    seniorNetDebt: netOf(seniorDebt),
+    seniorDebtService,
+    seniorDSCR: coverage(seniorDebtService),
+    seniorNDToEBITDA: leverage(seniorDebt),
+    classes
+  };
+}
@@ -0,0 +1,66 @@
+import { analyseTrancheCoverage, getSeniorityClass, hasSeniorCovenants } from './trancheMetrics';
+import { buildProjection } from './buildProjection';
+
+describe('seniority classes', () => {
+  it('rank revolvers and unknown seniorities as senior secured', () => {
+    expect(getSeniorityClass('Revolver').key).toBe('seniorSecured');
+    expect(getSeniorityClass(undefined).key).toBe('seniorSecured');
+    expect(getSeniorityClass('Mezzanine')).toMatchObject({ key: 'mezzanine', senior: false });
+  });
+
+  it('test senior covenants only once a level is entered', () => {
+    expect(hasSeniorCovenants({})).toBe(false);
+    expect(hasSeniorCovenants({ minSeniorDSCR: 1.5 })).toBe(true);
+  });
+});
+
+describe('analyseTrancheCoverage', () => {
+  const coverage = analyseTrancheCoverage({
+    trancheDetails: [
+      { seniority: 'Senior Secured', endingBalance: 40, totalPayment: 10 },
+      { seniority: 'Mezzanine', endingBalance: 20, totalPayment: 5, hedgeSettlement: 1 }
+    ],
+    totalDebt: 70,
+    totalDebtService: 18,
+    cash: 10,
+    ebitda: 24
+  });
+
+  it('treats debt without tranche detail as senior secured', () => {
+    expect(coverage).toMatchObject({ seniorDebt: 50, seniorNetDebt: 40, seniorDebtService: 12, seniorDSCR: 2 });
+    expect(coverage.seniorNDToEBITDA).toBeCloseTo(40 / 24);
+  });
+
+  it('reports attachment, detachment and DSCR through each class', () => {
+    const [senior, mezzanine] = coverage.classes;
+
+    expect(coverage.classes).toHaveLength(2);
+    expect(senior).toMatchObject({ key: 'seniorSecured', attachment: 0, cumulativeDSCR: 2 });
+    expect(mezzanine.attachment).toBeCloseTo(senior.detachment);
+    expect(mezzanine.detachment).toBeCloseTo(60 / 24);
+    expect(mezzanine.cumulativeDSCR).toBeCloseTo(24 / 18);
+  });
+});
+
+describe('senior metrics in the projection', () => {
+  it('tie the senior and total figures back to the model', () => {
+    const tranche = (id, seniority, amount) => ({
+      id, name: seniority, seniority, amount, rate: 0.1, tenorYears: 5, amortizationType: 'amortizing',
+      paymentFrequency: 'Quarterly', maturityDate: '2029-12-31'
+    });
+    const { rows } = buildProjection({
+      startYear: 2025, years: 5, baseRevenue: 100e6, growth: 0.08, cogsPct: 0.4, opexPct: 0.25, capexPct: 0.05,
+      daPctOfPPE: 0.1, wcPctOfRev: 0.15, taxRate: 0.25, wacc: 0.1, terminalGrowth: 0.03, openingCash: 20e6,
+      hasMultipleTranches: true,
+      debtTranches: [tranche(1, 'Senior Secured', 30e6), tranche(2, 'Subordinated', 15e6)]
+    });
+
+    rows.forEach(row => {
+      const classes = row.trancheCoverage;
+      expect(row.seniorDebt).toBeCloseTo(row.trancheDetails[0].endingBalance, 0);
+      expect(classes.reduce((sum, c) => sum + c.debt, 0)).toBeCloseTo(row.grossDebt, 0);
+      expect(classes.reduce((sum, c) => sum + c.debtService, 0)).toBeCloseTo(row.debtService, 0);
+      expect(row.seniorDSCR).toBeGreaterThan(row.dscr);
+    });
+  });
+});
@@ -3,6 +3,9 @@
  * All validation logic for financial inputs, model parameters, and business rules
  */
 
+import { hasDriverOverrides, getDriverValue } from './driverOverrides';
+import { getCovenantLibrary, testCovenant } from './covenants';
+
 /**
  * Validate tranche names are unique
  */
@@ -122,6 +125,15 @@ export function validateModelParams(params) {
   if (params.opexPct < 0 || params.opexPct > 1) {
     errors.push("OpEx percentage must be between 0% and 100%");
   }
+
+  // Year-by-year overrides must leave a positive margin too
+  if (hasDriverOverrides(params)) {
+    for (let i = 0; i < params.years; i++) {
+      if (getDriverValue(params, 'cogsPct', i) + getDriverValue(params, 'opexPct', i) >= 1) {
+        errors.push(`COGS + OpEx must be less than 100% of revenue in ${params.startYear + i}`);
+      }
+    }
+  }
   
   // Discount rate validation
   if (params.wacc <= params.terminalGrowth) {
@@ -272,64 +284,38 @@ export function validateExistingDebtTerms(params) {
 }
 
 /**
- * Check covenant breaches
+ * Check covenant breaches against the covenant library (see covenants.js)
+ * Every enabled covenant is tested with its step-down threshold for the year,
+ * at its own frequency.
+ * @param {Array} rows - Annual projection rows
+ * @param {Object} params - Model parameters (covenants and the linked thresholds)
+ * @param {Array} [periodRows] - Period rows, used by semi-annual / quarterly covenants
+ * @returns {Object} { hasBreaches, breaches, totalBreaches, covenants, breachYears }
+ *   breaches: { [covenantId]: [{ year, label, actual, required, shortfall }] }
+ *   totalBreaches: covenant-years in breach (a quarterly covenant breached in
+ *   several quarters of one year counts once, like an annual one)
  */
-export function checkCovenantBreaches(metrics, covenants) {
-  const breaches = {
-    dscr: [],
-    icr: [],
-    leverage: [],
-    ltv: [],
-  };
-  
-  metrics.forEach((yearMetrics, index) => {
-    const year = yearMetrics.year || index + 1;
-    
-    // DSCR breach
-    if (yearMetrics.dscr < covenants.minDSCR) {
-      breaches.dscr.push({
-        year,
-        actual: yearMetrics.dscr,
-        required: covenants.minDSCR,
-        shortfall: covenants.minDSCR - yearMetrics.dscr,
-      });
-    }
-    
-    // ICR breach
-    if (yearMetrics.icr < covenants.targetICR) {
-      breaches.icr.push({
-        year,
-        actual: yearMetrics.icr,
-        required: covenants.targetICR,
-        shortfall: covenants.targetICR - yearMetrics.icr,
-      });
-    }
-    
-    // Leverage breach
-    if (yearMetrics.ndToEbitda > covenants.maxNDToEBITDA) {
-      breaches.leverage.push({
-        year,
-        actual: yearMetrics.ndToEbitda,
-        maximum: covenants.maxNDToEBITDA,
-        excess: yearMetrics.ndToEbitda - covenants.maxNDToEBITDA,
-      });
-    }
-    
-    // LTV breach (if applicable)
-    if (covenants.maxLTV && yearMetrics.ltv > covenants.maxLTV) {
-      breaches.ltv.push({
-        year,
-        actual: yearMetrics.ltv,
-        maximum: covenants.maxLTV,
-        excess: yearMetrics.ltv - covenants.maxLTV,
-      });
-    }
-  });
-  
+export function checkCovenantBreaches(rows, params, periodRows = null) {
+  const covenants = getCovenantLibrary(params).map(covenant => testCovenant(covenant, params, rows, periodRows));
+
+  const breaches = Object.fromEntries(covenants.map(covenant => [
+    covenant.id,
+    covenant.breaches.map(test => ({
+      year: test.year,
+      label: test.label,
+      actual: test.value,
+      required: test.threshold,
+      shortfall: Math.abs(test.value - test.threshold)
+    }))
+  ]));
+  const totalBreaches = covenants.reduce((sum, covenant) => sum + covenant.breachYears.length, 0);
+
   return {
-    hasBreaches: Object.values(breaches).some(b => b.length > 0),
+    hasBreaches: totalBreaches > 0,
     breaches,
-    totalBreaches: breaches.dscr.length + breaches.icr.length + breaches.leverage.length + breaches.ltv.length,
+    totalBreaches,
+    covenants,
+    breachYears: [...new Set(covenants.flatMap(covenant => covenant.breachYears))].sort((a, b) => a - b)
   };
 }
 
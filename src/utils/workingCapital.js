@@ -0,0 +1,114 @@
+// ============================================================================
+// workingCapital.js - Working capital balances for buildProjection
+// ============================================================================
+// Two drivers are supported:
+// - 'percent': net working capital = revenue × wcPctOfRev (single line)
+// - 'days':    receivables (DSO on revenue), inventory (DIO on COGS) and
+//              payables (DPO on COGS) as separate balances
+// ============================================================================
+
+const DAYS_IN_YEAR = 365;
+
+/**
+ * Check whether the days-based (DSO/DIO/DPO) driver is active
+ * @param {Object} params - Model parameters
+ * @returns {boolean}
+ */
+export function usesWorkingCapitalDays(params) {
+  return params.workingCapitalMethod === 'days';
+}
+
+/**
+ * Calculate working capital balances for a year
+ *
+ * @param {number} revenue - Revenue for the year
+ * @param {number} cogs - Cost of sales for the year
+ * @param {Object} params - Model parameters
+ * @returns {Object} receivables, inventory, payables, otherWorkingCapital, netWorkingCapital
+ */
+export function calculateWorkingCapital(revenue, cogs, params) {
+  if (!usesWorkingCapitalDays(params)) {
+    const netWorkingCapital = revenue * (params.wcPctOfRev || 0);
+    return {
+      receivables: 0,
+      inventory: 0,
+      payables: 0,
+      otherWorkingCapital: netWorkingCapital,
+      netWorkingCapital
+    };
+  }
+
+  const receivables = revenue * (params.receivableDays || 0) / DAYS_IN_YEAR;
+  const inventory = cogs * (params.inventoryDays || 0) / DAYS_IN_YEAR;
+  const payables = cogs * (params.payableDays || 0) / DAYS_IN_YEAR;
+
+  return {
+    receivables,
+    inventory,
+    payables,
+    otherWorkingCapital: 0,
+    netWorkingCapital: receivables + inventory - payables
+  };
+}
+
+/**
+ * Opening working capital balances
+ * Days mode uses the opening receivables / inventory / payables;
+ * percent mode uses a single opening net working capital figure.
+ *
+ * @param {Object} params - Model parameters
+ * @returns {Object} Same shape as calculateWorkingCapital
+ */
+export function getOpeningWorkingCapital(params) {
+  if (!usesWorkingCapitalDays(params)) {
+    const netWorkingCapital = params.openingWorkingCapital || 0;
+    return {
+      receivables: 0,
+      inventory: 0,
+      payables: 0,
+      otherWorkingCapital: netWorkingCapital,
+      netWorkingCapital
+    };
+  }
+
+  const receivables = params.openingReceivables || 0;
+  const inventory = params.openingInventory || 0;
+  const payables = params.openingPayables || 0;
+
+  return {
+    receivables,
+    inventory,
+    payables,
+    otherWorkingCapital: 0,
+    netWorkingCapital: receivables + inventory - payables
+  };
+}
+
+/**
+ * Derive average DSO / DIO / DPO from historical statements
+ * Years missing the relevant balance or base (revenue / COGS) are skipped.
+ *
+ * @param {Array} sortedYears - Historical years (oldest -> newest)
+ * @returns {Object} receivableDays, inventoryDays, payableDays (null when no data)
+ */
+export function deriveWorkingCapitalDays(sortedYears) {
+  const average = (values) => (values.length > 0
+    ? values.reduce((s, v) => s + v, 0) / values.length
+    : null);
+
+  const dso = sortedYears
+    .filter(d => d.receivables > 0 && d.revenue > 0)
+    .map(d => (d.receivables / d.revenue) * DAYS_IN_YEAR);
+  const dio = sortedYears
+    .filter(d => d.inventory > 0 && d.cogs > 0)
+    .map(d => (d.inventory / d.cogs) * DAYS_IN_YEAR);
+  const dpo = sortedYears
+    .filter(d => d.accountsPayable > 0 && d.cogs > 0)
+    .map(d => (d.accountsPayable / d.cogs) * DAYS_IN_YEAR);
+
+  return {
+    receivableDays: average(dso),
+    inventoryDays: average(dio),
+    payableDays: average(dpo)
+  };
+}
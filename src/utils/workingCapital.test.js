@@ -0,0 +1,65 @@
+import {
+  calculateWorkingCapital,
+  getOpeningWorkingCapital,
+  deriveWorkingCapitalDays
+} from './workingCapital';
+import { buildProjection } from './buildProjection';
+
+const days = { workingCapitalMethod: 'days', receivableDays: 73, inventoryDays: 36.5, payableDays: 91.25 };
+
+describe('calculateWorkingCapital', () => {
+  it('holds net working capital as a share of revenue in percent mode', () => {
+    expect(calculateWorkingCapital(100e6, 40e6, { wcPctOfRev: 0.15 })).toEqual({
+      receivables: 0, inventory: 0, payables: 0, otherWorkingCapital: 15e6, netWorkingCapital: 15e6
+    });
+  });
+
+  it('drives receivables off revenue and inventory and payables off COGS in days mode', () => {
+    const wc = calculateWorkingCapital(100e6, 40e6, days);
+    expect(wc.receivables).toBeCloseTo(20e6);
+    expect(wc.inventory).toBeCloseTo(4e6);
+    expect(wc.payables).toBeCloseTo(10e6);
+    expect(wc.otherWorkingCapital).toBe(0);
+    expect(wc.netWorkingCapital).toBeCloseTo(14e6);
+  });
+});
+
+describe('getOpeningWorkingCapital', () => {
+  it('uses the opening balances for the active method', () => {
+    expect(getOpeningWorkingCapital({ openingWorkingCapital: 8e6 }).netWorkingCapital).toBe(8e6);
+    expect(getOpeningWorkingCapital({
+      ...days, openingWorkingCapital: 8e6, openingReceivables: 12e6, openingInventory: 3e6, openingPayables: 5e6
+    })).toEqual({ receivables: 12e6, inventory: 3e6, payables: 5e6, otherWorkingCapital: 0, netWorkingCapital: 10e6 });
+  });
+});
+
+describe('deriveWorkingCapitalDays', () => {
+  it('averages the days across years and skips years without the balance', () => {
+    const derived = deriveWorkingCapitalDays([
+      { revenue: 100e6, cogs: 40e6, receivables: 20e6, inventory: 4e6, accountsPayable: 10e6 },
+      { revenue: 100e6, cogs: 40e6, receivables: 30e6, inventory: 0, accountsPayable: 12e6 },
+      { revenue: 0, cogs: 50e6, receivables: 5e6, inventory: 6e6 }
+    ]);
+    expect(derived.receivableDays).toBeCloseTo(91.25);
+    expect(derived.inventoryDays).toBeCloseTo((36.5 + 43.8) / 2);
+    expect(derived.payableDays).toBeCloseTo((91.25 + 109.5) / 2);
+  });
+
+  it('returns null days when there is no history', () => {
+    expect(deriveWorkingCapitalDays([])).toEqual({ receivableDays: null, inventoryDays: null, payableDays: null });
+  });
+});
+
+describe('days-based working capital in the projection', () => {
+  it('moves cash by the change in receivables, inventory and payables', () => {
+    const { rows } = buildProjection({
+      startYear: 2025, years: 3, baseRevenue: 100e6, growth: 0.1, cogsPct: 0.4, opexPct: 0.25, capexPct: 0.05,
+      daPctOfPPE: 0.1, taxRate: 0.25, wacc: 0.1, terminalGrowth: 0.03, openingCash: 5e6, requestedLoanAmount: 0,
+      ...days, openingReceivables: 18e6, openingInventory: 3e6, openingPayables: 8e6
+    });
+
+    expect(rows[0].workingCapital).toBeCloseTo(rows[0].receivables + rows[0].inventory - rows[0].payables);
+    expect(rows[0].wcDelta).toBeCloseTo(rows[0].workingCapital - 13e6);
+    expect(rows[1].wcDelta).toBeCloseTo(rows[1].workingCapital - rows[0].workingCapital);
+  });
+});
@@ -0,0 +1,22 @@
+// ============================================================================
+// monteCarlo.worker.js - Runs the Monte Carlo simulation off the main thread
+// ============================================================================
+// Messages in:  { params, config }
+// Messages out: { type: 'progress', completed, total }
+//               { type: 'done', results }
+//               { type: 'error', message }
+// ============================================================================
+
+import { runMonteCarlo } from '../utils/monteCarlo';
+
+globalThis.onmessage = (event) => {
+  const { params, config } = event.data || {};
+  try {
+    const results = runMonteCarlo(params, config, (completed, total) => {
+      globalThis.postMessage({ type: 'progress', completed, total });
+    });
+    globalThis.postMessage({ type: 'done', results });
+  } catch (error) {
+    globalThis.postMessage({ type: 'error', message: error.message });
+  }
+};